@@ -1,4 +1,7 @@
 import crypto from 'crypto';
+import { authorizeRequest, requireNpcOwnership } from '../lib/auth.js';
+import { HttpError, errorResponse } from '../lib/http.js';
+import { validateDeleteImageRequest } from '../lib/validation.js';
 
 export default async (req, context) => {
     if (req.method !== "POST") {
@@ -6,7 +9,13 @@ export default async (req, context) => {
     }
 
     try {
-        const { publicId } = await req.json();
+        const userId = await authorizeRequest(req, 'delete-image');
+
+        const body = await req.json();
+        validateDeleteImageRequest(body);
+        const { publicId } = body;
+        await requireNpcOwnership(userId, publicId.split('/').pop());
+
         const cloudinaryCloudName = process.env.CLOUDINARY_CLOUD_NAME;
         const cloudinaryApiKey = process.env.CLOUDINARY_API_KEY;
         const cloudinaryApiSecret = process.env.CLOUDINARY_API_SECRET;
@@ -41,6 +50,8 @@ export default async (req, context) => {
         });
 
     } catch (error) {
+        if (error instanceof HttpError) return errorResponse(error);
+
         console.error("Delete Image Function Error:", error);
         return new Response(JSON.stringify({ error: error.message }), { status: 500 });
     }
@@ -1,4 +1,8 @@
 // Note: fetch is built-in to Node.js 18+, no need to import
+import { authorizeRequest } from '../lib/auth.js';
+import { BALANCE_HEADER, chargeAudio, refundAudio } from '../lib/credits.js';
+import { HttpError, errorResponse } from '../lib/http.js';
+import { validateTTSRequest } from '../lib/validation.js';
 
 export default async (req, context) => {
     // Only allow POST requests
@@ -6,12 +10,18 @@ export default async (req, context) => {
         return new Response("Method Not Allowed", { status: 405 });
     }
 
+    let userId = null;
+    let session;
+    // Set once chargeAudio has run, even for a free chunk, so a failure frees the chunk again
+    let charged = null;
+
     try {
-        const { text, voiceId } = await req.json();
+        userId = await authorizeRequest(req, 'tts');
 
-        if (!text || !voiceId) {
-            return new Response(JSON.stringify({ error: 'Missing text or voiceId' }), { status: 400 });
-        }
+        const body = await req.json();
+        validateTTSRequest(body);
+        session = body.session;
+        const { text, voiceId } = body;
 
         const apiKey = process.env.ELEVENLABS_API_KEY;
         if (!apiKey) {
@@ -19,6 +29,10 @@ export default async (req, context) => {
             return new Response(JSON.stringify({ error: 'Server configuration error' }), { status: 500 });
         }
 
+        // Chunks of one line share a session, so the line is only billed once
+        const { charged: amount, balance } = await chargeAudio(userId, session);
+        charged = amount;
+
         // Call ElevenLabs TTS API
         const response = await fetch(
             `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`,
@@ -42,6 +56,7 @@ export default async (req, context) => {
         if (!response.ok) {
             const errorText = await response.text();
             console.error('ElevenLabs API error:', response.status, errorText);
+            if (charged !== null) await refundAudio(userId, session, charged);
             return new Response(JSON.stringify({
                 error: 'ElevenLabs API error',
                 details: errorText
@@ -56,11 +71,17 @@ export default async (req, context) => {
             audio: base64Audio,
             mimeType: 'audio/mpeg'
         }), {
-            headers: { "Content-Type": "application/json" }
+            headers: {
+                "Content-Type": "application/json",
+                ...(balance !== null && { [BALANCE_HEADER]: String(balance) })
+            }
         });
 
     } catch (error) {
+        if (error instanceof HttpError) return errorResponse(error);
+
         console.error('Error in elevenlabs-tts function:', error);
+        if (charged !== null) await refundAudio(userId, session, charged);
         return new Response(JSON.stringify({
             error: 'Internal server error',
             message: error.message
@@ -1,19 +1,51 @@
+import { authorizeRequest } from '../lib/auth.js';
+import { BALANCE_HEADER, chargeAudio, chargeCredits, getGeminiPrice, refundAudio, refundCredits } from '../lib/credits.js';
+import { HttpError, errorResponse } from '../lib/http.js';
+import { validateGeminiRequest } from '../lib/validation.js';
+
+// Gives back a failed request's charge; a TTS chunk is also freed for a retry (see refundAudio)
+const refund = (userId, audioSession, charged) => (audioSession
+    ? refundAudio(userId, audioSession, charged)
+    : refundCredits(userId, charged));
+
 export default async (req, context) => {
     // Only allow POST requests
     if (req.method !== "POST") {
         return new Response("Method Not Allowed", { status: 405 });
     }
 
+    let userId = null;
+    let charged = 0;
+    // The chunk of a chunked TTS session this request is for, once chargeAudio has run
+    let audioSession = null;
+
     try {
-        const body = await req.json();
+        userId = await authorizeRequest(req, 'gemini');
+
+        const { stream, ttsSession, ...body } = await req.json();
+        const model = validateGeminiRequest({ ...body, stream, ttsSession });
+        const price = getGeminiPrice(body);
         const apiKey = process.env.GOOGLE_AI_API_KEY;
 
         if (!apiKey) {
             return new Response(JSON.stringify({ error: "Missing Server API Key" }), { status: 500 });
         }
 
-        const model = body.model || "gemini-2.5-flash-preview-09-2025";
-        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
+        const headers = { "Content-Type": "application/json" };
+        if (body.generationConfig?.responseModalities?.includes("AUDIO")) {
+            // Chunks of one line share a session, so the line is only billed once
+            const { charged: amount, balance } = await chargeAudio(userId, ttsSession);
+            if (balance !== null) headers[BALANCE_HEADER] = String(balance);
+            charged = amount;
+            audioSession = ttsSession || null;
+        } else if (price > 0) {
+            headers[BALANCE_HEADER] = String(await chargeCredits(userId, price));
+            charged = price;
+        }
+
+        const apiUrl = stream
+            ? `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`
+            : `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
 
         const response = await fetch(apiUrl, {
             method: 'POST',
@@ -21,20 +53,41 @@ export default async (req, context) => {
             body: JSON.stringify(body)
         });
 
+        // Pipe the server-sent events straight through to the client
+        // (streaming is free, so there is nothing to refund)
+        if (stream && response.ok) {
+            return new Response(response.body, {
+                status: 200,
+                headers: {
+                    "Content-Type": "text/event-stream",
+                    "Cache-Control": "no-cache"
+                }
+            });
+        }
+
         const data = await response.json();
         
         // Log the response for debugging
         if (!response.ok || data.error) {
             console.error("Gemini API Error Response:", JSON.stringify(data, null, 2));
+
+            // Don't bill for a request that produced nothing
+            if (audioSession || charged > 0) {
+                const balance = await refund(userId, audioSession, charged);
+                if (balance !== null) headers[BALANCE_HEADER] = String(balance);
+            }
         }
         
         return new Response(JSON.stringify(data), {
             status: response.status,
-            headers: { "Content-Type": "application/json" }
+            headers
         });
 
     } catch (error) {
+        if (error instanceof HttpError) return errorResponse(error);
+
         console.error("Gemini Function Error:", error);
+        if (audioSession || charged > 0) await refund(userId, audioSession, charged);
         return new Response(JSON.stringify({ error: error.message }), { status: 500 });
     }
 };
@@ -1,12 +1,25 @@
-import crypto from 'crypto';
+import { authorizeRequest, requireNpcOwnership } from '../lib/auth.js';
+import { getCloudinaryConfig, uploadToCloudinary } from '../lib/cloudinary.js';
+import { PRICES, BALANCE_HEADER, chargeCredits, refundCredits } from '../lib/credits.js';
+import { HttpError, errorResponse } from '../lib/http.js';
+import { validateImageRequest } from '../lib/validation.js';
 
 export default async (req, context) => {
     if (req.method !== "POST") {
         return new Response("Method Not Allowed", { status: 405 });
     }
 
+    let userId = null;
+    let charged = 0;
+
     try {
-        const { prompt, npcId, isInitial = false } = await req.json();
+        userId = await authorizeRequest(req, 'generate-image');
+
+        const body = await req.json();
+        validateImageRequest(body);
+        const { prompt, npcId, isInitial = false } = body;
+        await requireNpcOwnership(userId, npcId);
+
         const openaiApiKey = process.env.OPENAI_API_KEY;
         const cloudinaryCloudName = process.env.CLOUDINARY_CLOUD_NAME;
         const cloudinaryApiKey = process.env.CLOUDINARY_API_KEY;
@@ -22,6 +35,9 @@ export default async (req, context) => {
             return new Response(JSON.stringify({ error: "Missing Server Configuration" }), { status: 500 });
         }
 
+        const balance = await chargeCredits(userId, PRICES.image);
+        charged = PRICES.image;
+
         // 1. Generate Image with appropriate model and size
         let payload;
         if (isInitial) {
@@ -64,42 +80,21 @@ export default async (req, context) => {
 
         // 2. Upload to Cloudinary
         console.log("Uploading to Cloudinary...");
-        const timestamp = Math.round(Date.now() / 1000);
-        const publicId = `npcs/images/${npcId}`;
-        const paramsToSign = `overwrite=true&public_id=${publicId}&timestamp=${timestamp}${cloudinaryApiSecret}`;
-
-        const signature = crypto.createHash('sha256').update(paramsToSign).digest('hex');
-
-        const formData = new FormData();
-        formData.append('file', imageUrl);
-        formData.append('public_id', publicId);
-        formData.append('timestamp', timestamp.toString());
-        formData.append('api_key', cloudinaryApiKey);
-        formData.append('signature', signature);
-        formData.append('overwrite', 'true');
-
-        const cloudinaryResponse = await fetch(`https://api.cloudinary.com/v1_1/${cloudinaryCloudName}/image/upload`, {
-            method: 'POST',
-            body: formData
-        });
-
-        const cloudinaryResult = await cloudinaryResponse.json();
-
-        if (!cloudinaryResponse.ok) {
-            throw new Error("Cloudinary upload failed: " + JSON.stringify(cloudinaryResult));
-        }
-
+        const cloudinaryResult = await uploadToCloudinary(getCloudinaryConfig(), imageUrl, `npcs/images/${npcId}`);
         console.log("Cloudinary upload success:", cloudinaryResult.secure_url);
 
         return new Response(JSON.stringify({
             secure_url: cloudinaryResult.secure_url,
             public_id: cloudinaryResult.public_id
         }), {
-            headers: { "Content-Type": "application/json" }
+            headers: { "Content-Type": "application/json", [BALANCE_HEADER]: String(balance) }
         });
 
     } catch (error) {
+        if (error instanceof HttpError) return errorResponse(error);
+
         console.error("Generate Image Function Error:", error);
+        if (charged > 0) await refundCredits(userId, charged);
         return new Response(JSON.stringify({ error: error.message }), { status: 500 });
     }
 };
@@ -1,11 +1,25 @@
+import { authorizeRequest } from '../lib/auth.js';
+import { BALANCE_HEADER, chargeAudio, refundAudio } from '../lib/credits.js';
+import { HttpError, errorResponse } from '../lib/http.js';
+import { validateTTSRequest } from '../lib/validation.js';
+
 export default async (req, context) => {
     // Only allow POST requests
     if (req.method !== "POST") {
         return new Response("Method Not Allowed", { status: 405 });
     }
 
+    let userId = null;
+    let session;
+    // Set once chargeAudio has run, even for a free chunk, so a failure frees the chunk again
+    let charged = null;
+
     try {
+        userId = await authorizeRequest(req, 'tts');
+
         const body = await req.json();
+        validateTTSRequest(body);
+        session = body.session;
         const { text, voiceId, languageCode = "en-US", speakingRate = 1.0, pitch = 0.0 } = body;
 
         // Use GOOGLE_AI_API_KEY as primary, fallback to specific one if needed later
@@ -15,9 +29,9 @@ export default async (req, context) => {
             return new Response(JSON.stringify({ error: "Missing Server API Key" }), { status: 500 });
         }
 
-        if (!text) {
-            return new Response(JSON.stringify({ error: "Missing text" }), { status: 400 });
-        }
+        // Chunks of one line share a session, so the line is only billed once
+        const { charged: amount, balance } = await chargeAudio(userId, session);
+        charged = amount;
 
         // https://cloud.google.com/text-to-speech/docs/reference/rest/v1beta1/text/synthesize
         const apiUrl = `https://texttospeech.googleapis.com/v1beta1/text:synthesize?key=${apiKey}`;
@@ -44,6 +58,7 @@ export default async (req, context) => {
         if (!response.ok) {
             const errorText = await response.text();
             console.error("Google TTS API Error:", response.status, errorText);
+            if (charged !== null) await refundAudio(userId, session, charged);
             return new Response(JSON.stringify({
                 error: "Google TTS API Error",
                 details: errorText
@@ -57,11 +72,17 @@ export default async (req, context) => {
             audio: data.audioContent,
             mimeType: 'audio/mpeg'
         }), {
-            headers: { "Content-Type": "application/json" }
+            headers: {
+                "Content-Type": "application/json",
+                ...(balance !== null && { [BALANCE_HEADER]: String(balance) })
+            }
         });
 
     } catch (error) {
+        if (error instanceof HttpError) return errorResponse(error);
+
         console.error("Google TTS Function Error:", error);
+        if (charged !== null) await refundAudio(userId, session, charged);
         return new Response(JSON.stringify({ error: error.message }), { status: 500 });
     }
 };
@@ -0,0 +1,47 @@
+import crypto from 'crypto';
+import { authorizeRequest, requireNpcOwnership } from '../lib/auth.js';
+import { getCloudinaryConfig, uploadToCloudinary } from '../lib/cloudinary.js';
+import { HttpError, errorResponse } from '../lib/http.js';
+import { validateAudioUploadRequest } from '../lib/validation.js';
+
+export default async (req, context) => {
+    if (req.method !== "POST") {
+        return new Response("Method Not Allowed", { status: 405 });
+    }
+
+    try {
+        const userId = await authorizeRequest(req, 'upload-audio');
+
+        const body = await req.json();
+        validateAudioUploadRequest(body);
+        const { npcId, key, audio, mimeType } = body;
+        await requireNpcOwnership(userId, npcId);
+
+        const cloudinaryConfig = getCloudinaryConfig();
+        if (!cloudinaryConfig) {
+            return new Response(JSON.stringify({ error: "Missing Server Configuration" }), { status: 500 });
+        }
+
+        // The same text in the same voice always maps to the same file under the NPC's folder
+        const keyHash = crypto.createHash('sha256').update(key).digest('hex').slice(0, 40);
+        const cloudinaryResult = await uploadToCloudinary(
+            cloudinaryConfig,
+            `data:${mimeType};base64,${audio}`,
+            `npcs/audio/${npcId}/${keyHash}`,
+            'video'
+        );
+
+        return new Response(JSON.stringify({
+            secure_url: cloudinaryResult.secure_url,
+            public_id: cloudinaryResult.public_id
+        }), {
+            headers: { "Content-Type": "application/json" }
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) return errorResponse(error);
+
+        console.error("Upload Audio Function Error:", error);
+        return new Response(JSON.stringify({ error: error.message }), { status: 500 });
+    }
+};
@@ -0,0 +1,40 @@
+import { authorizeRequest, requireNpcOwnership } from '../lib/auth.js';
+import { getCloudinaryConfig, uploadToCloudinary } from '../lib/cloudinary.js';
+import { HttpError, errorResponse } from '../lib/http.js';
+import { validateImageUploadRequest } from '../lib/validation.js';
+
+/**
+ * Stores an existing portrait (e.g. from an imported NPC bundle) as the NPC's image.
+ * Unlike generate-image this does not call DALL-E, so it is free.
+ */
+export default async (req, context) => {
+    if (req.method !== "POST") {
+        return new Response("Method Not Allowed", { status: 405 });
+    }
+
+    try {
+        const userId = await authorizeRequest(req, 'upload-image');
+
+        const body = await req.json();
+        validateImageUploadRequest(body);
+        const { npcId, image } = body;
+        await requireNpcOwnership(userId, npcId);
+
+        const cloudinaryConfig = getCloudinaryConfig();
+        if (!cloudinaryConfig) {
+            return new Response(JSON.stringify({ error: "Missing Server Configuration" }), { status: 500 });
+        }
+
+        const cloudinaryResult = await uploadToCloudinary(cloudinaryConfig, image, `npcs/images/${npcId}`);
+
+        return new Response(JSON.stringify(cloudinaryResult), {
+            headers: { "Content-Type": "application/json" }
+        });
+
+    } catch (error) {
+        if (error instanceof HttpError) return errorResponse(error);
+
+        console.error("Upload Image Function Error:", error);
+        return new Response(JSON.stringify({ error: error.message }), { status: 500 });
+    }
+};
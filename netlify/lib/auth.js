@@ -0,0 +1,51 @@
+import { adminAuth, adminDb } from './firebaseAdmin.js';
+import { HttpError } from './http.js';
+import { enforceRateLimit } from './rateLimit.js';
+
+/**
+ * Verifies the Firebase ID token sent as "Authorization: Bearer <token>".
+ * @param {Request} req
+ * @returns {Promise<string>} The caller's uid
+ */
+export const verifyUser = async (req) => {
+    const header = req.headers.get('authorization') || '';
+    const match = header.match(/^Bearer (.+)$/);
+    if (!match) {
+        throw new HttpError(401, 'UNAUTHENTICATED', "Missing authorization token");
+    }
+
+    try {
+        const decoded = await adminAuth().verifyIdToken(match[1]);
+        return decoded.uid;
+    } catch (error) {
+        console.error("ID token verification failed:", error.message);
+        throw new HttpError(401, 'UNAUTHENTICATED', "Invalid authorization token");
+    }
+};
+
+/**
+ * Shared entry check for every function: verifies the caller and applies
+ * the endpoint's per-user rate limit.
+ * @param {Request} req
+ * @param {string} endpoint - Key of RATE_LIMITS
+ * @returns {Promise<string>} The caller's uid
+ */
+export const authorizeRequest = async (req, endpoint) => {
+    const userId = await verifyUser(req);
+    await enforceRateLimit(userId, endpoint);
+    return userId;
+};
+
+/**
+ * Ensures the NPC exists in the caller's own collection (not a shared copy).
+ * Images are stored under the NPC id, so this guards against overwriting or
+ * deleting another user's portrait.
+ * @param {string} userId
+ * @param {string} npcId
+ */
+export const requireNpcOwnership = async (userId, npcId) => {
+    const snap = await adminDb().doc(`users/${userId}/npcs/${npcId}`).get();
+    if (!snap.exists) {
+        throw new HttpError(403, 'FORBIDDEN', "You do not own this NPC");
+    }
+};
@@ -0,0 +1,47 @@
+import crypto from 'crypto';
+
+/**
+ * Cloudinary credentials from the environment, or null if any are missing.
+ */
+export const getCloudinaryConfig = () => {
+    const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+    const apiKey = process.env.CLOUDINARY_API_KEY;
+    const apiSecret = process.env.CLOUDINARY_API_SECRET;
+    if (!cloudName || !apiKey || !apiSecret) return null;
+    return { cloudName, apiKey, apiSecret };
+};
+
+/**
+ * Signed upload that overwrites `publicId`.
+ * @param {Object} config - From getCloudinaryConfig()
+ * @param {string} file - Remote URL or data URI
+ * @param {string} publicId
+ * @param {string} resourceType - 'image', or 'video' (which Cloudinary also uses for audio)
+ * @returns {Promise<{ secure_url: string, public_id: string }>}
+ */
+export const uploadToCloudinary = async ({ cloudName, apiKey, apiSecret }, file, publicId, resourceType = 'image') => {
+    const timestamp = Math.round(Date.now() / 1000);
+    const paramsToSign = `overwrite=true&public_id=${publicId}&timestamp=${timestamp}${apiSecret}`;
+    const signature = crypto.createHash('sha256').update(paramsToSign).digest('hex');
+
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('public_id', publicId);
+    formData.append('timestamp', timestamp.toString());
+    formData.append('api_key', apiKey);
+    formData.append('signature', signature);
+    formData.append('overwrite', 'true');
+
+    const response = await fetch(`https://api.cloudinary.com/v1_1/${cloudName}/${resourceType}/upload`, {
+        method: 'POST',
+        body: formData
+    });
+
+    const result = await response.json();
+
+    if (!response.ok) {
+        throw new Error("Cloudinary upload failed: " + JSON.stringify(result));
+    }
+
+    return { secure_url: result.secure_url, public_id: result.public_id };
+};
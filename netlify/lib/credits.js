@@ -0,0 +1,229 @@
+import { adminDb } from './firebaseAdmin.js';
+import { HttpError } from './http.js';
+
+const USERS_COLLECTION = 'all_users';
+
+// Must match the price list shown in GoldStoreModal
+export const PRICES = {
+    npcGeneration: 1,
+    audio: 2,
+    image: 5
+};
+
+// Top-level fields of the NPC profile schema (generateStructuredNPC). A structured request asking
+// for any of them, at any depth, is an NPC generation whatever else it contains.
+const NPC_PROFILE_FIELDS = ['personality', 'wants', 'secrets', 'pitfalls', 'visual', 'voiceCandidates'];
+
+const schemaFieldNames = (schema) => {
+    if (!schema || typeof schema !== 'object') return [];
+    const properties = schema.properties && typeof schema.properties === 'object' ? schema.properties : {};
+    return [
+        ...Object.keys(properties),
+        ...Object.values(properties).flatMap(schemaFieldNames),
+        ...schemaFieldNames(schema.items)
+    ];
+};
+
+/**
+ * Price of a Gemini request, worked out from what it asks for: audio output is billed as TTS,
+ * a structured request for an NPC profile as NPC generation, and any other text call is free.
+ * @param {Object} body - A request accepted by validateGeminiRequest
+ * @returns {number}
+ */
+export const getGeminiPrice = (body) => {
+    const config = body.generationConfig;
+    if (config?.responseModalities?.includes("AUDIO")) return PRICES.audio;
+    if (schemaFieldNames(config?.responseSchema).some(name => NPC_PROFILE_FIELDS.includes(name))) {
+        return PRICES.npcGeneration;
+    }
+    return 0;
+};
+
+// Same default the client uses when the credits field is missing
+const DEFAULT_CREDITS = 100;
+
+const currentBalance = (snap) => {
+    if (!snap.exists) return DEFAULT_CREDITS;
+    const credits = snap.data().credits;
+    return typeof credits === 'number' ? credits : DEFAULT_CREDITS;
+};
+
+/**
+ * Atomically debits credits from the user's balance.
+ * Throws a 402 HttpError (with the current balance) if the user cannot afford it.
+ * @param {string} userId
+ * @param {number} amount
+ * @returns {Promise<number>} New balance
+ */
+export const chargeCredits = async (userId, amount) => {
+    const userRef = adminDb().collection(USERS_COLLECTION).doc(userId);
+
+    return adminDb().runTransaction(async (transaction) => {
+        const snap = await transaction.get(userRef);
+        const current = currentBalance(snap);
+
+        if (current < amount) {
+            throw new HttpError(402, 'INSUFFICIENT_FUNDS', "Insufficient funds", { balance: current });
+        }
+
+        const updated = current - amount;
+        transaction.set(userRef, { credits: updated }, { merge: true });
+        return updated;
+    });
+};
+
+/**
+ * Gives back credits charged for a request whose upstream call failed.
+ * Never throws - a failed refund is logged but must not mask the original error.
+ * @param {string} userId
+ * @param {number} amount
+ * @returns {Promise<number|null>} New balance, or null if the refund failed
+ */
+export const refundCredits = async (userId, amount) => {
+    const userRef = adminDb().collection(USERS_COLLECTION).doc(userId);
+
+    try {
+        return await adminDb().runTransaction(async (transaction) => {
+            const snap = await transaction.get(userRef);
+            const updated = currentBalance(snap) + amount;
+            transaction.set(userRef, { credits: updated }, { merge: true });
+            return updated;
+        });
+    } catch (error) {
+        console.error(`Failed to refund ${amount} credits to ${userId}:`, error);
+        return null;
+    }
+};
+
+const TTS_SESSIONS_COLLECTION = 'tts_sessions';
+
+// A chunked TTS session stays open this long after its first chunk is charged
+const TTS_SESSION_TTL_MS = 10 * 60 * 1000;
+// Expired sessions deleted at most per sweep
+const TTS_SESSION_SWEEP_LIMIT = 100;
+
+const ttsSessionRef = (userId, session) => adminDb().collection(TTS_SESSIONS_COLLECTION).doc(`${userId}_${session.id}`);
+
+/**
+ * Deletes sessions that expired. Runs whenever a session is opened, so they don't pile up.
+ * Never throws - the sessions are swept again next time.
+ */
+const sweepExpiredTTSSessions = async () => {
+    try {
+        const snapshot = await adminDb().collection(TTS_SESSIONS_COLLECTION)
+            .where('expiresAt', '<', Date.now())
+            .limit(TTS_SESSION_SWEEP_LIMIT)
+            .get();
+        if (snapshot.empty) return;
+
+        const batch = adminDb().batch();
+        snapshot.docs.forEach(sessionDoc => batch.delete(sessionDoc.ref));
+        await batch.commit();
+    } catch (error) {
+        console.error("Failed to sweep expired TTS sessions:", error);
+    }
+};
+
+/**
+ * Charges for one TTS request.
+ * Without a session this is a plain PRICES.audio charge. With a session (one NPC line split into
+ * sentence chunks), the first chunk to arrive pays PRICES.audio for the whole line and opens
+ * `tts_sessions/{userId}_{sessionId}`; every other chunk of that line is free, once.
+ * If the paying chunk is refunded (see refundAudio), the next chunk to arrive pays instead.
+ * @param {string} userId
+ * @param {{ id: string, chunks: string[], index: number }} [session]
+ * @returns {Promise<{ charged: number, balance: number|null }>}
+ */
+export const chargeAudio = async (userId, session) => {
+    if (!session) {
+        return { charged: PRICES.audio, balance: await chargeCredits(userId, PRICES.audio) };
+    }
+
+    const userRef = adminDb().collection(USERS_COLLECTION).doc(userId);
+    const sessionRef = ttsSessionRef(userId, session);
+    let isNewSession = false;
+
+    const result = await adminDb().runTransaction(async (transaction) => {
+        const sessionSnap = await transaction.get(sessionRef);
+        const now = Date.now();
+        const existing = sessionSnap.exists ? sessionSnap.data() : null;
+
+        if (existing) {
+            const { chunks, used = [], expiresAt } = existing;
+            if (expiresAt < now) {
+                throw new HttpError(403, 'FORBIDDEN', "TTS session expired");
+            }
+            if (chunks.join('\n') !== session.chunks.join('\n') || used.includes(session.index)) {
+                throw new HttpError(403, 'FORBIDDEN', "TTS session does not cover this text");
+            }
+            if (existing.paid !== false) {
+                transaction.update(sessionRef, { used: [...used, session.index] });
+                return { charged: 0, balance: null };
+            }
+        }
+
+        const userSnap = await transaction.get(userRef);
+        const current = currentBalance(userSnap);
+        if (current < PRICES.audio) {
+            throw new HttpError(402, 'INSUFFICIENT_FUNDS', "Insufficient funds", { balance: current });
+        }
+
+        const updated = current - PRICES.audio;
+        transaction.set(userRef, { credits: updated }, { merge: true });
+        if (existing) {
+            transaction.update(sessionRef, { used: [...(existing.used || []), session.index], paid: true });
+        } else {
+            isNewSession = true;
+            transaction.set(sessionRef, {
+                chunks: session.chunks,
+                used: [session.index],
+                paid: true,
+                expiresAt: now + TTS_SESSION_TTL_MS
+            });
+        }
+        return { charged: PRICES.audio, balance: updated };
+    });
+
+    if (isNewSession) await sweepExpiredTTSSessions();
+    return result;
+};
+
+/**
+ * Undoes chargeAudio for a chunk whose synthesis failed: gives back what it `charged` and frees
+ * the chunk so it can be retried. If it was the chunk that paid for the session, the session
+ * is left unpaid and the next chunk to arrive pays for the line.
+ * Never throws, like refundCredits.
+ * @returns {Promise<number|null>} New balance, or null if nothing was refunded or the refund failed
+ */
+export const refundAudio = async (userId, session, charged) => {
+    if (!session) return charged > 0 ? refundCredits(userId, charged) : null;
+
+    const userRef = adminDb().collection(USERS_COLLECTION).doc(userId);
+    const sessionRef = ttsSessionRef(userId, session);
+
+    try {
+        return await adminDb().runTransaction(async (transaction) => {
+            const sessionSnap = await transaction.get(sessionRef);
+            const userSnap = charged > 0 ? await transaction.get(userRef) : null;
+
+            if (sessionSnap.exists) {
+                const { used = [] } = sessionSnap.data();
+                transaction.update(sessionRef, {
+                    used: used.filter(index => index !== session.index),
+                    ...(charged > 0 && { paid: false })
+                });
+            }
+            if (charged === 0) return null;
+
+            const updated = currentBalance(userSnap) + charged;
+            transaction.set(userRef, { credits: updated }, { merge: true });
+            return updated;
+        });
+    } catch (error) {
+        console.error(`Failed to refund TTS chunk ${session.index} of session ${session.id} for ${userId}:`, error);
+        return null;
+    }
+};
+
+// Paid functions report the post-charge balance in this header so the client can display it
+export const BALANCE_HEADER = 'X-Credits-Balance';
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PRICES, getGeminiPrice } from './credits.js';
+import { GEMINI_TTS_MODEL, validateGeminiRequest } from './validation.js';
+
+// The shape generateStructuredNPC sends, without any hint of what it is for
+const npcGenerationRequest = {
+    contents: [{ parts: [{ text: "A grumpy dwarf blacksmith" }] }],
+    systemInstruction: { parts: [{ text: "Create an NPC." }] },
+    generationConfig: {
+        responseMimeType: "application/json",
+        responseSchema: {
+            type: "OBJECT",
+            properties: {
+                name: { type: "STRING" },
+                personality: { type: "STRING" },
+                secrets: { type: "ARRAY", items: { type: "OBJECT", properties: { text: { type: "STRING" } } } },
+                visual: { type: "STRING" }
+            }
+        }
+    }
+};
+
+test('an NPC generation request is charged as one without any action flag', () => {
+    validateGeminiRequest(npcGenerationRequest);
+    assert.equal(getGeminiPrice(npcGenerationRequest), PRICES.npcGeneration);
+});
+
+test('an NPC profile schema nested inside another schema is still charged', () => {
+    const request = {
+        ...npcGenerationRequest,
+        generationConfig: {
+            responseMimeType: "application/json",
+            responseSchema: {
+                type: "OBJECT",
+                properties: { npcs: { type: "ARRAY", items: npcGenerationRequest.generationConfig.responseSchema } }
+            }
+        }
+    };
+    assert.equal(getGeminiPrice(request), PRICES.npcGeneration);
+});
+
+test('the old action flag is refused', () => {
+    assert.throws(() => validateGeminiRequest({ ...npcGenerationRequest, action: 'generate_npc' }), /Unsupported field: action/);
+});
+
+test('a structured request cannot be streamed', () => {
+    assert.throws(() => validateGeminiRequest({ ...npcGenerationRequest, stream: true }), /Streaming is only supported/);
+});
+
+test('other structured requests and roleplay text are free', () => {
+    const sceneRequest = {
+        contents: [{ parts: [{ text: "Set the scene." }] }],
+        generationConfig: {
+            responseMimeType: "application/json",
+            responseSchema: { type: "OBJECT", properties: { setting: { type: "STRING" }, mood: { type: "STRING" } } }
+        }
+    };
+    assert.equal(getGeminiPrice(sceneRequest), 0);
+    assert.equal(getGeminiPrice({ contents: [{ role: 'user', parts: [{ text: "Hello" }] }] }), 0);
+});
+
+test('audio output is charged as TTS', () => {
+    const request = {
+        model: GEMINI_TTS_MODEL,
+        contents: [{ parts: [{ text: "Well met." }] }],
+        generationConfig: { responseModalities: ["AUDIO"] }
+    };
+    validateGeminiRequest(request);
+    assert.equal(getGeminiPrice(request), PRICES.audio);
+});
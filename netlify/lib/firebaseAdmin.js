@@ -0,0 +1,19 @@
+import { initializeApp, getApps, cert } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getFirestore } from 'firebase-admin/firestore';
+
+// Netlify may reuse a warm container, so only initialize the admin app once.
+// FIREBASE_SERVICE_ACCOUNT holds the full service account JSON from the Firebase console.
+const getAdminApp = () => {
+    if (getApps().length > 0) return getApps()[0];
+
+    const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+    if (!serviceAccount) {
+        throw new Error("FIREBASE_SERVICE_ACCOUNT is not set");
+    }
+
+    return initializeApp({ credential: cert(JSON.parse(serviceAccount)) });
+};
+
+export const adminAuth = () => getAuth(getAdminApp());
+export const adminDb = () => getFirestore(getAdminApp());
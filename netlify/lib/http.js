@@ -0,0 +1,29 @@
+/**
+ * Error carrying an HTTP status and a machine-readable code so function handlers
+ * can turn it into a structured JSON response the client can interpret.
+ * Any extra fields (e.g. balance, retryAfter) are included in the response body.
+ */
+export class HttpError extends Error {
+    constructor(status, code, message, extra = {}) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        this.extra = extra;
+    }
+}
+
+/**
+ * Builds the JSON error response for an HttpError.
+ * Shape: { error: string, code: string, ...extra }
+ */
+export const errorResponse = (error) => {
+    const headers = { "Content-Type": "application/json" };
+    if (error.extra.retryAfter) {
+        headers["Retry-After"] = String(error.extra.retryAfter);
+    }
+
+    return new Response(JSON.stringify({ error: error.message, code: error.code, ...error.extra }), {
+        status: error.status,
+        headers
+    });
+};
@@ -0,0 +1,41 @@
+import { adminDb } from './firebaseAdmin.js';
+import { HttpError } from './http.js';
+
+const RATE_LIMITS_COLLECTION = 'rate_limits';
+
+// Requests allowed per user in a sliding window, per endpoint
+export const RATE_LIMITS = {
+    // Long NPC lines are synthesized as several sentence chunks, hence the headroom
+    'gemini': { limit: 60, windowMs: 60 * 1000 },
+    'tts': { limit: 60, windowMs: 60 * 1000 },
+    'generate-image': { limit: 5, windowMs: 60 * 1000 },
+    'delete-image': { limit: 20, windowMs: 60 * 1000 },
+    'upload-image': { limit: 20, windowMs: 60 * 1000 },
+    'upload-audio': { limit: 60, windowMs: 60 * 1000 }
+};
+
+/**
+ * Records a request against the user's sliding window for this endpoint.
+ * The window is a list of request timestamps stored in `rate_limits/{userId}_{endpoint}`.
+ * Throws a 429 HttpError (with retryAfter in seconds) when the window is full.
+ * @param {string} userId
+ * @param {string} endpoint - Key of RATE_LIMITS
+ */
+export const enforceRateLimit = async (userId, endpoint) => {
+    const { limit, windowMs } = RATE_LIMITS[endpoint];
+    const limitRef = adminDb().collection(RATE_LIMITS_COLLECTION).doc(`${userId}_${endpoint}`);
+
+    await adminDb().runTransaction(async (transaction) => {
+        const snap = await transaction.get(limitRef);
+        const now = Date.now();
+        const windowStart = now - windowMs;
+        const recent = (snap.exists ? snap.data().timestamps || [] : []).filter(t => t > windowStart);
+
+        if (recent.length >= limit) {
+            const retryAfter = Math.max(1, Math.ceil((recent[0] + windowMs - now) / 1000));
+            throw new HttpError(429, 'RATE_LIMITED', "Too many requests. Please slow down.", { retryAfter });
+        }
+
+        transaction.set(limitRef, { timestamps: [...recent, now], updatedAt: now });
+    });
+};
@@ -0,0 +1,174 @@
+import { HttpError } from './http.js';
+
+// Models the gemini function may proxy to. Anything else is refused with 403.
+export const GEMINI_TEXT_MODEL = "gemini-2.5-flash-preview-09-2025";
+export const GEMINI_TTS_MODEL = "gemini-2.5-flash-preview-tts";
+const ALLOWED_GEMINI_MODELS = [GEMINI_TEXT_MODEL, GEMINI_TTS_MODEL];
+
+const ALLOWED_GEMINI_FIELDS = ['contents', 'systemInstruction', 'generationConfig', 'model', 'stream', 'ttsSession'];
+const ALLOWED_GENERATION_CONFIG_FIELDS = ['responseMimeType', 'responseSchema', 'responseModalities', 'speechConfig'];
+
+const MAX_GEMINI_BODY_LENGTH = 500000;
+const MAX_TTS_TEXT_LENGTH = 5000;
+const MAX_TTS_SESSION_CHUNKS = 10;
+const MAX_IMAGE_PROMPT_LENGTH = 1000;
+// Base64 of one synthesized chunk; keeps uploads well under the function body limit
+const MAX_AUDIO_UPLOAD_LENGTH = 4000000;
+const ALLOWED_AUDIO_MIME_TYPES = ['audio/wav', 'audio/mpeg'];
+// Portraits are re-uploaded either embedded as a data URI or from a public https URL
+const MAX_IMAGE_UPLOAD_LENGTH = 5000000;
+const MAX_IMAGE_URL_LENGTH = 2048;
+
+// Firestore auto-IDs and voice IDs are plain alphanumeric strings
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+const invalid = (message) => new HttpError(400, 'INVALID_REQUEST', message);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validates an optional chunked TTS session: the chunks of one NPC line, with `text` at `index`.
+ */
+const validateTTSSession = (session, text) => {
+    if (session === undefined) return;
+    if (!isPlainObject(session)) throw invalid("TTS session must be an object");
+    if (typeof session.id !== 'string' || !ID_PATTERN.test(session.id)) throw invalid("Invalid TTS session id");
+
+    const { chunks, index } = session;
+    if (!Array.isArray(chunks) || chunks.length === 0 || chunks.length > MAX_TTS_SESSION_CHUNKS ||
+        !chunks.every(chunk => typeof chunk === 'string' && chunk.trim())) {
+        throw invalid("Invalid TTS session chunks");
+    }
+    if (chunks.join('').length > MAX_TTS_TEXT_LENGTH) throw invalid("Text is too long");
+    if (!Number.isInteger(index) || chunks[index] !== text) throw invalid("TTS session does not match the text");
+};
+
+const isTextParts = (parts) => Array.isArray(parts) && parts.length > 0 &&
+    parts.every(part => isPlainObject(part) && typeof part.text === 'string');
+
+/**
+ * Validates a body for the gemini function.
+ * Only generateContent requests built by services.js are accepted: text parts,
+ * an optional system instruction and a restricted generationConfig.
+ * `stream: true` asks for a server-sent-event stream and is only allowed for free text requests.
+ * @returns {string} The model to call
+ */
+export const validateGeminiRequest = (body) => {
+    if (!isPlainObject(body)) throw invalid("Request body must be a JSON object");
+    if (JSON.stringify(body).length > MAX_GEMINI_BODY_LENGTH) throw invalid("Request body is too large");
+
+    const unknownField = Object.keys(body).find(key => !ALLOWED_GEMINI_FIELDS.includes(key));
+    if (unknownField) throw invalid(`Unsupported field: ${unknownField}`);
+
+    const model = body.model || GEMINI_TEXT_MODEL;
+    if (!ALLOWED_GEMINI_MODELS.includes(model)) {
+        throw new HttpError(403, 'FORBIDDEN', `Model not allowed: ${model}`);
+    }
+
+    if (body.stream !== undefined && typeof body.stream !== 'boolean') {
+        throw invalid("stream must be a boolean");
+    }
+    if (body.stream && (model !== GEMINI_TEXT_MODEL || body.generationConfig?.responseSchema !== undefined)) {
+        throw invalid("Streaming is only supported for roleplay text");
+    }
+
+    if (!Array.isArray(body.contents) || body.contents.length === 0) {
+        throw invalid("contents must be a non-empty array");
+    }
+    const validContents = body.contents.every(content =>
+        isPlainObject(content) &&
+        (content.role === undefined || content.role === 'user' || content.role === 'model') &&
+        isTextParts(content.parts)
+    );
+    if (!validContents) throw invalid("contents must contain text parts only");
+
+    if (body.systemInstruction !== undefined && !(isPlainObject(body.systemInstruction) && isTextParts(body.systemInstruction.parts))) {
+        throw invalid("systemInstruction must contain text parts only");
+    }
+
+    const config = body.generationConfig;
+    if (config !== undefined) {
+        if (!isPlainObject(config)) throw invalid("generationConfig must be an object");
+        const unknownConfig = Object.keys(config).find(key => !ALLOWED_GENERATION_CONFIG_FIELDS.includes(key));
+        if (unknownConfig) throw invalid(`Unsupported generationConfig field: ${unknownConfig}`);
+    }
+
+    // Audio output only through the TTS model, and the TTS model only for audio
+    const wantsAudio = !!config?.responseModalities?.includes("AUDIO");
+    if (wantsAudio !== (model === GEMINI_TTS_MODEL)) {
+        throw new HttpError(403, 'FORBIDDEN', "Audio output is only allowed with the TTS model");
+    }
+
+    if (body.ttsSession !== undefined) {
+        if (!wantsAudio) throw invalid("ttsSession is only allowed for audio requests");
+        validateTTSSession(body.ttsSession, body.contents[0].parts[0].text);
+    }
+
+    return model;
+};
+
+/**
+ * Validates a body for the TTS functions (ElevenLabs and Google).
+ * An optional `session` marks the text as one chunk of a longer line (see chargeAudio).
+ */
+export const validateTTSRequest = (body) => {
+    if (!isPlainObject(body)) throw invalid("Request body must be a JSON object");
+    if (typeof body.text !== 'string' || !body.text.trim()) throw invalid("Missing text");
+    if (body.text.length > MAX_TTS_TEXT_LENGTH) throw invalid("Text is too long");
+    if (typeof body.voiceId !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(body.voiceId)) {
+        throw invalid("Missing or invalid voiceId");
+    }
+    validateTTSSession(body.session, body.text);
+};
+
+/**
+ * Validates a body for the generate-image function.
+ */
+export const validateImageRequest = (body) => {
+    if (!isPlainObject(body)) throw invalid("Request body must be a JSON object");
+    if (typeof body.prompt !== 'string' || !body.prompt.trim()) throw invalid("Missing prompt");
+    if (body.prompt.length > MAX_IMAGE_PROMPT_LENGTH) throw invalid("Prompt is too long");
+    if (typeof body.npcId !== 'string' || !ID_PATTERN.test(body.npcId)) throw invalid("Missing or invalid npcId");
+    if (body.isInitial !== undefined && typeof body.isInitial !== 'boolean') throw invalid("isInitial must be a boolean");
+};
+
+/**
+ * Validates a body for the upload-image function.
+ */
+export const validateImageUploadRequest = (body) => {
+    if (!isPlainObject(body)) throw invalid("Request body must be a JSON object");
+    if (typeof body.npcId !== 'string' || !ID_PATTERN.test(body.npcId)) throw invalid("Missing or invalid npcId");
+
+    const { image } = body;
+    const isDataUri = typeof image === 'string' && image.length <= MAX_IMAGE_UPLOAD_LENGTH &&
+        /^data:image\/(png|jpeg|webp);base64,[A-Za-z0-9+/]+={0,2}$/.test(image);
+    const isHttpsUrl = typeof image === 'string' && image.length <= MAX_IMAGE_URL_LENGTH && /^https:\/\/\S+$/.test(image);
+    if (!isDataUri && !isHttpsUrl) throw invalid("Missing or invalid image");
+};
+
+/**
+ * Validates a body for the delete-image function.
+ */
+export const validateDeleteImageRequest = (body) => {
+    if (!isPlainObject(body)) throw invalid("Request body must be a JSON object");
+    if (typeof body.publicId !== 'string' || !/^npcs\/images\/[A-Za-z0-9_-]{1,128}$/.test(body.publicId)) {
+        throw invalid("Missing or invalid publicId");
+    }
+};
+
+/**
+ * Validates a body for the upload-audio function.
+ * `key` is the chunk's cache key (`${voiceId}:${chunkText}`), `audio` its base64 data.
+ */
+export const validateAudioUploadRequest = (body) => {
+    if (!isPlainObject(body)) throw invalid("Request body must be a JSON object");
+    if (typeof body.npcId !== 'string' || !ID_PATTERN.test(body.npcId)) throw invalid("Missing or invalid npcId");
+    if (typeof body.key !== 'string' || !body.key.trim() || body.key.length > MAX_TTS_TEXT_LENGTH + 100) {
+        throw invalid("Missing or invalid key");
+    }
+    if (!ALLOWED_AUDIO_MIME_TYPES.includes(body.mimeType)) throw invalid("Unsupported audio type");
+    if (typeof body.audio !== 'string' || !body.audio || body.audio.length > MAX_AUDIO_UPLOAD_LENGTH ||
+        !/^[A-Za-z0-9+/]+={0,2}$/.test(body.audio)) {
+        throw invalid("Missing or invalid audio");
+    }
+};
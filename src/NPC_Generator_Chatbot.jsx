@@ -10,16 +10,18 @@ import {
     getRoleplaySystemPrompt,
     getFieldRegenerationPrompt,
     getFieldExpansionPrompt,
-    getVoiceRegenerationPrompt
+    getVoiceRegenerationPrompt,
+    DEFAULT_DISPOSITION,
+    getDispositionLevel
 } from './prompts';
-import { collection, deleteDoc, doc, getDocs, onSnapshot, orderBy, query, setDoc, updateDoc, where } from 'firebase/firestore';
+import { collection, deleteDoc, doc, getDoc, getDocs, onSnapshot, orderBy, query, setDoc, updateDoc, where } from 'firebase/firestore';
 import { getDownloadURL, ref, uploadString } from 'firebase/storage';
 import { auth, db, storage } from './firebaseConfig';
-import { Loader2, Zap, Brain, Wand2, MessageSquare, List, Send, Volume2, VolumeX, User, ChevronsDown, ChevronsUp, RefreshCw, Trash2, X, ChevronLeft, ChevronRight, Plus, GripVertical, Check, RotateCcw, Edit2, Eye, EyeOff, Sparkles, Maximize2, Play, Share2, AlertTriangle, Coins } from 'lucide-react';
+import { Loader2, Zap, Brain, Wand2, MessageSquare, List, Send, Volume2, VolumeX, User, ChevronsDown, ChevronsUp, RefreshCw, Trash2, X, ChevronLeft, ChevronRight, Plus, GripVertical, Check, RotateCcw, Edit2, Eye, EyeOff, Sparkles, Maximize2, Play, Share2, AlertTriangle, Coins, Users, Globe, History, Download, Upload, Shield, Dices, GitBranch, Star, Columns2, BookOpen, Target, Circle, CircleDot, CheckCircle2, Swords, Hourglass } from 'lucide-react';
 import { FeedbackButton, GoldStoreModal } from './components';
 import { logUsage } from './analytics';
 import * as Sentry from "@sentry/react";
-import { getCredits, deductCredits } from './services';
+import { getCredits, onCreditsChanged, getAuthHeaders } from './services';
 import { useEscapeKey } from './components';
 
 const magicalStyles = `
@@ -65,15 +67,60 @@ import {
     generateStructuredNPC,
     generateScene,
     generateNPCImage,
-    getNPCResponse,
-    parseGoalFromScene,
+    streamNPCResponse,
+    getGroupNPCResponse,
+    chooseNextSpeaker,
+    summarizeSceneMemory,
+    summarizeConversation,
     regenerateNPCField,
     expandNPCField,
     regenerateVoice,
     textToSpeech,
+    textToSpeechChunks,
+    uploadSpeechAudio,
     selectVoice,
-    selectVoiceFromCandidates
+    selectVoiceFromCandidates,
+    createNpcBundle,
+    parseNpcBundle,
+    uploadNpcPortrait,
+    generateStatBlock,
+    generateRecap,
+    MESSAGE_PAGE_SIZE,
+    loadMessages,
+    loadRecentMessages,
+    loadChatHistory,
+    saveChatChanges,
+    deleteChatMessages,
+    migrateInlineChats,
+    NPC_SUMMARY_COLLECTION_NAME,
+    getThumbnailUrl,
+    createNpc,
+    updateNpc,
+    deleteNpc,
+    syncNpcSummaries
 } from './services';
+import {
+    ABILITIES,
+    ABILITY_LABELS,
+    CHALLENGE_RATINGS,
+    abilityModifier,
+    formatModifier,
+    normalizeStatBlock,
+    savingThrowBonus,
+    skillBonus,
+    spellcastingNumbers,
+    xpForCR
+} from './statBlock';
+import { formatRoll } from './dice';
+import { getCommandHelp, getCommandSuggestions, parseChatCommand } from './commands';
+import { formatJournalMarkdown, getRecapMessages, getSceneStarts } from './journal';
+import { PROFILE_LIST_FIELDS, WANT_PRIORITIES, getSecrets, getWants, normalizeProfile } from './npcProfile';
+import { GOAL_PROGRESS_LABELS, getOpenGoals, getSceneGoalState } from './sceneGoals';
+import { MAX_PATIENCE, getPatienceState } from './patience';
+import { createSceneMessage, getScene, isSceneEmpty, parseSceneText } from './scenes';
+import { buildChatContext, createContextSummary, findContextSummary } from './chatContext';
+import { PLAYER_CHARACTER_FIELDS, describePlayerCharacter, getAvailablePlayerCharacters, getPresentPlayerCharacters, normalizePlayerCharacter } from './playerCharacters';
+import { chatTreeFields, compareBranches, createChatTree, forkBranch, getBranchLength, getChatTree, hasInlineChats, listBranches, setBranchHistory, switchBranch } from './chatTree';
 
 
 // --- Firebase Setup and Custom Hooks ---
@@ -81,8 +128,21 @@ import {
 // Path constants
 const NPC_COLLECTION_NAME = 'npcs';
 const SHARED_NPC_COLLECTION_NAME = 'shared_npcs';
+const GROUP_SCENE_COLLECTION_NAME = 'group_scenes';
+const CAMPAIGN_COLLECTION_NAME = 'campaigns';
+const JOURNAL_COLLECTION_NAME = 'journal';
+const PLAYER_CHARACTER_COLLECTION_NAME = 'player_characters';
 const npcCollectionPath = (appId, userId) => `users/${userId}/${NPC_COLLECTION_NAME}`;
 const sharedNpcCollectionPath = (appId, userId) => `users/${userId}/${SHARED_NPC_COLLECTION_NAME}`;
+const groupSceneCollectionPath = (appId, userId) => `users/${userId}/${GROUP_SCENE_COLLECTION_NAME}`;
+const campaignCollectionPath = (appId, userId) => `users/${userId}/${CAMPAIGN_COLLECTION_NAME}`;
+const journalCollectionPath = (appId, userId) => `users/${userId}/${JOURNAL_COLLECTION_NAME}`;
+const playerCharacterCollectionPath = (appId, userId) => `users/${userId}/${PLAYER_CHARACTER_COLLECTION_NAME}`;
+const npcSummaryCollectionPath = (appId, userId) => `users/${userId}/${NPC_SUMMARY_COLLECTION_NAME}`;
+const NO_CAMPAIGN_LABEL = 'None';
+const GM_SPEAKER_ID = 'gm'; // "Speaking as" the GM rather than a player character
+const MAX_NPC_MEMORIES = 20; // Oldest scene memories are dropped beyond this
+const MAX_NPCS = 10;
 
 // Helper function to get userId by email
 const getUserIdByEmail = async (db, email) => {
@@ -102,8 +162,8 @@ const getUserIdByEmail = async (db, email) => {
     }
 };
 
-// Helper function to share an NPC
-const shareNPC = async (db, npc, senderUserId, senderEmail, recipientEmail, includeFirstScene) => {
+// Helper function to share an NPC, with `firstScene` as its protected starting scene if given
+const shareNPC = async (db, npc, senderUserId, senderEmail, recipientEmail, firstScene = null) => {
     try {
         // Get recipient's userId
         const recipientUserId = await getUserIdByEmail(db, recipientEmail);
@@ -116,12 +176,6 @@ const shareNPC = async (db, npc, senderUserId, senderEmail, recipientEmail, incl
             throw new Error("You cannot share an NPC with yourself");
         }
 
-        // Check if NPC has a first scene
-        let firstScene = null;
-        if (includeFirstScene && npc.chats && npc.chats.length > 0 && npc.chats[0].role === 'scene') {
-            firstScene = npc.chats[0];
-        }
-
         // Create the shared NPC data
         const sharedNpcData = {
             // Copy all NPC fields
@@ -138,20 +192,19 @@ const shareNPC = async (db, npc, senderUserId, senderEmail, recipientEmail, incl
                 userEmail: senderEmail,
                 timestamp: new Date().toISOString()
             },
-            sharedWithScene: includeFirstScene && firstScene !== null,
-            protectedFirstScene: includeFirstScene && firstScene !== null,
-
-            // Initialize chats with first scene if included
-            chats: firstScene ? [firstScene] : [],
+            sharedWithScene: firstScene !== null,
+            protectedFirstScene: firstScene !== null,
 
             // Set timestamps
             createdAt: new Date().toISOString(),
             ownerId: recipientUserId,
         };
 
-        // Add to recipient's shared_npcs collection
+        // Add to recipient's shared_npcs collection, the conversation starting with the first scene if included
         const sharedNpcRef = doc(collection(db, sharedNpcCollectionPath(appId, recipientUserId)));
-        await setDoc(sharedNpcRef, { ...sharedNpcData, id: sharedNpcRef.id });
+        const { tree, changes } = setBranchHistory(createChatTree(), 0, [], firstScene ? [firstScene] : []);
+        await saveChatChanges(sharedNpcRef, changes);
+        await createNpc(sharedNpcRef, { ...sharedNpcData, ...chatTreeFields(tree), id: sharedNpcRef.id });
 
         return { success: true, recipientUserId };
     } catch (error) {
@@ -160,12 +213,60 @@ const shareNPC = async (db, npc, senderUserId, senderEmail, recipientEmail, incl
     }
 };
 
+// Helper function to save data as a downloaded .json file
+const downloadTextFile = (filename, text, type = 'text/plain') => {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const downloadJsonFile = (filename, data) => downloadTextFile(filename, JSON.stringify(data, null, 2), 'application/json');
+
+const toFileSlug = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'npc';
+
+// Helper function to create NPCs from a parsed bundle (see parseNpcBundle), re-uploading their portraits
+const importNpcBundle = async (db, userId, bundleNpcs, campaignId) => {
+    const imported = [];
+
+    for (const { image, chats, ...npcFields } of bundleNpcs) {
+        const newNpcRef = doc(collection(db, npcCollectionPath(appId, userId)));
+        const { tree, changes } = setBranchHistory(createChatTree(), 0, [], chats);
+        await saveChatChanges(newNpcRef, changes);
+        await createNpc(newNpcRef, {
+            ...npcFields,
+            ...chatTreeFields(tree),
+            id: newNpcRef.id,
+            imageUrl: null,
+            cloudinaryImageId: null,
+            campaignId,
+            createdAt: new Date().toISOString(),
+            ownerId: userId,
+        });
 
+        // A portrait that fails to upload leaves the usual "generate image" placeholder
+        let portraitFailed = false;
+        if (image) {
+            try {
+                const { secure_url, public_id } = await uploadNpcPortrait(newNpcRef.id, image);
+                await updateNpc(newNpcRef, { imageUrl: secure_url, cloudinaryImageId: public_id });
+            } catch (error) {
+                console.error(`Error uploading portrait for ${npcFields.name}:`, error);
+                portraitFailed = true;
+            }
+        }
 
+        imported.push({ id: newNpcRef.id, portraitFailed });
+    }
 
+    return imported;
+};
 
-function useNPCs(db, userId, isAuthReady) {
-    const [npcs, setNpcs] = useState([]);
+// The NPC list, read from the NPC summaries; full NPCs are only read for what is open (see useNpcDocuments)
+function useNpcSummaries(db, userId, isAuthReady) {
+    const [summaries, setSummaries] = useState([]);
     const [loading, setLoading] = useState(true);
 
     useEffect(() => {
@@ -180,62 +281,148 @@ function useNPCs(db, userId, isAuthReady) {
             return;
         }
 
-        const path = npcCollectionPath(appId, userId);
-        const q = query(collection(db, path), orderBy('createdAt', 'desc'));
+        // NPCs saved before summaries existed get theirs here; the listener picks them up
+        const summaryCollection = collection(db, npcSummaryCollectionPath(appId, userId));
+        syncNpcSummaries(
+            [collection(db, npcCollectionPath(appId, userId)), collection(db, sharedNpcCollectionPath(appId, userId))],
+            summaryCollection
+        ).catch(error => console.error("Error syncing NPC summaries:", error));
+
+        const q = query(summaryCollection, orderBy('createdAt', 'desc'));
 
         setLoading(false);
         const unsubscribe = onSnapshot(q, (snapshot) => {
-            const npcList = snapshot.docs.map(doc => ({
+            setSummaries(snapshot.docs.map(doc => ({
                 id: doc.id,
                 ...doc.data()
-            }));
-            setNpcs(npcList);
+            })));
         }, (error) => {
-            console.error("Error listening to NPCs:", error);
+            console.error("Error listening to NPC summaries:", error);
             setLoading(false);
         });
 
         return () => unsubscribe();
     }, [db, userId, isAuthReady]);
 
-    return { npcs, loading };
+    const npcs = useMemo(() => summaries.filter(summary => !summary.isSharedNPC), [summaries]);
+    const sharedNpcs = useMemo(() => summaries.filter(summary => summary.isSharedNPC), [summaries]);
+
+    return { npcs, sharedNpcs, loading };
 }
 
-function useSharedNPCs(db, userId, isAuthReady) {
-    const [sharedNpcs, setSharedNpcs] = useState([]);
-    const [loading, setLoading] = useState(true);
+// The full documents of the NPCs with these summaries, kept live, in the same order
+function useNpcDocuments(db, userId, summaries) {
+    const [npcsById, setNpcsById] = useState({});
+    const key = summaries.map(summary => `${summary.isSharedNPC ? 'shared' : 'own'}:${summary.id}`).join(',');
 
     useEffect(() => {
-        if (!isAuthReady || !userId) {
-            setLoading(true);
-            return;
-        }
+        if (!userId || !db) return;
+
+        const unsubscribes = summaries.map(summary => {
+            const collectionPath = summary.isSharedNPC ? sharedNpcCollectionPath(appId, userId) : npcCollectionPath(appId, userId);
+            return onSnapshot(doc(db, collectionPath, summary.id), (snapshot) => {
+                setNpcsById(prev => ({ ...prev, [summary.id]: snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null }));
+            }, (error) => {
+                console.error("Error listening to NPC:", error);
+            });
+        });
 
-        if (!db) {
-            // Demo mode or no DB connection
-            setLoading(false);
-            return;
-        }
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [db, userId, key]);
+
+    return useMemo(() => summaries.map(summary => npcsById[summary.id]).filter(Boolean), [key, npcsById]);
+}
+
+function useGroupScenes(db, userId, isAuthReady) {
+    const [groupScenes, setGroupScenes] = useState([]);
 
-        const path = sharedNpcCollectionPath(appId, userId);
+    useEffect(() => {
+        if (!isAuthReady || !userId || !db) return;
+
+        const path = groupSceneCollectionPath(appId, userId);
         const q = query(collection(db, path), orderBy('createdAt', 'desc'));
 
-        setLoading(false);
         const unsubscribe = onSnapshot(q, (snapshot) => {
-            const npcList = snapshot.docs.map(doc => ({
+            setGroupScenes(snapshot.docs.map(doc => ({
                 id: doc.id,
                 ...doc.data()
-            }));
-            setSharedNpcs(npcList);
+            })));
         }, (error) => {
-            console.error("Error listening to shared NPCs:", error);
-            setLoading(false);
+            console.error("Error listening to group scenes:", error);
+        });
+
+        return () => unsubscribe();
+    }, [db, userId, isAuthReady]);
+
+    return { groupScenes };
+}
+
+function useCampaigns(db, userId, isAuthReady) {
+    const [campaigns, setCampaigns] = useState([]);
+
+    useEffect(() => {
+        if (!isAuthReady || !userId || !db) return;
+
+        const path = campaignCollectionPath(appId, userId);
+        const q = query(collection(db, path), orderBy('createdAt', 'desc'));
+
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setCampaigns(snapshot.docs.map(doc => ({
+                id: doc.id,
+                ...doc.data()
+            })));
+        }, (error) => {
+            console.error("Error listening to campaigns:", error);
+        });
+
+        return () => unsubscribe();
+    }, [db, userId, isAuthReady]);
+
+    return { campaigns };
+}
+
+// Player characters, in the order they were created
+function usePlayerCharacters(db, userId, isAuthReady) {
+    const [playerCharacters, setPlayerCharacters] = useState([]);
+
+    useEffect(() => {
+        if (!isAuthReady || !userId || !db) return;
+
+        const q = query(collection(db, playerCharacterCollectionPath(appId, userId)), orderBy('createdAt'));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setPlayerCharacters(snapshot.docs.map(doc => ({
+                id: doc.id,
+                ...doc.data()
+            })));
+        }, (error) => {
+            console.error("Error listening to player characters:", error);
         });
 
         return () => unsubscribe();
     }, [db, userId, isAuthReady]);
 
-    return { sharedNpcs, loading };
+    return { playerCharacters };
+}
+
+// Journal entries (session recaps) for one NPC, newest first
+function useJournalEntries(db, userId, npcId) {
+    const [entries, setEntries] = useState([]);
+
+    useEffect(() => {
+        if (!userId || !db || !npcId) return;
+
+        const q = query(collection(db, journalCollectionPath(appId, userId)), where('npcId', '==', npcId));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            const docs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            setEntries(docs.sort((a, b) => b.createdAt.localeCompare(a.createdAt)));
+        }, (error) => {
+            console.error("Error listening to journal:", error);
+        });
+
+        return () => unsubscribe();
+    }, [db, userId, npcId]);
+
+    return entries;
 }
 
 // --- Editable Field Component ---
@@ -570,6 +757,131 @@ const EditableField = ({ label, value, displayValue, onSave, onRegenerate, onExp
     );
 };
 
+/**
+ * The NPC's wants or secrets in the GM details: each item is an editable field, with a
+ * priority (wants) or a reveal condition and whether the party knows it (secrets).
+ * `onSave` gets the whole updated list; `onRegenerate(index)` and `onExpand(index)` return new text.
+ */
+const ProfileListEditor = ({ field, items, onSave, onRegenerate, onExpand, disabled = false }) => {
+    const [isAdding, setIsAdding] = useState(false);
+    const { singular } = PROFILE_LIST_FIELDS[field];
+    const label = singular.charAt(0).toUpperCase() + singular.slice(1);
+
+    const saveItem = (index, changes) => onSave(items.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+
+    // For the controls outside EditableField, which reports its own errors
+    const handleSaveItem = async (index, changes) => {
+        try {
+            await saveItem(index, changes);
+        } catch (e) {
+            console.error(`Error saving ${singular}:`, e);
+            alert(`Failed to save the ${singular}. Please try again.`);
+        }
+    };
+
+    const handleRemove = async (index) => {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        if (!window.confirm(`Remove this ${singular}?`)) return;
+        try {
+            await onSave(items.filter((_, i) => i !== index));
+        } catch (e) {
+            console.error(`Error removing ${singular}:`, e);
+            alert(`Failed to remove the ${singular}. Please try again.`);
+        }
+    };
+
+    const handleAdd = async () => {
+        setIsAdding(true);
+        try {
+            const text = await onRegenerate(items.length);
+            if (!text) throw new Error(`No ${singular} was generated.`);
+            const item = field === 'wants' ? { text, priority: 'medium' } : { text, revealCondition: '', revealed: false };
+            await onSave([...items, item]);
+        } catch (e) {
+            console.error(`Error adding ${singular}:`, e);
+            alert(`Failed to add a ${singular}. Please try again.`);
+        } finally {
+            setIsAdding(false);
+        }
+    };
+
+    return (
+        <div className="space-y-2">
+            {items.length === 0 && (
+                <p className="px-2 text-xs text-gray-500 italic">No {field} yet.</p>
+            )}
+            {items.map((item, index) => (
+                <div key={index} className={`rounded-lg ${item.revealed ? 'opacity-60' : ''}`}>
+                    <EditableField
+                        label={`${label} ${index + 1}`}
+                        value={item.text}
+                        type="textarea"
+                        rows={3}
+                        className="bg-transparent"
+                        onSave={(text) => saveItem(index, { text })}
+                        onRegenerate={() => onRegenerate(index)}
+                        onExpand={() => onExpand(index)}
+                        disabled={disabled}
+                    />
+                    {field === 'secrets' && (
+                        <EditableField
+                            label="Reveals it when"
+                            value={item.revealCondition}
+                            textClassName="text-xs text-gray-700"
+                            className="bg-transparent"
+                            onSave={(revealCondition) => saveItem(index, { revealCondition })}
+                            disabled={disabled}
+                        />
+                    )}
+                    <div className="flex items-center px-2 pb-1 space-x-2 text-xs">
+                        {field === 'wants' ? (
+                            <select
+                                value={item.priority}
+                                onChange={(e) => handleSaveItem(index, { priority: e.target.value })}
+                                disabled={disabled}
+                                className="p-1 text-xs border border-gray-300 rounded focus:ring-indigo-500 focus:border-indigo-500"
+                            >
+                                {WANT_PRIORITIES.map(priority => (
+                                    <option key={priority} value={priority}>{priority} priority</option>
+                                ))}
+                            </select>
+                        ) : (
+                            <button
+                                onClick={() => handleSaveItem(index, { revealed: !item.revealed })}
+                                disabled={disabled}
+                                className="flex items-center px-2 py-1 text-red-700 hover:bg-red-100 rounded-lg transition-colors disabled:cursor-default disabled:hover:bg-transparent"
+                                title={item.revealed ? "Mark as still hidden" : "Mark as known to the party"}
+                            >
+                                {item.revealed ? <Eye className="w-3 h-3 mr-1" /> : <EyeOff className="w-3 h-3 mr-1" />}
+                                {item.revealed ? 'Known to the party' : 'Hidden'}
+                            </button>
+                        )}
+                        {!disabled && (
+                            <button
+                                onClick={() => handleRemove(index)}
+                                className="p-1 ml-auto text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-full transition-colors"
+                                title={`Remove this ${singular}`}
+                            >
+                                <Trash2 className="w-3 h-3" />
+                            </button>
+                        )}
+                    </div>
+                </div>
+            ))}
+            {!disabled && (
+                <button
+                    onClick={handleAdd}
+                    disabled={isAdding}
+                    className="flex items-center px-2 py-1 text-xs text-purple-600 hover:bg-purple-50 rounded-lg transition-colors disabled:opacity-50"
+                >
+                    {isAdding ? <Loader2 className="w-3 h-3 mr-1 animate-spin" /> : <Wand2 className="w-3 h-3 mr-1" />}
+                    Add a {singular}
+                </button>
+            )}
+        </div>
+    );
+};
+
 // --- NPC Management Components ---
 
 const Button = ({ children, onClick, disabled = false, className = '', icon: Icon, loading = false, variant = 'primary' }) => {
@@ -604,7 +916,7 @@ const LoadingIndicator = () => (
     </div>
 );
 
-const NpcCreation = ({ db, userId, onNpcCreated, handleDeductCredits, onCancel }) => {
+const NpcCreation = ({ db, userId, campaignId = null, onNpcCreated, onCancel }) => {
     const [rawDescription, setRawDescription] = useState('');
     const [isGenerating, setIsGenerating] = useState(false);
     const [status, setStatus] = useState('');
@@ -622,10 +934,7 @@ const NpcCreation = ({ db, userId, onNpcCreated, handleDeductCredits, onCancel }
         setStatus('Generating NPC profile...');
 
         try {
-            // Check and deduct credits (1 Gold)
-            await handleDeductCredits(1);
-
-            // Step 1: Generate structured data
+            // Step 1: Generate structured data (the server charges 1 Gold)
             const structuredData = await generateStructuredNPC(rawDescription);
             const npcName = structuredData.name || 'Unnamed NPC';
 
@@ -640,12 +949,13 @@ const NpcCreation = ({ db, userId, onNpcCreated, handleDeductCredits, onCancel }
                 structuredData: structuredData,
                 imageUrl: null,
                 cloudinaryImageId: null,
-                chats: [],
+                ...chatTreeFields(createChatTree()),
+                campaignId,
                 createdAt: new Date().toISOString(),
                 ownerId: userId,
             };
 
-            await setDoc(newNpcRef, npcData);
+            await createNpc(newNpcRef, npcData);
             setStatus(`NPC "${npcName}" created successfully!`);
 
             // Log NPC creation for analytics
@@ -768,12 +1078,450 @@ const ConfirmationModal = ({ isOpen, onClose, onConfirm, title, message }) => {
     );
 };
 
+// --- Disposition Meter ---
+
+const DISPOSITION_COLORS = {
+    Hostile: 'bg-red-600',
+    Unfriendly: 'bg-orange-500',
+    Neutral: 'bg-gray-400',
+    Friendly: 'bg-lime-500',
+    Allied: 'bg-green-600',
+};
+
+/**
+ * Gauge of how the NPC feels about the party (0 hostile - 100 friendly).
+ * The GM can drag the slider to override it; the new value is saved when released.
+ */
+const DispositionMeter = ({ value, onSave }) => {
+    const [tempValue, setTempValue] = useState(value);
+
+    useEffect(() => {
+        setTempValue(value);
+    }, [value]);
+
+    const level = getDispositionLevel(tempValue);
+
+    const handleCommit = () => {
+        if (tempValue !== value) {
+            onSave(tempValue);
+        }
+    };
+
+    return (
+        <div className="p-2">
+            <div className="flex items-center justify-between mb-1">
+                <label htmlFor="disposition-slider" className="block text-xs font-bold text-indigo-700">Disposition</label>
+                <span className="text-xs font-semibold text-gray-700">{level.label} ({tempValue})</span>
+            </div>
+            <div className="relative flex items-center h-4">
+                <div className="w-full h-2 rounded-full bg-gradient-to-r from-red-500 via-gray-300 to-green-500" />
+                <div
+                    className={`absolute w-4 h-4 -ml-2 rounded-full border-2 border-white shadow pointer-events-none ${DISPOSITION_COLORS[level.label]}`}
+                    style={{ left: `${tempValue}%` }}
+                />
+                {/* Invisible slider over the gauge so the GM can drag it */}
+                <input
+                    id="disposition-slider"
+                    type="range"
+                    min="0"
+                    max="100"
+                    value={tempValue}
+                    onChange={(e) => setTempValue(Number(e.target.value))}
+                    onPointerUp={handleCommit}
+                    onKeyUp={handleCommit}
+                    className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
+                    title="Drag to set the NPC's disposition"
+                />
+            </div>
+        </div>
+    );
+};
+
+// --- Patience Meter ---
+
+/**
+ * How much patience the NPC has left in this scene, and the pitfalls that cost it some.
+ */
+const PatienceMeter = ({ patience, pitfalls }) => (
+    <div className="p-2">
+        <div className="flex items-center justify-between mb-1">
+            <span className="block text-xs font-bold text-indigo-700">Patience</span>
+            <span className={`text-xs font-semibold ${patience === 0 ? 'text-red-600' : 'text-gray-700'}`}>
+                {patience === 0 ? 'Ran out' : `${patience}/${MAX_PATIENCE}`}
+            </span>
+        </div>
+        <div className="flex space-x-1">
+            {Array.from({ length: MAX_PATIENCE }, (_, i) => (
+                <div
+                    key={i}
+                    className={`flex-1 h-2 rounded-full ${i < patience ? (patience === 1 ? 'bg-orange-500' : 'bg-indigo-500') : 'bg-gray-200'}`}
+                />
+            ))}
+        </div>
+        {pitfalls.length > 0 && (
+            <ul className="mt-1 ml-4 text-xs text-gray-500 list-disc">
+                {pitfalls.map(({ index, detail }) => (
+                    <li key={index}>{detail || 'Stepped into a pitfall'}</li>
+                ))}
+            </ul>
+        )}
+    </div>
+);
+
+// --- Stat Block ---
+
+const formatFeatures = (features) => features.map(feature => `${feature.name}. ${feature.description}`).join('\n\n');
+
+// Features are edited as paragraphs of "Name. Description"
+const parseFeatures = (text) => text.split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => {
+        const match = paragraph.match(/^([^.\n]{1,60})\.\s*([\s\S]*)$/);
+        return match ? { name: match[1].trim(), description: match[2].trim() } : { name: '', description: paragraph };
+    });
+
+// "15 (leather armor)" or "45 (6d8 + 18)"
+const parseNumberWithNote = (text, label) => {
+    const match = text.trim().match(/^(\d+)\s*(?:\((.*)\))?$/);
+    if (!match) throw new Error(`${label} must be a number, optionally followed by a note in parentheses.`);
+    return [Number(match[1]), (match[2] || '').trim()];
+};
+
+const NO_SPELLCASTING_LABEL = 'None';
+
+/**
+ * Classic D&D 5e stat block. Every line is an EditableField; edits are re-checked with
+ * normalizeStatBlock, so proficiency, skill and save bonuses and spell DCs follow the rules.
+ */
+const StatBlock = ({ statBlock, onSave, disabled = false }) => {
+    const save = async (changes) => {
+        try {
+            await onSave(normalizeStatBlock({ ...statBlock, ...changes }).statBlock);
+        } catch (e) {
+            alert(e.message);
+            throw e;
+        }
+    };
+
+    const spellNumbers = spellcastingNumbers(statBlock);
+    const fieldProps = { className: 'p-1 hover:bg-amber-100', textClassName: 'text-sm text-gray-900', disabled };
+
+    return (
+        <div className="p-2 bg-amber-50 border-y-4 border-red-900 rounded-lg font-serif">
+            <EditableField
+                label="Type"
+                hideLabel={true}
+                value={statBlock.creatureType}
+                onSave={(val) => save({ creatureType: val })}
+                {...fieldProps}
+                textClassName="text-sm italic text-gray-700"
+            />
+            <div className="my-1 h-0.5 bg-red-900/60" />
+            <EditableField
+                label="Armor Class"
+                value={`${statBlock.armorClass}${statBlock.armorType ? ` (${statBlock.armorType})` : ''}`}
+                onSave={(val) => {
+                    const [armorClass, armorType] = parseNumberWithNote(val, 'Armor Class');
+                    return save({ armorClass, armorType });
+                }}
+                {...fieldProps}
+            />
+            <EditableField
+                label="Hit Points"
+                value={`${statBlock.hitPoints}${statBlock.hitDice ? ` (${statBlock.hitDice})` : ''}`}
+                onSave={(val) => {
+                    const [hitPoints, hitDice] = parseNumberWithNote(val, 'Hit Points');
+                    return save({ hitPoints, hitDice });
+                }}
+                {...fieldProps}
+            />
+            <EditableField label="Speed" value={statBlock.speed} onSave={(val) => save({ speed: val })} {...fieldProps} />
+            <div className="my-1 h-0.5 bg-red-900/60" />
+            <div className="grid grid-cols-3 sm:grid-cols-6 text-center">
+                {ABILITIES.map(ability => {
+                    const score = statBlock.abilities[ability];
+                    return (
+                        <EditableField
+                            key={ability}
+                            label={ABILITY_LABELS[ability]}
+                            value={String(score)}
+                            displayValue={`${score} (${formatModifier(abilityModifier(score))})`}
+                            onSave={(val) => save({ abilities: { ...statBlock.abilities, [ability]: Number(val) } })}
+                            {...fieldProps}
+                        />
+                    );
+                })}
+            </div>
+            <div className="my-1 h-0.5 bg-red-900/60" />
+            <EditableField
+                label="Saving Throws"
+                value={statBlock.savingThrows.map(ability => ABILITY_LABELS[ability]).join(', ')}
+                displayValue={statBlock.savingThrows
+                    .map(ability => `${ABILITY_LABELS[ability]} ${formatModifier(savingThrowBonus(statBlock, ability))}`)
+                    .join(', ')}
+                onSave={(val) => save({ savingThrows: val.split(',') })}
+                {...fieldProps}
+            />
+            <EditableField
+                label="Skills"
+                value={statBlock.skills.map(skill => skill.expertise ? `${skill.name} (expertise)` : skill.name).join(', ')}
+                displayValue={statBlock.skills
+                    .map(skill => `${skill.name} ${formatModifier(skillBonus(statBlock, skill))}`)
+                    .join(', ')}
+                onSave={(val) => save({
+                    skills: val.split(',').filter(item => item.trim()).map(item => ({
+                        name: item.replace(/\(expertise\)/i, '').trim(),
+                        expertise: /\(expertise\)/i.test(item)
+                    }))
+                })}
+                {...fieldProps}
+            />
+            <EditableField label="Senses" value={statBlock.senses} onSave={(val) => save({ senses: val })} {...fieldProps} />
+            <EditableField label="Languages" value={statBlock.languages} onSave={(val) => save({ languages: val })} {...fieldProps} />
+            <div className="grid grid-cols-2">
+                <EditableField
+                    label="Challenge"
+                    value={statBlock.challengeRating}
+                    displayValue={`${statBlock.challengeRating} (${xpForCR(statBlock.challengeRating).toLocaleString()} XP)`}
+                    type="select"
+                    options={CHALLENGE_RATINGS}
+                    onSave={(val) => save({ challengeRating: val })}
+                    {...fieldProps}
+                />
+                <div className="p-1">
+                    <p className="text-xs font-bold text-indigo-700 mb-0.5">Proficiency Bonus</p>
+                    <p className="text-sm text-gray-900">{formatModifier(statBlock.proficiencyBonus)}</p>
+                </div>
+            </div>
+            <div className="my-1 h-0.5 bg-red-900/60" />
+            <EditableField
+                label="Traits"
+                value={formatFeatures(statBlock.traits)}
+                type="textarea"
+                onSave={(val) => save({ traits: parseFeatures(val) })}
+                {...fieldProps}
+            />
+            <EditableField
+                label="Actions"
+                value={formatFeatures(statBlock.actions)}
+                type="textarea"
+                onSave={(val) => save({ actions: parseFeatures(val) })}
+                {...fieldProps}
+            />
+            <EditableField
+                label="Spellcasting Ability"
+                value={statBlock.spellcasting ? ABILITY_LABELS[statBlock.spellcasting.ability] : NO_SPELLCASTING_LABEL}
+                type="select"
+                options={[NO_SPELLCASTING_LABEL, 'INT', 'WIS', 'CHA']}
+                onSave={(val) => save({
+                    spellcasting: val === NO_SPELLCASTING_LABEL ? null : { ability: val, spells: statBlock.spellcasting?.spells || '' }
+                })}
+                {...fieldProps}
+            />
+            {spellNumbers && (
+                <EditableField
+                    label={`Spells (save DC ${spellNumbers.saveDc}, ${formatModifier(spellNumbers.attackBonus)} to hit)`}
+                    value={statBlock.spellcasting.spells}
+                    type="textarea"
+                    onSave={(val) => save({ spellcasting: { ...statBlock.spellcasting, spells: val } })}
+                    {...fieldProps}
+                />
+            )}
+        </div>
+    );
+};
+
+// --- Journal ---
+
+const JOURNAL_SECTIONS = [
+    { key: 'learned', label: 'Learned' },
+    { key: 'secretsRevealed', label: 'Secrets revealed' },
+    { key: 'goalsAchieved', label: 'Goals achieved' },
+    { key: 'openHooks', label: 'Open hooks' }
+];
+
+const JournalEntry = ({ entry, onDelete }) => (
+    <li className="group relative p-2 pr-8 text-xs text-gray-700 bg-white rounded-lg border border-indigo-100">
+        <p className="font-bold text-gray-800">{entry.title}</p>
+        <p className="mb-1 text-gray-400">{new Date(entry.createdAt).toLocaleDateString()}</p>
+        <p>{entry.summary}</p>
+        {JOURNAL_SECTIONS.filter(({ key }) => entry[key]?.length > 0).map(({ key, label }) => (
+            <div key={key} className="mt-1">
+                <strong className="text-indigo-600">{label}:</strong>
+                <ul className="ml-4 list-disc">
+                    {entry[key].map((item, index) => <li key={index}>{item}</li>)}
+                </ul>
+            </div>
+        ))}
+        <button
+            onClick={onDelete}
+            className="absolute top-1 right-1 p-1 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-full transition-colors opacity-0 group-hover:opacity-100"
+            title="Delete this entry"
+        >
+            <Trash2 className="w-3 h-3" />
+        </button>
+    </li>
+);
+
+/**
+ * Picks the scenes to recap. Without scenes the whole conversation is recapped.
+ */
+const RecapModal = ({ isOpen, onClose, chats, onGenerate, isGenerating }) => {
+    const scenes = getSceneStarts(chats);
+    const [fromScene, setFromScene] = useState(0);
+    const [toScene, setToScene] = useState(0);
+
+    useEffect(() => {
+        if (isOpen) {
+            setFromScene(0);
+            setToScene(Math.max(scenes.length - 1, 0));
+        }
+    }, [isOpen]);
+
+    useEscapeKey(onClose, isOpen && !isGenerating);
+
+    if (!isOpen) return null;
+
+    const messageCount = getRecapMessages(chats, fromScene, toScene).length;
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50" onClick={() => !isGenerating && onClose()}>
+            <div className="bg-white rounded-xl shadow-xl max-w-md w-full p-6 space-y-4" onClick={(e) => e.stopPropagation()}>
+                <div className="flex items-center space-x-3 text-indigo-700">
+                    <BookOpen className="w-6 h-6" />
+                    <h3 className="text-xl font-bold text-gray-900">Generate Recap</h3>
+                </div>
+                <p className="text-sm text-gray-600">
+                    Writes a journal entry: what happened, what was learned, secrets revealed, goals achieved and hooks left open.
+                </p>
+                {scenes.length > 1 ? (
+                    <div className="grid grid-cols-2 gap-3">
+                        <label className="text-xs font-bold text-gray-700">
+                            From
+                            <select
+                                value={fromScene}
+                                onChange={(e) => {
+                                    const value = Number(e.target.value);
+                                    setFromScene(value);
+                                    if (toScene < value) setToScene(value);
+                                }}
+                                className="mt-1 w-full p-2 text-sm font-normal border border-gray-300 rounded-lg"
+                            >
+                                {scenes.map((scene, index) => <option key={scene.index} value={index}>{scene.label}</option>)}
+                            </select>
+                        </label>
+                        <label className="text-xs font-bold text-gray-700">
+                            To
+                            <select
+                                value={toScene}
+                                onChange={(e) => setToScene(Number(e.target.value))}
+                                className="mt-1 w-full p-2 text-sm font-normal border border-gray-300 rounded-lg"
+                            >
+                                {scenes.map((scene, index) => index >= fromScene && <option key={scene.index} value={index}>{scene.label}</option>)}
+                            </select>
+                        </label>
+                    </div>
+                ) : (
+                    <p className="text-sm text-gray-500 italic">The whole conversation will be recapped.</p>
+                )}
+                <p className="text-xs text-gray-500">{messageCount} messages</p>
+                <div className="flex justify-end space-x-3 pt-2">
+                    <button
+                        onClick={onClose}
+                        disabled={isGenerating}
+                        className="px-4 py-2 text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors font-medium disabled:opacity-50"
+                    >
+                        Cancel
+                    </button>
+                    <Button onClick={() => onGenerate(fromScene, toScene)} loading={isGenerating} disabled={messageCount === 0} icon={Wand2}>
+                        Generate
+                    </Button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
 // --- Chat Interface Components ---
 
-const ChatBubble = ({ message, npcName, isSpeaking, onSpeakClick, onSetNextScene, onRollbackToScene, showGoalButtons, currentTip, isProtected }) => {
+/**
+ * How much of a secret an NPC gave away. GM eyes only: it is never sent to the NPC.
+ */
+const SecretRevealBadge = ({ reveal }) => (
+    <span
+        className={`inline-flex items-center px-2 py-0.5 text-xs font-semibold rounded-full ${reveal.level === 'full'
+            ? 'bg-red-600 text-white'
+            : 'bg-red-100 text-red-700'
+            }`}
+        title={reveal.detail ? `Revealed: ${reveal.detail}` : undefined}
+    >
+        <Eye className="w-3 h-3 mr-1" />
+        {reveal.level === 'full' ? 'Secret revealed' : 'Secret partly revealed'}
+    </span>
+);
+
+const PitfallBadge = ({ pitfall }) => (
+    <span
+        className="inline-flex items-center px-2 py-0.5 text-xs font-semibold rounded-full bg-orange-100 text-orange-700"
+        title={pitfall.detail ? `Pitfall: ${pitfall.detail}` : undefined}
+    >
+        <Hourglass className="w-3 h-3 mr-1" />
+        Lost patience
+    </span>
+);
+
+/**
+ * The fields of a structured scene, as shown in its chat bubble.
+ */
+const SceneDetails = ({ scene }) => (
+    <div className="text-sm text-gray-900 space-y-2">
+        {scene.setting && <p className="font-semibold">{scene.setting}</p>}
+        {(scene.timeOfDay || scene.mood) && (
+            <div className="flex flex-wrap gap-1.5">
+                {scene.timeOfDay && <span className="px-2 py-0.5 text-xs rounded-full bg-indigo-100 text-indigo-800">{scene.timeOfDay}</span>}
+                {scene.mood && <span className="px-2 py-0.5 text-xs rounded-full bg-purple-100 text-purple-800">{scene.mood}</span>}
+            </div>
+        )}
+        {scene.context && <p className="italic whitespace-pre-wrap">{scene.context}</p>}
+        {scene.presentNpcs.length > 0 && (
+            <p className="text-xs text-gray-700"><span className="font-bold">Also present:</span> {scene.presentNpcs.join(', ')}</p>
+        )}
+        {scene.ambience.length > 0 && (
+            <div className="flex flex-wrap gap-1.5">
+                {scene.ambience.map((detail, index) => (
+                    <span key={index} className="px-2 py-0.5 text-xs rounded-full bg-white border border-indigo-200 text-gray-600">{detail}</span>
+                ))}
+            </div>
+        )}
+        {scene.goals.length > 0 && (
+            <ul className="space-y-1">
+                {scene.goals.map((goal, index) => (
+                    <li key={index} className="flex items-start text-xs">
+                        <Target className="w-3.5 h-3.5 mr-1.5 mt-0.5 flex-shrink-0 text-amber-600" />
+                        <span>{goal.text}{goal.optional && <span className="ml-1 text-gray-500">(optional)</span>}</span>
+                    </li>
+                ))}
+            </ul>
+        )}
+    </div>
+);
+
+/**
+ * One chat message. `onRegenerate(steering)`, `onEdit(text)` and `onDelete` add per-message actions;
+ * `actionsDisabled` greys them out while the NPC is replying.
+ */
+const ChatBubble = ({ message, npcName, isSpeaking, onSpeakClick, onSetNextScene, onRollbackToScene, showGoalButtons, currentTip, isProtected, isStreaming = false, onRegenerate, onEdit, onDelete, actionsDisabled = false }) => {
+    const [isEditing, setIsEditing] = useState(false);
+    const [draft, setDraft] = useState('');
+    const [isSteering, setIsSteering] = useState(false);
+    const [steering, setSteering] = useState('');
+
     const isNpc = message.role === 'npc';
     const isScene = message.role === 'scene';
     const isGoalAchieved = message.role === 'goal_achieved';
+    const isRoll = message.role === 'roll';
+    const isNote = message.role === 'note';
 
     // Function to extract only the dialogue for display/TTS purposes
     const getDialogueText = (text) => text.replace(/ *\[[\s\S]*?\] */g, '').trim();
@@ -785,8 +1533,12 @@ const ChatBubble = ({ message, npcName, isSpeaking, onSpeakClick, onSetNextScene
                     <p className="text-xs font-bold uppercase tracking-wider mb-1 opacity-70 text-indigo-700">
                         Scene {isProtected && <span className="text-xs font-normal">(Protected)</span>}
                     </p>
-                    <p className="font-mono text-sm italic text-gray-900 whitespace-pre-wrap">{message.text}</p>
-                    {!isProtected && (
+                    {message.scene ? (
+                        <SceneDetails scene={getScene(message)} />
+                    ) : (
+                        <p className="font-mono text-sm italic text-gray-900 whitespace-pre-wrap">{message.text}</p>
+                    )}
+                    {!isProtected && onRollbackToScene && (
                         <button
                             onClick={onRollbackToScene}
                             className="absolute bottom-2 right-2 p-1.5 text-indigo-400 hover:text-indigo-600 hover:bg-indigo-100 rounded-full transition-colors"
@@ -800,17 +1552,67 @@ const ChatBubble = ({ message, npcName, isSpeaking, onSpeakClick, onSetNextScene
         );
     }
 
-    if (isGoalAchieved) {
+    if (isRoll) {
+        const roll = message.roll || {};
+        const hasOutcome = roll.success !== null && roll.success !== undefined;
         return (
-            <div className="flex w-full justify-center my-4">
-                <div className="w-[80%] max-w-lg p-6 rounded-lg shadow-lg text-center border-2 bg-gradient-to-br from-yellow-50 to-amber-50 border-yellow-400 animate-in fade-in zoom-in-95 duration-300 relative">
-                    <div className="flex items-center justify-center mb-3">
-                        <div className="w-12 h-12 rounded-full bg-yellow-400 flex items-center justify-center animate-bounce">
-                            <span className="text-2xl">🎉</span>
-                        </div>
-                    </div>
-                    <p className="text-lg font-bold text-yellow-800 mb-2">
-                        Scene Goal Achieved!
+            <div className="flex w-full justify-center my-2">
+                <div className={`flex items-center px-4 py-2 rounded-full border text-sm shadow-sm ${!hasOutcome
+                    ? 'bg-gray-50 border-gray-300 text-gray-700'
+                    : roll.success
+                        ? 'bg-green-50 border-green-400 text-green-800'
+                        : 'bg-red-50 border-red-400 text-red-800'
+                    }`}>
+                    <Dices className="w-4 h-4 mr-2 flex-shrink-0" />
+                    {message.speakerName && <span className="mr-1 font-semibold">{message.speakerName}:</span>}
+                    <span>{message.text}</span>
+                    {onDelete && (
+                        <button
+                            onClick={onDelete}
+                            disabled={actionsDisabled}
+                            className="ml-2 p-0.5 rounded-full opacity-50 hover:opacity-100 disabled:opacity-30 transition-opacity"
+                            title="Delete this roll"
+                        >
+                            <X className="w-3.5 h-3.5" />
+                        </button>
+                    )}
+                </div>
+            </div>
+        );
+    }
+
+    if (isNote) {
+        return (
+            <div className="flex w-full justify-center my-2">
+                <div className="w-[80%] max-w-lg px-4 py-2 rounded-lg border border-dashed border-gray-300 bg-gray-50 text-left relative">
+                    <p className="text-xs font-bold uppercase tracking-wider mb-1 text-gray-500">{message.label}</p>
+                    <p className="text-sm text-gray-700 whitespace-pre-wrap">{message.text}</p>
+                    {onDelete && (
+                        <button
+                            onClick={onDelete}
+                            disabled={actionsDisabled}
+                            className="absolute top-2 right-2 p-1 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-full transition-colors disabled:opacity-30"
+                            title="Delete this note"
+                        >
+                            <Trash2 className="w-3.5 h-3.5" />
+                        </button>
+                    )}
+                </div>
+            </div>
+        );
+    }
+
+    if (isGoalAchieved) {
+        return (
+            <div className="flex w-full justify-center my-4">
+                <div className="w-[80%] max-w-lg p-6 rounded-lg shadow-lg text-center border-2 bg-gradient-to-br from-yellow-50 to-amber-50 border-yellow-400 animate-in fade-in zoom-in-95 duration-300 relative">
+                    <div className="flex items-center justify-center mb-3">
+                        <div className="w-12 h-12 rounded-full bg-yellow-400 flex items-center justify-center animate-bounce">
+                            <span className="text-2xl">🎉</span>
+                        </div>
+                    </div>
+                    <p className="text-lg font-bold text-yellow-800 mb-2">
+                        {message.optional ? 'Optional Goal Achieved!' : 'Scene Goal Achieved!'}
                     </p>
                     <p className="text-sm text-gray-700 mb-4">
                         "{message.text}"
@@ -843,6 +1645,25 @@ const ChatBubble = ({ message, npcName, isSpeaking, onSpeakClick, onSetNextScene
         );
     }
 
+    const actionClass = isNpc
+        ? 'text-gray-400 hover:text-indigo-600 hover:bg-indigo-100'
+        : 'text-indigo-200 hover:text-white hover:bg-indigo-500';
+
+    const handleSubmitEdit = (e) => {
+        e.preventDefault();
+        const text = draft.trim();
+        if (!text) return;
+        setIsEditing(false);
+        if (text !== message.text) onEdit(text);
+    };
+
+    const handleSubmitSteering = (e) => {
+        e.preventDefault();
+        setIsSteering(false);
+        onRegenerate(steering.trim());
+        setSteering('');
+    };
+
     return (
         <div className={`flex w-full ${isNpc ? 'justify-start' : 'justify-end'}`}>
             <div className={`max-w-xl p-4 rounded-xl shadow-md ${isNpc
@@ -850,26 +1671,391 @@ const ChatBubble = ({ message, npcName, isSpeaking, onSpeakClick, onSetNextScene
                 : 'bg-indigo-600 text-white rounded-br-none'
                 }`}>
                 <p className="text-xs font-semibold mb-1 opacity-70">
-                    {isNpc ? npcName : 'GM/Player'}
+                    {isNpc ? npcName : (message.speakerName || 'GM/Player')}{message.whisper && ' (whispering)'}
                 </p>
-                <p className="whitespace-pre-wrap">{message.text}</p>
+                {isEditing ? (
+                    <form onSubmit={handleSubmitEdit} className="space-y-2">
+                        <textarea
+                            value={draft}
+                            onChange={(e) => setDraft(e.target.value)}
+                            onKeyDown={(e) => e.key === 'Escape' && setIsEditing(false)}
+                            rows="3"
+                            maxLength={1000}
+                            autoFocus
+                            className="w-full p-2 text-gray-900 bg-white border border-indigo-300 rounded-lg resize-none focus:ring-indigo-500 focus:border-indigo-500"
+                        />
+                        <div className="flex justify-end space-x-2">
+                            <button type="button" onClick={() => setIsEditing(false)} className="px-3 py-1 text-sm rounded-lg text-indigo-100 hover:bg-indigo-500">
+                                Cancel
+                            </button>
+                            <button type="submit" className="px-3 py-1 text-sm font-medium rounded-lg bg-white text-indigo-700 hover:bg-indigo-50">
+                                Save & Re-run
+                            </button>
+                        </div>
+                    </form>
+                ) : (
+                    <p className={`whitespace-pre-wrap ${message.whisper ? 'italic' : ''}`}>
+                        {message.text}
+                        {isStreaming && <span className="inline-block w-2 h-4 ml-0.5 align-text-bottom bg-gray-400 animate-pulse" />}
+                    </p>
+                )}
+
+                {(message.secretReveals?.length > 0 || message.pitfall) && (
+                    <div className="flex flex-wrap items-center gap-1 mt-2">
+                        {message.secretReveals?.map((reveal, index) => (
+                            <SecretRevealBadge key={index} reveal={reveal} />
+                        ))}
+                        {message.pitfall && <PitfallBadge pitfall={message.pitfall} />}
+                        <span className="text-xs text-gray-400">GM only</span>
+                    </div>
+                )}
+
+                {isSteering && (
+                    <form onSubmit={handleSubmitSteering} className="flex items-center mt-2 space-x-2">
+                        <input
+                            value={steering}
+                            onChange={(e) => setSteering(e.target.value)}
+                            onKeyDown={(e) => e.key === 'Escape' && setIsSteering(false)}
+                            placeholder='Optional direction, e.g. "angrier"'
+                            maxLength={200}
+                            autoFocus
+                            className="flex-1 min-w-0 p-1.5 text-sm bg-white border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                        />
+                        <button type="submit" className="px-3 py-1.5 text-sm font-medium text-white bg-indigo-600 rounded-lg hover:bg-indigo-700">
+                            Regenerate
+                        </button>
+                    </form>
+                )}
+
+                {!isStreaming && !isEditing && (onRegenerate || onEdit || onDelete || (isNpc && getDialogueText(message.text))) && (
+                    <div className="flex items-center justify-end mt-2 space-x-1">
+                        {isNpc && onRegenerate && (
+                            <button
+                                onClick={() => setIsSteering(!isSteering)}
+                                disabled={actionsDisabled}
+                                className={`p-1 rounded-full transition-colors disabled:opacity-30 ${actionClass}`}
+                                title="Regenerate this reply"
+                            >
+                                <RefreshCw className="w-4 h-4" />
+                            </button>
+                        )}
+                        {!isNpc && onEdit && (
+                            <button
+                                onClick={() => { setDraft(message.text); setIsEditing(true); }}
+                                disabled={actionsDisabled}
+                                className={`p-1 rounded-full transition-colors disabled:opacity-30 ${actionClass}`}
+                                title="Edit and re-run from here"
+                            >
+                                <Edit2 className="w-4 h-4" />
+                            </button>
+                        )}
+                        {onDelete && (
+                            <button
+                                onClick={onDelete}
+                                disabled={actionsDisabled}
+                                className={`p-1 rounded-full transition-colors disabled:opacity-30 ${actionClass}`}
+                                title="Delete this message"
+                            >
+                                <Trash2 className="w-4 h-4" />
+                            </button>
+                        )}
+                        {isNpc && getDialogueText(message.text) && (
+                            <>
+                                <button
+                                    onClick={() => onSpeakClick(message.text)}
+                                    // isSpeaking is set to true when audio is playing or loading, so it acts as the stop button.
+                                    className={`p-1 rounded-full transition-colors duration-200 ${isSpeaking
+                                        ? 'bg-red-200 text-red-600 hover:bg-red-300'
+                                        : 'bg-indigo-100 text-indigo-600 hover:bg-indigo-200'
+                                        }`}
+                                    title={isSpeaking ? "Click to stop speaking" : "Click to hear dialogue"}
+                                >
+                                    {isSpeaking ? <X className="w-4 h-4" /> : <Volume2 className="w-4 h-4" />}
+                                </button>
+                                {isSpeaking && <span className="ml-2 text-xs text-red-600">Stop</span>}
+                            </>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+/**
+ * The chat message input. Typing "/" lists the chat commands: arrow keys pick one, Tab or Enter
+ * completes it and Escape hides the list. While typing a command's arguments its usage is shown.
+ */
+const ChatCommandInput = ({ inputRef, value, onChange, onSend, placeholder, disabled = false }) => {
+    const [selectedIndex, setSelectedIndex] = useState(0);
+    const [isDismissed, setIsDismissed] = useState(false);
+
+    const { commands, isTypingArguments } = getCommandSuggestions(value);
+    const isOpen = commands.length > 0 && !isDismissed;
+
+    useEffect(() => {
+        setSelectedIndex(0);
+        if (!value.startsWith('/')) setIsDismissed(false);
+    }, [value]);
+
+    const completeCommand = (command) => {
+        onChange(`/${command.name} `);
+        inputRef.current?.focus();
+    };
+
+    const handleKeyDown = (e) => {
+        if (isOpen && !isTypingArguments) {
+            const selected = commands[selectedIndex];
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                setSelectedIndex((selectedIndex + step + commands.length) % commands.length);
+                return;
+            }
+            // Enter runs a command that is already typed in full, otherwise it completes the name
+            if (e.key === 'Tab' || (e.key === 'Enter' && !e.shiftKey && value.trim().toLowerCase() !== `/${selected.name}`)) {
+                e.preventDefault();
+                completeCommand(selected);
+                return;
+            }
+        }
+        if (isOpen && e.key === 'Escape') {
+            e.preventDefault();
+            setIsDismissed(true);
+            return;
+        }
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            onSend();
+        }
+    };
 
-                {isNpc && getDialogueText(message.text) && (
-                    <div className="flex items-center justify-end mt-2">
+    return (
+        <div className="relative flex-grow">
+            {isOpen && (
+                <div className="absolute bottom-full left-0 right-0 mb-2 max-h-64 overflow-y-auto bg-white border border-gray-200 rounded-xl shadow-lg z-20">
+                    {commands.map((command, index) => (
                         <button
-                            onClick={() => onSpeakClick(message.text)}
-                            // isSpeaking is set to true when audio is playing or loading, so it acts as the stop button.
-                            className={`p-1 rounded-full transition-colors duration-200 ${isSpeaking
-                                ? 'bg-red-200 text-red-600 hover:bg-red-300'
-                                : 'bg-indigo-100 text-indigo-600 hover:bg-indigo-200'
-                                }`}
-                            title={isSpeaking ? "Click to stop speaking" : "Click to hear dialogue"}
+                            key={command.name}
+                            type="button"
+                            // Keep focus in the textarea
+                            onMouseDown={(e) => e.preventDefault()}
+                            onClick={() => completeCommand(command)}
+                            className={`w-full text-left px-3 py-2 transition-colors ${index === selectedIndex && !isTypingArguments ? 'bg-indigo-50' : 'hover:bg-gray-50'}`}
                         >
-                            {isSpeaking ? <X className="w-4 h-4" /> : <Volume2 className="w-4 h-4" />}
+                            <code className="text-sm font-bold text-indigo-600">{command.usage}</code>
+                            <p className="text-xs text-gray-500">{command.description}</p>
                         </button>
-                        {isSpeaking && <span className="ml-2 text-xs text-red-600">Stop</span>}
+                    ))}
+                </div>
+            )}
+            <textarea
+                ref={inputRef}
+                value={value}
+                onChange={(e) => onChange(e.target.value)}
+                onKeyDown={handleKeyDown}
+                rows="2"
+                placeholder={placeholder}
+                className="block w-full p-3 border border-gray-300 rounded-xl focus:ring-indigo-500 focus:border-indigo-500 resize-none"
+                disabled={disabled}
+                maxLength={1000}
+            />
+        </div>
+    );
+};
+
+/**
+ * The current scene's goals, each with where it stands and the NPC's reason why.
+ */
+const SceneGoalChecklist = ({ goals }) => {
+    const [isExpanded, setIsExpanded] = useState(true);
+    const achievedCount = goals.filter(goal => goal.progress === 'achieved').length;
+
+    const progressIcons = {
+        not_started: <Circle className="w-4 h-4 text-gray-400" />,
+        in_progress: <CircleDot className="w-4 h-4 text-amber-500" />,
+        achieved: <CheckCircle2 className="w-4 h-4 text-green-600" />
+    };
+
+    return (
+        <div className="px-4 py-2 border-b border-gray-200 bg-amber-50 text-sm flex-shrink-0">
+            <button
+                onClick={() => setIsExpanded(!isExpanded)}
+                className="flex items-center w-full text-left font-semibold text-amber-800"
+            >
+                <Target className="w-4 h-4 mr-2 flex-shrink-0" />
+                Scene Goals ({achievedCount}/{goals.length})
+                {isExpanded ? <ChevronsUp className="w-4 h-4 ml-auto" /> : <ChevronsDown className="w-4 h-4 ml-auto" />}
+            </button>
+            {isExpanded && (
+                <ul className="mt-1 space-y-1">
+                    {goals.map(goal => (
+                        <li key={goal.index} className="flex items-start" title={GOAL_PROGRESS_LABELS[goal.progress]}>
+                            <span className="mt-0.5 mr-2 flex-shrink-0">{progressIcons[goal.progress]}</span>
+                            <div className="min-w-0">
+                                <p className={goal.progress === 'achieved' ? 'text-gray-500 line-through' : 'text-gray-800'}>
+                                    {goal.optional && <span className="mr-1 text-xs font-semibold uppercase text-amber-700">Optional</span>}
+                                    {goal.text}
+                                </p>
+                                {goal.rationale && goal.progress !== 'achieved' && (
+                                    <p className="text-xs text-gray-500 italic">{goal.rationale}</p>
+                                )}
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Shown above the chat once a rollback has created more than one branch.
+ */
+const BranchBar = ({ branches, onSwitch, onMarkCanonical, onCompare, disabled = false }) => {
+    const active = branches.find(branch => branch.isActive);
+
+    return (
+        <div className="flex items-center gap-2 px-4 py-2 border-b border-gray-200 bg-indigo-50 text-sm flex-shrink-0">
+            <GitBranch className="w-4 h-4 text-indigo-500 flex-shrink-0" />
+            <select
+                value={active.id}
+                onChange={(e) => onSwitch(e.target.value)}
+                disabled={disabled}
+                className="min-w-0 flex-1 p-1 border border-indigo-200 rounded-md bg-white text-gray-800 focus:ring-indigo-500 focus:border-indigo-500"
+                title="Switch branch"
+            >
+                {branches.map(branch => (
+                    <option key={branch.id} value={branch.id}>
+                        {branch.isCanonical ? '★ ' : ''}{branch.name} ({branch.messageCount} messages)
+                    </option>
+                ))}
+            </select>
+            <button
+                onClick={onCompare}
+                className="flex items-center px-2 py-1 text-indigo-600 hover:bg-indigo-100 rounded-md transition-colors"
+                title="Compare with another branch"
+            >
+                <Columns2 className="w-4 h-4 sm:mr-1" />
+                <span className="hidden sm:inline">Compare</span>
+            </button>
+            <button
+                onClick={onMarkCanonical}
+                disabled={disabled || active.isCanonical}
+                className={`flex items-center px-2 py-1 rounded-md transition-colors ${active.isCanonical ? 'text-amber-600' : 'text-gray-500 hover:text-amber-600 hover:bg-amber-50'}`}
+                title={active.isCanonical ? "This branch is what really happened" : "Mark this branch as what really happened"}
+            >
+                <Star className={`w-4 h-4 sm:mr-1 ${active.isCanonical ? 'fill-current' : ''}`} />
+                <span className="hidden sm:inline">{active.isCanonical ? 'Canonical' : 'Mark canonical'}</span>
+            </button>
+        </div>
+    );
+};
+
+// Which player characters are in the conversation; the NPC is told about the ones toggled on
+const PlayerCharacterSelector = ({ playerCharacters, presentIds, onChange, disabled = false }) => (
+    <div className="flex items-center gap-2 px-4 py-2 border-b border-gray-200 bg-white text-sm flex-shrink-0 overflow-x-auto">
+        <Swords className="w-4 h-4 text-indigo-500 flex-shrink-0" />
+        {playerCharacters.map(pc => {
+            const isPresent = presentIds.includes(pc.id);
+            return (
+                <button
+                    key={pc.id}
+                    onClick={() => onChange(isPresent ? presentIds.filter(id => id !== pc.id) : [...presentIds, pc.id])}
+                    disabled={disabled}
+                    className={`flex-shrink-0 px-2 py-0.5 rounded-full border transition-colors disabled:opacity-50 ${isPresent
+                        ? 'bg-indigo-600 border-indigo-600 text-white'
+                        : 'bg-white border-gray-300 text-gray-500 hover:border-indigo-400'
+                        }`}
+                    title={isPresent ? `${pc.name} is here` : `Bring ${pc.name} into the conversation`}
+                >
+                    {pc.name}
+                </button>
+            );
+        })}
+    </div>
+);
+
+const BranchMessages = ({ messages, npcName }) => (
+    messages.length === 0
+        ? <p className="text-sm italic text-gray-400">Nothing after this point.</p>
+        : (
+            <div className="space-y-2">
+                {messages.map((msg, index) => (
+                    <div key={index} className={`p-2 rounded-lg text-sm ${msg.role === 'npc' ? 'bg-gray-100 text-gray-800' : msg.role === 'user' ? 'bg-indigo-50 text-gray-800' : 'bg-white border border-dashed border-gray-300 text-gray-600'}`}>
+                        <p className="text-xs font-semibold mb-0.5 opacity-70">
+                            {msg.role === 'npc' ? npcName : msg.role === 'user' ? (msg.speakerName || 'GM/Player') : msg.role === 'goal_achieved' ? 'Goal achieved' : (msg.label || msg.role)}
+                        </p>
+                        <p className="whitespace-pre-wrap">{msg.text}</p>
                     </div>
-                )}
+                ))}
+            </div>
+        )
+);
+
+/**
+ * Side-by-side view of where the active branch and another branch part ways.
+ * `loadBranchHistory(branchId)` reads a branch's whole history.
+ */
+const BranchCompareModal = ({ isOpen, onClose, chatTree, npcName, loadBranchHistory }) => {
+    const branches = listBranches(chatTree);
+    const active = branches.find(branch => branch.isActive);
+    const others = branches.filter(branch => !branch.isActive);
+    const [otherId, setOtherId] = useState(null);
+    const [comparison, setComparison] = useState(null);
+    const other = others.find(branch => branch.id === otherId) || others[0];
+
+    useEscapeKey(onClose, isOpen);
+
+    useEffect(() => {
+        if (!isOpen || !other) return;
+
+        let isCancelled = false;
+        setComparison(null);
+        Promise.all([loadBranchHistory(active.id), loadBranchHistory(other.id)])
+            .then(([first, second]) => {
+                if (!isCancelled) setComparison(compareBranches(first, second));
+            })
+            .catch(error => console.error("Error loading branches:", error));
+        return () => { isCancelled = true; };
+    }, [isOpen, active?.id, other?.id]);
+
+    if (!isOpen || others.length === 0) return null;
+
+    const { sharedCount = 0, first = [], second = [] } = comparison || {};
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50" onClick={onClose}>
+            <div className="bg-white rounded-xl shadow-xl max-w-4xl w-full max-h-[90vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+                <div className="flex items-center justify-between p-4 border-b border-gray-200">
+                    <div>
+                        <h3 className="text-lg font-bold text-gray-900">Compare Branches</h3>
+                        <p className="text-xs text-gray-500">
+                            {comparison ? `Both share the first ${sharedCount} messages.` : 'Loading branches...'}
+                        </p>
+                    </div>
+                    <button onClick={onClose} className="p-1.5 text-gray-400 hover:text-gray-600 rounded-full">
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+                <div className="grid grid-cols-2 gap-4 p-4 overflow-y-auto">
+                    <div>
+                        <p className="mb-2 text-sm font-bold text-indigo-700">{active.isCanonical ? '★ ' : ''}{active.name} (current)</p>
+                        <BranchMessages messages={first} npcName={npcName} />
+                    </div>
+                    <div>
+                        <select
+                            value={other.id}
+                            onChange={(e) => setOtherId(e.target.value)}
+                            className="mb-2 w-full p-1 text-sm font-bold text-indigo-700 border border-gray-200 rounded-md"
+                        >
+                            {others.map(branch => (
+                                <option key={branch.id} value={branch.id}>{branch.isCanonical ? '★ ' : ''}{branch.name}</option>
+                            ))}
+                        </select>
+                        <BranchMessages messages={second} npcName={npcName} />
+                    </div>
+                </div>
             </div>
         </div>
     );
@@ -901,13 +2087,14 @@ const ImageModal = ({ isOpen, onClose, imageUrl, altText }) => {
 
 
 
+// Lists are typed comma-separated; they stay as typed until the scene is started
+const sceneListValue = (value) => (Array.isArray(value) ? value.join(', ') : value || '');
+
 const SceneModal = ({
     isOpen,
     onClose,
-    sceneText,
+    scene,
     isGenerating,
-    isEditing,
-    onEdit,
     onSave,
     onRegenerate,
     onStartWithScene
@@ -916,6 +2103,24 @@ const SceneModal = ({
 
     if (!isOpen) return null;
 
+    const fields = scene || {};
+    const goals = fields.goals || [];
+    const update = (changes) => onSave({ ...fields, ...changes });
+    const updateGoal = (index, changes) => update({ goals: goals.map((goal, i) => (i === index ? { ...goal, ...changes } : goal)) });
+
+    const inputClassName = "mt-1 w-full p-2 text-sm font-normal border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500";
+    const textField = (field, label, placeholder) => (
+        <label className="block text-xs font-bold text-indigo-700">
+            {label}
+            <input
+                type="text"
+                value={sceneListValue(fields[field])}
+                onChange={(e) => update({ [field]: e.target.value })}
+                placeholder={placeholder}
+                className={inputClassName}
+            />
+        </label>
+    );
     return (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 px-4" onClick={onClose}>
             <div
@@ -942,58 +2147,99 @@ const SceneModal = ({
                                 New Scene
                             </h3>
                             <div className="flex items-center gap-2">
-                                {!isEditing && (
-                                    <>
-                                        <button
-                                            onClick={onRegenerate}
-                                            className="p-1.5 text-purple-600 hover:bg-purple-100 rounded-lg transition-colors"
-                                            title="Regenerate Scene"
-                                        >
-                                            <Wand2 className="w-4 h-4" />
-                                        </button>
-                                        <button
-                                            onClick={onClose}
-                                            className="p-1.5 text-gray-500 hover:bg-gray-200 rounded-lg transition-colors"
-                                            title="Close"
-                                        >
-                                            <X className="w-4 h-4" />
-                                        </button>
-                                    </>
-                                )}
-                            </div>
-                        </div>
-
-                        <div className="p-4 text-left">
-                            <EditableField
-                                label="Scene Description"
-                                value={sceneText}
-                                onSave={onSave}
-                                type="textarea"
-                                hideLabel={true}
-                                textClassName="min-h-[150px]"
-                                rows={10}
-                                stayInModeAfterRegenerate={true}
-                                onEditStateChange={onEdit}
-                            />
-                        </div>
-
-                        {!isEditing && (
-                            <div className="p-4 bg-gray-50 border-t border-gray-100 flex justify-end items-center gap-4">
                                 <button
-                                    onClick={onClose}
-                                    className="px-4 py-2 text-gray-600 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors font-medium"
+                                    onClick={onRegenerate}
+                                    className="p-1.5 text-purple-600 hover:bg-purple-100 rounded-lg transition-colors"
+                                    title="Regenerate Scene"
                                 >
-                                    Cancel
+                                    <Wand2 className="w-4 h-4" />
                                 </button>
                                 <button
-                                    onClick={onStartWithScene}
-                                    className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors font-medium flex items-center"
+                                    onClick={onClose}
+                                    className="p-1.5 text-gray-500 hover:bg-gray-200 rounded-lg transition-colors"
+                                    title="Close"
                                 >
-                                    <Play className="w-4 h-4 mr-2" />
-                                    Start Scene
+                                    <X className="w-4 h-4" />
                                 </button>
                             </div>
-                        )}
+                        </div>
+
+                        <div className="p-4 text-left space-y-3 max-h-[60vh] overflow-y-auto">
+                            {textField('setting', 'Setting', 'Where the scene takes place')}
+                            <div className="grid grid-cols-2 gap-3">
+                                {textField('timeOfDay', 'Time of Day', 'e.g. Late evening')}
+                                {textField('mood', 'Mood', 'e.g. Tense, hushed')}
+                            </div>
+                            <label className="block text-xs font-bold text-indigo-700">
+                                Context
+                                <textarea
+                                    value={fields.context || ''}
+                                    onChange={(e) => update({ context: e.target.value })}
+                                    placeholder="What the NPC is doing and how your character meets them"
+                                    rows={3}
+                                    className={`${inputClassName} resize-none`}
+                                />
+                            </label>
+                            {textField('presentNpcs', 'Also Present', 'Comma-separated, e.g. the innkeeper, two guards')}
+                            {textField('ambience', 'Ambience', 'Comma-separated, e.g. rain on the roof, smell of ale')}
+
+                            <div>
+                                <span className="block text-xs font-bold text-indigo-700">Goals</span>
+                                <div className="mt-1 space-y-2">
+                                    {goals.map((goal, index) => (
+                                        <div key={index} className="flex items-center gap-2">
+                                            <input
+                                                type="text"
+                                                value={goal.text || ''}
+                                                onChange={(e) => updateGoal(index, { text: e.target.value })}
+                                                placeholder="What your character should achieve"
+                                                className="flex-1 p-2 text-sm border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                                            />
+                                            <label className="flex items-center gap-1 text-xs text-gray-600 whitespace-nowrap">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={goal.optional === true}
+                                                    onChange={(e) => updateGoal(index, { optional: e.target.checked })}
+                                                    className="w-4 h-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+                                                />
+                                                Optional
+                                            </label>
+                                            <button
+                                                onClick={() => update({ goals: goals.filter((_, i) => i !== index) })}
+                                                className="p-1.5 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                                                title="Remove goal"
+                                            >
+                                                <Trash2 className="w-4 h-4" />
+                                            </button>
+                                        </div>
+                                    ))}
+                                    <button
+                                        onClick={() => update({ goals: [...goals, { text: '', optional: goals.length > 0 }] })}
+                                        className="text-xs font-medium text-indigo-600 hover:text-indigo-800 flex items-center"
+                                    >
+                                        <Plus className="w-3 h-3 mr-1" />
+                                        Add a goal
+                                    </button>
+                                </div>
+                            </div>
+                        </div>
+
+                        <div className="p-4 bg-gray-50 border-t border-gray-100 flex justify-end items-center gap-4">
+                            <button
+                                onClick={onClose}
+                                className="px-4 py-2 text-gray-600 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors font-medium"
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                onClick={onStartWithScene}
+                                disabled={isSceneEmpty(fields)}
+                                className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors font-medium flex items-center disabled:opacity-50"
+                            >
+                                <Play className="w-4 h-4 mr-2" />
+                                Start Scene
+                            </button>
+                        </div>
                     </>
                 )}
             </div>
@@ -1008,7 +2254,8 @@ const ShareNPCModal = ({ isOpen, onClose, npc, db, userId, userEmail }) => {
     const [status, setStatus] = useState('');
     const [statusType, setStatusType] = useState(''); // 'success' or 'error'
 
-    const hasFirstScene = npc?.chats?.length > 0 && npc.chats[0].role === 'scene';
+    const [firstScene, setFirstScene] = useState(null); // The conversation's first message, if it is a scene
+    const hasFirstScene = firstScene !== null;
 
     useEffect(() => {
         if (isOpen) {
@@ -1017,6 +2264,16 @@ const ShareNPCModal = ({ isOpen, onClose, npc, db, userId, userEmail }) => {
             setIncludeFirstScene(false);
             setStatus('');
             setStatusType('');
+            setFirstScene(null);
+
+            const collectionPath = npc.isSharedNPC ? sharedNpcCollectionPath(appId, userId) : npcCollectionPath(appId, userId);
+            const tree = getChatTree(npc);
+            const firstMessage = hasInlineChats(npc)
+                ? Promise.resolve(npc.chats)
+                : loadMessages(doc(db, collectionPath, npc.id), tree.branches, tree.activeBranchId, 0, 1);
+            firstMessage
+                .then(([message]) => setFirstScene(message?.role === 'scene' ? message : null))
+                .catch(error => console.error("Error loading first scene:", error));
         }
     }, [isOpen]);
 
@@ -1044,7 +2301,7 @@ const ShareNPCModal = ({ isOpen, onClose, npc, db, userId, userEmail }) => {
         setStatusType('');
 
         try {
-            await shareNPC(db, npc, userId, userEmail, email, includeFirstScene);
+            await shareNPC(db, npc, userId, userEmail, email, includeFirstScene ? firstScene : null);
             setStatus(`Successfully shared "${npc.name}" with ${email}!`);
             setStatusType('success');
 
@@ -1169,107 +2426,287 @@ const ShareNPCModal = ({ isOpen, onClose, npc, db, userId, userEmail }) => {
     );
 };
 
-const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileView = 'details', onShowConversation, onShowDetails, currentTip, handleDeductCredits }) => {
+/**
+ * Gapless playback of a line synthesized in chunks.
+ * play() takes the chunks' audio URL promises in order and schedules each chunk on a
+ * Web Audio timeline as soon as it is decoded, so there is no gap between sentences.
+ * It resolves true when the whole line has played, or false if stop() or another play() cut it short.
+ */
+function useSpeechQueue() {
+    const contextRef = useRef(null);
+    const sourcesRef = useRef([]);
+    const runIdRef = useRef(0);
+    const finishRef = useRef(null);
+
+    const stop = useCallback(() => {
+        runIdRef.current += 1;
+        sourcesRef.current.forEach(source => {
+            source.onended = null;
+            try {
+                source.stop();
+            } catch (e) {
+                // Already stopped
+            }
+        });
+        sourcesRef.current = [];
+        finishRef.current?.(false);
+        finishRef.current = null;
+    }, []);
+
+    const play = useCallback(async (audioUrlPromises) => {
+        stop();
+        const runId = runIdRef.current;
+        const isCurrent = () => runId === runIdRef.current;
+
+        if (!contextRef.current) {
+            contextRef.current = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        const audioContext = contextRef.current;
+        if (audioContext.state === 'suspended') {
+            await audioContext.resume();
+        }
+
+        let nextStartTime = 0;
+        let lastSource = null;
+
+        try {
+            for (const audioUrlPromise of audioUrlPromises) {
+                const audioUrl = await audioUrlPromise;
+                const audioData = await (await fetch(audioUrl)).arrayBuffer();
+                const buffer = await audioContext.decodeAudioData(audioData);
+                if (!isCurrent()) return false;
+
+                const source = audioContext.createBufferSource();
+                source.buffer = buffer;
+                source.connect(audioContext.destination);
+
+                // Start right after the previous chunk, or now if we fell behind
+                nextStartTime = Math.max(nextStartTime, audioContext.currentTime);
+                source.start(nextStartTime);
+                nextStartTime += buffer.duration;
+
+                sourcesRef.current.push(source);
+                lastSource = source;
+            }
+        } catch (e) {
+            if (!isCurrent()) return false;
+            throw e;
+        }
+
+        if (!lastSource) return true;
+
+        return new Promise(resolve => {
+            finishRef.current = resolve;
+            lastSource.onended = () => {
+                sourcesRef.current = [];
+                finishRef.current = null;
+                resolve(true);
+            };
+        });
+    }, [stop]);
+
+    useEffect(() => {
+        return () => {
+            stop();
+            contextRef.current?.close();
+        };
+    }, [stop]);
+
+    return { play, stop };
+}
+
+const NpcChat = ({ db, userId, userEmail, npc, campaigns = [], onBack, isMobile = false, mobileView = 'details', onShowConversation, onShowDetails, currentTip, sceneCache, playerCharacters = [] }) => {
 
 
     const [message, setMessage] = useState('');
-    const [chatHistory, setChatHistory] = useState(npc.chats || []);
+    const [chatHistory, setChatHistory] = useState([]); // The loaded part of the active branch, newest last
+    const [historyStart, setHistoryStart] = useState(0); // Position of chatHistory[0] in the branch
+    const [isLoadingHistory, setIsLoadingHistory] = useState(true);
+    const [isLoadingOlder, setIsLoadingOlder] = useState(false);
+    const savedHistoryRef = useRef({ start: 0, messages: [] }); // What is saved for the loaded part
+    const scrollAnchorRef = useRef(null); // Distance from the bottom to keep when older messages load
     const [isThinking, setIsThinking] = useState(false);
+    const [streamingText, setStreamingText] = useState(null); // Visible text of the NPC reply while it streams in
     const [playingMessageIndex, setPlayingMessageIndex] = useState(null); // Track which message is playing
     const [isAutoPlayEnabled, setIsAutoPlayEnabled] = useState(false); // Auto-play toggle
-    const [audioCache, setAudioCache] = useState({}); // Cache for audio Blob URLs
-    const [audioPlayer, setAudioPlayer] = useState(null);
+    const [audioCache, setAudioCache] = useState({}); // Blob URLs keyed by `${voiceId}:${chunkText}`
+    const speechQueue = useSpeechQueue();
+    const chatHistoryRef = useRef(chatHistory); // Latest history, for updates that finish after a re-render
+    const [chatTree, setChatTree] = useState(() => getChatTree(npc)); // All branches; chatHistory is from the active one
+    const chatTreeRef = useRef(chatTree);
+    const [isCompareOpen, setIsCompareOpen] = useState(false);
     const [showNpcDetails, setShowNpcDetails] = useState(true);
     const [currentImageUrl, setCurrentImageUrl] = useState(null);
     const [isImageGenerating, setIsImageGenerating] = useState(false);
     const [isImageModalOpen, setIsImageModalOpen] = useState(false);
     const [isShareModalOpen, setIsShareModalOpen] = useState(false);
+    const [isExporting, setIsExporting] = useState(false);
+    const [isGeneratingStatBlock, setIsGeneratingStatBlock] = useState(false);
+    const [isRecapModalOpen, setIsRecapModalOpen] = useState(false);
+    const [isGeneratingRecap, setIsGeneratingRecap] = useState(false);
+    const journalEntries = useJournalEntries(db, userId, npc.id);
+
+    // The campaign world this NPC lives in, if any
+    const campaign = campaigns.find(c => c.id === npc.campaignId) || null;
+
+    // What the NPC remembers from earlier scenes
+    const npcMemories = npc.memories || [];
+
+    // Every time the NPC gave its secret away, oldest first
+    const secretReveals = npc.secretReveals || [];
+
+    // How the NPC currently feels about the party
+    const disposition = npc.disposition ?? DEFAULT_DISPOSITION;
+
+    // Set while older turns are being folded into the conversation summary
+    const isSummarizingRef = useRef(false);
+
+    // The player characters in this conversation, and which of them the next message comes from
+    // (the first one present unless the GM picks another, or speaks as the GM)
+    const presentPlayerCharacters = getPresentPlayerCharacters(playerCharacters, npc.presentPlayerCharacterIds);
+    const [speakerId, setSpeakerId] = useState(null);
+    const speaker = speakerId === GM_SPEAKER_ID
+        ? null
+        : presentPlayerCharacters.find(pc => pc.id === speakerId) || presentPlayerCharacters[0] || null;
+    const speakerFields = speaker ? { speakerId: speaker.id, speakerName: speaker.name } : {};
 
     // Scene State
-    const [startingSceneText, setStartingSceneText] = useState('');
+    const [startingScene, setStartingScene] = useState(null); // Structured scene being set up in the wizard
     const [isGeneratingScene, setIsGeneratingScene] = useState(false);
     const [isSceneWizardOpen, setIsSceneWizardOpen] = useState(false);
-    const [isEditingScene, setIsEditingScene] = useState(false); // Unified for both mobile and desktop
 
-    // Goal Tracking State
-    const [currentSceneGoal, setCurrentSceneGoal] = useState(null);
-    const [goalAchievedForScene, setGoalAchievedForScene] = useState(null); // Stores the scene index for which goal was achieved
+    // Where the current scene's goals stand, from the chat history
+    const sceneGoalState = useMemo(() => getSceneGoalState(chatHistory), [chatHistory]);
 
-    // Cache for generated scenes: { [npcId]: "scene text" }
-    const sceneCache = useRef({});
+    // How much patience the NPC has left in this scene; once it runs out the NPC has ended the conversation
+    const patienceState = useMemo(() => getPatienceState(chatHistory), [chatHistory]);
 
     // Ref for message input to maintain focus
     const messageInputRef = useRef(null);
 
-    // Load initial chat history and audio player on component mount
-    useEffect(() => {
-        // Reset scene state when NPC changes
-        // Reset scene state when NPC changes
-        setStartingSceneText(sceneCache.current[npc.id] || '');
-        setIsSceneWizardOpen(false);
+    const getNpcRef = () => doc(db, npc.isSharedNPC ? sharedNpcCollectionPath(appId, userId) : npcCollectionPath(appId, userId), npc.id);
+
+    // Makes `tree` the conversation tree
+    const applyChatTree = (tree) => {
+        chatTreeRef.current = tree;
+        setChatTree(tree);
+    };
+
+    // Shows messages loaded from the active branch, starting at position `start`
+    const showLoadedHistory = (start, messages) => {
+        savedHistoryRef.current = { start, messages };
+        setHistoryStart(start);
+        setChatHistory(messages);
+    };
+
+    /**
+     * Saves `history` as the loaded part of the active branch, along with other NPC `fields`.
+     * Only the messages that changed are written.
+     */
+    const saveChatHistory = async (history, fields = {}) => {
+        const saved = savedHistoryRef.current;
+        const { tree, changes } = setBranchHistory(chatTreeRef.current, saved.start, saved.messages, history);
+        applyChatTree(tree);
+        savedHistoryRef.current = { start: saved.start, messages: history };
+        await saveChatChanges(getNpcRef(), changes, {
+            ...chatTreeFields(tree),
+            ...fields,
+            updatedAt: new Date().toISOString()
+        });
+    };
+
+    // Starts a branch that keeps the first `index` loaded messages; it is saved with the next change
+    const forkChatTree = (index) => {
+        const saved = savedHistoryRef.current;
+        applyChatTree(forkBranch(chatTreeRef.current, saved.start + index));
+        savedHistoryRef.current = { start: saved.start, messages: saved.messages.slice(0, index) };
+    };
+
+    // A branch's whole history, read from Firestore
+    const loadBranchHistory = (branchId) => {
+        const { branches } = chatTreeRef.current;
+        return loadMessages(getNpcRef(), branches, branchId, 0, getBranchLength(branches, branchId));
+    };
+
+    // Adds `older` messages, from position `start` on, before the loaded ones, keeping the scroll position
+    const prependHistory = (start, older) => {
+        const container = document.getElementById('chat-container');
+        if (container) scrollAnchorRef.current = container.scrollHeight - container.scrollTop;
+
+        savedHistoryRef.current = { start, messages: [...older, ...savedHistoryRef.current.messages] };
+        setHistoryStart(start);
+        setChatHistory(history => [...older, ...history]);
+        setPlayingMessageIndex(index => (index === null ? null : index + older.length));
+    };
+
+    // Infinite scroll: loads the page of messages before the loaded ones
+    const loadOlderMessages = async () => {
+        const { start } = savedHistoryRef.current;
+        if (start === 0 || isLoadingOlder || isLoadingHistory || isThinking) return;
+
+        setIsLoadingOlder(true);
+        try {
+            const from = Math.max(start - MESSAGE_PAGE_SIZE, 0);
+            const { branches, activeBranchId } = chatTreeRef.current;
+            prependHistory(from, await loadMessages(getNpcRef(), branches, activeBranchId, from, start));
+        } catch (e) {
+            console.error("Error loading earlier messages:", e);
+        } finally {
+            setIsLoadingOlder(false);
+        }
+    };
+
+    const handleChatScroll = (e) => {
+        if (e.currentTarget.scrollTop < 200) loadOlderMessages();
+    };
+
+    /**
+     * Loads everything before the loaded messages, for features that need the whole conversation.
+     * @returns {Promise<Array>} The whole active branch
+     */
+    const loadFullHistory = async () => {
+        const { start } = savedHistoryRef.current;
+        if (start === 0) return chatHistoryRef.current;
+
+        const { branches, activeBranchId } = chatTreeRef.current;
+        const older = await loadMessages(getNpcRef(), branches, activeBranchId, 0, start);
+        prependHistory(0, older);
+        return [...older, ...chatHistoryRef.current];
+    };
+
+    // Load initial chat history and audio player on component mount
+    useEffect(() => {
+        // Reset scene state when NPC changes
+        setStartingScene(sceneCache.current[npc.id] || null);
+        setIsSceneWizardOpen(false);
         setIsGeneratingScene(false);
-        setIsEditingScene(false);
-
-        const chats = npc.chats || [];
-        setChatHistory(chats);
-
-        // Parse and restore current goal from chat history
-        if (chats.length > 0) {
-            // Find the most recent scene
-            let mostRecentSceneIndex = -1;
-            let mostRecentSceneText = null;
-            for (let i = chats.length - 1; i >= 0; i--) {
-                if (chats[i].role === 'scene') {
-                    mostRecentSceneIndex = i;
-                    mostRecentSceneText = chats[i].text;
-                    break;
-                }
-            }
 
-            if (mostRecentSceneText) {
-                // Check if goal was already achieved (look for goal_achieved message after this scene)
-                let goalAlreadyAchieved = false;
-                for (let i = mostRecentSceneIndex + 1; i < chats.length; i++) {
-                    if (chats[i].role === 'goal_achieved') {
-                        goalAlreadyAchieved = true;
-                        setGoalAchievedForScene(mostRecentSceneIndex);
-                        break;
-                    }
-                }
+        // Conversations saved on the NPC document are moved to message documents the first time
+        let isCancelled = false;
+        const loadConversation = async () => {
+            setIsLoadingHistory(true);
+            showLoadedHistory(0, []);
+            try {
+                const npcRef = getNpcRef();
+                const tree = hasInlineChats(npc) ? await migrateInlineChats(npcRef, npc) : getChatTree(npc);
+                const { start, messages } = await loadRecentMessages(npcRef, tree.branches, tree.activeBranchId);
+                if (isCancelled) return;
 
-                // If goal not achieved yet, parse and set current goal
-                if (!goalAlreadyAchieved) {
-                    const goal = parseGoalFromScene(mostRecentSceneText);
-                    if (goal) {
-                        setCurrentSceneGoal(goal);
-                        setGoalAchievedForScene(null);
-                    }
-                }
+                applyChatTree(tree);
+                showLoadedHistory(start, messages);
+            } catch (e) {
+                console.error("Error loading conversation:", e);
+                if (!isCancelled) alert("Failed to load the conversation. Please try again.");
+            } finally {
+                if (!isCancelled) setIsLoadingHistory(false);
             }
-        }
+        };
+        loadConversation();
 
         // Load the saved Cloudinary image URL if it exists
         setCurrentImageUrl(npc.imageUrl || null);
 
-        if (!audioPlayer) {
-            const player = new Audio();
-            setAudioPlayer(player);
-
-            // Cleanup function for when component unmounts
-            return () => {
-                player.pause();
-                player.currentTime = 0;
-                // Clean up all cached audio Blob URLs
-                Object.values(audioCache).forEach(url => {
-                    if (url.startsWith('blob:')) {
-                        URL.revokeObjectURL(url);
-                    }
-                });
-                if (player.src && player.src.startsWith('blob:')) {
-                    URL.revokeObjectURL(player.src);
-                }
-            };
-        }
+        return () => { isCancelled = true; };
     }, [npc.id]);
 
     const scrollToBottom = (elementId) => {
@@ -1280,25 +2717,33 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
     };
 
     useEffect(() => {
-        // Scroll to bottom whenever chat history updates
+        // Scroll to bottom whenever chat history updates or a streamed reply grows,
+        // except when older messages were added above
+        const container = document.getElementById('chat-container');
+        if (container && scrollAnchorRef.current !== null) {
+            container.scrollTop = container.scrollHeight - scrollAnchorRef.current;
+            scrollAnchorRef.current = null;
+            return;
+        }
         scrollToBottom('chat-container');
-    }, [chatHistory, isThinking]);
+    }, [chatHistory, isThinking, streamingText]);
+
+    useEffect(() => {
+        chatHistoryRef.current = chatHistory;
+    }, [chatHistory]);
 
     /**
      * FIX 1: The stopAudio function now reliably resets the playing state.
      */
     const stopAudio = useCallback(() => {
-        if (audioPlayer) {
-            audioPlayer.pause();
-            audioPlayer.currentTime = 0;
-            setPlayingMessageIndex(null);
-        }
-    }, [audioPlayer]);
+        speechQueue.stop();
+        setPlayingMessageIndex(null);
+    }, [speechQueue.stop]);
 
     useEffect(() => {
         return () => {
             stopAudio();
-            // The unmount cleanup is handled in the effect where audioPlayer is created.
+            // The speech queue closes its audio context when NpcChat unmounts.
         };
     }, [stopAudio]);
 
@@ -1335,6 +2780,55 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
         }
     };
 
+    const handleExport = async () => {
+        setIsExporting(true);
+        try {
+            downloadJsonFile(`${toFileSlug(npc.name)}.npc.json`, await createNpcBundle([{ ...npc, chats: await loadFullHistory() }]));
+            logUsage(userId, userEmail, 'npc_exported', { npcId: npc.id, npcName: npc.name });
+        } catch (error) {
+            console.error("Error exporting NPC:", error);
+            alert("Failed to export NPC. Please try again.");
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    /**
+     * Uploads the chunks of a spoken message that aren't linked from it yet and links them,
+     * so the line replays for free on any device. Best effort: failed uploads are skipped.
+     */
+    const saveSpeechToMessage = async (index, text, chunks) => {
+        const uploads = await Promise.all(chunks.filter(chunk => !chunk.saved).map(async chunk => {
+            try {
+                return { key: chunk.cacheKey, url: await uploadSpeechAudio(npc.id, chunk.cacheKey, await chunk.audioUrl) };
+            } catch (e) {
+                console.warn("Audio upload skipped:", e.message);
+                return null;
+            }
+        }));
+        const uploaded = uploads.filter(Boolean);
+        if (uploaded.length === 0) return;
+
+        // The message may have been rewound or replaced while uploading
+        const history = chatHistoryRef.current;
+        if (history[index]?.text !== text) return;
+
+        // Keep only links for this text in its current voice
+        const keys = new Set(chunks.map(chunk => chunk.cacheKey));
+        const audio = [
+            ...(history[index].audio || []).filter(entry => keys.has(entry.key) && !uploaded.some(u => u.key === entry.key)),
+            ...uploaded
+        ];
+        const updatedHistory = history.map((msg, i) => i === index ? { ...msg, audio } : msg);
+
+        setChatHistory(updatedHistory);
+        try {
+            await saveChatHistory(updatedHistory);
+        } catch (e) {
+            console.error("Error linking audio to message:", e);
+        }
+    };
+
     const handleSpeakClick = async (text, index) => {
         // If speaking THIS message, clicking the button should stop it immediately.
         if (playingMessageIndex === index) {
@@ -1342,66 +2836,50 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
             return;
         }
 
-        if (!audioPlayer) return;
-
         stopAudio(); // Ensure any existing audio stops
         setPlayingMessageIndex(index);
-        audioPlayer.src = '';
 
         try {
-            let audioUrl;
-
-            // Check if we have this audio cached
-            if (audioCache[text]) {
-                audioUrl = audioCache[text];
-            } else {
-                // Generate TTS using the NPC's structured data for voice selection
-                // Deduct credits (2 Gold) for NEW generation
-                await handleDeductCredits(2);
-
-                audioUrl = await textToSpeech(text, npc.structuredData);
+            // Load every sentence chunk in parallel; audio stored on this device or
+            // linked from the message is reused. The server charges 2 Gold for each
+            // line with at least one NEW chunk.
+            const savedAudio = chatHistoryRef.current[index]?.audio || [];
+            const chunks = await textToSpeechChunks(text, npc.structuredData, audioCache, savedAudio);
+            const newChunks = chunks.filter(chunk => chunk.source === 'new');
+
+            // Cache each chunk as soon as it is ready, for future replays
+            chunks.filter(chunk => chunk.source !== 'memory').forEach(chunk => {
+                chunk.audioUrl
+                    .then(audioUrl => setAudioCache(prev => ({ ...prev, [chunk.cacheKey]: audioUrl })))
+                    .catch(() => { });
+            });
 
-                if (!audioUrl) {
-                    throw new Error('TTS returned empty audio URL');
-                }
+            // Shared NPCs can't be uploaded to, so their audio is only kept on this device
+            if (!npc.isSharedNPC && chunks.some(chunk => !chunk.saved)) {
+                saveSpeechToMessage(index, text, chunks);
+            }
 
+            if (newChunks.length > 0) {
                 // Log TTS usage for analytics
                 const voiceId = npc.structuredData.voiceId?.split(' ')[0]?.trim();
                 const voiceData = getVoiceById(voiceId);
                 const ttsType = voiceData?.provider === 'elevenlabs' ? 'elevenlabs_tts' : 'gemini_tts';
 
-                await logUsage(userId, userEmail, ttsType, {
+                logUsage(userId, userEmail, ttsType, {
                     npcId: npc.id,
                     npcName: npc.name,
-                    voiceId: voiceId
+                    voiceId: voiceId,
+                    chunkCount: newChunks.length
                 });
-
-                // Cache the audio URL for future use
-                setAudioCache(prev => ({
-                    ...prev,
-                    [text]: audioUrl
-                }));
-            }
-
-            // Clean up old blob URL if present
-            if (audioPlayer.src.startsWith('blob:')) {
-                URL.revokeObjectURL(audioPlayer.src);
             }
 
-            audioPlayer.src = audioUrl;
-
-            // Play is now explicitly triggered by the user's click on the icon.
-            await audioPlayer.play();
-
-            audioPlayer.onended = () => {
-                setPlayingMessageIndex(null);
-                // Don't revoke cached URLs - keep them for replay
-            };
-            audioPlayer.onerror = (e) => {
-                console.error("Audio playback error:", audioPlayer.error?.message || e);
+            // Playback starts with the first chunk while the rest are still being generated
+            const finished = await speechQueue.play(chunks.map(chunk => chunk.audioUrl));
+            if (finished) {
                 setPlayingMessageIndex(null);
-            };
+            }
         } catch (e) {
+            speechQueue.stop();
             console.error("TTS Error:", e.message);
 
             if (e.message === "Insufficient funds") {
@@ -1431,176 +2909,425 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
 
 
     // Helper function to get NPC response, update state and Firestore
-    // Returns: { npcResponseText, isGoalAchieved, finalHistory }
+    // Returns: { npcResponseText, achievedGoals, finalHistory }
     const getNPCResponseAndUpdate = async (historyBeforeResponse, options = {}) => {
         const {
             checkGoal = false,
-            playAudioOnResponse = false
+            playAudioOnResponse = false,
+            memories = npcMemories,
+            steering = null
         } = options;
 
-        // Get NPC response (and check goal if needed)
-        const npcResponse = await getNPCResponse(
-            npc.structuredData,
-            historyBeforeResponse,
-            checkGoal ? currentSceneGoal : null
-        );
+        // The scene goals the NPC reports progress on
+        const openGoals = checkGoal ? getOpenGoals(historyBeforeResponse) : [];
+
+        // A dice roll the player just made is resolved by the NPC's reply
+        const lastMessage = historyBeforeResponse[historyBeforeResponse.length - 1];
+        const roll = lastMessage?.role === 'roll' ? lastMessage.roll : null;
+
+        // The NPC loses patience when the player steps into one of its pitfalls
+        const { patience } = getPatienceState(historyBeforeResponse);
+
+        // Long conversations are sent as a summary of the older turns plus the recent ones
+        const { start } = savedHistoryRef.current;
+        const previousSummary = findContextSummary(npc.contextSummaries, chatTreeRef.current, historyBeforeResponse, start);
+        const chatContext = buildChatContext(historyBeforeResponse, start, previousSummary);
+
+        // Stream the NPC response (and check goals if needed); it is only saved once complete
+        let npcResponse;
+        try {
+            npcResponse = await streamNPCResponse(
+                npc.structuredData,
+                chatContext.messages,
+                openGoals,
+                { campaign, memories, playerCharacters: presentPlayerCharacters, conversationSummary: chatContext.summary, disposition, patience, roll, steering },
+                setStreamingText
+            );
+        } finally {
+            setStreamingText(null);
+        }
 
-        // Handle response format (string or object with goalAchieved)
+        // Handle response format (string or object with goal progress and disposition)
         let npcResponseText;
-        let isGoalAchieved = false;
+        let goalProgress = [];
+        let newDisposition = null;
+        let newSecretReveals = [];
+        let pitfall = null;
 
         if (typeof npcResponse === 'string') {
             npcResponseText = npcResponse;
         } else {
             npcResponseText = npcResponse.response;
-            isGoalAchieved = npcResponse.goalAchieved;
+            goalProgress = npcResponse.goalProgress || [];
+            newDisposition = npcResponse.disposition;
+            newSecretReveals = npcResponse.secretReveals || [];
+            pitfall = npcResponse.pitfall;
+
+            // Record the DC the NPC chose for a roll made without one
+            if (roll && roll.dc === null && npcResponse.dc !== null) {
+                const resolvedRoll = { ...roll, dc: npcResponse.dc, success: roll.total >= npcResponse.dc };
+                historyBeforeResponse = [
+                    ...historyBeforeResponse.slice(0, -1),
+                    { ...lastMessage, text: formatRoll(resolvedRoll), roll: resolvedRoll }
+                ];
+            }
         }
 
         // Create NPC message
         const npcMsg = {
             role: 'npc',
             text: npcResponseText,
-            timestamp: new Date().toISOString()
+            timestamp: new Date().toISOString(),
+            ...(goalProgress.length > 0 && { goalProgress }),
+            ...(newSecretReveals.length > 0 && { secretReveals: newSecretReveals }),
+            ...(pitfall && { pitfall })
         };
 
+        // Log what was given away, and mark secrets the NPC revealed in full as known
+        const profileSecrets = getSecrets(npc.structuredData);
+        const revealLog = newSecretReveals.map(reveal => ({
+            ...reveal,
+            secret: profileSecrets[reveal.secretIndex]?.text || '',
+            messageTimestamp: npcMsg.timestamp,
+            createdAt: npcMsg.timestamp
+        }));
+        const fullyRevealed = newSecretReveals.filter(reveal => reveal.level === 'full').map(reveal => reveal.secretIndex);
+        const hasNewlyKnownSecret = profileSecrets.some((secret, i) => !secret.revealed && fullyRevealed.includes(i));
+
         let finalHistory = [...historyBeforeResponse, npcMsg];
 
         // Update state
         setChatHistory(finalHistory);
 
         // Update Firestore
-        const collectionPath = npc.isSharedNPC ? sharedNpcCollectionPath(appId, userId) : npcCollectionPath(appId, userId);
-        const npcRef = doc(db, collectionPath, npc.id);
-        await updateDoc(npcRef, {
-            chats: finalHistory,
-            updatedAt: new Date().toISOString()
+        await saveChatHistory(finalHistory, {
+            ...(newDisposition !== null && newDisposition !== disposition && { disposition: newDisposition }),
+            ...(revealLog.length > 0 && { secretReveals: [...secretReveals, ...revealLog] }),
+            ...(hasNewlyKnownSecret && {
+                structuredData: {
+                    ...normalizeProfile(npc.structuredData),
+                    secrets: profileSecrets.map((secret, i) => (fullyRevealed.includes(i) ? { ...secret, revealed: true } : secret))
+                }
+            })
         });
 
+        for (const reveal of revealLog) {
+            await logUsage(userId, userEmail, 'secret_revealed', {
+                npcId: npc.id,
+                npcName: npc.name,
+                level: reveal.level
+            });
+        }
+
+        if (pitfall) {
+            await logUsage(userId, userEmail, 'pitfall_triggered', {
+                npcId: npc.id,
+                npcName: npc.name,
+                patienceLeft: getPatienceState(finalHistory).patience
+            });
+        }
+
         // Auto-play audio if requested and enabled
         if (playAudioOnResponse && isAutoPlayEnabled && npc.structuredData.voiceId) {
-            const voiceId = npc.structuredData.voiceId.split(' ')[0];
             const npcMessageIndex = historyBeforeResponse.length;
-            await playAudio(npcResponseText, voiceId, npcMessageIndex);
+            handleSpeakClick(npcResponseText, npcMessageIndex);
         }
 
-        return { npcResponseText, isGoalAchieved, finalHistory };
-    };
+        if (chatContext.summarize) {
+            updateContextSummary(chatContext.summary, chatContext.summarize, finalHistory, start);
+        }
 
-    const handleSend = async () => {
-        const text = message.trim();
-        if (!text || isThinking) return;
+        const achievedGoals = openGoals.filter(goal =>
+            goalProgress.some(({ goalIndex, progress }) => goalIndex === goal.index && progress === 'achieved'));
+
+        return { npcResponseText, achievedGoals, finalHistory };
+    };
 
-        // Check for slash command /scene
-        if (text.toLowerCase().startsWith('/scene')) {
-            const sceneText = text.substring(6).trim();
+    /**
+     * Folds older turns into the active branch's conversation summary. Runs in the background
+     * after a reply; if it fails, the turns are still sent as they are and it is tried again later.
+     * Turns before the loaded history that the summary doesn't cover yet are loaded and folded first.
+     */
+    const updateContextSummary = async (previousSummary, summarize, history, start) => {
+        if (isSummarizingRef.current) return;
 
-            // If no text after /scene, open the scene modal
-            if (!sceneText) {
-                setMessage('');
-                handleOpenSceneWizard();
-                return;
+        isSummarizingRef.current = true;
+        const { branches, activeBranchId: branchId } = chatTreeRef.current;
+        try {
+            if (!summarize.messages) {
+                history = await loadMessages(getNpcRef(), branches, branchId, summarize.from, summarize.upTo);
+                start = summarize.from;
+                summarize = { ...summarize, messages: history.filter(msg => msg.role !== 'note') };
             }
 
-            stopAudio();
-            setMessage('');
-            setIsThinking(true);
+            const text = summarize.messages.length > 0
+                ? await summarizeConversation(npc.structuredData, previousSummary, summarize.messages)
+                : previousSummary || '';
+            await updateNpc(getNpcRef(), {
+                [`contextSummaries.${branchId}`]: createContextSummary(history, start, summarize, text)
+            });
+        } catch (e) {
+            console.error("Error updating conversation summary:", e);
+        } finally {
+            isSummarizingRef.current = false;
+        }
+    };
 
-            const sceneMsg = { role: 'scene', text: sceneText, timestamp: new Date().toISOString() };
-            const newHistory = [...chatHistory, sceneMsg];
+    /**
+     * Distills the scene that is ending into the NPC's long-term memory and persists it.
+     * Returns the updated memories (or the current ones if there was nothing to remember or it failed).
+     */
+    const rememberEndingScene = async (history) => {
+        const sceneStart = history.map(msg => msg.role).lastIndexOf('scene');
+        const sceneMessages = history.slice(Math.max(sceneStart, 0));
+        if (!sceneMessages.some(msg => msg.role === 'npc')) return npcMemories;
 
-            // Parse and store the goal from this scene
-            const goal = parseGoalFromScene(sceneText);
-            if (goal) {
-                setCurrentSceneGoal(goal);
-                setGoalAchievedForScene(null); // Reset achievement status for new scene
-            }
+        try {
+            const previousAttitude = npcMemories[npcMemories.length - 1]?.attitude || null;
+            const memory = await summarizeSceneMemory(npc.structuredData, sceneMessages, previousAttitude);
+            const memories = [...npcMemories, memory].slice(-MAX_NPC_MEMORIES);
 
-            // Clear scene cache after adding scene to conversation
-            delete sceneCache.current[npc.id];
-            setStartingSceneText('');
+            const collectionPath = npc.isSharedNPC ? sharedNpcCollectionPath(appId, userId) : npcCollectionPath(appId, userId);
+            await updateNpc(doc(db, collectionPath, npc.id), {
+                memories,
+                updatedAt: new Date().toISOString()
+            });
+            return memories;
+        } catch (e) {
+            console.error("Error remembering scene:", e);
+            return npcMemories;
+        }
+    };
 
-            setChatHistory(newHistory);
-            scrollToBottom('chat-container');
+    const handleDispositionChange = async (value) => {
+        try {
+            const collectionPath = npc.isSharedNPC ? sharedNpcCollectionPath(appId, userId) : npcCollectionPath(appId, userId);
+            await updateNpc(doc(db, collectionPath, npc.id), {
+                disposition: value,
+                updatedAt: new Date().toISOString()
+            });
+        } catch (e) {
+            console.error("Error updating disposition:", e);
+            alert("Failed to update disposition. Please try again.");
+        }
+    };
 
-            try {
-                // Get NPC response to the scene
-                await getNPCResponseAndUpdate(
-                    newHistory,
-                    { checkGoal: false, playAudioOnResponse: isAutoPlayEnabled }
-                );
+    const handleGenerateStatBlock = async () => {
+        if (npc.statBlock && !window.confirm("Replace the current stat block with a new one?")) return;
 
-                // Log usage
-                await logUsage(userId, userEmail, 'scene_command', {
-                    npcId: npc.id,
-                    sceneLength: sceneText.length
-                });
+        setIsGeneratingStatBlock(true);
+        try {
+            const { statBlock } = await generateStatBlock(npc.structuredData);
+            await handleSaveStatBlock(statBlock);
+        } catch (e) {
+            console.error("Error generating stat block:", e);
+            alert("Failed to generate stat block. Please try again.");
+        } finally {
+            setIsGeneratingStatBlock(false);
+        }
+    };
 
-            } catch (e) {
-                console.error("Error after scene command:", e);
-                alert("Scene added, but NPC couldn't respond. Please try sending a message.");
-            } finally {
-                setIsThinking(false);
-            }
+    const handleSaveStatBlock = async (statBlock) => {
+        await updateNpc(doc(db, npcCollectionPath(appId, userId), npc.id), {
+            statBlock,
+            updatedAt: new Date().toISOString()
+        });
+    };
+
+    // --- Journal ---
+
+    // Recaps can cover any scene, so the whole conversation is loaded first
+    const handleOpenRecap = async () => {
+        try {
+            await loadFullHistory();
+            setIsRecapModalOpen(true);
+        } catch (e) {
+            console.error("Error loading conversation:", e);
+            alert("Failed to load the conversation. Please try again.");
+        }
+    };
+
+    const handleGenerateRecap = async (fromScene, toScene) => {
+        setIsGeneratingRecap(true);
+        try {
+            const messages = getRecapMessages(chatHistory, fromScene, toScene);
+            const recap = await generateRecap(npc.structuredData, messages, campaign);
+
+            const entryRef = doc(collection(db, journalCollectionPath(appId, userId)));
+            await setDoc(entryRef, {
+                ...recap,
+                id: entryRef.id,
+                npcId: npc.id,
+                npcName: npc.name,
+                campaignId: npc.campaignId || null,
+                messageCount: messages.length,
+                createdAt: new Date().toISOString(),
+                ownerId: userId
+            });
+
+            await logUsage(userId, userEmail, 'recap_generated', {
+                npcId: npc.id,
+                messageCount: messages.length
+            });
+            setIsRecapModalOpen(false);
+        } catch (e) {
+            console.error("Error generating recap:", e);
+            alert("Failed to generate recap. Please try again.");
+        } finally {
+            setIsGeneratingRecap(false);
+        }
+    };
+
+    const handleDeleteJournalEntry = async (entryId) => {
+        if (!window.confirm("Delete this journal entry?")) return;
+        try {
+            await deleteDoc(doc(db, journalCollectionPath(appId, userId), entryId));
+        } catch (e) {
+            console.error("Error deleting journal entry:", e);
+            alert("Failed to delete journal entry. Please try again.");
+        }
+    };
+
+    const handleExportJournal = () => {
+        downloadTextFile(
+            `${toFileSlug(npc.name)}-journal.md`,
+            formatJournalMarkdown(`${npc.name} — Journal`, journalEntries),
+            'text/markdown'
+        );
+    };
 
-            scrollToBottom('chat-container');
+    const handleDeleteMemory = async (index) => {
+        try {
+            const collectionPath = npc.isSharedNPC ? sharedNpcCollectionPath(appId, userId) : npcCollectionPath(appId, userId);
+            await updateNpc(doc(db, collectionPath, npc.id), {
+                memories: npcMemories.filter((_, i) => i !== index),
+                updatedAt: new Date().toISOString()
+            });
+        } catch (e) {
+            console.error("Error deleting memory:", e);
+            alert("Failed to delete memory. Please try again.");
+        }
+    };
+
+    const handleDeleteSecretReveal = async (index) => {
+        try {
+            const collectionPath = npc.isSharedNPC ? sharedNpcCollectionPath(appId, userId) : npcCollectionPath(appId, userId);
+            await updateNpc(doc(db, collectionPath, npc.id), {
+                secretReveals: secretReveals.filter((_, i) => i !== index),
+                updatedAt: new Date().toISOString()
+            });
+        } catch (e) {
+            console.error("Error deleting secret reveal:", e);
+            alert("Failed to delete the entry. Please try again.");
+        }
+    };
+
+    /**
+     * /scene: adds a new scene the NPC reacts to, or opens the scene wizard when no scene is given.
+     */
+    const handleSceneCommand = async (sceneText) => {
+        // If no text after /scene, open the scene modal
+        if (!sceneText) {
+            handleOpenSceneWizard();
             return;
         }
 
         stopAudio();
         setIsThinking(true);
-        setMessage('');
 
-        const userMsg = { role: 'user', text: text, timestamp: new Date().toISOString() };
+        const sceneMsg = createSceneMessage(parseSceneText(sceneText));
+        const newHistory = [...chatHistory, sceneMsg];
+
+        // Clear scene cache after adding scene to conversation
+        delete sceneCache.current[npc.id];
+        setStartingScene(null);
 
-        // 1. Optimistically update the UI immediately with user message
-        const newHistory = [...chatHistory, userMsg];
         setChatHistory(newHistory);
         scrollToBottom('chat-container');
 
         try {
-            // 2. Get NPC response (with goal checking if applicable)
-            const shouldCheckGoal = currentSceneGoal && goalAchievedForScene === null;
-            const { npcResponseText, isGoalAchieved, finalHistory: historyWithNPC } = await getNPCResponseAndUpdate(
+            // The previous scene is over - let the NPC remember it before reacting to the new one
+            const memories = await rememberEndingScene(chatHistory);
+
+            // Get NPC response to the scene
+            await getNPCResponseAndUpdate(
                 newHistory,
-                { checkGoal: shouldCheckGoal, playAudioOnResponse: false }
+                { checkGoal: false, playAudioOnResponse: isAutoPlayEnabled, memories }
             );
 
-            let finalHistory = historyWithNPC;
+            // Log usage
+            await logUsage(userId, userEmail, 'scene_command', {
+                npcId: npc.id,
+                sceneLength: sceneText.length
+            });
 
-            // 3. If goal was achieved, add achievement message
-            if (isGoalAchieved && shouldCheckGoal) {
-                // Find the index of the most recent scene to mark it as achieved
-                let mostRecentSceneIndex = -1;
-                for (let i = finalHistory.length - 1; i >= 0; i--) {
-                    if (finalHistory[i].role === 'scene') {
-                        mostRecentSceneIndex = i;
-                        break;
-                    }
-                }
+        } catch (e) {
+            console.error("Error after scene command:", e);
+            alert("Scene added, but NPC couldn't respond. Please try sending a message.");
+        } finally {
+            setIsThinking(false);
+        }
 
-                // Add goal achievement message
-                const goalAchievedMsg = {
-                    role: 'goal_achieved',
-                    text: currentSceneGoal,
-                    timestamp: new Date().toISOString()
-                };
-                finalHistory = [...finalHistory, goalAchievedMsg];
-                setGoalAchievedForScene(mostRecentSceneIndex);
+        scrollToBottom('chat-container');
+    };
+
+    /**
+     * Shows `newHistory` (ending with the player's latest message) and gets the NPC's reply.
+     * With `forkIndex`, the reply goes on a new branch that keeps the first `forkIndex` messages, so a
+     * regenerated or edited exchange doesn't replace the old one. With `steering`, the GM's direction
+     * for the reply. If the NPC can't respond, the chat goes back to how it was and `typedText` is
+     * restored to the input.
+     */
+    const sendToNpc = async (newHistory, { typedText = '', forkIndex = null, steering = null } = {}) => {
+        const previousHistory = chatHistory;
+        const previousTree = chatTreeRef.current;
+        const previousSaved = savedHistoryRef.current;
+
+        stopAudio();
+        setIsThinking(true);
+
+        // 1. Optimistically update the UI immediately with user message
+        if (forkIndex !== null) {
+            forkChatTree(forkIndex);
+        }
+        setChatHistory(newHistory);
+        scrollToBottom('chat-container');
+
+        try {
+            // 2. Get NPC response (with progress on the scene's open goals)
+            const { npcResponseText, achievedGoals, finalHistory: historyWithNPC } = await getNPCResponseAndUpdate(
+                newHistory,
+                { checkGoal: true, playAudioOnResponse: false, steering }
+            );
 
-                // Clear scene cache so next scene will be freshly generated
-                delete sceneCache.current[npc.id];
-                setStartingSceneText('');
+            let finalHistory = historyWithNPC;
+            const npcMessageIndex = historyWithNPC.length - 1;
+
+            // 3. Add an achievement message for each goal the reply achieved
+            if (achievedGoals.length > 0) {
+                const timestamp = new Date().toISOString();
+                finalHistory = [
+                    ...finalHistory,
+                    ...achievedGoals.map(goal => ({
+                        role: 'goal_achieved',
+                        text: goal.text,
+                        goalIndex: goal.index,
+                        optional: goal.optional,
+                        timestamp
+                    }))
+                ];
+
+                // Once the scene is complete, the next scene will be freshly generated
+                if (getSceneGoalState(finalHistory).isComplete) {
+                    delete sceneCache.current[npc.id];
+                    setStartingScene(null);
+                }
 
                 // Play success sound
                 playSuccessSound();
 
-                // Update Firestore with goal achieved message
-                const collectionPath = npc.isSharedNPC ? sharedNpcCollectionPath(appId, userId) : npcCollectionPath(appId, userId);
-                const npcRef = doc(db, collectionPath, npc.id);
-                await updateDoc(npcRef, {
-                    chats: finalHistory,
-                    updatedAt: new Date().toISOString()
-                });
+                // Update Firestore with the goal achieved messages
+                await saveChatHistory(finalHistory);
 
                 setChatHistory(finalHistory);
             }
@@ -1614,19 +3341,17 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
 
             // 5. Auto-play if enabled
             if (isAutoPlayEnabled) {
-                // The new message is at the end of finalHistory (or second to last if goal achieved)
-                const npcMessageIndex = finalHistory[finalHistory.length - 1].role === 'goal_achieved'
-                    ? finalHistory.length - 2
-                    : finalHistory.length - 1;
                 handleSpeakClick(npcResponseText, npcMessageIndex);
             }
 
         } catch (e) {
             console.error("Chat Error:", e);
             // Revert optimistic update or show error
-            setChatHistory(prev => prev.slice(0, prev.length - 1));
+            applyChatTree(previousTree);
+            savedHistoryRef.current = previousSaved;
+            setChatHistory(previousHistory);
             // Restore the message so the user doesn't have to retype it
-            setMessage(text);
+            if (typedText) setMessage(typedText);
 
             // Show user-friendly error message
             let errorMessage = `${npc.name} couldn't respond right now.\n\n`;
@@ -1634,6 +3359,8 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
                 errorMessage += "⏳ The service is currently busy. Please wait 10-30 seconds and try again.\n\nYour message has been restored so you can easily resend it.";
             } else if (e.message && e.message.includes("Content blocked")) {
                 errorMessage += "Your message may have triggered content filters. Try rephrasing it.";
+            } else if (e.message && e.message.includes("too fast")) {
+                errorMessage += `${e.message}\n\nYour message has been restored.`;
             } else {
                 errorMessage += "Something went wrong. Please try again in a moment.\n\nYour message has been restored.";
             }
@@ -1647,42 +3374,202 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
         }
     };
 
-    const handleRollbackToScene = async (sceneIndex) => {
-        const message = chatHistory[sceneIndex];
-        if (!message || (message.role !== 'scene' && message.role !== 'goal_achieved')) return;
-
-        // Don't allow rollback to protected first scene
-        const isProtectedScene = npc.protectedFirstScene && sceneIndex === 0 && chatHistory[0].role === 'scene';
-        if (isProtectedScene) return;
+    const handleSend = async () => {
+        const text = message.trim();
+        if (!text || isThinking) return;
+
+        let command;
+        try {
+            command = parseChatCommand(text);
+        } catch (e) {
+            alert(e.message);
+            return;
+        }
+
+        // Once the NPC has ended the conversation, it doesn't answer the players until a new scene or a rewind
+        if (patienceState.isExhausted && (!command || ['roll', 'whisper'].includes(command.name))) {
+            alert(`${npc.name} has run out of patience and ended the conversation. Set a new scene or rewind to carry on.`);
+            return;
+        }
+
+        setMessage('');
+        if (command) {
+            await commandHandlers[command.name](command.args, text);
+        } else {
+            await sendToNpc([...chatHistory, { role: 'user', text: text, ...speakerFields, timestamp: new Date().toISOString() }], { typedText: text });
+        }
+    };
+
+    // --- Message Actions ---
+
+    // The old reply stays on the branch we leave behind
+    const handleRegenerateReply = (index, steering) => {
+        if (isThinking) return;
+        return sendToNpc(chatHistory.slice(0, index), { forkIndex: index, steering: steering || null });
+    };
 
+    // Re-runs the conversation from an edited player message, on a new branch
+    const handleEditMessage = (index, text) => {
+        if (isThinking) return;
+        const editedMsg = { ...chatHistory[index], text, timestamp: new Date().toISOString() };
+        return sendToNpc([...chatHistory.slice(0, index), editedMsg], { forkIndex: index });
+    };
+
+    const handleDeleteMessage = async (index) => {
         // Use slight delay to allow UI to settle before native block
         await new Promise(resolve => setTimeout(resolve, 50));
+        if (!window.confirm("Delete this message?")) return;
+
+        const newHistory = chatHistory.filter((_, i) => i !== index);
+        try {
+            await saveChatHistory(newHistory);
+
+            stopAudio();
+            setChatHistory(newHistory);
+        } catch (e) {
+            console.error("Error deleting message:", e);
+            alert("Failed to delete message. Please try again.");
+        }
+    };
+
+    // --- Chat Commands ---
+
+    // What each command in CHAT_COMMANDS does; `typedText` is the command as it was typed
+    const commandHandlers = {
+        scene: ({ text }) => handleSceneCommand(text),
+        roll: ({ roll }, typedText) => sendToNpc(
+            [...chatHistory, { role: 'roll', text: formatRoll(roll), roll, ...speakerFields, timestamp: new Date().toISOString() }],
+            { typedText }
+        ),
+        whisper: ({ text }, typedText) => sendToNpc(
+            [...chatHistory, { role: 'user', text, whisper: true, ...speakerFields, timestamp: new Date().toISOString() }],
+            { typedText }
+        ),
+        ooc: ({ text }) => addNote('Out of character', text),
+        rewind: ({ count }) => handleRewindCommand(count),
+        summary: () => handleSummaryCommand(),
+        image: () => {
+            if (npc.isSharedNPC) return alert("You can't change the portrait of a shared NPC.");
+            return handleRegenerateImage();
+        },
+        voice: ({ voice }) => handleVoiceCommand(voice),
+        help: () => alert(`Chat commands:\n\n${getCommandHelp()}`)
+    };
+
+    /**
+     * Adds a note to the chat. Notes are for the table only and are never sent to the NPC.
+     */
+    const addNote = async (label, text) => {
+        const previousHistory = chatHistoryRef.current;
+        const newHistory = [...previousHistory, { role: 'note', label, text, timestamp: new Date().toISOString() }];
+        setChatHistory(newHistory);
+
+        try {
+            await saveChatHistory(newHistory);
+        } catch (e) {
+            console.error("Error saving note:", e);
+            setChatHistory(previousHistory);
+            alert("Failed to save the note. Please try again.");
+        }
+    };
+
+    const handleRewindCommand = async (count) => {
+        // The protected starting scene is never rewound
+        const keepCount = npc.protectedFirstScene && historyStart === 0 && chatHistory[0]?.role === 'scene' ? 1 : 0;
+        const newLength = Math.max(keepCount, chatHistory.length - count);
+        const removedCount = chatHistory.length - newLength;
+        if (removedCount === 0) {
+            alert("There is nothing to rewind.");
+            return;
+        }
+
+        try {
+            // The removed messages stay on the branch we leave behind
+            forkChatTree(newLength);
+            await saveChatTree(chatTreeRef.current);
+
+            const newHistory = chatHistory.slice(0, newLength);
+            stopAudio();
+            setChatHistory(newHistory);
+
+            await logUsage(userId, userEmail, 'rewind_command', {
+                npcId: npc.id,
+                messageCount: removedCount
+            });
+        } catch (e) {
+            console.error("Error rewinding conversation:", e);
+            alert("Failed to rewind. Please try again.");
+        }
+    };
+
+    const handleSummaryCommand = async () => {
+        const sceneStart = chatHistory.map(msg => msg.role).lastIndexOf('scene');
+        const sceneMessages = chatHistory.slice(Math.max(sceneStart, 0));
+        if (!sceneMessages.some(msg => msg.role === 'npc')) {
+            alert(`${npc.name} hasn't said anything in this scene yet.`);
+            return;
+        }
+
+        setIsThinking(true);
+        try {
+            const previousAttitude = npcMemories[npcMemories.length - 1]?.attitude || null;
+            const { summary } = await summarizeSceneMemory(npc.structuredData, sceneMessages, previousAttitude);
+            await addNote('Scene summary', summary);
+
+            await logUsage(userId, userEmail, 'summary_command', { npcId: npc.id });
+        } catch (e) {
+            console.error("Error summarizing scene:", e);
+            alert("Failed to summarize the scene. Please try again.");
+        } finally {
+            setIsThinking(false);
+        }
+    };
+
+    const handleVoiceCommand = async (voice) => {
+        if (npc.isSharedNPC) {
+            alert("You can't change the voice of a shared NPC.");
+            return;
+        }
+
+        // Without a name the AI picks a voice that suits the NPC
+        const newVoice = voice || await handleRegenerateVoice();
+        if (!newVoice) {
+            alert("Failed to pick a new voice. Please try again.");
+            return;
+        }
+
+        try {
+            await handleUpdateField('voiceId', newVoice);
+            await addNote('Voice', `${npc.name} now speaks with the ${newVoice.split(' ')[0]} voice.`);
+        } catch (e) {
+            alert("Failed to change the voice. Please try again.");
+        }
+    };
+
+    const handleRollbackToScene = async (sceneIndex) => {
+        const message = chatHistory[sceneIndex];
+        if (!message || (message.role !== 'scene' && message.role !== 'goal_achieved')) return;
 
-        if (!window.confirm("Rollback to this point? This will clear all conversation after it.")) return;
+        // Don't allow rollback to protected first scene
+        const isProtectedScene = npc.protectedFirstScene && historyStart + sceneIndex === 0 && chatHistory[0].role === 'scene';
+        if (isProtectedScene) return;
 
+        // Nothing is lost: the conversation after this point stays on the branch we leave
         try {
             if (message.role === 'scene') {
-                // For scenes: remove the scene and everything after it
+                // For scenes: branch off just before the scene
                 const newHistory = chatHistory.slice(0, sceneIndex);
+                forkChatTree(sceneIndex);
 
-                // Put the scene text in cache and state
-                sceneCache.current[npc.id] = message.text;
-                setStartingSceneText(message.text);
-
-                // Reset goal tracking state
-                setCurrentSceneGoal(null);
-                setGoalAchievedForScene(null);
+                // Put the scene in cache and state
+                sceneCache.current[npc.id] = getScene(message);
+                setStartingScene(getScene(message));
 
                 // Update chat history in state and Firestore
                 setChatHistory(newHistory);
 
                 if (db) {
-                    const collectionPath = npc.isSharedNPC ? sharedNpcCollectionPath(appId, userId) : npcCollectionPath(appId, userId);
-                    const npcRef = doc(db, collectionPath, npc.id);
-                    await updateDoc(npcRef, {
-                        chats: newHistory,
-                        updatedAt: new Date().toISOString()
-                    });
+                    await saveChatTree(chatTreeRef.current);
                 }
 
                 // Log usage
@@ -1695,19 +3582,15 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
                 setIsSceneWizardOpen(true);
 
             } else if (message.role === 'goal_achieved') {
-                // For goal_achieved: keep the goal_achieved message, remove everything after it
+                // For goal_achieved: branch off right after the goal_achieved message
                 const newHistory = chatHistory.slice(0, sceneIndex + 1);
+                forkChatTree(sceneIndex + 1);
 
                 // Update chat history in state and Firestore
                 setChatHistory(newHistory);
 
                 if (db) {
-                    const collectionPath = npc.isSharedNPC ? sharedNpcCollectionPath(appId, userId) : npcCollectionPath(appId, userId);
-                    const npcRef = doc(db, collectionPath, npc.id);
-                    await updateDoc(npcRef, {
-                        chats: newHistory,
-                        updatedAt: new Date().toISOString()
-                    });
+                    await saveChatTree(chatTreeRef.current);
                 }
 
                 // Log usage
@@ -1730,10 +3613,13 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
         if (e && e.stopPropagation) e.stopPropagation();
         if (e && e.preventDefault) e.preventDefault();
 
-        const hasProtectedScene = npc.protectedFirstScene && chatHistory.length > 0 && chatHistory[0].role === 'scene';
-        const confirmMessage = hasProtectedScene
+        // The protected starting scene is always the first message
+        const hasProtectedScene = npc.protectedFirstScene && (historyStart > 0 || chatHistory[0]?.role === 'scene');
+        const branchCount = Object.keys(chatTreeRef.current.branches).length;
+        const confirmMessage = (hasProtectedScene
             ? "This will clear the conversation but keep the protected starting scene. Continue?"
-            : "Are you sure you want to clear the conversation history? This cannot be undone.";
+            : "Are you sure you want to clear the conversation history? This cannot be undone.") +
+            (branchCount > 1 ? `\n\nAll ${branchCount} branches will be cleared.` : '');
 
         // Use slight delay to ensure UI is clean before blocking
         await new Promise(resolve => setTimeout(resolve, 50));
@@ -1741,28 +3627,31 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
         if (!window.confirm(confirmMessage)) return;
 
         try {
-            const hasProtectedScene = npc.protectedFirstScene && chatHistory.length > 0 && chatHistory[0].role === 'scene';
+            // The first message may be before the loaded ones
+            const npcRef = getNpcRef();
+            const { branches, activeBranchId } = chatTreeRef.current;
+            const [firstMessage] = historyStart === 0 ? chatHistory : await loadMessages(npcRef, branches, activeBranchId, 0, 1);
 
             // Save the first scene to cache if it exists
-            if (chatHistory.length > 0 && chatHistory[0].role === 'scene') {
-                sceneCache.current[npc.id] = chatHistory[0].text;
-                setStartingSceneText(chatHistory[0].text);
+            if (firstMessage?.role === 'scene') {
+                sceneCache.current[npc.id] = getScene(firstMessage);
+                setStartingScene(getScene(firstMessage));
             }
 
             // Determine what to reset to
-            const newChats = hasProtectedScene ? [chatHistory[0]] : [];
+            const newChats = hasProtectedScene && firstMessage?.role === 'scene' ? [firstMessage] : [];
 
-            const collectionPath = npc.isSharedNPC ? sharedNpcCollectionPath(appId, userId) : npcCollectionPath(appId, userId);
-            const npcRef = doc(db, collectionPath, npc.id);
-            await updateDoc(npcRef, {
-                chats: newChats,
+            await deleteChatMessages(npcRef);
+            const { tree, changes } = setBranchHistory(createChatTree(), 0, [], newChats);
+            await saveChatChanges(npcRef, changes, {
+                ...chatTreeFields(tree),
+                contextSummaries: {},
                 updatedAt: new Date().toISOString()
             });
 
-            setChatHistory(newChats);
+            applyChatTree(tree);
+            showLoadedHistory(0, newChats);
             setPlayingMessageIndex(null);
-            setCurrentSceneGoal(null);
-            setGoalAchievedForScene(null);
 
             // Log usage
             await logUsage(userId, userEmail, 'reset_conversation', { npcId: npc.id });
@@ -1773,20 +3662,58 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
         }
     };
 
+    // --- Player Characters ---
 
-    const handleKeyDown = (e) => {
-        if (e.key === 'Enter' && !e.shiftKey) {
-            e.preventDefault();
-            handleSend();
+    const handlePresentPlayerCharactersChange = async (ids) => {
+        try {
+            await updateNpc(getNpcRef(), { presentPlayerCharacterIds: ids });
+        } catch (e) {
+            console.error("Error updating player characters present:", e);
+            alert("Failed to update who is present. Please try again.");
+        }
+    };
+
+    // --- Conversation Branches ---
+
+    // Saves changes to the branches themselves; their messages are saved by saveChatHistory
+    const saveChatTree = async (tree) => {
+        await updateNpc(getNpcRef(), {
+            ...chatTreeFields(tree),
+            updatedAt: new Date().toISOString()
+        });
+        applyChatTree(tree);
+    };
+
+    const handleSwitchBranch = async (branchId) => {
+        try {
+            const tree = switchBranch(chatTreeRef.current, branchId);
+            const { start, messages } = await loadRecentMessages(getNpcRef(), tree.branches, branchId);
+            await saveChatTree(tree);
+
+            stopAudio();
+            showLoadedHistory(start, messages);
+
+            await logUsage(userId, userEmail, 'switch_branch', { npcId: npc.id });
+        } catch (e) {
+            console.error("Error switching branch:", e);
+            alert("Failed to switch branch. Please try again.");
+        }
+    };
+
+    const handleMarkCanonical = async () => {
+        try {
+            await saveChatTree({ ...chatTreeRef.current, canonicalBranchId: chatTreeRef.current.activeBranchId });
+        } catch (e) {
+            console.error("Error marking canonical branch:", e);
+            alert("Failed to mark the branch. Please try again.");
         }
     };
 
+
     const handleRegenerateImage = async () => {
         setIsImageGenerating(true);
         try {
-            // Deduct credits (5 Gold)
-            await handleDeductCredits(5);
-
+            // The server charges 5 Gold for the portrait
             const data = npc.structuredData;
 
             // Step 1: Generate image with DALL-E 3 and upload to Cloudinary (via backend)
@@ -1808,7 +3735,7 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
             if (db) {
                 try {
                     const npcRef = doc(db, npcCollectionPath(appId, userId), npc.id);
-                    await updateDoc(npcRef, {
+                    await updateNpc(npcRef, {
                         imageUrl: cloudinaryUrl,
                         cloudinaryImageId: cloudinaryImageId
                     });
@@ -1829,6 +3756,15 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
         }
     };
 
+    const handleCampaignChange = async (campaignName) => {
+        const newCampaign = campaigns.find(c => c.name === campaignName);
+        const collectionPath = npc.isSharedNPC ? sharedNpcCollectionPath(appId, userId) : npcCollectionPath(appId, userId);
+        await updateNpc(doc(db, collectionPath, npc.id), {
+            campaignId: newCampaign?.id || null,
+            updatedAt: new Date().toISOString()
+        });
+    };
+
     const handleUpdateField = async (field, value) => {
         // Prevent updates to shared NPCs
         if (npc.isSharedNPC) {
@@ -1855,23 +3791,24 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
             if (field === 'name') {
                 // Update both top-level name AND structuredData.name to keep them in sync
                 const updatedStructuredData = {
-                    ...npc.structuredData,
+                    ...normalizeProfile(npc.structuredData),
                     name: value
                 };
 
-                await updateDoc(npcRef, {
+                await updateNpc(npcRef, {
                     name: value,
                     structuredData: updatedStructuredData,
                     updatedAt: new Date().toISOString()
                 });
             } else {
                 // Create the updated structuredData object for other fields
+                // (saving any profile also moves old single-string wants and secrets to lists)
                 const updatedStructuredData = {
-                    ...npc.structuredData,
+                    ...normalizeProfile(npc.structuredData),
                     [field]: value
                 };
 
-                await updateDoc(npcRef, {
+                await updateNpc(npcRef, {
                     structuredData: updatedStructuredData,
                     updatedAt: new Date().toISOString()
                 });
@@ -1883,18 +3820,18 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
         }
     };
 
-    const handleRegenerateField = async (field) => {
+    const handleRegenerateField = async (field, index = null) => {
         try {
-            return await regenerateNPCField(npc.structuredData, field);
+            return await regenerateNPCField(npc.structuredData, field, index);
         } catch (e) {
             console.error("Error regenerating field:", e);
             return null;
         }
     };
 
-    const handleExpandField = async (field) => {
+    const handleExpandField = async (field, index = null) => {
         try {
-            return await expandNPCField(npc.structuredData, field);
+            return await expandNPCField(npc.structuredData, field, index);
         } catch (e) {
             console.error("Error expanding field:", e);
             return null;
@@ -1915,27 +3852,25 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
 
     const handleOpenSceneWizard = () => {
         setIsSceneWizardOpen(true);
-        setIsEditingScene(false); // Reset mobile editing state
         // Check cache first
         if (sceneCache.current[npc.id]) {
-            setStartingSceneText(sceneCache.current[npc.id]);
-        } else if (!startingSceneText) {
+            setStartingScene(sceneCache.current[npc.id]);
+        } else if (!startingScene) {
             handleGenerateStartingScene();
         }
     };
 
     const handleCancelScene = () => {
         setIsSceneWizardOpen(false);
-        setIsEditingScene(false);
     };
 
     /**
-     * Core generator function that returns the string.
+     * Core generator function that returns the scene.
      * Does NOT update state directly (unless called by the initial loader).
      */
     const fetchStartingScene = async () => {
         try {
-            return await generateScene(npc.structuredData, chatHistory);
+            return await generateScene(npc.structuredData, chatHistory, { campaign, memories: npcMemories, playerCharacters: presentPlayerCharacters });
         } catch (e) {
             console.error("Error generating scene:", e);
             throw e;
@@ -1944,11 +3879,10 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
 
     const handleGenerateStartingScene = async () => {
         setIsGeneratingScene(true);
-        setIsEditingScene(false);
         try {
             const scene = await fetchStartingScene();
             if (scene) {
-                setStartingSceneText(scene);
+                setStartingScene(scene);
                 sceneCache.current[npc.id] = scene;
             }
         } catch (e) {
@@ -1958,47 +3892,30 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
         }
     };
 
-    const handleSaveSceneEdit = (newText) => {
-        setStartingSceneText(newText);
+    const handleSaveSceneEdit = (scene) => {
+        setStartingScene(scene);
         // Update cache with manual edits
-        sceneCache.current[npc.id] = newText;
+        sceneCache.current[npc.id] = scene;
     };
 
 
     const handleStartWithScene = async () => {
-        if (!startingSceneText) return;
-
-        const sceneMsg = {
-            role: 'scene',
-            text: startingSceneText,
-            timestamp: new Date().toISOString()
-        };
+        if (!startingScene || isSceneEmpty(startingScene)) return;
 
-        // Parse and store the goal from this scene
-        const goal = parseGoalFromScene(startingSceneText);
-        if (goal) {
-            setCurrentSceneGoal(goal);
-            setGoalAchievedForScene(null); // Reset achievement status for new scene
-        }
+        const sceneMsg = createSceneMessage(startingScene);
 
         const newHistory = [...chatHistory, sceneMsg];
         setChatHistory(newHistory);
         setIsSceneWizardOpen(false);
-        setIsEditingScene(false); // Reset mobile editing state
 
         // Clear scene cache after adding scene to conversation
         delete sceneCache.current[npc.id];
-        setStartingSceneText('');
+        setStartingScene(null);
 
         // Update Firestore with scene
         if (db) {
             try {
-                const collectionPath = npc.isSharedNPC ? sharedNpcCollectionPath(appId, userId) : npcCollectionPath(appId, userId);
-                const npcRef = doc(db, collectionPath, npc.id);
-                await updateDoc(npcRef, {
-                    chats: newHistory,
-                    updatedAt: new Date().toISOString()
-                });
+                await saveChatHistory(newHistory);
             } catch (e) {
                 console.error("Error saving scene:", e);
             }
@@ -2007,9 +3924,12 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
         // Trigger initial NPC message
         setIsThinking(true);
         try {
+            // The previous scene is over - let the NPC remember it before reacting to the new one
+            const memories = await rememberEndingScene(chatHistory);
+
             const { npcResponseText } = await getNPCResponseAndUpdate(
                 newHistory,
-                { checkGoal: false, playAudioOnResponse: false }
+                { checkGoal: false, playAudioOnResponse: false, memories }
             );
 
             // Auto-play if enabled
@@ -2039,9 +3959,26 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
                     <p><strong className="text-indigo-600">Voice:</strong> {selectVoice(npc.structuredData.gender, npc.structuredData.ageRange)}</p>
                     <p><strong className="text-indigo-600">Visual Description:</strong> {npc.structuredData.visual}</p>
                     <p><strong className="text-indigo-600">Personality:</strong> {npc.structuredData.personality}</p>
-                    <p><strong className="text-indigo-600">Wants:</strong> {npc.structuredData.wants}</p>
+                    <div>
+                        <strong className="text-indigo-600">Wants:</strong>
+                        <ul className="ml-4 list-disc">
+                            {getWants(npc.structuredData).map((want, index) => (
+                                <li key={index}>{want.text} <span className="text-xs text-gray-500">({want.priority})</span></li>
+                            ))}
+                        </ul>
+                    </div>
                     <p><strong className="text-indigo-600">Pitfalls:</strong> {npc.structuredData.pitfalls}</p>
-                    <p className="p-2 border-l-4 border-red-500 bg-red-50"><strong className="text-red-700">SECRET:</strong> {npc.structuredData.secrets}</p>
+                    <div className="p-2 border-l-4 border-red-500 bg-red-50">
+                        <strong className="text-red-700">SECRETS:</strong>
+                        <ul className="ml-4 list-disc">
+                            {getSecrets(npc.structuredData).map((secret, index) => (
+                                <li key={index} className={secret.revealed ? 'line-through text-gray-500' : ''}>
+                                    {secret.text}
+                                    {secret.revealCondition && <span className="text-xs text-gray-500"> (reveals it when: {secret.revealCondition})</span>}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
                 </div>
             )}
         </div>
@@ -2074,6 +4011,14 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
                         >
                             <Share2 className="w-5 h-5" />
                         </button>
+                        <button
+                            onClick={handleExport}
+                            disabled={isExporting}
+                            className="p-2 text-indigo-600 hover:bg-indigo-50 rounded-lg transition-colors disabled:opacity-50"
+                            title="Export NPC"
+                        >
+                            {isExporting ? <Loader2 className="w-5 h-5 animate-spin" /> : <Download className="w-5 h-5" />}
+                        </button>
                     </div>
                 )}
             </div>
@@ -2161,6 +4106,22 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
                         onSave={(val) => handleUpdateField('raceClass', val)}
                         disabled={npc.isSharedNPC}
                     />
+                    <DispositionMeter
+                        value={disposition}
+                        onSave={handleDispositionChange}
+                    />
+                    {(npc.structuredData.pitfalls || patienceState.pitfalls.length > 0) && (
+                        <PatienceMeter patience={patienceState.patience} pitfalls={patienceState.pitfalls} />
+                    )}
+                    {campaigns.length > 0 && (
+                        <EditableField
+                            label="Campaign"
+                            value={campaign?.name || NO_CAMPAIGN_LABEL}
+                            type="select"
+                            options={[NO_CAMPAIGN_LABEL, ...campaigns.map(c => c.name)]}
+                            onSave={handleCampaignChange}
+                        />
+                    )}
                     <EditableField
                         label="Visual Description"
                         value={npc.structuredData.visual}
@@ -2188,13 +4149,12 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
                             onRegenerate={() => handleRegenerateField('personality')}
                             disabled={npc.isSharedNPC}
                         />
-                        <EditableField
-                            label="Wants"
-                            value={npc.structuredData.wants}
-                            type="textarea"
-                            onSave={(val) => handleUpdateField('wants', val)}
-                            onRegenerate={() => handleRegenerateField('wants')}
-                            onExpand={() => handleExpandField('wants')}
+                        <ProfileListEditor
+                            field="wants"
+                            items={getWants(npc.structuredData)}
+                            onSave={(wants) => handleUpdateField('wants', wants)}
+                            onRegenerate={(index) => handleRegenerateField('wants', index)}
+                            onExpand={(index) => handleExpandField('wants', index)}
                             disabled={npc.isSharedNPC}
                         />
                         <EditableField
@@ -2207,16 +4167,158 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
                             disabled={npc.isSharedNPC}
                         />
                         <div className="border-l-4 border-red-500 bg-red-50 rounded-r-lg">
-                            <EditableField
-                                label="SECRET (GM ONLY)"
-                                value={npc.structuredData.secrets}
-                                type="textarea"
-                                className="bg-transparent hover:bg-red-100"
-                                onSave={(val) => handleUpdateField('secrets', val)}
-                                onRegenerate={() => handleRegenerateField('secrets')}
-                                onExpand={() => handleExpandField('secrets')}
+                            <p className="px-2 pt-2 text-xs font-bold text-red-700">SECRETS (GM ONLY)</p>
+                            <ProfileListEditor
+                                field="secrets"
+                                items={getSecrets(npc.structuredData)}
+                                onSave={(secrets) => handleUpdateField('secrets', secrets)}
+                                onRegenerate={(index) => handleRegenerateField('secrets', index)}
+                                onExpand={(index) => handleExpandField('secrets', index)}
                                 disabled={npc.isSharedNPC}
                             />
+                            {/* What the NPC has let slip so far, flagged by the NPC as it happens */}
+                            <div className="px-3 pb-3">
+                                <p className="flex items-center text-xs font-bold text-red-700 mb-1">
+                                    <Eye className="w-3.5 h-3.5 mr-1" />
+                                    Revealed ({secretReveals.length})
+                                </p>
+                                {secretReveals.length === 0 ? (
+                                    <p className="text-xs text-gray-500 italic">
+                                        The secrets are safe so far.
+                                    </p>
+                                ) : (
+                                    <ul className="space-y-1">
+                                        {secretReveals.map((reveal, index) => (
+                                            <li key={`${reveal.createdAt}-${index}`} className="group relative p-2 pr-8 text-xs text-gray-700 bg-white rounded-lg border border-red-100">
+                                                <SecretRevealBadge reveal={reveal} />
+                                                <span className="ml-1">{reveal.detail}</span>
+                                                {reveal.secret && <span className="block mt-0.5 text-gray-500">Secret: {reveal.secret}</span>}
+                                                <span className="block mt-0.5 text-gray-400">{new Date(reveal.createdAt).toLocaleString()}</span>
+                                                {!npc.isSharedNPC && (
+                                                    <button
+                                                        onClick={() => handleDeleteSecretReveal(index)}
+                                                        className="absolute top-1 right-1 p-1 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-full transition-colors opacity-0 group-hover:opacity-100"
+                                                        title="Remove from the log"
+                                                    >
+                                                        <Trash2 className="w-3 h-3" />
+                                                    </button>
+                                                )}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </div>
+                        </div>
+
+                        {/* Optional D&D 5e stat block */}
+                        <div className="pt-3">
+                            <div className="flex items-center justify-between mb-1">
+                                <p className="flex items-center text-xs font-bold text-indigo-700">
+                                    <Shield className="w-4 h-4 mr-1" />
+                                    Stat Block
+                                </p>
+                                {!npc.isSharedNPC && (
+                                    <button
+                                        onClick={handleGenerateStatBlock}
+                                        disabled={isGeneratingStatBlock}
+                                        className="flex items-center px-2 py-1 text-xs text-purple-600 hover:bg-purple-50 rounded-lg transition-colors disabled:opacity-50"
+                                        title={npc.statBlock ? "Generate a new stat block" : "Generate a D&D 5e stat block"}
+                                    >
+                                        {isGeneratingStatBlock ? <Loader2 className="w-3 h-3 mr-1 animate-spin" /> : <Wand2 className="w-3 h-3 mr-1" />}
+                                        {npc.statBlock ? 'Regenerate' : 'Generate'}
+                                    </button>
+                                )}
+                            </div>
+                            {npc.statBlock ? (
+                                <StatBlock
+                                    statBlock={npc.statBlock}
+                                    onSave={handleSaveStatBlock}
+                                    disabled={npc.isSharedNPC}
+                                />
+                            ) : (
+                                <p className="text-xs text-gray-500 italic">
+                                    No stat block yet. Generate one when {npc.name} needs to fight.
+                                </p>
+                            )}
+                        </div>
+
+                        {/* Long-term memory, filled in each time a scene ends */}
+                        <div className="pt-3">
+                            <p className="flex items-center text-xs font-bold text-indigo-700 mb-1">
+                                <History className="w-4 h-4 mr-1" />
+                                Memories ({npcMemories.length})
+                            </p>
+                            {npcMemories.length === 0 ? (
+                                <p className="text-xs text-gray-500 italic">
+                                    {npc.name} will remember each scene once the next one begins.
+                                </p>
+                            ) : (
+                                <ul className="space-y-2">
+                                    {npcMemories.map((memory, index) => (
+                                        <li key={memory.createdAt || index} className="group relative p-2 pr-8 text-xs text-gray-700 bg-white rounded-lg border border-indigo-100">
+                                            <p>{memory.summary}</p>
+                                            {memory.learned?.length > 0 && (
+                                                <p className="mt-1"><strong className="text-indigo-600">Learned:</strong> {memory.learned.join('; ')}</p>
+                                            )}
+                                            {memory.promises?.length > 0 && (
+                                                <p className="mt-1"><strong className="text-indigo-600">Promises:</strong> {memory.promises.join('; ')}</p>
+                                            )}
+                                            {memory.attitude && (
+                                                <p className="mt-1"><strong className="text-indigo-600">Attitude:</strong> {memory.attitude}</p>
+                                            )}
+                                            <button
+                                                onClick={() => handleDeleteMemory(index)}
+                                                className="absolute top-1 right-1 p-1 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-full transition-colors opacity-0 group-hover:opacity-100"
+                                                title="Forget this memory"
+                                            >
+                                                <Trash2 className="w-3 h-3" />
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+
+                        {/* Session recaps for the GM's notes */}
+                        <div className="pt-3">
+                            <div className="flex items-center justify-between mb-1">
+                                <p className="flex items-center text-xs font-bold text-indigo-700">
+                                    <BookOpen className="w-4 h-4 mr-1" />
+                                    Journal ({journalEntries.length})
+                                </p>
+                                <div className="flex items-center">
+                                    {journalEntries.length > 0 && (
+                                        <button
+                                            onClick={handleExportJournal}
+                                            className="flex items-center px-2 py-1 text-xs text-indigo-600 hover:bg-indigo-50 rounded-lg transition-colors"
+                                            title="Download the journal as Markdown"
+                                        >
+                                            <Download className="w-3 h-3 mr-1" />
+                                            Export
+                                        </button>
+                                    )}
+                                    <button
+                                        onClick={handleOpenRecap}
+                                        disabled={chatHistory.length === 0}
+                                        className="flex items-center px-2 py-1 text-xs text-purple-600 hover:bg-purple-50 rounded-lg transition-colors disabled:opacity-50"
+                                        title="Summarize this conversation into a journal entry"
+                                    >
+                                        <Wand2 className="w-3 h-3 mr-1" />
+                                        Generate recap
+                                    </button>
+                                </div>
+                            </div>
+                            {journalEntries.length === 0 ? (
+                                <p className="text-xs text-gray-500 italic">
+                                    No entries yet. Generate a recap after a session to keep notes.
+                                </p>
+                            ) : (
+                                <ul className="space-y-2">
+                                    {journalEntries.map(entry => (
+                                        <JournalEntry key={entry.id} entry={entry} onDelete={() => handleDeleteJournalEntry(entry.id)} />
+                                    ))}
+                                </ul>
+                            )}
                         </div>
                     </div>
                 )}
@@ -2227,6 +4329,83 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
         </div>
     );
 
+    // Branch switcher, once a rollback has split the conversation
+    const branches = listBranches(chatTree);
+    const branchBar = branches.length > 1 && (
+        <BranchBar
+            branches={branches}
+            onSwitch={handleSwitchBranch}
+            onMarkCanonical={handleMarkCanonical}
+            onCompare={() => setIsCompareOpen(true)}
+            disabled={isThinking}
+        />
+    );
+
+    const goalChecklist = sceneGoalState.goals.length > 0 && (
+        <SceneGoalChecklist goals={sceneGoalState.goals} />
+    );
+
+    const playerCharacterSelector = playerCharacters.length > 0 && (
+        <PlayerCharacterSelector
+            playerCharacters={playerCharacters}
+            presentIds={presentPlayerCharacters.map(pc => pc.id)}
+            onChange={handlePresentPlayerCharactersChange}
+            disabled={isThinking}
+        />
+    );
+
+    // Who the next message comes from, once a player character is present
+    const speakerSelect = presentPlayerCharacters.length > 0 && (
+        <select
+            value={speaker?.id || GM_SPEAKER_ID}
+            onChange={(e) => setSpeakerId(e.target.value)}
+            disabled={isThinking}
+            className="h-12 max-w-[8rem] px-2 text-sm border border-gray-300 rounded-xl bg-white text-gray-700 focus:ring-indigo-500 focus:border-indigo-500 flex-shrink-0"
+            title="Speaking as"
+        >
+            {presentPlayerCharacters.map(pc => (
+                <option key={pc.id} value={pc.id}>{pc.name}</option>
+            ))}
+            <option value={GM_SPEAKER_ID}>GM</option>
+        </select>
+    );
+
+    // Shown above the input once the NPC has run out of patience
+    const patienceNotice = patienceState.isExhausted && (
+        <div className="flex items-center mb-2 px-3 py-2 text-sm text-orange-800 bg-orange-50 border border-orange-200 rounded-lg">
+            <Hourglass className="w-4 h-4 mr-2 flex-shrink-0" />
+            <span className="flex-1">{npc.name} has run out of patience and ended the conversation.</span>
+            <button
+                onClick={handleOpenSceneWizard}
+                disabled={isThinking}
+                className="ml-2 font-semibold text-orange-700 hover:text-orange-900 whitespace-nowrap"
+            >
+                Set a new scene
+            </button>
+        </div>
+    );
+
+    const historyLoading = (
+        <div className="flex items-center justify-center h-full text-gray-400">
+            <Loader2 className="w-6 h-6 mr-2 animate-spin" />
+            Loading conversation...
+        </div>
+    );
+
+    // Older pages load on scrolling to the top; the button is for when there is nothing to scroll yet
+    const earlierMessages = historyStart > 0 && (
+        <div className="flex justify-center">
+            <button
+                onClick={loadOlderMessages}
+                disabled={isLoadingOlder}
+                className="flex items-center px-3 py-1 text-xs text-indigo-600 hover:bg-indigo-50 rounded-full transition-colors disabled:opacity-50"
+            >
+                {isLoadingOlder && <Loader2 className="w-3 h-3 mr-1 animate-spin" />}
+                {isLoadingOlder ? 'Loading earlier messages...' : `Load ${Math.min(historyStart, MESSAGE_PAGE_SIZE)} earlier messages`}
+            </button>
+        </div>
+    );
+
     // Right panel: Chat
     const chatPanel = (
         <div className="flex flex-col h-full overflow-hidden bg-white">
@@ -2236,7 +4415,7 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
                 <div className="flex items-center space-x-3">
                     {chatHistory.length > 0 && (
                         <>
-                            <p className="text-sm text-gray-500">{chatHistory.length} messages</p>
+                            <p className="text-sm text-gray-500">{historyStart + chatHistory.length} messages</p>
                             <div className="flex space-x-1">
                                 <button
                                     onClick={() => setIsAutoPlayEnabled(!isAutoPlayEnabled)}
@@ -2261,9 +4440,13 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
                 </div>
             </div>
 
+            {branchBar}
+            {goalChecklist}
+            {playerCharacterSelector}
+
             {/* Chat History Container - Scrollable */}
-            <div id="chat-container" className="flex-1 px-2 sm:px-6 py-6 space-y-4 overflow-y-auto bg-gray-50">
-                {chatHistory.length === 0 ? (
+            <div id="chat-container" onScroll={handleChatScroll} className="flex-1 px-2 sm:px-6 py-6 space-y-4 overflow-y-auto bg-gray-50">
+                {isLoadingHistory ? historyLoading : chatHistory.length === 0 ? (
                     <div className="flex flex-col items-center justify-center h-full p-8 text-center space-y-6 animate-fade-in">
                         <MessageSquare className="w-16 h-16 mx-auto mb-4 text-gray-200" />
                         <h3 className="text-xl font-bold text-gray-400 mb-2">Ready to Chat</h3>
@@ -2284,14 +4467,15 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
                         )}
                     </div>
                 ) : (
-                    chatHistory
+                    <>
+                    {earlierMessages}
+                    {chatHistory
                         .map((msg, index) => {
-                            // Check if this is a goal_achieved message and if there's a scene after it
-                            const showGoalButtons = msg.role === 'goal_achieved' &&
-                                !chatHistory.slice(index + 1).some(m => m.role === 'scene');
+                            // The goal_achieved message that completed the current scene offers the next one
+                            const showGoalButtons = index === sceneGoalState.completedAtIndex;
 
                             // Check if this is a protected first scene
-                            const isProtected = npc.protectedFirstScene && index === 0 && msg.role === 'scene';
+                            const isProtected = npc.protectedFirstScene && historyStart + index === 0 && msg.role === 'scene';
 
                             return (
                                 <ChatBubble
@@ -2305,36 +4489,46 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
                                     showGoalButtons={showGoalButtons}
                                     currentTip={currentTip}
                                     isProtected={isProtected}
+                                    onRegenerate={(steering) => handleRegenerateReply(index, steering)}
+                                    onEdit={msg.role === 'user' ? (text) => handleEditMessage(index, text) : undefined}
+                                    onDelete={isProtected ? undefined : () => handleDeleteMessage(index)}
+                                    actionsDisabled={isThinking}
                                 />
                             );
-                        })
+                        })}
+                    </>
                 )}
-                {isThinking && (
+                {isThinking && (streamingText ? (
+                    <ChatBubble
+                        message={{ role: 'npc', text: streamingText }}
+                        npcName={npc.name}
+                        isStreaming={true}
+                    />
+                ) : (
                     <div className="flex justify-start">
                         <div className="p-3 text-gray-600 bg-gray-100 rounded-xl rounded-tl-none animate-pulse">
                             {npc.name} is thinking...
                         </div>
                     </div>
-                )}
+                ))}
             </div>
 
             {/* Input Area - Fixed at Bottom */}
             <div className="p-4 border-t border-gray-200 bg-white">
+                {patienceNotice}
                 <div className="flex items-end space-x-2">
-                    <textarea
-                        ref={messageInputRef}
+                    {speakerSelect}
+                    <ChatCommandInput
+                        inputRef={messageInputRef}
                         value={message}
-                        onChange={(e) => setMessage(e.target.value)}
-                        onKeyDown={handleKeyDown}
-                        rows="2"
-                        placeholder={`Say something to ${npc.name}...`}
-                        className="flex-grow p-3 border border-gray-300 rounded-xl focus:ring-indigo-500 focus:border-indigo-500 resize-none"
-                        disabled={isThinking}
-                        maxLength={1000}
+                        onChange={setMessage}
+                        onSend={handleSend}
+                        placeholder={`Say something to ${npc.name}... (type / for commands)`}
+                        disabled={isThinking || isLoadingHistory}
                     />
                     <Button
                         onClick={handleSend}
-                        disabled={!message.trim() || isThinking}
+                        disabled={!message.trim() || isThinking || isLoadingHistory}
                         loading={isThinking}
                         className="h-12 w-12 p-0 flex-shrink-0 rounded-xl"
                     >
@@ -2380,10 +4574,8 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
                     <SceneModal
                         isOpen={isSceneWizardOpen}
                         onClose={handleCancelScene}
-                        sceneText={startingSceneText}
+                        scene={startingScene}
                         isGenerating={isGeneratingScene}
-                        isEditing={isEditingScene}
-                        onEdit={setIsEditingScene}
                         onSave={handleSaveSceneEdit}
                         onRegenerate={handleGenerateStartingScene}
                         onStartWithScene={handleStartWithScene}
@@ -2396,6 +4588,13 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
                         userId={userId}
                         userEmail={userEmail}
                     />
+                    <RecapModal
+                        isOpen={isRecapModalOpen}
+                        onClose={() => setIsRecapModalOpen(false)}
+                        chats={chatHistory}
+                        onGenerate={handleGenerateRecap}
+                        isGenerating={isGeneratingRecap}
+                    />
                 </div>
             );
         } else if (mobileView === 'conversation') {
@@ -2435,11 +4634,14 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
                             </div>
                         )}
                     </div>
+                    {branchBar}
+                    {goalChecklist}
+                    {playerCharacterSelector}
                     {/* Chat Panel - Full Height */}
                     <div className="flex-1 overflow-hidden">
                         {/* Chat History Container - Scrollable */}
-                        <div id="chat-container" className="h-full px-2 sm:px-6 py-6 space-y-4 overflow-y-auto bg-gray-50">
-                            {chatHistory.length === 0 ? (
+                        <div id="chat-container" onScroll={handleChatScroll} className="h-full px-2 sm:px-6 py-6 space-y-4 overflow-y-auto bg-gray-50">
+                            {isLoadingHistory ? historyLoading : chatHistory.length === 0 ? (
                                 <div
                                     className="flex flex-col items-center justify-center h-full p-8 text-center space-y-6 animate-fade-in"
                                 >
@@ -2462,14 +4664,15 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
                                     )}
                                 </div>
                             ) : (
-                                chatHistory
+                                <>
+                                {earlierMessages}
+                                {chatHistory
                                     .map((msg, index) => {
-                                        // Check if this is a goal_achieved message and if there's a scene after it
-                                        const showGoalButtons = msg.role === 'goal_achieved' &&
-                                            !chatHistory.slice(index + 1).some(m => m.role === 'scene');
+                                        // The goal_achieved message that completed the current scene offers the next one
+                                        const showGoalButtons = index === sceneGoalState.completedAtIndex;
 
                                         // Check if this is a protected first scene
-                                        const isProtected = npc.protectedFirstScene && index === 0 && msg.role === 'scene';
+                                        const isProtected = npc.protectedFirstScene && historyStart + index === 0 && msg.role === 'scene';
 
                                         return (
                                             <ChatBubble
@@ -2483,36 +4686,46 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
                                                 showGoalButtons={showGoalButtons}
                                                 currentTip={currentTip}
                                                 isProtected={isProtected}
+                                                onRegenerate={(steering) => handleRegenerateReply(index, steering)}
+                                                onEdit={msg.role === 'user' ? (text) => handleEditMessage(index, text) : undefined}
+                                                onDelete={isProtected ? undefined : () => handleDeleteMessage(index)}
+                                                actionsDisabled={isThinking}
                                             />
                                         );
-                                    })
+                                    })}
+                                </>
                             )}
-                            {isThinking && (
+                            {isThinking && (streamingText ? (
+                                <ChatBubble
+                                    message={{ role: 'npc', text: streamingText }}
+                                    npcName={npc.name}
+                                    isStreaming={true}
+                                />
+                            ) : (
                                 <div className="flex justify-start">
                                     <div className="p-3 text-gray-600 bg-gray-100 rounded-xl rounded-tl-none animate-pulse">
                                         {npc.name} is thinking...
                                     </div>
                                 </div>
-                            )}
+                            ))}
                         </div>
                     </div>
                     {/* Input Area - Fixed at Bottom */}
                     <div className="p-4 border-t border-gray-200 bg-white flex-shrink-0">
+                        {patienceNotice}
                         <div className="flex items-end space-x-2">
-                            <textarea
-                                ref={messageInputRef}
+                            {speakerSelect}
+                            <ChatCommandInput
+                                inputRef={messageInputRef}
                                 value={message}
-                                onChange={(e) => setMessage(e.target.value)}
-                                onKeyDown={handleKeyDown}
-                                rows="2"
-                                placeholder={`Say something to ${npc.name}...`}
-                                className="flex-grow p-3 border border-gray-300 rounded-xl focus:ring-indigo-500 focus:border-indigo-500 resize-none"
-                                disabled={isThinking}
-                                maxLength={1000}
+                                onChange={setMessage}
+                                onSend={handleSend}
+                                placeholder={`Say something to ${npc.name}... (type / for commands)`}
+                                disabled={isThinking || isLoadingHistory}
                             />
                             <Button
                                 onClick={handleSend}
-                                disabled={!message.trim() || isThinking || (chatHistory.length === 0 && isSceneWizardOpen)}
+                                disabled={!message.trim() || isThinking || isLoadingHistory || (chatHistory.length === 0 && isSceneWizardOpen)}
                                 loading={isThinking}
                                 className="h-12 w-12 p-0 flex-shrink-0 rounded-xl"
                             >
@@ -2529,10 +4742,8 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
                     <SceneModal
                         isOpen={isSceneWizardOpen}
                         onClose={handleCancelScene}
-                        sceneText={startingSceneText}
+                        scene={startingScene}
                         isGenerating={isGeneratingScene}
-                        isEditing={isEditingScene}
-                        onEdit={setIsEditingScene}
                         onSave={handleSaveSceneEdit}
                         onRegenerate={handleGenerateStartingScene}
                         onStartWithScene={handleStartWithScene}
@@ -2545,6 +4756,13 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
                         userId={userId}
                         userEmail={userEmail}
                     />
+                    <BranchCompareModal
+                        isOpen={isCompareOpen}
+                        onClose={() => setIsCompareOpen(false)}
+                        chatTree={chatTree}
+                        npcName={npc.name}
+                        loadBranchHistory={loadBranchHistory}
+                    />
                 </div >
             );
         }
@@ -2570,10 +4788,8 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
             <SceneModal
                 isOpen={isSceneWizardOpen}
                 onClose={handleCancelScene}
-                sceneText={startingSceneText}
+                scene={startingScene}
                 isGenerating={isGeneratingScene}
-                isEditing={isEditingScene}
-                onEdit={setIsEditingScene}
                 onSave={handleSaveSceneEdit}
                 onRegenerate={handleGenerateStartingScene}
                 onStartWithScene={handleStartWithScene}
@@ -2586,88 +4802,1128 @@ const NpcChat = ({ db, userId, userEmail, npc, onBack, isMobile = false, mobileV
                 userId={userId}
                 userEmail={userEmail}
             />
+            <BranchCompareModal
+                isOpen={isCompareOpen}
+                onClose={() => setIsCompareOpen(false)}
+                chatTree={chatTree}
+                npcName={npc.name}
+                loadBranchHistory={loadBranchHistory}
+            />
+            <RecapModal
+                isOpen={isRecapModalOpen}
+                onClose={() => setIsRecapModalOpen(false)}
+                chats={chatHistory}
+                onGenerate={handleGenerateRecap}
+                isGenerating={isGeneratingRecap}
+            />
         </div>
     );
 };
 
 
-// --- Resizable Panel Components ---
+// --- Group Scene Components ---
 
-const ResizablePanels = ({ leftPanel, rightPanel, isLeftCollapsed = false, storageKey = 'npc-panel-width', defaultLeftWidth = 320, minLeftWidth = 250, maxLeftWidth = 600 }) => {
-    const containerRef = useRef(null);
+const MAX_GROUP_SCENE_NPCS = 5;
 
-    const [leftWidth, setLeftWidth] = useState(() => {
-        const saved = localStorage.getItem(storageKey);
-        return saved ? parseInt(saved, 10) : defaultLeftWidth;
-    });
-    const [isResizing, setIsResizing] = useState(false);
+const GroupSceneCreation = ({ db, userId, npcs, campaignId = null, onGroupSceneCreated, onCancel }) => {
+    const [name, setName] = useState('');
+    const [setting, setSetting] = useState('');
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [isSaving, setIsSaving] = useState(false);
+    const [status, setStatus] = useState('');
 
-    // When collapsed, use minimal width (60px for the collapse button)
-    const collapsedWidth = 60;
-    const effectiveLeftWidth = isLeftCollapsed ? collapsedWidth : leftWidth;
+    // ESC key handler
+    useEscapeKey(onCancel);
 
-    const startResizing = useCallback(() => {
-        if (!isLeftCollapsed) {
-            setIsResizing(true);
-        }
-    }, [isLeftCollapsed]);
+    const toggleNpc = (npcId) => {
+        setSelectedIds(prev => prev.includes(npcId)
+            ? prev.filter(id => id !== npcId)
+            : prev.length < MAX_GROUP_SCENE_NPCS ? [...prev, npcId] : prev);
+    };
+
+    const handleCreate = async () => {
+        if (selectedIds.length < 2) {
+            setStatus("Error: Pick at least two NPCs for a group scene.");
+            return;
+        }
+        setIsSaving(true);
+
+        try {
+            const sceneName = name.trim() || selectedIds.map(id => npcs.find(n => n.id === id)?.name).join(', ');
+            const chats = setting.trim()
+                ? [{ role: 'scene', text: setting.trim(), timestamp: new Date().toISOString() }]
+                : [];
+
+            const newSceneRef = doc(collection(db, groupSceneCollectionPath(appId, userId)));
+            await setDoc(newSceneRef, {
+                id: newSceneRef.id,
+                name: sceneName,
+                npcIds: selectedIds,
+                campaignId,
+                chats,
+                createdAt: new Date().toISOString(),
+                ownerId: userId,
+            });
+
+            const userEmail = auth.currentUser?.email || 'unknown';
+            await logUsage(userId, userEmail, 'group_scene_created', {
+                groupSceneId: newSceneRef.id,
+                npcCount: selectedIds.length
+            });
+
+            onGroupSceneCreated(newSceneRef.id);
+        } catch (e) {
+            console.error('Error creating group scene:', e);
+            setStatus(`Error: ${e.message}`);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div
+            className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-[9999] p-4"
+            onClick={onCancel}
+        >
+            <div
+                className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="sticky top-0 bg-white border-b border-gray-200 p-4 md:p-6 flex items-center justify-between">
+                    <h2 className="flex items-center text-2xl font-bold text-indigo-700">
+                        <Users className="w-6 h-6 mr-2" />
+                        New Group Scene
+                    </h2>
+                    <button
+                        onClick={onCancel}
+                        className="text-gray-500 hover:text-gray-700 p-2"
+                        aria-label="Close"
+                    >
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+                <div className="p-4 md:p-6 space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Scene Name</label>
+                        <input
+                            type="text"
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                            placeholder="E.g., The Prancing Pony, after midnight"
+                            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Setting (optional)</label>
+                        <textarea
+                            value={setting}
+                            onChange={(e) => setSetting(e.target.value)}
+                            rows="3"
+                            placeholder="Where are they, and what is going on?"
+                            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 resize-none"
+                        />
+                    </div>
+                    <div>
+                        <p className="text-sm font-medium text-gray-700 mb-2">
+                            NPCs in the scene ({selectedIds.length}/{MAX_GROUP_SCENE_NPCS})
+                        </p>
+                        <div className="grid gap-2 sm:grid-cols-2 max-h-64 overflow-y-auto">
+                            {npcs.map(npc => (
+                                <label
+                                    key={npc.id}
+                                    className={`flex items-center p-2 space-x-2 border rounded-lg cursor-pointer transition-colors ${selectedIds.includes(npc.id) ? 'border-indigo-500 bg-indigo-50' : 'border-gray-200 hover:bg-gray-50'}`}
+                                >
+                                    <input
+                                        type="checkbox"
+                                        checked={selectedIds.includes(npc.id)}
+                                        onChange={() => toggleNpc(npc.id)}
+                                        className="w-4 h-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+                                    />
+                                    <img
+                                        src={npc.thumbnailUrl || 'https://placehold.co/64x64/4f46e5/ffffff?text=NPC'}
+                                        alt={npc.name}
+                                        className="object-cover w-8 h-8 rounded-md bg-gray-200"
+                                    />
+                                    <span className="text-sm font-medium text-gray-800 truncate">{npc.name}</span>
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                    <Button
+                        onClick={handleCreate}
+                        loading={isSaving}
+                        icon={Users}
+                        disabled={selectedIds.length < 2}
+                        className="w-full"
+                    >
+                        Start Group Scene
+                    </Button>
+                    {status && (
+                        <div className="p-3 text-sm rounded-lg bg-red-100 text-red-700">
+                            {status}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const GroupSceneChat = ({ db, userId, userEmail, groupScene, npcs, campaign = null, onBack, isMobile = false }) => {
+    const [message, setMessage] = useState('');
+    const [chatHistory, setChatHistory] = useState(groupScene.chats || []);
+    const [isThinking, setIsThinking] = useState(false);
+    const [thinkingName, setThinkingName] = useState(null);
+    const [isEndingScene, setIsEndingScene] = useState(false); // Members are writing their memories
+    const [nextSpeaker, setNextSpeaker] = useState('auto'); // 'auto' lets the model decide
+    const [playingMessageIndex, setPlayingMessageIndex] = useState(null);
+    const [audioCache, setAudioCache] = useState({}); // Keyed by `${npcId}:${text}`
+    const audioPlayerRef = useRef(null);
+    const messageInputRef = useRef(null);
+
+    // NPCs may have been deleted since the scene was created
+    const members = useMemo(() => (
+        groupScene.npcIds.map(id => npcs.find(n => n.id === id)).filter(Boolean)
+    ), [groupScene.npcIds, npcs]);
+
+    // Each NPC's patience with the party; an NPC that ran out of it has left the conversation
+    const patienceByNpc = useMemo(() => Object.fromEntries(
+        members.map(npc => [npc.id, getPatienceState(chatHistory, npc.id)])
+    ), [members, chatHistory]);
+    const availableMembers = members.filter(npc => !patienceByNpc[npc.id].isExhausted);
+
+    useEffect(() => {
+        setChatHistory(groupScene.chats || []);
+        setNextSpeaker('auto');
+        if (!audioPlayerRef.current) {
+            audioPlayerRef.current = new Audio();
+        }
+        return () => audioPlayerRef.current?.pause();
+    }, [groupScene.id]);
+
+    useEffect(() => {
+        const element = document.getElementById('group-chat-container');
+        if (element) {
+            element.scrollTop = element.scrollHeight;
+        }
+    }, [chatHistory, isThinking]);
+
+    const saveHistory = async (newHistory) => {
+        const sceneRef = doc(db, groupSceneCollectionPath(appId, userId), groupScene.id);
+        await updateDoc(sceneRef, {
+            chats: newHistory,
+            updatedAt: new Date().toISOString()
+        });
+    };
+
+    const stopAudio = () => {
+        audioPlayerRef.current?.pause();
+        setPlayingMessageIndex(null);
+    };
+
+    const handleSpeakClick = async (msg, index) => {
+        if (playingMessageIndex === index) {
+            stopAudio();
+            return;
+        }
+
+        const speaker = members.find(n => n.id === msg.npcId);
+        if (!speaker) return;
+
+        stopAudio();
+        setPlayingMessageIndex(index);
+
+        try {
+            const cacheKey = `${msg.npcId}:${msg.text}`;
+            let audioUrl = audioCache[cacheKey];
+            if (!audioUrl) {
+                // Each NPC speaks with its own voice; the server charges 2 Gold
+                audioUrl = await textToSpeech(msg.text, speaker.structuredData);
+                setAudioCache(prev => ({ ...prev, [cacheKey]: audioUrl }));
+
+                const voiceData = getVoiceById(speaker.structuredData.voiceId?.split(' ')[0]?.trim());
+                await logUsage(userId, userEmail, voiceData?.provider === 'elevenlabs' ? 'elevenlabs_tts' : 'gemini_tts', {
+                    npcId: speaker.id,
+                    npcName: speaker.name,
+                    groupSceneId: groupScene.id
+                });
+            }
+
+            const player = audioPlayerRef.current;
+            player.src = audioUrl;
+            player.onended = () => setPlayingMessageIndex(null);
+            player.onerror = () => setPlayingMessageIndex(null);
+            await player.play();
+        } catch (e) {
+            console.error("TTS Error:", e.message);
+            if (e.message === "Insufficient funds") {
+                alert("Insufficient Gold! Please visit the Gold Store to get more.");
+            }
+            setPlayingMessageIndex(null);
+        }
+    };
+
+    /**
+     * Lets the next NPC (chosen by the GM or the model) reply to the shared history.
+     */
+    const respond = async (history) => {
+        const speakerId = nextSpeaker === 'auto' || !availableMembers.some(n => n.id === nextSpeaker)
+            ? await chooseNextSpeaker(availableMembers, history)
+            : nextSpeaker;
+        const speaker = availableMembers.find(n => n.id === speakerId) || availableMembers[0];
+        setThinkingName(speaker.name);
+
+        const { patience } = getPatienceState(history, speaker.id);
+        const { text: responseText, pitfall } = await getGroupNPCResponse(speaker, members, history, campaign, patience);
+        const npcMsg = {
+            role: 'npc',
+            npcId: speaker.id,
+            speakerName: speaker.name,
+            text: responseText,
+            timestamp: new Date().toISOString(),
+            ...(pitfall && { pitfall })
+        };
+        const finalHistory = [...history, npcMsg];
+
+        setChatHistory(finalHistory);
+        await saveHistory(finalHistory);
+
+        await logUsage(userId, userEmail, 'gemini_chat', {
+            npcId: speaker.id,
+            npcName: speaker.name,
+            groupSceneId: groupScene.id,
+            messageCount: finalHistory.length
+        });
+    };
+
+    const handleSend = async () => {
+        const text = message.trim();
+        if (isThinking || isEndingScene || members.length === 0) return;
+        if (availableMembers.length === 0) {
+            alert("Every NPC here has run out of patience and left the conversation. Reset it to start over.");
+            return;
+        }
+
+        stopAudio();
+        setIsThinking(true);
+        setMessage('');
+
+        // An empty send just lets the next NPC speak
+        const newHistory = text
+            ? [...chatHistory, { role: 'user', text, timestamp: new Date().toISOString() }]
+            : chatHistory;
+        setChatHistory(newHistory);
+
+        try {
+            await respond(newHistory);
+        } catch (e) {
+            console.error("Group Chat Error:", e);
+            setChatHistory(chatHistory);
+            setMessage(text);
+            alert(`The scene couldn't continue right now.\n\n${e.message}`);
+        } finally {
+            setIsThinking(false);
+            setThinkingName(null);
+            setTimeout(() => {
+                messageInputRef.current?.focus();
+            }, 0);
+        }
+    };
+
+    /**
+     * Distills the scene that is ending into the memory of every NPC that spoke in it,
+     * each from its own point of view. A failure only costs that NPC its memory.
+     */
+    const rememberEndingScene = async (history) => {
+        const sceneStart = history.map(msg => msg.role).lastIndexOf('scene');
+        const sceneMessages = history.slice(Math.max(sceneStart, 0));
+        const speakers = members.filter(npc => sceneMessages.some(msg => msg.role === 'npc' && msg.npcId === npc.id));
+
+        await Promise.all(speakers.map(async (npc) => {
+            try {
+                const npcMemories = npc.memories || [];
+                const previousAttitude = npcMemories[npcMemories.length - 1]?.attitude || null;
+                const memory = await summarizeSceneMemory(npc.structuredData, sceneMessages, previousAttitude);
+                const collectionPath = npc.isSharedNPC ? sharedNpcCollectionPath(appId, userId) : npcCollectionPath(appId, userId);
+                await updateNpc(doc(db, collectionPath, npc.id), {
+                    memories: [...npcMemories, memory].slice(-MAX_NPC_MEMORIES),
+                    updatedAt: new Date().toISOString()
+                });
+            } catch (e) {
+                console.error(`Error remembering scene for ${npc.name}:`, e);
+            }
+        }));
+    };
+
+    const handleResetConversation = async () => {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        if (!window.confirm("End this scene and clear the group conversation? Every NPC that spoke remembers it, and the opening setting is kept.")) return;
+
+        setIsEndingScene(true);
+        try {
+            await rememberEndingScene(chatHistory);
+            const newChats = chatHistory.length > 0 && chatHistory[0].role === 'scene' ? [chatHistory[0]] : [];
+            await saveHistory(newChats);
+            setChatHistory(newChats);
+            stopAudio();
+        } catch (e) {
+            console.error("Error resetting group conversation:", e);
+            alert("Failed to reset conversation. Please try again.");
+        } finally {
+            setIsEndingScene(false);
+        }
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            handleSend();
+        }
+    };
+
+    return (
+        <div className="flex flex-col h-full overflow-hidden bg-white">
+            {/* Header */}
+            <div className="flex items-center justify-between p-4 border-b border-gray-200 bg-white flex-shrink-0">
+                <div className="flex items-center min-w-0 space-x-2">
+                    {isMobile && (
+                        <button onClick={onBack} className="text-indigo-600 hover:text-indigo-800">
+                            <ChevronLeft className="w-6 h-6" />
+                        </button>
+                    )}
+                    <div className="min-w-0">
+                        <h3 className="text-lg font-semibold text-gray-800 truncate">{groupScene.name}</h3>
+                        <div className="flex items-center mt-1 -space-x-2">
+                            {members.map(npc => (
+                                <img
+                                    key={npc.id}
+                                    src={getThumbnailUrl(npc.imageUrl) || 'https://placehold.co/64x64/4f46e5/ffffff?text=NPC'}
+                                    alt={npc.name}
+                                    title={npc.name}
+                                    className="object-cover w-7 h-7 rounded-full border-2 border-white bg-gray-200"
+                                />
+                            ))}
+                        </div>
+                    </div>
+                </div>
+                <div className="flex items-center space-x-3">
+                    {chatHistory.length > 0 && <p className="hidden sm:block text-sm text-gray-500">{chatHistory.length} messages</p>}
+                    <button
+                        onClick={handleResetConversation}
+                        disabled={isThinking || isEndingScene}
+                        className="p-1.5 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-full transition-colors disabled:opacity-50"
+                        title="End Scene & Reset Conversation"
+                    >
+                        {isEndingScene ? <Loader2 className="w-4 h-4 animate-spin" /> : <RotateCcw className="w-4 h-4" />}
+                    </button>
+                </div>
+            </div>
+
+            {/* Chat History Container - Scrollable */}
+            <div id="group-chat-container" className="flex-1 px-2 sm:px-6 py-6 space-y-4 overflow-y-auto bg-gray-50">
+                {chatHistory.length === 0 && (
+                    <div className="flex flex-col items-center justify-center h-full p-8 text-center">
+                        <Users className="w-16 h-16 mx-auto mb-4 text-gray-200" />
+                        <h3 className="text-xl font-bold text-gray-400 mb-2">The room is quiet</h3>
+                        <p className="text-gray-400">Say something to the group, or press send with an empty message to let an NPC speak first.</p>
+                    </div>
+                )}
+                {chatHistory.map((msg, index) => (
+                    <ChatBubble
+                        key={index}
+                        message={msg}
+                        npcName={msg.speakerName}
+                        isSpeaking={playingMessageIndex === index}
+                        onSpeakClick={() => handleSpeakClick(msg, index)}
+                    />
+                ))}
+                {isThinking && (
+                    <div className="flex justify-start">
+                        <div className="p-3 text-gray-600 bg-gray-100 rounded-xl rounded-tl-none animate-pulse">
+                            {thinkingName ? `${thinkingName} is thinking...` : 'Deciding who speaks...'}
+                        </div>
+                    </div>
+                )}
+            </div>
+
+            {/* Input Area - Fixed at Bottom */}
+            <div className="p-4 border-t border-gray-200 bg-white flex-shrink-0">
+                <div className="flex flex-wrap items-center gap-2 mb-2 text-sm">
+                    <label htmlFor="next-speaker" className="text-gray-600">Next speaker:</label>
+                    <select
+                        id="next-speaker"
+                        value={nextSpeaker}
+                        onChange={(e) => setNextSpeaker(e.target.value)}
+                        className="p-1 text-sm border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                        disabled={isThinking}
+                    >
+                        <option value="auto">Let the scene decide</option>
+                        {members.map(npc => (
+                            <option key={npc.id} value={npc.id} disabled={patienceByNpc[npc.id].isExhausted}>
+                                {npc.name}{patienceByNpc[npc.id].isExhausted ? ' (out of patience)' : ''}
+                            </option>
+                        ))}
+                    </select>
+                    {/* Patience of the NPCs that have pitfalls, for the GM */}
+                    {members.filter(npc => npc.structuredData.pitfalls).map(npc => (
+                        <span
+                            key={npc.id}
+                            className={`inline-flex items-center text-xs ${patienceByNpc[npc.id].isExhausted ? 'text-red-600' : 'text-gray-500'}`}
+                            title={`${npc.name}'s patience. Pitfalls: ${npc.structuredData.pitfalls}`}
+                        >
+                            <Hourglass className="w-3 h-3 mr-0.5" />
+                            {npc.name} {patienceByNpc[npc.id].patience}/{MAX_PATIENCE}
+                        </span>
+                    ))}
+                </div>
+                <div className="flex items-end space-x-2">
+                    <textarea
+                        ref={messageInputRef}
+                        value={message}
+                        onChange={(e) => setMessage(e.target.value)}
+                        onKeyDown={handleKeyDown}
+                        rows="2"
+                        placeholder="Say something to the group..."
+                        className="flex-grow p-3 border border-gray-300 rounded-xl focus:ring-indigo-500 focus:border-indigo-500 resize-none"
+                        disabled={isThinking}
+                        maxLength={1000}
+                    />
+                    <Button
+                        onClick={handleSend}
+                        disabled={isThinking || members.length === 0}
+                        loading={isThinking}
+                        className="h-12 w-12 p-0 flex-shrink-0 rounded-xl"
+                    >
+                        {!isThinking && <Send className="w-5 h-5" />}
+                    </Button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const GroupSceneListItem = ({ groupScene, npcs, isActive, onClick, onDelete }) => {
+    const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+    const members = groupScene.npcIds.map(id => npcs.find(n => n.id === id)).filter(Boolean);
+
+    return (
+        <div
+            className={`npc-list-item group relative p-3 border-b border-gray-200 ${isActive ? 'active' : ''}`}
+            onClick={onClick}
+        >
+            <div className="flex items-center space-x-3">
+                <div className="flex items-center justify-center w-12 h-12 rounded-md flex-shrink-0 bg-indigo-100">
+                    <Users className="w-6 h-6 text-indigo-600" />
+                </div>
+                <div className="flex-1 min-w-0">
+                    <h4 className="font-semibold text-gray-900 truncate">{groupScene.name}</h4>
+                    <p className="text-xs text-indigo-600 truncate">{members.map(n => n.name).join(', ')}</p>
+                    {groupScene.chats && groupScene.chats.length > 0 && (
+                        <p className="text-xs text-gray-500">{groupScene.chats.length} messages</p>
+                    )}
+                </div>
+                {!showDeleteConfirm ? (
+                    <button
+                        onClick={(e) => { e.stopPropagation(); setShowDeleteConfirm(true); }}
+                        className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-full transition-all duration-200 flex-shrink-0 opacity-0 group-hover:opacity-100"
+                        title="Delete Group Scene"
+                    >
+                        <Trash2 className="w-4 h-4" />
+                    </button>
+                ) : (
+                    <div className="flex items-center bg-white shadow-sm border border-gray-200 rounded-full overflow-hidden animate-slide-in">
+                        <button
+                            onClick={(e) => { e.stopPropagation(); onDelete(groupScene); setShowDeleteConfirm(false); }}
+                            className="p-2 text-green-600 hover:bg-green-50 transition-colors"
+                            title="Confirm Delete"
+                        >
+                            <Check className="w-4 h-4" />
+                        </button>
+                        <div className="w-px h-4 bg-gray-200"></div>
+                        <button
+                            onClick={(e) => { e.stopPropagation(); setShowDeleteConfirm(false); }}
+                            className="p-2 text-gray-500 hover:bg-gray-50 transition-colors"
+                            title="Cancel"
+                        >
+                            <X className="w-4 h-4" />
+                        </button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+
+// --- Resizable Panel Components ---
+
+const ResizablePanels = ({ leftPanel, rightPanel, isLeftCollapsed = false, storageKey = 'npc-panel-width', defaultLeftWidth = 320, minLeftWidth = 250, maxLeftWidth = 600 }) => {
+    const containerRef = useRef(null);
+
+    const [leftWidth, setLeftWidth] = useState(() => {
+        const saved = localStorage.getItem(storageKey);
+        return saved ? parseInt(saved, 10) : defaultLeftWidth;
+    });
+    const [isResizing, setIsResizing] = useState(false);
+
+    // When collapsed, use minimal width (60px for the collapse button)
+    const collapsedWidth = 60;
+    const effectiveLeftWidth = isLeftCollapsed ? collapsedWidth : leftWidth;
+
+    const startResizing = useCallback(() => {
+        if (!isLeftCollapsed) {
+            setIsResizing(true);
+        }
+    }, [isLeftCollapsed]);
 
     const stopResizing = useCallback(() => {
         setIsResizing(false);
     }, []);
 
-    const resize = useCallback((e) => {
-        if (isResizing && containerRef.current) {
-            const containerRect = containerRef.current.getBoundingClientRect();
-            const newWidth = e.clientX - containerRect.left;
-            if (newWidth >= minLeftWidth && newWidth <= maxLeftWidth) {
-                setLeftWidth(newWidth);
-                localStorage.setItem(storageKey, newWidth.toString());
-            }
+    const resize = useCallback((e) => {
+        if (isResizing && containerRef.current) {
+            const containerRect = containerRef.current.getBoundingClientRect();
+            const newWidth = e.clientX - containerRect.left;
+            if (newWidth >= minLeftWidth && newWidth <= maxLeftWidth) {
+                setLeftWidth(newWidth);
+                localStorage.setItem(storageKey, newWidth.toString());
+            }
+        }
+    }, [isResizing, minLeftWidth, maxLeftWidth, storageKey]);
+
+    useEffect(() => {
+        if (isResizing) {
+            window.addEventListener('mousemove', resize);
+            window.addEventListener('mouseup', stopResizing);
+            document.body.classList.add('resizing');
+        } else {
+            window.removeEventListener('mousemove', resize);
+            window.removeEventListener('mouseup', stopResizing);
+            document.body.classList.remove('resizing');
+        }
+
+        return () => {
+            window.removeEventListener('mousemove', resize);
+            window.removeEventListener('mouseup', stopResizing);
+            document.body.classList.remove('resizing');
+        };
+    }, [isResizing, resize, stopResizing]);
+
+    return (
+        <div ref={containerRef} className="flex h-full overflow-hidden">
+            <div
+                className={`flex-shrink-0 overflow-hidden ${!isResizing ? 'panel-transition' : ''}`}
+                style={{ width: `${effectiveLeftWidth}px` }}
+            >
+                {leftPanel}
+            </div>
+            {!isLeftCollapsed && (
+                <div
+                    className="flex items-center justify-center w-1 bg-gray-300 resize-handle hover:w-1.5"
+                    onMouseDown={startResizing}
+                >
+                    <GripVertical className="w-3 h-3 text-gray-500" />
+                </div>
+            )}
+            <div className="flex-1 overflow-hidden">
+                {rightPanel}
+            </div>
+        </div>
+    );
+};
+
+// --- Campaign Components ---
+
+const CAMPAIGN_ENTRY_SECTIONS = [
+    { key: 'locations', label: 'Locations', placeholder: 'E.g., Waterdeep' },
+    { key: 'factions', label: 'Factions', placeholder: 'E.g., The Zhentarim' },
+    { key: 'lore', label: 'Lore Notes', placeholder: 'E.g., The Spellplague' }
+];
+
+const CampaignEntryList = ({ label, entries, placeholder, onChange }) => {
+    const updateEntry = (index, field, value) => {
+        onChange(entries.map((entry, i) => i === index ? { ...entry, [field]: value } : entry));
+    };
+
+    return (
+        <div>
+            <div className="flex items-center justify-between mb-1">
+                <label className="block text-sm font-medium text-gray-700">{label}</label>
+                <button
+                    onClick={() => onChange([...entries, { name: '', description: '' }])}
+                    className="p-1 text-green-600 hover:bg-green-50 rounded-lg transition-colors"
+                    title={`Add to ${label}`}
+                >
+                    <Plus className="w-4 h-4" />
+                </button>
+            </div>
+            {entries.length === 0 && (
+                <p className="text-xs text-gray-400 italic">Nothing yet.</p>
+            )}
+            <div className="space-y-2">
+                {entries.map((entry, index) => (
+                    <div key={index} className="flex items-start space-x-2">
+                        <div className="flex-1 space-y-1">
+                            <input
+                                type="text"
+                                value={entry.name}
+                                onChange={(e) => updateEntry(index, 'name', e.target.value)}
+                                placeholder={placeholder}
+                                className="w-full p-2 text-sm border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                            />
+                            <textarea
+                                value={entry.description}
+                                onChange={(e) => updateEntry(index, 'description', e.target.value)}
+                                rows="2"
+                                placeholder="Description"
+                                className="w-full p-2 text-sm border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 resize-none"
+                            />
+                        </div>
+                        <button
+                            onClick={() => onChange(entries.filter((_, i) => i !== index))}
+                            className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-full transition-colors"
+                            title="Remove"
+                        >
+                            <Trash2 className="w-4 h-4" />
+                        </button>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Creates a new campaign, or edits an existing one when `campaign` is provided.
+ */
+const CampaignModal = ({ db, userId, campaign = null, onSaved, onDelete, onCancel }) => {
+    const [name, setName] = useState(campaign?.name || '');
+    const [description, setDescription] = useState(campaign?.description || '');
+    const [entries, setEntries] = useState({
+        locations: campaign?.locations || [],
+        factions: campaign?.factions || [],
+        lore: campaign?.lore || []
+    });
+    const [isSaving, setIsSaving] = useState(false);
+    const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+    const [isExportingJournal, setIsExportingJournal] = useState(false);
+
+    // ESC key handler
+    useEscapeKey(onCancel);
+
+    const handleSave = async () => {
+        if (!name.trim()) {
+            alert("Please give your campaign a name.");
+            return;
+        }
+        setIsSaving(true);
+
+        // Drop rows the GM added but never filled in
+        const cleanEntries = (list) => list
+            .map(entry => ({ name: entry.name.trim(), description: entry.description.trim() }))
+            .filter(entry => entry.name || entry.description);
+
+        const campaignData = {
+            name: name.trim(),
+            description: description.trim(),
+            locations: cleanEntries(entries.locations),
+            factions: cleanEntries(entries.factions),
+            lore: cleanEntries(entries.lore),
+            updatedAt: new Date().toISOString()
+        };
+
+        try {
+            if (campaign) {
+                await updateDoc(doc(db, campaignCollectionPath(appId, userId), campaign.id), campaignData);
+                onSaved(campaign.id);
+            } else {
+                const newCampaignRef = doc(collection(db, campaignCollectionPath(appId, userId)));
+                await setDoc(newCampaignRef, {
+                    ...campaignData,
+                    id: newCampaignRef.id,
+                    createdAt: new Date().toISOString(),
+                    ownerId: userId
+                });
+
+                const userEmail = auth.currentUser?.email || 'unknown';
+                await logUsage(userId, userEmail, 'campaign_created', {
+                    campaignId: newCampaignRef.id,
+                    campaignName: campaignData.name
+                });
+
+                onSaved(newCampaignRef.id);
+            }
+        } catch (e) {
+            console.error('Error saving campaign:', e);
+            alert("Failed to save campaign. Please try again.");
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    // The recaps of every NPC in this campaign, as one Markdown file
+    const handleExportJournal = async () => {
+        setIsExportingJournal(true);
+        try {
+            const snapshot = await getDocs(query(collection(db, journalCollectionPath(appId, userId)), where('campaignId', '==', campaign.id)));
+            const journalEntries = snapshot.docs.map(doc => doc.data());
+            if (journalEntries.length === 0) {
+                alert("No journal entries yet. Generate a recap from an NPC's GM details.");
+                return;
+            }
+            downloadTextFile(
+                `${toFileSlug(campaign.name)}-journal.md`,
+                formatJournalMarkdown(`${campaign.name} — Campaign Journal`, journalEntries),
+                'text/markdown'
+            );
+        } catch (e) {
+            console.error('Error exporting journal:', e);
+            alert("Failed to export the journal. Please try again.");
+        } finally {
+            setIsExportingJournal(false);
+        }
+    };
+
+    return (
+        <div
+            className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-[9999] p-4"
+            onClick={onCancel}
+        >
+            <div
+                className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="sticky top-0 z-10 bg-white border-b border-gray-200 p-4 md:p-6 flex items-center justify-between">
+                    <h2 className="flex items-center text-2xl font-bold text-indigo-700">
+                        <Globe className="w-6 h-6 mr-2" />
+                        {campaign ? 'Edit Campaign' : 'New Campaign'}
+                    </h2>
+                    <button
+                        onClick={onCancel}
+                        className="text-gray-500 hover:text-gray-700 p-2"
+                        aria-label="Close"
+                    >
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+                <div className="p-4 md:p-6 space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Campaign Name</label>
+                        <input
+                            type="text"
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                            placeholder="E.g., Curse of Strahd"
+                            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">World Overview</label>
+                        <textarea
+                            value={description}
+                            onChange={(e) => setDescription(e.target.value)}
+                            rows="3"
+                            placeholder="Tone, era, and what everyone in this world knows."
+                            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 resize-none"
+                        />
+                    </div>
+                    {CAMPAIGN_ENTRY_SECTIONS.map(section => (
+                        <CampaignEntryList
+                            key={section.key}
+                            label={section.label}
+                            placeholder={section.placeholder}
+                            entries={entries[section.key]}
+                            onChange={(list) => setEntries(prev => ({ ...prev, [section.key]: list }))}
+                        />
+                    ))}
+                    <p className="text-xs text-gray-500">
+                        NPCs in this campaign know this world: it is added to their roleplay and scene prompts.
+                    </p>
+                    {campaign && (
+                        <div className="flex items-center justify-between p-3 bg-indigo-50 rounded-lg">
+                            <p className="text-sm text-gray-700">Session recaps of this campaign's NPCs</p>
+                            <button
+                                onClick={handleExportJournal}
+                                disabled={isExportingJournal}
+                                className="flex items-center px-3 py-2 text-sm text-indigo-600 hover:bg-indigo-100 rounded-lg transition-colors disabled:opacity-50"
+                            >
+                                {isExportingJournal ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Download className="w-4 h-4 mr-1" />}
+                                Export Journal
+                            </button>
+                        </div>
+                    )}
+                    <div className="flex items-center justify-between pt-2">
+                        {campaign && onDelete ? (
+                            showDeleteConfirm ? (
+                                <div className="flex items-center space-x-2 text-sm">
+                                    <span className="text-red-600">Delete campaign? NPCs are kept.</span>
+                                    <button
+                                        onClick={() => onDelete(campaign)}
+                                        className="p-2 text-green-600 hover:bg-green-50 rounded-full transition-colors"
+                                        title="Confirm Delete"
+                                    >
+                                        <Check className="w-4 h-4" />
+                                    </button>
+                                    <button
+                                        onClick={() => setShowDeleteConfirm(false)}
+                                        className="p-2 text-gray-500 hover:bg-gray-50 rounded-full transition-colors"
+                                        title="Cancel"
+                                    >
+                                        <X className="w-4 h-4" />
+                                    </button>
+                                </div>
+                            ) : (
+                                <button
+                                    onClick={() => setShowDeleteConfirm(true)}
+                                    className="flex items-center px-3 py-2 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                                >
+                                    <Trash2 className="w-4 h-4 mr-1" />
+                                    Delete
+                                </button>
+                            )
+                        ) : <span />}
+                        <Button onClick={handleSave} loading={isSaving} icon={Check}>
+                            {campaign ? 'Save Campaign' : 'Create Campaign'}
+                        </Button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const CampaignSwitcher = ({ campaigns, activeCampaignId, onCampaignChange, onCreateCampaign, onEditCampaign }) => (
+    <div className="flex items-center px-4 py-2 space-x-1 border-b border-gray-200 bg-white">
+        <Globe className="w-4 h-4 text-indigo-500 flex-shrink-0" />
+        <select
+            value={activeCampaignId || ''}
+            onChange={(e) => onCampaignChange(e.target.value || null)}
+            className="flex-1 min-w-0 p-1 text-sm border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+            title="Active campaign"
+        >
+            <option value="">All NPCs</option>
+            {campaigns.map(campaign => (
+                <option key={campaign.id} value={campaign.id}>{campaign.name}</option>
+            ))}
+        </select>
+        {activeCampaignId && (
+            <button
+                onClick={onEditCampaign}
+                className="p-1.5 text-indigo-600 hover:bg-indigo-50 rounded-lg transition-colors"
+                title="Edit campaign world"
+            >
+                <Edit2 className="w-4 h-4" />
+            </button>
+        )}
+        <button
+            onClick={onCreateCampaign}
+            className="p-1.5 text-green-600 hover:bg-green-50 rounded-lg transition-colors"
+            title="New campaign"
+        >
+            <Plus className="w-4 h-4" />
+        </button>
+    </div>
+);
+
+/**
+ * Creates a player character, or edits an existing one when `playerCharacter` is provided.
+ */
+const PlayerCharacterModal = ({ db, userId, playerCharacter = null, campaigns = [], defaultCampaignId = null, onSaved, onDelete, onCancel }) => {
+    const [pc, setPc] = useState(() => {
+        const normalized = normalizePlayerCharacter(playerCharacter || { campaignId: defaultCampaignId });
+        return { ...normalized, backstoryHooks: normalized.backstoryHooks.join('\n') };
+    });
+    const [isSaving, setIsSaving] = useState(false);
+    const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+
+    // ESC key handler
+    useEscapeKey(onCancel);
+
+    const setField = (key, value) => setPc(prev => ({ ...prev, [key]: value }));
+
+    const handleSave = async () => {
+        const pcData = { ...normalizePlayerCharacter(pc), updatedAt: new Date().toISOString() };
+        if (!pcData.name) {
+            alert("Please give your character a name.");
+            return;
         }
-    }, [isResizing, minLeftWidth, maxLeftWidth, storageKey]);
+        setIsSaving(true);
 
-    useEffect(() => {
-        if (isResizing) {
-            window.addEventListener('mousemove', resize);
-            window.addEventListener('mouseup', stopResizing);
-            document.body.classList.add('resizing');
-        } else {
-            window.removeEventListener('mousemove', resize);
-            window.removeEventListener('mouseup', stopResizing);
-            document.body.classList.remove('resizing');
+        try {
+            if (playerCharacter) {
+                await updateDoc(doc(db, playerCharacterCollectionPath(appId, userId), playerCharacter.id), pcData);
+            } else {
+                const newPcRef = doc(collection(db, playerCharacterCollectionPath(appId, userId)));
+                await setDoc(newPcRef, {
+                    ...pcData,
+                    id: newPcRef.id,
+                    createdAt: new Date().toISOString(),
+                    ownerId: userId
+                });
+            }
+            onSaved();
+        } catch (e) {
+            console.error('Error saving player character:', e);
+            alert("Failed to save the character. Please try again.");
+        } finally {
+            setIsSaving(false);
         }
+    };
 
-        return () => {
-            window.removeEventListener('mousemove', resize);
-            window.removeEventListener('mouseup', stopResizing);
-            document.body.classList.remove('resizing');
-        };
-    }, [isResizing, resize, stopResizing]);
+    const inputClass = "w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500";
 
     return (
-        <div ref={containerRef} className="flex h-full overflow-hidden">
+        <div
+            className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-[9999] p-4"
+            onClick={onCancel}
+        >
             <div
-                className={`flex-shrink-0 overflow-hidden ${!isResizing ? 'panel-transition' : ''}`}
-                style={{ width: `${effectiveLeftWidth}px` }}
+                className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto"
+                onClick={(e) => e.stopPropagation()}
             >
-                {leftPanel}
-            </div>
-            {!isLeftCollapsed && (
-                <div
-                    className="flex items-center justify-center w-1 bg-gray-300 resize-handle hover:w-1.5"
-                    onMouseDown={startResizing}
-                >
-                    <GripVertical className="w-3 h-3 text-gray-500" />
+                <div className="sticky top-0 z-10 bg-white border-b border-gray-200 p-4 md:p-6 flex items-center justify-between">
+                    <h2 className="flex items-center text-2xl font-bold text-indigo-700">
+                        <Swords className="w-6 h-6 mr-2" />
+                        {playerCharacter ? 'Edit Player Character' : 'New Player Character'}
+                    </h2>
+                    <button
+                        onClick={onCancel}
+                        className="text-gray-500 hover:text-gray-700 p-2"
+                        aria-label="Close"
+                    >
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+                <div className="p-4 md:p-6 space-y-4">
+                    <div className="grid gap-4 sm:grid-cols-2">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                            <input
+                                type="text"
+                                value={pc.name}
+                                onChange={(e) => setField('name', e.target.value)}
+                                placeholder="E.g., Aria Thornwood"
+                                className={inputClass}
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">Campaign</label>
+                            <select
+                                value={pc.campaignId || ''}
+                                onChange={(e) => setField('campaignId', e.target.value || null)}
+                                className={inputClass}
+                            >
+                                <option value="">All campaigns</option>
+                                {campaigns.map(campaign => (
+                                    <option key={campaign.id} value={campaign.id}>{campaign.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                        {PLAYER_CHARACTER_FIELDS.filter(field => !field.multiline).map(field => (
+                            <div key={field.key}>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+                                <input
+                                    type="text"
+                                    value={pc[field.key]}
+                                    onChange={(e) => setField(field.key, e.target.value)}
+                                    placeholder={field.placeholder}
+                                    className={inputClass}
+                                />
+                            </div>
+                        ))}
+                    </div>
+                    {PLAYER_CHARACTER_FIELDS.filter(field => field.multiline).map(field => (
+                        <div key={field.key}>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+                            <textarea
+                                value={pc[field.key]}
+                                onChange={(e) => setField(field.key, e.target.value)}
+                                rows="2"
+                                placeholder={field.placeholder}
+                                className={`${inputClass} resize-none`}
+                            />
+                        </div>
+                    ))}
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Backstory Hooks (one per line)</label>
+                        <textarea
+                            value={pc.backstoryHooks}
+                            onChange={(e) => setField('backstoryHooks', e.target.value)}
+                            rows="3"
+                            placeholder={"E.g., Owes the Thieves' Guild a favor\nSearching for her missing brother"}
+                            className={`${inputClass} resize-none`}
+                        />
+                    </div>
+                    <p className="text-xs text-gray-500">
+                        NPCs are told about the player characters present in a conversation, and scenes are written around them.
+                    </p>
+                    <div className="flex items-center justify-between pt-2">
+                        {playerCharacter && onDelete ? (
+                            showDeleteConfirm ? (
+                                <div className="flex items-center space-x-2 text-sm">
+                                    <span className="text-red-600">Delete this character?</span>
+                                    <button
+                                        onClick={() => onDelete(playerCharacter)}
+                                        className="p-2 text-green-600 hover:bg-green-50 rounded-full transition-colors"
+                                        title="Confirm Delete"
+                                    >
+                                        <Check className="w-4 h-4" />
+                                    </button>
+                                    <button
+                                        onClick={() => setShowDeleteConfirm(false)}
+                                        className="p-2 text-gray-500 hover:bg-gray-50 rounded-full transition-colors"
+                                        title="Cancel"
+                                    >
+                                        <X className="w-4 h-4" />
+                                    </button>
+                                </div>
+                            ) : (
+                                <button
+                                    onClick={() => setShowDeleteConfirm(true)}
+                                    className="flex items-center px-3 py-2 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                                >
+                                    <Trash2 className="w-4 h-4 mr-1" />
+                                    Delete
+                                </button>
+                            )
+                        ) : <span />}
+                        <Button onClick={handleSave} loading={isSaving} icon={Check}>
+                            {playerCharacter ? 'Save Character' : 'Create Character'}
+                        </Button>
+                    </div>
                 </div>
-            )}
-            <div className="flex-1 overflow-hidden">
-                {rightPanel}
             </div>
         </div>
     );
 };
 
+// The party of the active campaign, under the campaign switcher
+const PlayerCharacterBar = ({ playerCharacters, onCreate, onEdit }) => (
+    <div className="flex items-center px-4 py-2 gap-1 border-b border-gray-200 bg-white overflow-x-auto">
+        <Swords className="w-4 h-4 text-indigo-500 flex-shrink-0" />
+        {playerCharacters.length === 0 && (
+            <span className="flex-1 text-xs text-gray-400 italic">No player characters yet</span>
+        )}
+        {playerCharacters.map(pc => (
+            <button
+                key={pc.id}
+                onClick={() => onEdit(pc)}
+                className="flex-shrink-0 px-2 py-0.5 text-xs text-indigo-700 bg-indigo-50 hover:bg-indigo-100 rounded-full transition-colors"
+                title={[describePlayerCharacter(pc), 'Edit'].filter(Boolean).join(' · ')}
+            >
+                {pc.name}
+            </button>
+        ))}
+        <button
+            onClick={onCreate}
+            className="ml-auto p-1.5 text-green-600 hover:bg-green-50 rounded-lg transition-colors flex-shrink-0"
+            title="New player character"
+        >
+            <Plus className="w-4 h-4" />
+        </button>
+    </div>
+);
+
 // --- Compact NPC List Components ---
 
 const CompactNpcListItem = ({ npc, isActive, onClick, onDelete }) => {
@@ -2696,8 +5952,9 @@ const CompactNpcListItem = ({ npc, isActive, onClick, onDelete }) => {
         >
             <div className="flex items-center space-x-3">
                 <img
-                    src={npc.imageUrl || 'https://placehold.co/64x64/4f46e5/ffffff?text=NPC'}
+                    src={npc.thumbnailUrl || 'https://placehold.co/64x64/4f46e5/ffffff?text=NPC'}
                     alt={npc.name}
+                    loading="lazy"
                     className="object-cover w-12 h-12 rounded-md flex-shrink-0 bg-gray-200"
                 />
                 <div className="flex-1 min-w-0">
@@ -2709,9 +5966,12 @@ const CompactNpcListItem = ({ npc, isActive, onClick, onDelete }) => {
                             </span>
                         )}
                     </div>
-                    <p className="text-xs text-indigo-600 truncate">{npc.structuredData.raceClass}</p>
-                    {npc.chats && npc.chats.length > 0 && (
-                        <p className="text-xs text-gray-500">{npc.chats.length} messages</p>
+                    <p className="text-xs text-indigo-600 truncate">{npc.raceClass}</p>
+                    {npc.messageCount > 0 && (
+                        <p className="text-xs text-gray-500" title={npc.lastActivityAt && `Last active ${new Date(npc.lastActivityAt).toLocaleString()}`}>
+                            {npc.messageCount} messages
+                            {npc.lastActivityAt && ` · ${new Date(npc.lastActivityAt).toLocaleDateString()}`}
+                        </p>
                     )}
                 </div>
                 {onDelete && !showDeleteConfirm ? (
@@ -2746,7 +6006,15 @@ const CompactNpcListItem = ({ npc, isActive, onClick, onDelete }) => {
     );
 };
 
-const CompactNpcList = ({ npcs, sharedNpcs = [], selectedNpcId, onNpcSelected, onNpcDelete, onCreateNew, loading, isCollapsed, onToggleCollapse }) => {
+const CompactNpcList = ({ npcs, sharedNpcs = [], groupScenes = [], campaigns = [], activeCampaignId, onCampaignChange, onCreateCampaign, onEditCampaign, playerCharacters = [], onCreatePlayerCharacter, onEditPlayerCharacter, selectedNpcId, selectedGroupSceneId, onNpcSelected, onNpcDelete, onGroupSceneSelected, onGroupSceneDelete, onCreateNew, onCreateGroupScene, onExportNpcs, onImportNpcs, isImporting = false, loading, isCollapsed, onToggleCollapse }) => {
+    const importInputRef = useRef(null);
+
+    const handleImportFileChange = (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = ''; // Allow picking the same file again
+        if (file) onImportNpcs(file);
+    };
+
     /**
      * Deletes an image from Cloudinary.
      */
@@ -2758,7 +6026,7 @@ const CompactNpcList = ({ npcs, sharedNpcs = [], selectedNpcId, onNpcSelected, o
         try {
             const response = await fetch('/.netlify/functions/delete-image', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: await getAuthHeaders(),
                 body: JSON.stringify({ publicId })
             });
 
@@ -2819,6 +6087,35 @@ const CompactNpcList = ({ npcs, sharedNpcs = [], selectedNpcId, onNpcSelected, o
                     >
                         <Plus className="w-5 h-5" />
                     </button>
+                    <button
+                        onClick={onCreateGroupScene}
+                        className="p-2 text-indigo-600 hover:bg-indigo-50 rounded-lg transition-colors"
+                        title="Start a group scene"
+                    >
+                        <Users className="w-5 h-5" />
+                    </button>
+                    <button
+                        onClick={onExportNpcs}
+                        className="p-2 text-indigo-600 hover:bg-indigo-50 rounded-lg transition-colors"
+                        title="Export NPCs"
+                    >
+                        <Download className="w-5 h-5" />
+                    </button>
+                    <button
+                        onClick={() => importInputRef.current?.click()}
+                        disabled={isImporting}
+                        className="p-2 text-indigo-600 hover:bg-indigo-50 rounded-lg transition-colors disabled:opacity-50"
+                        title="Import NPCs"
+                    >
+                        {isImporting ? <Loader2 className="w-5 h-5 animate-spin" /> : <Upload className="w-5 h-5" />}
+                    </button>
+                    <input
+                        ref={importInputRef}
+                        type="file"
+                        accept=".json,application/json"
+                        onChange={handleImportFileChange}
+                        className="hidden"
+                    />
                     {/* Hide collapse button on mobile */}
                     <button
                         onClick={onToggleCollapse}
@@ -2830,15 +6127,31 @@ const CompactNpcList = ({ npcs, sharedNpcs = [], selectedNpcId, onNpcSelected, o
                 </div>
             </div>
 
+            {/* Campaign Switcher */}
+            <CampaignSwitcher
+                campaigns={campaigns}
+                activeCampaignId={activeCampaignId}
+                onCampaignChange={onCampaignChange}
+                onCreateCampaign={onCreateCampaign}
+                onEditCampaign={onEditCampaign}
+            />
+
+            {/* Player Characters */}
+            <PlayerCharacterBar
+                playerCharacters={playerCharacters}
+                onCreate={onCreatePlayerCharacter}
+                onEdit={onEditPlayerCharacter}
+            />
+
             {/* NPC List */}
             <div className="flex-1 overflow-y-auto compact-npc-list">
                 {loading ? (
                     <div className="flex items-center justify-center p-8">
                         <Loader2 className="w-6 h-6 animate-spin text-indigo-500" />
                     </div>
-                ) : npcs.length === 0 && sharedNpcs.length === 0 ? (
+                ) : npcs.length === 0 && sharedNpcs.length === 0 && groupScenes.length === 0 ? (
                     <div className="p-6 text-center text-gray-500 text-sm">
-                        <p>No NPCs yet.</p>
+                        <p>{activeCampaignId ? 'No NPCs in this campaign yet.' : 'No NPCs yet.'}</p>
                         <p className="mt-2">Click the <Plus className="w-4 h-4 inline" /> button to create your first one!</p>
                     </div>
                 ) : (
@@ -2883,6 +6196,28 @@ const CompactNpcList = ({ npcs, sharedNpcs = [], selectedNpcId, onNpcSelected, o
                                 ))}
                             </div>
                         )}
+
+                        {/* Group Scenes Section */}
+                        {groupScenes.length > 0 && (
+                            <div>
+                                <div className="px-4 py-2 bg-indigo-50 border-b border-indigo-200">
+                                    <h3 className="text-xs font-bold text-indigo-700 uppercase tracking-wide flex items-center">
+                                        <Users className="w-3 h-3 mr-1" />
+                                        Group Scenes ({groupScenes.length})
+                                    </h3>
+                                </div>
+                                {groupScenes.map(groupScene => (
+                                    <GroupSceneListItem
+                                        key={groupScene.id}
+                                        groupScene={groupScene}
+                                        npcs={[...npcs, ...sharedNpcs]}
+                                        isActive={groupScene.id === selectedGroupSceneId}
+                                        onClick={() => onGroupSceneSelected(groupScene)}
+                                        onDelete={onGroupSceneDelete}
+                                    />
+                                ))}
+                            </div>
+                        )}
                     </>
                 )}
             </div>
@@ -2921,7 +6256,7 @@ const NpcList = ({ npcs, onNpcSelected, db, userId, loading }) => {
         try {
             const response = await fetch('/.netlify/functions/delete-image', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: await getAuthHeaders(),
                 body: JSON.stringify({ publicId })
             });
 
@@ -2947,7 +6282,7 @@ const NpcList = ({ npcs, onNpcSelected, db, userId, loading }) => {
             }
 
             const npcRef = doc(db, npcCollectionPath(appId, userId), npcToDelete.id);
-            await deleteDoc(npcRef);
+            await deleteNpc(npcRef);
             setIsDeleteModalOpen(false);
             setNpcToDelete(null);
         } catch (error) {
@@ -3024,21 +6359,40 @@ const NPCGeneratorChatbot = ({ user, impersonatedUserId, onShowAdmin }) => {
     const userId = impersonatedUserId || user.uid;
     const isAuthReady = true;
 
-    const { npcs, loading } = useNPCs(db, userId, isAuthReady);
-    const { sharedNpcs, loading: sharedLoading } = useSharedNPCs(db, userId, isAuthReady);
+    // The sidebar lists NPC summaries; `npcs` and `sharedNpcs` are summaries throughout
+    const { npcs, sharedNpcs, loading: isLoadingNpcs } = useNpcSummaries(db, userId, isAuthReady);
+    const { groupScenes } = useGroupScenes(db, userId, isAuthReady);
+    const { campaigns } = useCampaigns(db, userId, isAuthReady);
+    const { playerCharacters } = usePlayerCharacters(db, userId, isAuthReady);
 
     // Combine owned and shared NPCs
     const allNpcs = useMemo(() => {
         return [...npcs, ...sharedNpcs];
     }, [npcs, sharedNpcs]);
 
-    const isLoadingNpcs = loading || sharedLoading;
+    // Active campaign filters the sidebar and is assigned to newly created NPCs and group scenes
+    const campaignStorageKey = `active-campaign-${userId}`;
+    const [activeCampaignId, setActiveCampaignId] = useState(() => localStorage.getItem(campaignStorageKey));
+    const [campaignModal, setCampaignModal] = useState(null); // null, 'new' or 'edit'
+
+    const activeCampaign = useMemo(() => {
+        return campaigns.find(c => c.id === activeCampaignId) || null;
+    }, [campaigns, activeCampaignId]);
+
+    const inActiveCampaign = (item) => !activeCampaign || item.campaignId === activeCampaign.id;
+    const visibleNpcs = npcs.filter(inActiveCampaign);
+    const visibleSharedNpcs = sharedNpcs.filter(inActiveCampaign);
+    const visibleGroupScenes = groupScenes.filter(inActiveCampaign);
+    const visiblePlayerCharacters = activeCampaign ? getAvailablePlayerCharacters(playerCharacters, activeCampaign.id) : playerCharacters;
+    const [playerCharacterModal, setPlayerCharacterModal] = useState(null); // null or { playerCharacter }
 
     // Retrieve API key from environment variables
     const apiKey = null; // API Key removed. Using Netlify Functions.
 
     const [selectedNpcId, setSelectedNpcId] = useState(null);
     const [showCreateForm, setShowCreateForm] = useState(false);
+    const [selectedGroupSceneId, setSelectedGroupSceneId] = useState(null);
+    const [showGroupSceneForm, setShowGroupSceneForm] = useState(false);
 
     const [isSidebarCollapsed, setIsSidebarCollapsed] = useState(false);
     const [showGoldStore, setShowGoldStore] = useState(false);
@@ -3052,13 +6406,14 @@ const NPCGeneratorChatbot = ({ user, impersonatedUserId, onShowAdmin }) => {
         }
     }, [userId]);
 
-    // Wrapper for deducting credits with animation and state update
-    const handleDeductCredits = async (amount) => {
-        const newBalance = await deductCredits(userId, amount);
-        setCredits(newBalance); // Update displayed balance
-        setIsGoldGlittering(true);
-        setTimeout(() => setIsGoldGlittering(false), 500);
-    };
+    // Display the balance reported by the server after each paid request
+    useEffect(() => {
+        return onCreditsChanged((newBalance) => {
+            setCredits(newBalance);
+            setIsGoldGlittering(true);
+            setTimeout(() => setIsGoldGlittering(false), 500);
+        });
+    }, []);
 
     const handleCloseGoldStore = () => {
         setShowGoldStore(false);
@@ -3097,19 +6452,35 @@ const NPCGeneratorChatbot = ({ user, impersonatedUserId, onShowAdmin }) => {
 
     // Change tip when entering an NPC with empty discussion
     useEffect(() => {
-        if (selectedNpc && (!selectedNpc.chats || selectedNpc.chats.length === 0)) {
+        if (selectedNpcSummary && !selectedNpcSummary.messageCount) {
             // Cycle to next tip when entering an NPC with empty chat
             setCurrentTipIndex((prevIndex) => (prevIndex + 1) % TIPS.length);
         }
     }, [selectedNpcId]);
 
-    // Derive the selected NPC object from the live list
-    const selectedNpc = useMemo(() => {
+    // Derive the selected NPC from the live list, then read the whole NPC
+    const selectedNpcSummary = useMemo(() => {
         return allNpcs.find(n => n.id === selectedNpcId) || null;
     }, [allNpcs, selectedNpcId]);
+    const selectedNpcs = useMemo(() => (selectedNpcSummary ? [selectedNpcSummary] : []), [selectedNpcSummary]);
+    const selectedNpc = useNpcDocuments(db, userId, selectedNpcs)[0] || null;
+
+    // Cache for generated scenes: { [npcId]: scene }. Kept here since the chat remounts while the next NPC loads
+    const sceneCache = useRef({});
+
+    const selectedGroupScene = useMemo(() => {
+        return groupScenes.find(s => s.id === selectedGroupSceneId) || null;
+    }, [groupScenes, selectedGroupSceneId]);
+
+    // Group scenes need the whole NPC of every member
+    const groupSceneMembers = useMemo(() => (
+        selectedGroupScene ? allNpcs.filter(n => selectedGroupScene.npcIds.includes(n.id)) : []
+    ), [allNpcs, selectedGroupScene]);
+    const groupSceneNpcs = useNpcDocuments(db, userId, groupSceneMembers);
 
     const handleNpcSelected = (npc) => {
         setSelectedNpcId(npc.id);
+        setSelectedGroupSceneId(null);
         setShowCreateForm(false);
         // On mobile, navigate to details view
         if (isMobile) {
@@ -3118,8 +6489,8 @@ const NPCGeneratorChatbot = ({ user, impersonatedUserId, onShowAdmin }) => {
     };
 
     const handleCreateNew = () => {
-        if (npcs.length >= 10) {
-            alert("You have reached the limit of 10 NPCs. Please delete an NPC before creating a new one.");
+        if (npcs.length >= MAX_NPCS) {
+            alert(`You have reached the limit of ${MAX_NPCS} NPCs. Please delete an NPC before creating a new one.`);
             return;
         }
         setSelectedNpcId(null);
@@ -3130,6 +6501,103 @@ const NPCGeneratorChatbot = ({ user, impersonatedUserId, onShowAdmin }) => {
         }
     };
 
+    const handleCampaignChange = (campaignId) => {
+        setActiveCampaignId(campaignId);
+        if (campaignId) {
+            localStorage.setItem(campaignStorageKey, campaignId);
+        } else {
+            localStorage.removeItem(campaignStorageKey);
+        }
+        setSelectedNpcId(null);
+        setSelectedGroupSceneId(null);
+    };
+
+    const handleCampaignSaved = (campaignId) => {
+        setCampaignModal(null);
+        handleCampaignChange(campaignId);
+    };
+
+    const handleCampaignDelete = async (campaign) => {
+        if (!db) return;
+
+        try {
+            // Detach everything that belonged to the campaign before removing it
+            const detach = (collectionPath, items, update = updateNpc) => items
+                .filter(item => item.campaignId === campaign.id)
+                .map(item => update(doc(db, collectionPath, item.id), { campaignId: null }));
+
+            await Promise.all([
+                ...detach(npcCollectionPath(appId, userId), npcs),
+                ...detach(sharedNpcCollectionPath(appId, userId), sharedNpcs),
+                ...detach(groupSceneCollectionPath(appId, userId), groupScenes, updateDoc),
+                // Its player characters are kept for every campaign
+                ...detach(playerCharacterCollectionPath(appId, userId), playerCharacters, updateDoc)
+            ]);
+            await deleteDoc(doc(db, campaignCollectionPath(appId, userId), campaign.id));
+
+            setCampaignModal(null);
+            handleCampaignChange(null);
+        } catch (error) {
+            console.error("Error deleting campaign:", error);
+            alert("Failed to delete campaign. Please try again.");
+        }
+    };
+
+    const handlePlayerCharacterDelete = async (playerCharacter) => {
+        if (!db) return;
+
+        try {
+            await deleteDoc(doc(db, playerCharacterCollectionPath(appId, userId), playerCharacter.id));
+            setPlayerCharacterModal(null);
+        } catch (error) {
+            console.error("Error deleting player character:", error);
+            alert("Failed to delete the character. Please try again.");
+        }
+    };
+
+    const handleGroupSceneSelected = (groupScene) => {
+        setSelectedGroupSceneId(groupScene.id);
+        setSelectedNpcId(null);
+        setShowCreateForm(false);
+        if (isMobile) {
+            setMobileView('conversation');
+        }
+    };
+
+    const handleCreateGroupScene = () => {
+        if (visibleNpcs.length + visibleSharedNpcs.length < 2) {
+            alert("You need at least two NPCs to start a group scene.");
+            return;
+        }
+        setShowGroupSceneForm(true);
+    };
+
+    const handleGroupSceneCreated = (newSceneId) => {
+        setShowGroupSceneForm(false);
+        setSelectedNpcId(null);
+        setSelectedGroupSceneId(newSceneId);
+        if (isMobile) {
+            setMobileView('conversation');
+        }
+    };
+
+    const handleGroupSceneDelete = async (groupScene) => {
+        if (!db) return;
+
+        try {
+            await deleteDoc(doc(db, groupSceneCollectionPath(appId, userId), groupScene.id));
+
+            if (selectedGroupSceneId === groupScene.id) {
+                setSelectedGroupSceneId(null);
+                if (isMobile) {
+                    setMobileView('list');
+                }
+            }
+        } catch (error) {
+            console.error("Error deleting group scene:", error);
+        }
+    };
+
     const handleNpcCreated = (newNpcId) => {
         setShowCreateForm(false);
         setSelectedNpcId(newNpcId);
@@ -3139,6 +6607,58 @@ const NPCGeneratorChatbot = ({ user, impersonatedUserId, onShowAdmin }) => {
         }
     };
 
+    const [isImporting, setIsImporting] = useState(false);
+
+    const handleExportNpcs = async () => {
+        if (visibleNpcs.length === 0) {
+            alert("There are no NPCs to export.");
+            return;
+        }
+
+        try {
+            const date = new Date().toISOString().slice(0, 10);
+            const prefix = activeCampaign ? toFileSlug(activeCampaign.name) : 'npcs';
+            const npcsWithChats = await Promise.all(visibleNpcs.map(async ({ id }) => {
+                const npcRef = doc(db, npcCollectionPath(appId, userId), id);
+                const npc = { id, ...(await getDoc(npcRef)).data() };
+                return { ...npc, chats: await loadChatHistory(npcRef, npc) };
+            }));
+            downloadJsonFile(`${prefix}-${date}.npc.json`, await createNpcBundle(npcsWithChats));
+            logUsage(userId, user?.email, 'npc_exported', { count: visibleNpcs.length });
+        } catch (error) {
+            console.error("Error exporting NPCs:", error);
+            alert("Failed to export NPCs. Please try again.");
+        }
+    };
+
+    const handleImportNpcs = async (file) => {
+        if (!db) return;
+
+        setIsImporting(true);
+        try {
+            const bundleNpcs = parseNpcBundle(await file.text());
+            if (npcs.length + bundleNpcs.length > MAX_NPCS) {
+                alert(`Importing ${bundleNpcs.length} NPCs would exceed the limit of ${MAX_NPCS}. Please delete some NPCs first.`);
+                return;
+            }
+
+            // Imported NPCs join the active campaign
+            const imported = await importNpcBundle(db, userId, bundleNpcs, activeCampaign?.id || null);
+            logUsage(userId, user?.email, 'npc_imported', { count: imported.length });
+
+            const failedPortraits = imported.filter(result => result.portraitFailed).length;
+            if (failedPortraits > 0) {
+                alert(`Imported ${imported.length} NPC(s), but ${failedPortraits} portrait(s) could not be uploaded. You can generate new ones.`);
+            }
+            handleNpcCreated(imported[0].id);
+        } catch (error) {
+            console.error("Error importing NPCs:", error);
+            alert(`Import failed: ${error.message}`);
+        } finally {
+            setIsImporting(false);
+        }
+    };
+
     const handleNpcDelete = async (npc) => {
         if (!db) return;
 
@@ -3146,7 +6666,7 @@ const NPCGeneratorChatbot = ({ user, impersonatedUserId, onShowAdmin }) => {
             // Use the correct collection path based on NPC type
             const collectionPath = npc.isSharedNPC ? sharedNpcCollectionPath(appId, userId) : npcCollectionPath(appId, userId);
             const npcRef = doc(db, collectionPath, npc.id);
-            await deleteDoc(npcRef);
+            await deleteNpc(npcRef);
 
             // If the deleted NPC was selected, clear selection
             if (selectedNpcId === npc.id) {
@@ -3164,6 +6684,7 @@ const NPCGeneratorChatbot = ({ user, impersonatedUserId, onShowAdmin }) => {
     // Mobile navigation handlers
     const handleBackToList = () => {
         setSelectedNpcId(null);
+        setSelectedGroupSceneId(null);
         setMobileView('list');
     };
 
@@ -3190,13 +6711,34 @@ const NPCGeneratorChatbot = ({ user, impersonatedUserId, onShowAdmin }) => {
                 userId={userId}
                 userEmail={user?.email}
                 npc={selectedNpc}
+                campaigns={campaigns}
                 onBack={handleBackToList}
                 isMobile={isMobile}
                 mobileView={mobileView}
                 onShowConversation={handleShowConversation}
                 onShowDetails={handleShowDetails}
                 currentTip={TIPS[currentTipIndex]}
-                handleDeductCredits={handleDeductCredits}
+                sceneCache={sceneCache}
+                playerCharacters={getAvailablePlayerCharacters(playerCharacters, selectedNpc.campaignId)}
+            />
+        );
+    } else if (selectedNpcSummary) {
+        rightPanelContent = (
+            <div className="flex items-center justify-center h-full bg-white">
+                <LoadingIndicator />
+            </div>
+        );
+    } else if (selectedGroupScene) {
+        rightPanelContent = (
+            <GroupSceneChat
+                db={db}
+                userId={userId}
+                userEmail={user?.email}
+                groupScene={selectedGroupScene}
+                npcs={groupSceneNpcs}
+                campaign={campaigns.find(c => c.id === selectedGroupScene.campaignId) || null}
+                onBack={handleBackToList}
+                isMobile={isMobile}
             />
         );
     } else {
@@ -3224,12 +6766,28 @@ const NPCGeneratorChatbot = ({ user, impersonatedUserId, onShowAdmin }) => {
     // Left panel content
     const leftPanelContent = (
         <CompactNpcList
-            npcs={npcs}
-            sharedNpcs={sharedNpcs}
-            selectedNpcId={selectedNpc?.id}
+            npcs={visibleNpcs}
+            sharedNpcs={visibleSharedNpcs}
+            groupScenes={visibleGroupScenes}
+            campaigns={campaigns}
+            activeCampaignId={activeCampaign?.id}
+            onCampaignChange={handleCampaignChange}
+            onCreateCampaign={() => setCampaignModal('new')}
+            onEditCampaign={() => setCampaignModal('edit')}
+            playerCharacters={visiblePlayerCharacters}
+            onCreatePlayerCharacter={() => setPlayerCharacterModal({ playerCharacter: null })}
+            onEditPlayerCharacter={(playerCharacter) => setPlayerCharacterModal({ playerCharacter })}
+            selectedNpcId={selectedNpcSummary?.id}
+            selectedGroupSceneId={selectedGroupScene?.id}
             onNpcSelected={handleNpcSelected}
             onNpcDelete={handleNpcDelete}
+            onGroupSceneSelected={handleGroupSceneSelected}
+            onGroupSceneDelete={handleGroupSceneDelete}
             onCreateNew={handleCreateNew}
+            onCreateGroupScene={handleCreateGroupScene}
+            onExportNpcs={handleExportNpcs}
+            onImportNpcs={handleImportNpcs}
+            isImporting={isImporting}
             loading={isLoadingNpcs}
             isCollapsed={isSidebarCollapsed}
             onToggleCollapse={() => setIsSidebarCollapsed(!isSidebarCollapsed)}
@@ -3241,7 +6799,7 @@ const NPCGeneratorChatbot = ({ user, impersonatedUserId, onShowAdmin }) => {
         return (
             <div className="flex flex-col h-screen font-sans bg-gray-100">
                 {/* Only show header on list view */}
-                {(mobileView === 'list' || (!selectedNpc && !showCreateForm)) && (
+                {(mobileView === 'list' || (!selectedNpcSummary && !selectedGroupScene && !showCreateForm)) && (
                     <header className="flex-shrink-0 p-4 bg-white border-b border-gray-200 shadow-sm">
                         <div className="flex items-start justify-between">
                             <div>
@@ -3265,7 +6823,7 @@ const NPCGeneratorChatbot = ({ user, impersonatedUserId, onShowAdmin }) => {
                 )}
 
                 <div className="flex-1 overflow-hidden">
-                    {mobileView === 'list' || !selectedNpc ? (
+                    {mobileView === 'list' || (!selectedNpcSummary && !selectedGroupScene) ? (
                         // Show NPC list
                         leftPanelContent
                     ) : (
@@ -3285,11 +6843,46 @@ const NPCGeneratorChatbot = ({ user, impersonatedUserId, onShowAdmin }) => {
                     <NpcCreation
                         db={db}
                         userId={userId}
-                        handleDeductCredits={handleDeductCredits}
+                        campaignId={activeCampaign?.id || null}
                         onNpcCreated={handleNpcCreated}
                         onCancel={() => setShowCreateForm(false)}
                     />
                 )}
+
+                {showGroupSceneForm && (
+                    <GroupSceneCreation
+                        db={db}
+                        userId={userId}
+                        npcs={[...visibleNpcs, ...visibleSharedNpcs]}
+                        campaignId={activeCampaign?.id || null}
+                        onGroupSceneCreated={handleGroupSceneCreated}
+                        onCancel={() => setShowGroupSceneForm(false)}
+                    />
+                )}
+
+                {campaignModal && (
+                    <CampaignModal
+                        db={db}
+                        userId={userId}
+                        campaign={campaignModal === 'edit' ? activeCampaign : null}
+                        onSaved={handleCampaignSaved}
+                        onDelete={handleCampaignDelete}
+                        onCancel={() => setCampaignModal(null)}
+                    />
+                )}
+
+                {playerCharacterModal && (
+                    <PlayerCharacterModal
+                        db={db}
+                        userId={userId}
+                        playerCharacter={playerCharacterModal.playerCharacter}
+                        campaigns={campaigns}
+                        defaultCampaignId={activeCampaign?.id || null}
+                        onSaved={() => setPlayerCharacterModal(null)}
+                        onDelete={handlePlayerCharacterDelete}
+                        onCancel={() => setPlayerCharacterModal(null)}
+                    />
+                )}
             </div>
         );
     }
@@ -3343,12 +6936,47 @@ const NPCGeneratorChatbot = ({ user, impersonatedUserId, onShowAdmin }) => {
                 <NpcCreation
                     db={db}
                     userId={userId}
-                    handleDeductCredits={handleDeductCredits}
+                    campaignId={activeCampaign?.id || null}
                     onNpcCreated={handleNpcCreated}
                     onCancel={() => setShowCreateForm(false)}
                 />
             )}
 
+            {showGroupSceneForm && (
+                <GroupSceneCreation
+                    db={db}
+                    userId={userId}
+                    npcs={[...visibleNpcs, ...visibleSharedNpcs]}
+                    campaignId={activeCampaign?.id || null}
+                    onGroupSceneCreated={handleGroupSceneCreated}
+                    onCancel={() => setShowGroupSceneForm(false)}
+                />
+            )}
+
+            {campaignModal && (
+                <CampaignModal
+                    db={db}
+                    userId={userId}
+                    campaign={campaignModal === 'edit' ? activeCampaign : null}
+                    onSaved={handleCampaignSaved}
+                    onDelete={handleCampaignDelete}
+                    onCancel={() => setCampaignModal(null)}
+                />
+            )}
+
+            {playerCharacterModal && (
+                <PlayerCharacterModal
+                    db={db}
+                    userId={userId}
+                    playerCharacter={playerCharacterModal.playerCharacter}
+                    campaigns={campaigns}
+                    defaultCampaignId={activeCampaign?.id || null}
+                    onSaved={() => setPlayerCharacterModal(null)}
+                    onDelete={handlePlayerCharacterDelete}
+                    onCancel={() => setPlayerCharacterModal(null)}
+                />
+            )}
+
             <div className="flex-1 overflow-hidden">
                 <ResizablePanels
                     leftPanel={leftPanelContent}
@@ -0,0 +1,106 @@
+// The part of a conversation the NPC is shown with each reply. Recent turns are sent word for
+// word, up to a token budget; older turns are replaced by a rolling summary saved on the NPC
+// (`contextSummaries`, one per branch) that is brought up to date after replies. Scene messages
+// and goal_achieved messages are always sent, however old, so the NPC never loses where it is
+// and what the party has done.
+
+// Rough size of the turns sent as they are, in tokens
+export const CONTEXT_TOKEN_BUDGET = 6000;
+// The latest turns are sent even if they alone go over the budget
+const MIN_RECENT_MESSAGES = 6;
+// Older turns are summarized once there are this many tokens of them, not after every reply
+const SUMMARY_TRIGGER_TOKENS = 1500;
+// Turns that were never loaded are folded in at most this many at a time
+const MAX_UNLOADED_SUMMARY_MESSAGES = 100;
+
+const ALWAYS_SENT_ROLES = ['scene', 'goal_achieved'];
+
+/**
+ * A cheap estimate of how many tokens a text is: about four characters per token.
+ */
+export const estimateTokens = (text = '') => Math.ceil(text.length / 4);
+
+/**
+ * The summary that stands in for the start of the active branch, if there is one that still
+ * matches it. A branch without its own summary uses one from the branch it was forked from,
+ * as long as the summary ends before the fork. A summary no longer matches once a message it
+ * covers was deleted or the history got shorter than it.
+ * @param {Object} summaries - The NPC's `contextSummaries`, by branch ID
+ * @param {Array} history - The loaded messages of the active branch, from position `start` on
+ * @returns {{ upTo: number, lastTimestamp: string, text: string }|null} Covers positions [0, upTo)
+ */
+export const findContextSummary = (summaries = {}, tree, history, start = 0) => {
+    let limit = Infinity;
+    for (let id = tree.activeBranchId; id; id = tree.branches[id]?.parentId) {
+        const summary = summaries[id];
+        if (summary && summary.upTo <= limit) {
+            if (summary.upTo > start + history.length) return null;
+            const lastCovered = history[summary.upTo - 1 - start];
+            return !lastCovered || lastCovered.timestamp === summary.lastTimestamp ? summary : null;
+        }
+        limit = Math.min(limit, tree.branches[id]?.forkIndex ?? 0);
+    }
+    return null;
+};
+
+/**
+ * Picks what the NPC is shown of a conversation.
+ * @param {Array} history - The loaded messages of the active branch, from position `start` on
+ * @param {Object|null} summary - From findContextSummary
+ * @returns {{ messages: Array, summary: string|null, summarize: { from: number, upTo: number, messages: Array|null }|null }}
+ *   `messages` are sent as they are, after the `summary`. `summarize` is set when enough older
+ *   turns have piled up outside the summary: they should be folded into it, to cover [0, upTo).
+ *   When the summary ends before `start`, the turns in between were never loaded: `summarize`
+ *   then asks for the next of them, [from, upTo), with `messages` null, to be loaded first.
+ */
+export const buildChatContext = (history, start = 0, summary = null, budget = CONTEXT_TOKEN_BUDGET) => {
+    const positioned = history
+        .map((message, i) => ({ message, position: start + i }))
+        .filter(({ message }) => message.role !== 'note');
+
+    // Recent turns, newest first, until the budget is spent
+    let recentFrom = positioned.length;
+    let usedTokens = 0;
+    while (recentFrom > 0) {
+        const tokens = estimateTokens(positioned[recentFrom - 1].message.text);
+        if (usedTokens + tokens > budget && positioned.length - recentFrom >= MIN_RECENT_MESSAGES) break;
+        usedTokens += tokens;
+        recentFrom--;
+    }
+
+    // Older turns the summary doesn't cover yet are still sent until it catches up
+    const summarizedTo = summary?.upTo ?? 0;
+    const older = positioned.slice(0, recentFrom);
+    const unsummarized = older.filter(({ position }) => position >= summarizedTo);
+    const messages = [
+        ...older.filter(({ message, position }) => position >= summarizedTo || ALWAYS_SENT_ROLES.includes(message.role)),
+        ...positioned.slice(recentFrom)
+    ].map(({ message }) => message);
+
+    const unsummarizedTokens = unsummarized.reduce((sum, { message }) => sum + estimateTokens(message.text), 0);
+    let summarize = null;
+    if (summarizedTo < start) {
+        // The unloaded turns go first, so the summary keeps covering everything before its end
+        summarize = { from: summarizedTo, upTo: Math.min(start, summarizedTo + MAX_UNLOADED_SUMMARY_MESSAGES), messages: null };
+    } else if (unsummarizedTokens >= SUMMARY_TRIGGER_TOKENS) {
+        summarize = {
+            from: unsummarized[0].position,
+            upTo: recentFrom < positioned.length ? positioned[recentFrom].position : start + history.length,
+            messages: unsummarized.map(({ message }) => message)
+        };
+    }
+
+    return { messages, summary: summary?.text || null, summarize };
+};
+
+/**
+ * The summary to save once `text` folds the turns in `summarize` into it.
+ * `history` holds the turns from position `start` on: the loaded history, or for a `summarize`
+ * of turns that were never loaded, those turns once loaded (from `summarize.from`).
+ */
+export const createContextSummary = (history, start, summarize, text) => ({
+    upTo: summarize.upTo,
+    lastTimestamp: history[summarize.upTo - 1 - start]?.timestamp || null,
+    text,
+    updatedAt: new Date().toISOString()
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildChatContext, createContextSummary, findContextSummary } from './chatContext.js';
+
+const tree = { branches: { main: { parentId: null, forkIndex: 0 } }, activeBranchId: 'main' };
+
+const makeMessages = (from, to) => Array.from({ length: to - from }, (_, i) => ({
+    role: (from + i) % 2 === 0 ? 'user' : 'npc',
+    text: `Message ${from + i}`,
+    timestamp: `t${from + i}`
+}));
+
+test('turns before the loaded history are summarized when there is no summary', () => {
+    const start = 40;
+    const history = makeMessages(start, 50);
+    const summary = findContextSummary({}, tree, history, start);
+    const { messages, summarize } = buildChatContext(history, start, summary);
+
+    assert.equal(summary, null);
+    assert.equal(messages.length, history.length);
+    assert.deepEqual(summarize, { from: 0, upTo: start, messages: null });
+});
+
+test('a long stretch of unloaded turns is folded in over several summaries', () => {
+    const start = 250;
+    const history = makeMessages(start, 260);
+    assert.deepEqual(buildChatContext(history, start, null).summarize, { from: 0, upTo: 100, messages: null });
+});
+
+test('turns between a stale summary and the loaded history are summarized next', () => {
+    const start = 40;
+    const history = makeMessages(start, 50);
+    const summary = createContextSummary(makeMessages(0, 10), 0, { upTo: 10 }, 'They met.');
+    const { summarize } = buildChatContext(history, start, findContextSummary({ main: summary }, tree, history, start));
+
+    assert.deepEqual(summarize, { from: 10, upTo: start, messages: null });
+});
+
+test('the summary of loaded turns covers them up to their last one', () => {
+    const loaded = makeMessages(0, 40);
+    const summary = createContextSummary(loaded, 0, { from: 0, upTo: 40 }, 'They haggled.');
+    assert.equal(summary.upTo, 40);
+    assert.equal(summary.lastTimestamp, 't39');
+
+    // Once caught up, nothing more is summarized until enough new turns pile up
+    const history = makeMessages(40, 50);
+    const { summarize, summary: text } = buildChatContext(history, 40, findContextSummary({ main: summary }, tree, history, 40));
+    assert.equal(summarize, null);
+    assert.equal(text, 'They haggled.');
+});
+
+test('a fully loaded history is only summarized past the token budget', () => {
+    const history = makeMessages(0, 10);
+    assert.equal(buildChatContext(history, 0, null).summarize, null);
+
+    const long = makeMessages(0, 40).map(message => ({ ...message, text: 'x'.repeat(1000) }));
+    const { messages, summarize } = buildChatContext(long, 0, null);
+    assert.equal(summarize.from, 0);
+    assert.equal(summarize.messages.length, summarize.upTo);
+    assert.equal(messages.length, long.length);
+});
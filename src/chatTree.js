@@ -0,0 +1,228 @@
+// Conversation branches: rolling back forks the chat instead of throwing the rest away.
+// Each branch stores only the messages after the point where it left its parent, so
+// history shared by several branches is stored once:
+//   history(branch) = history(parent).slice(0, forkIndex) + the branch's own messages
+// The tree on the NPC document only describes the branches. Messages are documents of their own
+// (see the Chat Messages section of services.js), each belonging to one branch at one position.
+
+export const MAIN_BRANCH_ID = 'main';
+
+// Messages are compared by content since they are copies once they come back from Firestore
+const isSameMessage = (a, b) => a.role === b.role && a.text === b.text && a.timestamp === b.timestamp;
+
+// Anything else about a message that changed (audio links, reveals...) still needs saving
+const isUnchanged = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const countSharedMessages = (a, b) => {
+    let count = 0;
+    while (count < a.length && count < b.length && isSameMessage(a[count], b[count])) count++;
+    return count;
+};
+
+const createBranchId = () => `branch-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Whether the NPC's conversation is still saved on its document, as it was before messages
+ * had documents of their own. Such NPCs are moved over with splitInlineChats.
+ */
+export const hasInlineChats = (npc) => Array.isArray(npc.chats);
+
+/**
+ * The conversation tree saved on an NPC.
+ * @returns {{ branches: Object, activeBranchId: string, canonicalBranchId: string }}
+ */
+export const getChatTree = (npc) => {
+    if (npc.chatBranches?.[npc.activeBranchId]) {
+        return {
+            branches: npc.chatBranches,
+            activeBranchId: npc.activeBranchId,
+            canonicalBranchId: npc.chatBranches[npc.canonicalBranchId] ? npc.canonicalBranchId : npc.activeBranchId
+        };
+    }
+    return createChatTree();
+};
+
+/**
+ * A tree with one empty main branch, e.g. for a new NPC or after the conversation is reset.
+ */
+export const createChatTree = () => ({
+    branches: {
+        [MAIN_BRANCH_ID]: { name: 'Main', parentId: null, forkIndex: 0, messageCount: 0, createdAt: new Date().toISOString() }
+    },
+    activeBranchId: MAIN_BRANCH_ID,
+    canonicalBranchId: MAIN_BRANCH_ID
+});
+
+/**
+ * How many messages a branch's history has, its parent's part included.
+ */
+export const getBranchLength = (branches, branchId) => branches[branchId].forkIndex + branches[branchId].messageCount;
+
+/**
+ * The number of messages in the NPC's current conversation, whichever way it is saved.
+ */
+export const getMessageCount = (npc) => (hasInlineChats(npc) ? npc.chats.length : npc.messageCount || 0);
+
+/**
+ * Which branch stores each part of a branch's history, oldest first.
+ * @returns {Array<{ branchId: string, start: number, end: number }>} Positions [start, end) of the history
+ */
+export const getBranchSegments = (branches, branchId) => {
+    const segments = [];
+    let end = getBranchLength(branches, branchId);
+    for (let id = branchId; id; id = branches[id].parentId) {
+        const start = branches[id].forkIndex;
+        segments.unshift({ branchId: id, start, end });
+        end = start;
+    }
+    return segments;
+};
+
+/**
+ * Saves `history` as the active branch's history from position `start` on, where `previous`
+ * is what was saved there before. Everything before `start` must be unchanged.
+ * If an earlier message changed or was removed, the branch (and any branch forked from it
+ * after that message) keeps its own copy of the part that is no longer shared.
+ * @returns {{ tree: Object, changes: { writes: Array<{ branchId, index, message }>, deletes: Array<{ branchId, index }> } }}
+ */
+export const setBranchHistory = (tree, start, previous, history) => {
+    const { branches, activeBranchId } = tree;
+    const branch = branches[activeBranchId];
+    const unchangedCount = start + countSharedMessages(previous, history);
+    const previousLength = start + previous.length;
+    const length = start + history.length;
+    const writes = [];
+    const deletes = [];
+
+    const forkIndex = Math.min(branch.forkIndex, unchangedCount);
+    for (let index = forkIndex; index < length; index++) {
+        const message = history[index - start];
+        const isOwnMessage = index >= branch.forkIndex && index < previousLength;
+        if (!isOwnMessage || !isUnchanged(previous[index - start], message)) {
+            writes.push({ branchId: activeBranchId, index, message });
+        }
+    }
+    for (let index = Math.max(length, branch.forkIndex); index < previousLength; index++) {
+        deletes.push({ branchId: activeBranchId, index });
+    }
+
+    const updated = { ...branches, [activeBranchId]: { ...branch, forkIndex, messageCount: length - forkIndex } };
+
+    Object.entries(branches).forEach(([id, child]) => {
+        if (child.parentId === activeBranchId && child.forkIndex > unchangedCount) {
+            for (let index = unchangedCount; index < child.forkIndex; index++) {
+                writes.push({ branchId: id, index, message: previous[index - start] });
+            }
+            updated[id] = {
+                ...child,
+                forkIndex: unchangedCount,
+                messageCount: child.messageCount + child.forkIndex - unchangedCount
+            };
+        }
+    });
+
+    return { tree: { ...tree, branches: updated }, changes: { writes, deletes } };
+};
+
+/**
+ * Starts a new branch that keeps the active branch's first `forkIndex` messages, and switches to it.
+ * The new branch hangs off the branch that owns that point, so rolling back twice to the same
+ * scene gives siblings rather than a chain.
+ */
+export const forkBranch = (tree, forkIndex) => {
+    const { branches } = tree;
+    let parentId = tree.activeBranchId;
+    while (branches[parentId].parentId && forkIndex <= branches[parentId].forkIndex) {
+        parentId = branches[parentId].parentId;
+    }
+
+    const names = Object.values(branches).map(branch => branch.name);
+    let number = names.length + 1;
+    while (names.includes(`Branch ${number}`)) number++;
+
+    const id = createBranchId();
+    return switchBranch({
+        ...tree,
+        branches: {
+            ...branches,
+            [id]: {
+                name: `Branch ${number}`,
+                parentId,
+                forkIndex,
+                messageCount: 0,
+                createdAt: new Date().toISOString()
+            }
+        }
+    }, id);
+};
+
+/**
+ * Makes another branch active. A branch left without any messages of its own is dropped.
+ */
+export const switchBranch = (tree, branchId) => {
+    const { branches, activeBranchId, canonicalBranchId } = tree;
+    if (branchId === activeBranchId) return tree;
+
+    const previous = branches[activeBranchId];
+    const isEmptyLeaf = previous.parentId && previous.messageCount === 0 && activeBranchId !== canonicalBranchId &&
+        !Object.values(branches).some(branch => branch.parentId === activeBranchId);
+
+    const updated = { ...branches };
+    if (isEmptyLeaf) delete updated[activeBranchId];
+    return { ...tree, branches: updated, activeBranchId: branchId };
+};
+
+/**
+ * Every branch in the order it was created, for the branch switcher.
+ * @returns {Array<{ id: string, name: string, messageCount: number, isActive: boolean, isCanonical: boolean }>}
+ */
+export const listBranches = (tree) => Object.entries(tree.branches)
+    .sort(([, a], [, b]) => a.createdAt.localeCompare(b.createdAt))
+    .map(([id, branch]) => ({
+        id,
+        name: branch.name,
+        messageCount: getBranchLength(tree.branches, id),
+        isActive: id === tree.activeBranchId,
+        isCanonical: id === tree.canonicalBranchId
+    }));
+
+/**
+ * Where two branch histories part ways.
+ * @returns {{ sharedCount: number, first: Array, second: Array }} The messages each has after the shared part
+ */
+export const compareBranches = (first, second) => {
+    const sharedCount = countSharedMessages(first, second);
+    return { sharedCount, first: first.slice(sharedCount), second: second.slice(sharedCount) };
+};
+
+/**
+ * The NPC document fields that store the tree. `messageCount` is the length of the active
+ * branch, for places that only need to know how long the conversation is.
+ */
+export const chatTreeFields = (tree) => ({
+    chatBranches: tree.branches,
+    activeBranchId: tree.activeBranchId,
+    canonicalBranchId: tree.canonicalBranchId,
+    messageCount: getBranchLength(tree.branches, tree.activeBranchId)
+});
+
+/**
+ * The tree of an NPC saved with its conversation on its document (see hasInlineChats),
+ * and the writes that give every message a document of its own. NPCs saved before
+ * branching existed get a single main branch holding their `chats`.
+ * @returns {{ tree: Object, writes: Array<{ branchId, index, message }> }}
+ */
+export const splitInlineChats = (npc) => {
+    const inline = npc.chatBranches?.[npc.activeBranchId] ? getChatTree(npc) : createChatTree();
+
+    const branches = {};
+    const writes = [];
+    Object.entries(inline.branches).forEach(([branchId, { messages, ...branch }]) => {
+        // Without a saved tree, the new main branch holds `chats`
+        const branchMessages = messages ?? npc.chats;
+        branches[branchId] = { ...branch, messageCount: branchMessages.length };
+        branchMessages.forEach((message, i) => writes.push({ branchId, index: branch.forkIndex + i, message }));
+    });
+
+    return { tree: { ...inline, branches }, writes };
+};
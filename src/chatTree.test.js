@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAIN_BRANCH_ID, createChatTree, forkBranch, getBranchLength, setBranchHistory, switchBranch } from './chatTree.js';
+
+const makeMessages = (count, prefix = 'Message') => Array.from({ length: count }, (_, i) => ({
+    role: i % 2 === 0 ? 'user' : 'npc',
+    text: `${prefix} ${i}`,
+    timestamp: `${prefix}-t${i}`
+}));
+
+// A main branch holding `messages`
+const treeWith = (messages) => setBranchHistory(createChatTree(), 0, [], messages).tree;
+
+test('editing before a child branch forked gives the child its own copy of what changed', () => {
+    const messages = makeMessages(4);
+    let tree = forkBranch(treeWith(messages), 3);
+    const childId = tree.activeBranchId;
+    const childMessage = { role: 'user', text: 'Another way', timestamp: 'child-t3' };
+    tree = setBranchHistory(tree, 0, messages, [...messages.slice(0, 3), childMessage]).tree;
+    tree = switchBranch(tree, MAIN_BRANCH_ID);
+
+    const edited = { ...messages[1], text: 'Edited', timestamp: 'edited-t1' };
+    const { tree: updated, changes } = setBranchHistory(tree, 0, messages, [messages[0], edited, ...messages.slice(2)]);
+
+    // Main only rewrites the message that changed
+    assert.deepEqual(changes.writes.filter(write => write.branchId === MAIN_BRANCH_ID), [
+        { branchId: MAIN_BRANCH_ID, index: 1, message: edited }
+    ]);
+    // The child now starts after the last shared message and keeps the old ones
+    assert.deepEqual(changes.writes.filter(write => write.branchId === childId), [
+        { branchId: childId, index: 1, message: messages[1] },
+        { branchId: childId, index: 2, message: messages[2] }
+    ]);
+    assert.equal(updated.branches[childId].forkIndex, 1);
+    assert.equal(updated.branches[childId].messageCount, 3);
+    assert.equal(getBranchLength(updated.branches, childId), 4);
+    assert.deepEqual(changes.deletes, []);
+});
+
+test('forking twice at the same point gives sibling branches, not a chain', () => {
+    const messages = makeMessages(4);
+    let tree = forkBranch(treeWith(messages), 2);
+    const firstId = tree.activeBranchId;
+    tree = setBranchHistory(tree, 0, messages.slice(0, 2), [...messages.slice(0, 2), { role: 'user', text: 'First try', timestamp: 'a' }]).tree;
+
+    tree = forkBranch(tree, 2);
+    const secondId = tree.activeBranchId;
+
+    assert.notEqual(secondId, firstId);
+    assert.equal(tree.branches[firstId].parentId, MAIN_BRANCH_ID);
+    assert.equal(tree.branches[secondId].parentId, MAIN_BRANCH_ID);
+    assert.equal(tree.branches[secondId].forkIndex, 2);
+});
+
+test('switching away from an empty branch drops it, unless it is canonical', () => {
+    const messages = makeMessages(4);
+    let tree = forkBranch(treeWith(messages), 2);
+    const emptyId = tree.activeBranchId;
+
+    const dropped = switchBranch(tree, MAIN_BRANCH_ID);
+    assert.equal(dropped.activeBranchId, MAIN_BRANCH_ID);
+    assert.equal(dropped.branches[emptyId], undefined);
+
+    const kept = switchBranch({ ...tree, canonicalBranchId: emptyId }, MAIN_BRANCH_ID);
+    assert.ok(kept.branches[emptyId]);
+});
+
+test('shortening the active branch deletes the messages past its new end', () => {
+    const messages = makeMessages(5);
+    const { tree, changes } = setBranchHistory(treeWith(messages), 0, messages, messages.slice(0, 3));
+
+    assert.deepEqual(changes.writes, []);
+    assert.deepEqual(changes.deletes, [
+        { branchId: MAIN_BRANCH_ID, index: 3 },
+        { branchId: MAIN_BRANCH_ID, index: 4 }
+    ]);
+    assert.equal(tree.branches[MAIN_BRANCH_ID].messageCount, 3);
+});
@@ -0,0 +1,140 @@
+// Slash commands typed in the chat input, e.g. "/roll persuasion +3" or "/rewind 2"
+import { ROLL_USAGE, parseRollCommand, rollDice } from './dice';
+import { VOICE_DATA } from './voices';
+
+const MAX_REWIND = 50;
+
+const usageError = (command) => new Error(`Usage: ${command.usage}`);
+
+// Argument parsers shared by several commands
+const noArguments = (args, command) => {
+    if (args) throw usageError(command);
+    return {};
+};
+
+const requiredText = (args, command) => {
+    if (!args) throw usageError(command);
+    return { text: args };
+};
+
+/**
+ * Every chat command, in the order the autocomplete lists them.
+ * `parse(args, command)` turns the text after the command name into its arguments and throws a
+ * user-facing error if they are wrong. The chat decides what each command does.
+ */
+export const CHAT_COMMANDS = [
+    {
+        name: 'scene',
+        usage: '/scene [description]',
+        description: 'Start a new scene, or open the scene wizard',
+        parse: (args) => ({ text: args })
+    },
+    {
+        name: 'roll',
+        usage: '/roll <skill or dice> [+mod] [dc N] [adv|dis]',
+        description: 'Roll dice or a skill check the NPC reacts to',
+        parse: (args) => {
+            if (!args) throw new Error(ROLL_USAGE);
+            return { roll: rollDice(parseRollCommand(args)) };
+        }
+    },
+    {
+        name: 'ooc',
+        usage: '/ooc <note>',
+        description: 'Out-of-character note the NPC never sees',
+        parse: requiredText
+    },
+    {
+        name: 'whisper',
+        usage: '/whisper <message>',
+        description: 'Say something no one else in the scene can hear',
+        parse: requiredText
+    },
+    {
+        name: 'rewind',
+        usage: '/rewind [N]',
+        description: 'Rewind the last N messages (default 1) onto a new branch',
+        parse: (args, command) => {
+            if (!args) return { count: 1 };
+            const count = Number(args);
+            if (!Number.isInteger(count) || count < 1 || count > MAX_REWIND) {
+                throw new Error(`Usage: ${command.usage} - N is a number from 1 to ${MAX_REWIND}.`);
+            }
+            return { count };
+        }
+    },
+    {
+        name: 'summary',
+        usage: '/summary',
+        description: 'Summarize the current scene so far',
+        parse: noArguments
+    },
+    {
+        name: 'image',
+        usage: '/image',
+        description: 'Generate a new portrait',
+        parse: noArguments
+    },
+    {
+        name: 'voice',
+        usage: '/voice [name]',
+        description: "Change the NPC's voice, or let the AI pick one",
+        parse: (args) => {
+            if (!args) return { voice: null };
+            const voice = VOICE_DATA.find(v => v.name.toLowerCase() === args.toLowerCase());
+            if (!voice) {
+                throw new Error(`Unknown voice "${args}". Available voices: ${VOICE_DATA.map(v => v.name).join(', ')}`);
+            }
+            return { voice: voice.displayName };
+        }
+    },
+    {
+        name: 'help',
+        usage: '/help',
+        description: 'List the chat commands',
+        parse: noArguments
+    }
+];
+
+const findCommand = (name) => CHAT_COMMANDS.find(command => command.name === name.toLowerCase());
+
+/**
+ * One line per command, for /help.
+ */
+export const getCommandHelp = () => CHAT_COMMANDS.map(command => `${command.usage} - ${command.description}`).join('\n');
+
+/**
+ * Parses a chat message that starts with "/".
+ * @returns {{ name: string, args: Object }|null} null if the message is not a command
+ * @throws {Error} If the command is unknown or its arguments are invalid
+ */
+export const parseChatCommand = (text) => {
+    const match = text.trim().match(/^\/([a-z]+)(?:\s+([\s\S]*))?$/i);
+    if (!match) return null;
+
+    const command = findCommand(match[1]);
+    if (!command) {
+        throw new Error(`Unknown command /${match[1]}. Type /help to see the commands.`);
+    }
+
+    return { name: command.name, args: command.parse((match[2] || '').trim(), command) };
+};
+
+/**
+ * Commands to show in the autocomplete while typing.
+ * While the name is being typed, every command it could still become; once it is
+ * followed by a space, just that command so its usage stays visible.
+ * @returns {{ commands: Array, isTypingArguments: boolean }}
+ */
+export const getCommandSuggestions = (text) => {
+    const match = text.match(/^\/([a-z]*)(\s)?/i);
+    if (!match) return { commands: [], isTypingArguments: false };
+
+    if (match[2]) {
+        const command = findCommand(match[1]);
+        return { commands: command ? [command] : [], isTypingArguments: true };
+    }
+
+    const prefix = match[1].toLowerCase();
+    return { commands: CHAT_COMMANDS.filter(command => command.name.startsWith(prefix)), isTypingArguments: false };
+};
@@ -0,0 +1,122 @@
+// Dice rolls and skill checks typed in chat with /roll
+import { ABILITIES, SKILL_ABILITIES } from './statBlock';
+
+const ABILITY_NAMES = {
+    str: 'Strength',
+    dex: 'Dexterity',
+    con: 'Constitution',
+    int: 'Intelligence',
+    wis: 'Wisdom',
+    cha: 'Charisma'
+};
+
+const MAX_DICE = 100;
+const MAX_SIDES = 1000;
+const MAX_DC = 40;
+
+export const ROLL_USAGE = "Usage: /roll <skill or dice> [+modifier] [dc <number>] [adv|dis], e.g. /roll persuasion +3 dc 15 or /roll 2d6+1";
+
+// "persuasion" -> "Persuasion", "dex" -> "Dexterity"; anything else is kept as typed
+const formatCheckLabel = (name) => {
+    const lower = name.toLowerCase();
+    const skill = Object.keys(SKILL_ABILITIES).find(s => s.toLowerCase() === lower);
+    if (skill) return skill;
+
+    const ability = ABILITIES.find(a => a === lower.slice(0, 3) && ABILITY_NAMES[a].toLowerCase().startsWith(lower));
+    if (ability) return ABILITY_NAMES[ability];
+
+    return name.charAt(0).toUpperCase() + name.slice(1);
+};
+
+/**
+ * Parses the arguments of a /roll command.
+ * Either a dice expression ("1d20+5", "2d6") or a check name with an optional modifier
+ * ("persuasion +3"), which rolls a d20. "dc 15" sets the target, "adv"/"dis" rolls 2d20.
+ * @returns {{ label: string, count: number, sides: number, modifier: number, advantage: 'advantage'|'disadvantage'|null, dc: number|null }}
+ * @throws {Error} With ROLL_USAGE if the command can't be understood
+ */
+export const parseRollCommand = (args) => {
+    let rest = ` ${args.trim()} `;
+
+    let dc = null;
+    const dcMatch = rest.match(/\sdc\s*(\d+)\s/i);
+    if (dcMatch) {
+        dc = Number(dcMatch[1]);
+        rest = rest.replace(dcMatch[0], ' ');
+    }
+
+    let advantage = null;
+    const advantageMatch = rest.match(/\s(adv|advantage|dis|disadvantage)\s/i);
+    if (advantageMatch) {
+        advantage = advantageMatch[1].toLowerCase().startsWith('adv') ? 'advantage' : 'disadvantage';
+        rest = rest.replace(advantageMatch[0], ' ');
+    }
+
+    rest = rest.trim();
+    let roll;
+
+    const diceMatch = rest.replace(/\s+/g, '').match(/^(\d*)d(\d+)([+-]\d+)?$/i);
+    if (diceMatch) {
+        const count = diceMatch[1] ? Number(diceMatch[1]) : 1;
+        const sides = Number(diceMatch[2]);
+        roll = { label: `${count}d${sides}`, count, sides, modifier: Number(diceMatch[3] || 0) };
+    } else {
+        const checkMatch = rest.match(/^([a-z][a-z ]*?)?\s*([+-]\s*\d+)?$/i);
+        if (!checkMatch) throw new Error(ROLL_USAGE);
+        const name = (checkMatch[1] || '').trim();
+        roll = {
+            label: name ? formatCheckLabel(name) : 'd20',
+            count: 1,
+            sides: 20,
+            modifier: Number((checkMatch[2] || '0').replace(/\s/g, ''))
+        };
+    }
+
+    if (roll.count < 1 || roll.count > MAX_DICE || roll.sides < 2 || roll.sides > MAX_SIDES) {
+        throw new Error(`You can roll 1-${MAX_DICE} dice with 2-${MAX_SIDES} sides.`);
+    }
+    if (dc !== null && (dc < 1 || dc > MAX_DC)) {
+        throw new Error(`The DC must be between 1 and ${MAX_DC}.`);
+    }
+    if (advantage && (roll.count !== 1 || roll.sides !== 20)) {
+        throw new Error("Advantage and disadvantage only apply to a single d20.");
+    }
+
+    return { ...roll, advantage, dc };
+};
+
+const rollDie = (sides) => 1 + Math.floor(Math.random() * sides);
+
+/**
+ * Rolls a parsed /roll command.
+ * @returns {Object} The command plus `rolls` (every die), `total` and, with a DC, `success`
+ */
+export const rollDice = (command) => {
+    let rolls;
+    let natural;
+    if (command.advantage) {
+        rolls = [rollDie(20), rollDie(20)];
+        natural = command.advantage === 'advantage' ? Math.max(...rolls) : Math.min(...rolls);
+    } else {
+        rolls = Array.from({ length: command.count }, () => rollDie(command.sides));
+        natural = rolls.reduce((sum, value) => sum + value, 0);
+    }
+
+    const total = natural + command.modifier;
+    return { ...command, rolls, total, success: command.dc !== null ? total >= command.dc : null };
+};
+
+const formatSigned = (value) => (value >= 0 ? `+ ${value}` : `- ${-value}`);
+
+/**
+ * One-line description of a roll, e.g. "Persuasion: 17 (12 + 5) vs DC 15 - success".
+ */
+export const formatRoll = (roll) => {
+    const dice = roll.advantage ? `${roll.rolls.join(' / ')} ${roll.advantage}` : roll.rolls.join(' + ');
+    const breakdown = roll.modifier ? `${dice} ${formatSigned(roll.modifier)}` : dice;
+    const showBreakdown = roll.rolls.length > 1 || roll.modifier || roll.advantage;
+    const outcome = roll.dc !== null && roll.dc !== undefined
+        ? ` vs DC ${roll.dc} - ${roll.success ? 'success' : 'failure'}`
+        : '';
+    return `${roll.label}: ${roll.total}${showBreakdown ? ` (${breakdown})` : ''}${outcome}`;
+};
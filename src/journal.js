@@ -0,0 +1,55 @@
+// Session recaps: journal entries the GM generates from a conversation, exported as Markdown
+import { getScene } from './scenes';
+
+const describeScene = (msg) => {
+    const { setting, context } = getScene(msg);
+    const label = setting || context.split('\n')[0];
+    return label.length > 60 ? `${label.slice(0, 57)}...` : label;
+};
+
+/**
+ * Where each scene starts in a chat history, for picking the scenes to recap.
+ * @returns {Array<{ index: number, label: string }>}
+ */
+export const getSceneStarts = (chats) => chats
+    .map((msg, index) => ({ msg, index }))
+    .filter(({ msg }) => msg.role === 'scene')
+    .map(({ msg, index }, number) => ({ index, label: `Scene ${number + 1}: ${describeScene(msg)}` }));
+
+/**
+ * The messages from the start of scene `fromScene` to the end of scene `toScene` (0-based).
+ * Anything said before the first scene counts as part of it. Without scenes, the whole conversation.
+ */
+export const getRecapMessages = (chats, fromScene, toScene) => {
+    const starts = getSceneStarts(chats);
+    if (starts.length === 0) return chats;
+
+    const start = fromScene === 0 ? 0 : starts[fromScene].index;
+    const end = toScene + 1 < starts.length ? starts[toScene + 1].index : chats.length;
+    return chats.slice(start, end);
+};
+
+const formatList = (title, items = []) => (items.length > 0
+    ? `### ${title}\n\n${items.map(item => `- ${item}`).join('\n')}`
+    : '');
+
+/**
+ * One journal entry as a Markdown section.
+ */
+export const formatJournalEntryMarkdown = (entry) => [
+    `## ${entry.title}`,
+    `*${entry.npcName} · ${new Date(entry.createdAt).toLocaleDateString()}*`,
+    entry.summary,
+    formatList('What the Party Learned', entry.learned),
+    formatList('Secrets Revealed', entry.secretsRevealed),
+    formatList('Goals Achieved', entry.goalsAchieved),
+    formatList('Open Hooks', entry.openHooks)
+].filter(Boolean).join('\n\n');
+
+/**
+ * A journal document: the entries oldest first, under a title.
+ */
+export const formatJournalMarkdown = (heading, entries) => {
+    const sorted = [...entries].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    return `# ${heading}\n\n${sorted.map(formatJournalEntryMarkdown).join('\n\n---\n\n')}\n`;
+};
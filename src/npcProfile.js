@@ -0,0 +1,87 @@
+// Wants and secrets: an NPC has a list of each. Wants have a priority; secrets have a
+// condition under which the NPC gives them up and whether the party already knows them.
+// Profiles saved before the lists existed hold one string per field and are read as one item.
+
+export const WANT_PRIORITIES = ['high', 'medium', 'low'];
+
+// The fields of the profile that are lists, with their item names for prompts and labels
+export const PROFILE_LIST_FIELDS = {
+    wants: { singular: 'want', description: "Something the NPC wants: a goal or desire." },
+    secrets: { singular: 'secret', description: "A secret the NPC hides, critical for plot development." }
+};
+
+const toList = (value) => {
+    if (Array.isArray(value)) return value;
+    if (typeof value === 'string' && value.trim()) return [value];
+    return [];
+};
+
+/**
+ * The NPC's wants, in the order the GM keeps them.
+ * @returns {Array<{ text: string, priority: 'high'|'medium'|'low' }>}
+ */
+export const getWants = (structuredData) => toList(structuredData?.wants)
+    .map(want => (typeof want === 'string'
+        ? { text: want.trim(), priority: 'high' }
+        : {
+            text: String(want?.text || '').trim(),
+            priority: WANT_PRIORITIES.includes(want?.priority) ? want.priority : 'medium'
+        }))
+    .filter(want => want.text);
+
+/**
+ * The NPC's secrets, in the order the GM keeps them.
+ * @returns {Array<{ text: string, revealCondition: string, revealed: boolean }>}
+ */
+export const getSecrets = (structuredData) => toList(structuredData?.secrets)
+    .map(secret => (typeof secret === 'string'
+        ? { text: secret.trim(), revealCondition: '', revealed: false }
+        : {
+            text: String(secret?.text || '').trim(),
+            revealCondition: String(secret?.revealCondition || '').trim(),
+            revealed: secret?.revealed === true
+        }))
+    .filter(secret => secret.text);
+
+/**
+ * The profile with wants and secrets as lists, as it is saved from now on.
+ */
+export const normalizeProfile = (structuredData) => ({
+    ...structuredData,
+    wants: getWants(structuredData),
+    secrets: getSecrets(structuredData)
+});
+
+const byPriority = (wants) => [...wants].sort((a, b) => WANT_PRIORITIES.indexOf(a.priority) - WANT_PRIORITIES.indexOf(b.priority));
+
+/**
+ * Wants on one line, most important first, e.g. "revenge on the baron (high); a quiet life (low)".
+ */
+export const describeWants = (structuredData) => byPriority(getWants(structuredData))
+    .map(want => `${want.text} (${want.priority})`)
+    .join('; ') || 'Nothing in particular';
+
+/**
+ * Secrets on one line, for prompts that only need to know what they are.
+ */
+export const describeSecrets = (structuredData) => getSecrets(structuredData)
+    .map(secret => secret.text)
+    .join('; ') || 'None';
+
+/**
+ * Wants as prompt lines, most important first.
+ */
+export const formatWantLines = (structuredData) => byPriority(getWants(structuredData))
+    .map(want => `- [${want.priority} priority] ${want.text}`)
+    .join('\n        ') || '- Nothing in particular';
+
+/**
+ * Secrets as numbered prompt lines. The numbers are positions in the list, so a
+ * reveal marker can say which secret it was.
+ */
+export const formatSecretLines = (structuredData) => getSecrets(structuredData)
+    .map((secret, index) => {
+        if (secret.revealed) return `${index + 1}. ${secret.text} (ALREADY KNOWN to the party)`;
+        return `${index + 1}. ${secret.text}${secret.revealCondition ? ` (You give it up when: ${secret.revealCondition})` : ''}`;
+    })
+    .join('\n        ') || '- None';
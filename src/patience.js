@@ -0,0 +1,23 @@
+// NPC patience: when the player steps into one of the NPC's pitfalls, the NPC's reply says so
+// (stored on its message as `pitfall: { detail }`) and the NPC loses patience. Once it runs out,
+// the NPC ends the conversation. Patience is back in full with each new scene. Everything here
+// is derived from the chat history, like the scene goals. In a group scene each NPC has its own
+// patience, counted from its own lines (`npcId`).
+
+export const MAX_PATIENCE = 3;
+
+/**
+ * Where the NPC's patience stands in the most recent scene.
+ * @param {string} [npcId] - In a group scene, the NPC whose patience it is
+ * @returns {{ patience: number, pitfalls: Array<{ index: number, detail: string }>, isExhausted: boolean }}
+ *   `pitfalls` are the messages that cost patience, oldest first
+ */
+export const getPatienceState = (chats, npcId = null) => {
+    const sceneIndex = chats.map(msg => msg.role).lastIndexOf('scene');
+    const pitfalls = chats
+        .map((msg, index) => ({ msg, index }))
+        .filter(({ msg, index }) => index > sceneIndex && msg.role === 'npc' && msg.pitfall && (!npcId || msg.npcId === npcId))
+        .map(({ msg, index }) => ({ index, detail: msg.pitfall.detail || '' }));
+    const patience = Math.max(0, MAX_PATIENCE - pitfalls.length);
+    return { patience, pitfalls, isExhausted: patience === 0 };
+};
@@ -0,0 +1,58 @@
+// Player characters: the party the NPCs talk to. A PC belongs to one campaign, or to every
+// campaign when it has none. Each NPC keeps which PCs are present in its conversation
+// (`presentPlayerCharacterIds`), and player messages say which PC spoke (`speakerId`, `speakerName`).
+
+// The fields of a PC, in the order they are edited and shown to the NPC
+export const PLAYER_CHARACTER_FIELDS = [
+    { key: 'race', label: 'Race', placeholder: 'E.g., Half-elf' },
+    { key: 'characterClass', label: 'Class', placeholder: 'E.g., Rogue 3' },
+    { key: 'appearance', label: 'Appearance', placeholder: 'What an NPC notices at a glance', multiline: true },
+    { key: 'reputation', label: 'Reputation', placeholder: 'What people say about them, and where', multiline: true }
+];
+
+const toLines = (value) => (Array.isArray(value) ? value : String(value || '').split('\n'))
+    .map(line => String(line || '').trim())
+    .filter(Boolean);
+
+/**
+ * The PC with every field present and trimmed, as it is saved.
+ * `backstoryHooks` are threads from the PC's past an NPC might know of or tug on.
+ */
+export const normalizePlayerCharacter = (pc = {}) => ({
+    name: String(pc.name || '').trim(),
+    ...Object.fromEntries(PLAYER_CHARACTER_FIELDS.map(({ key }) => [key, String(pc[key] || '').trim()])),
+    backstoryHooks: toLines(pc.backstoryHooks),
+    campaignId: pc.campaignId || null
+});
+
+/**
+ * The PCs that can take part in a conversation in this campaign.
+ */
+export const getAvailablePlayerCharacters = (playerCharacters, campaignId) =>
+    playerCharacters.filter(pc => !pc.campaignId || pc.campaignId === (campaignId || null));
+
+/**
+ * The present PCs, in the order the NPC keeps them. PCs deleted since are skipped.
+ */
+export const getPresentPlayerCharacters = (playerCharacters, presentIds = []) =>
+    presentIds.map(id => playerCharacters.find(pc => pc.id === id)).filter(Boolean);
+
+/**
+ * Race and class on one line, e.g. "Half-elf Rogue 3".
+ */
+export const describePlayerCharacter = (pc) => [pc.race, pc.characterClass].filter(Boolean).join(' ');
+
+/**
+ * The PCs as prompt lines, with everything an NPC could know or notice about them.
+ */
+export const formatPlayerCharacterLines = (playerCharacters) => playerCharacters
+    .map(pc => {
+        const details = [
+            pc.appearance ? `Appearance: ${pc.appearance}` : '',
+            pc.reputation ? `Reputation: ${pc.reputation}` : '',
+            pc.backstoryHooks?.length ? `Backstory hooks: ${pc.backstoryHooks.join('; ')}` : ''
+        ].filter(Boolean);
+        const description = describePlayerCharacter(pc);
+        return `- ${pc.name}${description ? ` (${description})` : ''}${details.length ? `. ${details.join('. ')}` : ''}`;
+    })
+    .join('\n        ');
@@ -1,13 +1,35 @@
 /**
  * Constants and Prompt Generators for NPC Assistant
  */
+import { PROFILE_LIST_FIELDS, describeSecrets, describeWants, formatSecretLines, formatWantLines, getSecrets, getWants } from './npcProfile';
+import { MAX_PATIENCE } from './patience';
+import { formatPlayerCharacterLines } from './playerCharacters';
 
 export const TIPS = [
     { text: 'Type', code: '/scene', suffix: 'to set a scene at any time' },
     { text: 'Describe your character\'s actions using square brackets', code: '[like this]', suffix: '' },
     { text: 'Try typing', code: '[Describe the NPC\'s internal monologue]', suffix: '— you might be surprised!' },
+    { text: 'Type', code: '/roll persuasion +3 dc 15', suffix: 'to make a skill check the NPC reacts to' },
+    { text: 'Type', code: '/help', suffix: 'to see every chat command' },
 ];
 
+// NPC disposition toward the party, from 0 (hostile) to 100 (friendly)
+export const DEFAULT_DISPOSITION = 50;
+export const DISPOSITION_LEVELS = [
+    { min: 0, label: 'Hostile' },
+    { min: 20, label: 'Unfriendly' },
+    { min: 40, label: 'Neutral' },
+    { min: 60, label: 'Friendly' },
+    { min: 80, label: 'Allied' },
+];
+
+/**
+ * Returns the disposition level for a 0-100 value.
+ */
+export const getDispositionLevel = (value) => {
+    return [...DISPOSITION_LEVELS].reverse().find(level => value >= level.min) || DISPOSITION_LEVELS[0];
+};
+
 export const VOICE_SELECTION_GUIDELINES = `Voice Selection Guidelines:
 Match the voice to the character by considering:
 
@@ -55,7 +77,49 @@ export const getStructuredNPCPrompt = (description, availableVoices) => {
     };
 };
 
-export const getSceneGenerationPrompt = (npcData, conversationHistory = null) => {
+/**
+ * Formats a campaign's overview, locations, factions and lore notes as a prompt section.
+ * Returns an empty string when there is no campaign or it has no content.
+ */
+const formatCampaignLore = (campaign) => {
+    if (!campaign) return '';
+
+    const formatEntries = (title, entries = []) => {
+        const lines = entries
+            .filter(entry => entry.name?.trim() || entry.description?.trim())
+            .map(entry => `- ${entry.name?.trim() || 'Untitled'}${entry.description?.trim() ? `: ${entry.description.trim()}` : ''}`);
+        return lines.length > 0 ? `${title}:\n${lines.join('\n')}` : '';
+    };
+
+    const sections = [
+        campaign.description?.trim() ? `Overview: ${campaign.description.trim()}` : '',
+        formatEntries('Locations', campaign.locations),
+        formatEntries('Factions', campaign.factions),
+        formatEntries('Lore', campaign.lore)
+    ].filter(Boolean);
+
+    if (sections.length === 0) return '';
+
+    return `***CAMPAIGN WORLD: ${campaign.name}***
+${sections.join('\n\n')}`;
+};
+
+/**
+ * Formats what the NPC remembers from earlier scenes as bullet lines (oldest first).
+ * Only the most recent memories are included to keep the prompt short.
+ */
+const formatMemoryLines = (memories = [], limit = 10) => {
+    return memories.slice(-limit).map(memory => {
+        const details = [
+            memory.learned?.length ? `Learned: ${memory.learned.join('; ')}` : '',
+            memory.promises?.length ? `Promises: ${memory.promises.join('; ')}` : ''
+        ].filter(Boolean).join(' | ');
+        return `- ${memory.summary}${details ? ` (${details})` : ''}`;
+    }).join('\n');
+};
+
+export const getSceneGenerationPrompt = (npcData, conversationHistory = null, context = {}) => {
+    const { campaign = null, memories = [], playerCharacters = [] } = context;
     // Build conversation history section if available
     let conversationSection = '';
     if (conversationHistory && conversationHistory.length > 0) {
@@ -72,7 +136,7 @@ export const getSceneGenerationPrompt = (npcData, conversationHistory = null) =>
         const recentMessages = conversationHistory.slice(-10)
             .filter(msg => msg.role !== 'scene') // Exclude scenes since we show previous scene separately
             .map(msg => {
-                if (msg.role === 'user') return `User: ${msg.text}`;
+                if (msg.role === 'user') return `${msg.speakerName || 'User'}: ${msg.text}`;
                 if (msg.role === 'npc' || msg.role === 'assistant') return `${npcData.name}: ${msg.text}`;
                 return '';
             })
@@ -88,26 +152,49 @@ export const getSceneGenerationPrompt = (npcData, conversationHistory = null) =>
     `;
     }
 
+    const campaignLore = formatCampaignLore(campaign);
+    const campaignSection = campaignLore ? `
+    ${campaignLore}
+
+    Ground the scene in this campaign world: prefer its locations, factions and lore over inventing new ones.
+    ` : '';
+
+    const memorySection = memories.length > 0 ? `
+    What ${npcData.name} remembers from earlier scenes (oldest first):
+    ${formatMemoryLines(memories)}
+
+    The new scene may follow up on these earlier events, promises or grudges.
+    ` : '';
+
+    const playerCharacterSection = playerCharacters.length > 0 ? `
+    The player characters in the scene:
+    ${formatPlayerCharacterLines(playerCharacters)}
+
+    The scene may draw on their reputation or backstory hooks.
+    ` : '';
+
     const systemPrompt = `You are a creative Dungeon Master helper. Your task is to generate a concise scene for a roleplay conversation with the following NPC.
     
     NPC: ${npcData.name} (${npcData.raceClass})
     Personality: ${npcData.personality}
-    Principal Desire/Want: ${npcData.wants}${conversationSection}
+    Wants: ${describeWants(npcData)}${campaignSection}${memorySection}${playerCharacterSection}${conversationSection}
     
-    Output Format:
-    Setting: [Where the scene takes place, time of day if relevant${conversationHistory && conversationHistory.length > 0 ? ', and how much time passed since the previous scene if there was a time skip' : ''}. May include brief atmospheric details like weather, sounds, or smells if relevant]
-
-    Context: [What the NPC is doing and how the User encountered them, or the development that arised in the conclusion of the previous scene]
-
-    Goal: [A specific objective for the User to achieve in this conversation scene]
+    Fields:
+    - setting: Where the scene takes place${conversationHistory && conversationHistory.length > 0 ? ', and how much time passed since the previous scene if there was a time skip' : ''}.
+    - timeOfDay: When it takes place, e.g. "Late evening" or "Dawn, the next day".
+    - mood: The mood of the scene in two or three words, e.g. "tense, hushed".
+    - context: What the NPC is doing and how the User encountered them, or the development that arised in the conclusion of the previous scene.
+    - presentNpcs: Anyone else in the scene worth naming, briefly described. Often nobody.
+    - ambience: Two to four short sensory details, like weather, sounds, or smells.
+    - goals: The objectives for the User in this conversation scene, marked optional for side objectives.
     
     Requirements:
-    - Keep all three sections short (max 1 sentence each).
-    - Separate the three sections (Setting, Context, Goal) with an empty line between them.
-    ${conversationHistory && conversationHistory.length > 0 ? '- The new scene should take place some time after the events in the conversation so far, and offer a fresh, *new* direction or development. The goal should also be a different type of challenge from the previous scene. A reasonable time skip is acceptable.' : ''}
-    - Make the Goal be something the NPC could provide or assist with, but requires some effort or convincing from the user.
-    - Do not use markdown bolding in the output logic, just plain text headers are fine.
-    - Refer to the user's character as "your character".
+    - Keep every field short (max 1 sentence each).
+    - Give one primary goal, or two if the scene naturally has two things the User must get done. Add zero to two optional goals for side objectives, such as learning one of the NPC's secrets.
+    ${conversationHistory && conversationHistory.length > 0 ? '- The new scene should take place some time after the events in the conversation so far, and offer a fresh, *new* direction or development. The goals should also be a different type of challenge from the previous scene. A reasonable time skip is acceptable.' : ''}
+    - Make each goal something the NPC could provide or assist with, but requires some effort or convincing from the user.
+    - Do not use markdown.
+    - ${playerCharacters.length > 0 ? 'Refer to the player characters by name; "the User" in these instructions means them.' : 'Refer to the user\'s character as "your character".'}
     `;
 
     return systemPrompt;
@@ -144,15 +231,30 @@ export const getImageFallbackPrompt = (name, gender, ageRange, raceClass, descri
     return `Create a portrait of ${name}, a ${gender} ${ageRange} ${raceClass}. ${description || ''} The character should be centered and fill the frame. Style: Dungeons and Dragons fantasy art, dramatic lighting, professional illustration.`;
 };
 
-export const getRoleplaySystemPrompt = (structuredData, currentGoal = null) => {
+/**
+ * @param {Array} [goals] - Open scene goals (see getSceneGoalState); the NPC reports progress on each with a hidden marker
+ * @param {Object} [context] - Optional world and history context
+ * @param {Object} [context.campaign] - Campaign the NPC belongs to
+ * @param {Array} [context.memories] - What the NPC remembers from earlier scenes
+ * @param {Array} [context.playerCharacters] - The player characters present (see playerCharacters.js)
+ * @param {number} [context.disposition] - Current disposition (0-100); when set, the NPC reports changes with a hidden marker
+ * @param {number} [context.patience] - Patience left (see patience.js); when set, the NPC flags pitfalls the player steps into with a hidden marker
+ * @param {Object} [context.roll] - Dice roll the player just made (see rollDice); without a DC the NPC picks one with a hidden marker
+ * @param {string} [context.steering] - The GM's direction for a regenerated reply, e.g. "angrier"
+ * @param {boolean} [context.trackSecrets=true] - Whether the NPC flags replies that give a secret away with a hidden marker
+ */
+export const getRoleplaySystemPrompt = (structuredData, goals = [], context = {}) => {
+    const { campaign = null, memories = [], playerCharacters = [], conversationSummary = null, disposition = null, patience = null, roll = null, steering = null, trackSecrets = true } = context;
     let systemPrompt = `You are roleplaying as the NPC named ${structuredData.name}.
         - **Race/Class:** ${structuredData.raceClass}
         - **Gender/Age:** ${structuredData.gender} ${structuredData.ageRange}
         - **Personality:** ${structuredData.personality}
-        - **Wants:** ${structuredData.wants}
-        - **Secret:** ${structuredData.secrets}
+        - **Wants (most important first):**
+        ${formatWantLines(structuredData)}
+        - **Secrets:**
+        ${formatSecretLines(structuredData)}
         
-        Stay in character and base your responses on the provided information. Do not break character. Do not reveal your secrets unless explicitly forced or tricked, or you think it would benefit the NPC to reveal it.
+        Stay in character and base your responses on the provided information. Do not break character. Do not reveal your secrets unless explicitly forced or tricked, their condition is met, or you think it would benefit the NPC to reveal it. Secrets the party already knows can be talked about openly.
         The NPC should cooperative with the user at start, and show a good level of patience and interest to hear what the user has to say. Adjust their behavior in response to the user's actions and words.
         NOTE: The user's goal is not known to the NPC! The NPC only knows what the user says or does in character.
         
@@ -160,69 +262,322 @@ export const getRoleplaySystemPrompt = (structuredData, currentGoal = null) => {
         
         ***IMPORTANT FORMATTING RULE:*** Enclose any actions, emotional descriptions, or narrations (i.e., anything that is NOT spoken dialogue) within square brackets, e.g., "[The ${structuredData.raceClass} clears their throat.]". Only the spoken dialogue should be outside the brackets.`;
 
-    // If we have a goal, add goal checking instructions with a hidden marker
-    if (currentGoal) {
+    // Let the NPC know the world it lives in
+    const campaignLore = formatCampaignLore(campaign);
+    if (campaignLore) {
+        systemPrompt += `\n\n${campaignLore}
+
+        This is the world your character lives in. Treat it as common knowledge only to the extent your character would plausibly know it, and never contradict it.`;
+    }
+
+    // Carry over what happened in earlier scenes
+    if (memories.length > 0) {
+        const latestAttitude = memories[memories.length - 1].attitude;
+        systemPrompt += `\n\n***YOUR MEMORIES OF EARLIER SCENES (oldest first):***
+        ${formatMemoryLines(memories)}${latestAttitude ? `\n        Your attitude toward the party after the last scene: ${latestAttitude}` : ''}
+
+        These are things that really happened to you. Let them shape how you treat the party now: hold grudges, expect promises to be kept, and remember favors.`;
+    }
+
+    // Who the NPC is talking to
+    if (playerCharacters.length > 0) {
+        systemPrompt += `\n\n***THE PLAYER CHARACTERS YOU ARE TALKING TO:***
+        ${formatPlayerCharacterLines(playerCharacters)}
+
+        The user's messages start with the name of the character speaking, e.g. "${playerCharacters[0].name}: ...". Answer the character who spoke, and treat each one as the person they are: react to how they look and what is said about them, and let their backstory hooks come up when your character would plausibly know of them. Only call them by name once your character could know it.`;
+    }
+
+    // Older turns of this conversation that are no longer sent word for word
+    if (conversationSummary) {
+        systemPrompt += `\n\n***EARLIER IN THIS CONVERSATION (summary):***
+        ${conversationSummary}
+
+        The messages that follow pick up where this summary ends.`;
+    }
+
+    // Track how the NPC feels about the party with a hidden marker
+    if (disposition !== null) {
+        systemPrompt += `\n\n***HIDDEN DISPOSITION TRACKING (DO NOT MENTION THIS TO USER):***
+        Your current disposition toward the user's party is ${disposition}/100 (${getDispositionLevel(disposition).label}), where 0 is hostile and 100 is friendly.
+        Let it color your tone and how willing you are to help: hostile NPCs refuse, threaten or leave; friendly NPCs share, help and trust.
+
+        After your in-character response, add a hidden marker on a new line with your updated disposition: ###DISPOSITION:<number>###
+        Change it only in reaction to what the user just said or did, usually by no more than 10 points per reply. Keep it the same if nothing affected you.`;
+    }
+
+    // Let the NPC lose patience when the player steps into one of its pitfalls
+    const pitfalls = String(structuredData.pitfalls || '').trim();
+    if (patience !== null && pitfalls) {
+        systemPrompt += `\n\n***HIDDEN PATIENCE TRACKING (DO NOT MENTION THIS TO USER):***
+        Your pitfalls, what makes you lose patience or interest: ${pitfalls}
+        Your patience left in this scene: ${patience}/${MAX_PATIENCE}.
+        ${patience === 0
+            ? 'Your patience has run out and you have ended this conversation. Refuse to engage any further: answer with a curt dismissal, or by turning away, at most.'
+            : `If the user's latest message steps into one of your pitfalls, react in character (irritation, losing interest, demanding they get to the point...) and add a hidden marker on a new line with what they did in a few words: ###PITFALL:<what they did>###
+        Only flag the latest message, and only when it clearly steps into a pitfall. Add nothing otherwise.${patience === 1
+            ? '\n        This is your last bit of patience: if the latest message steps into a pitfall, end the conversation in your reply (walk away, dismiss them, shut the door...).'
+            : ''}`}
+        Let your patience color your tone: the less is left, the shorter and colder your replies.`;
+    }
+
+    // React to the outcome of the player's dice roll
+    if (roll) {
+        const hasDc = roll.dc !== null && roll.dc !== undefined;
+        systemPrompt += `\n\n***DICE ROLL (GAME MECHANICS, DO NOT MENTION NUMBERS TO USER):***
+        The player just rolled ${roll.label} for what they are attempting in the conversation, with a total of ${roll.total}.
+        ${hasDc
+            ? `The DC was ${roll.dc}, so the attempt ${roll.success ? 'SUCCEEDED' : 'FAILED'}.`
+            : `No DC was set. Choose a fair DC for what they attempted against you (5 very easy, 10 easy, 15 medium, 20 hard, 25 very hard); the attempt succeeds if the total meets it.
+        After your in-character response, add a hidden marker on a new line with the DC you chose: ###DC:<number>###`}
+
+        React in character to the outcome: a success gets the player what they were trying for (you are persuaded, fooled, intimidated, don't notice them...), a failure does not, and may annoy or alert you.`;
+    }
+
+    // The GM asked for another take on this reply
+    if (steering) {
+        systemPrompt += `\n\n***DIRECTION FOR THIS REPLY (FROM THE GM, DO NOT MENTION IT):***
+        Make your next reply: ${steering}
+        Follow this direction while staying in character and keeping to everything above.`;
+    }
+
+    // Let the GM know when the NPC gives a secret away
+    if (trackSecrets && getSecrets(structuredData).some(secret => !secret.revealed)) {
+        systemPrompt += `\n\n***HIDDEN SECRET TRACKING (DO NOT MENTION THIS TO USER):***
+        If your reply gives away a secret the party does not know yet, add a hidden marker on a new line with the secret's number, how much you gave away, and what the user now knows in a few words:
+        - A hint, slip or half-truth that points to it: ###SECRET_REVEALED:<number>:PARTIAL:<what they learned>###
+        - The secret itself: ###SECRET_REVEALED:<number>:FULL:<what they learned>###
+        Add one marker per secret given away. Only flag what this reply gives away, not what was revealed earlier. Add nothing if your secrets stay hidden.`;
+    }
+
+    // If we have goals, track the user's progress on each with a hidden marker
+    if (goals?.length > 0) {
+        const goalLines = goals
+            .map(goal => `${goal.index + 1}. ${goal.optional ? '(optional) ' : ''}${goal.text}${goal.progress === 'in_progress' ? ' (in progress so far)' : ''}`)
+            .join('\n        ');
         systemPrompt += `\n\n***HIDDEN GOAL TRACKING (DO NOT MENTION THIS TO USER):***
-        The user has a scene goal: "${currentGoal}"
+        The user has these goals in this scene:
+        ${goalLines}
         
-        After your in-character response, add a hidden marker on a new line:
-        - If the user achieved the goal (they got you to do what they wanted you to do according to the goal), add: ###GOAL_ACHIEVED###
-        - Otherwise, add: ###GOAL_NOT_ACHIEVED###
+        After your in-character response, add one hidden marker per goal above, each on a new line, with its number, where it stands now, and a few words on why:
+        ###GOAL:<number>:<NOT_STARTED|IN_PROGRESS|ACHIEVED>:<why>###
+        - ACHIEVED: the user got you to do what they wanted according to the goal.
+        - IN_PROGRESS: the user is getting somewhere, e.g. you are warming to the idea or gave part of it.
+        - NOT_STARTED: the user has not worked toward it yet, or lost the ground they had gained.
         
-        The user will NOT see this marker - it's only for system tracking. Your actual response must be purely in-character.`;
+        The user will NOT see these markers - they're only for system tracking. Your actual response must be purely in-character.`;
     }
 
     return systemPrompt;
 };
 
-export const getFieldRegenerationPrompt = (structuredData, field) => {
+/**
+ * Roleplay prompt for one NPC inside a group scene.
+ * Other NPCs are described by public traits only, so each NPC keeps its own secrets.
+ */
+export const getGroupRoleplaySystemPrompt = (structuredData, otherNpcs, context = {}) => {
+    const others = otherNpcs
+        .map(npc => `- ${npc.structuredData.name} (${npc.structuredData.raceClass}): ${npc.structuredData.personality}`)
+        .join('\n        ');
+
+    return `${getRoleplaySystemPrompt(structuredData, [], { ...context, trackSecrets: false })}
+
+        ***GROUP SCENE:*** You share this scene with the user's party and these other NPCs:
+        ${others}
+
+        Lines from other characters appear as "Name: what they said". You only know what they say and do in front of you; you do NOT know their secrets or wants.
+        Speak and act ONLY as ${structuredData.name}. Never write lines or actions for the other NPCs or the user's character, and do not prefix your reply with your name.
+        You may address, agree with, argue with or ignore the other NPCs as your character would.`;
+};
+
+/**
+ * Prompt asking the model which NPC should speak next in a group scene.
+ */
+export const getNextSpeakerPrompt = (npcs, recentLines) => {
+    const roster = npcs
+        .map(npc => `- id "${npc.id}": ${npc.structuredData.name} (${npc.structuredData.raceClass}). Personality: ${npc.structuredData.personality}`)
+        .join('\n');
+
+    return `You are directing a tabletop roleplay scene with several NPCs. Decide which NPC should speak next.
+
+NPCs in the scene:
+${roster}
+
+Recent conversation:
+${recentLines || '(The scene has just started.)'}
+
+Choose the NPC who would most naturally respond next: someone addressed by name, someone whose personality makes them jump in, or someone who has been quiet for a while. Avoid picking the NPC who just spoke unless they were directly asked something.
+Respond with the chosen NPC's id.`;
+};
+
+/**
+ * Prompt asking the model to distill a finished scene into the NPC's long-term memory.
+ */
+export const getSceneMemoryPrompt = (structuredData, sceneTranscript, previousAttitude = null) => {
+    return `You are keeping the long-term memory of the NPC ${structuredData.name} (${structuredData.raceClass}) in a tabletop roleplay campaign.
+Personality: ${structuredData.personality}
+Wants: ${describeWants(structuredData)}
+${previousAttitude ? `Attitude toward the party before this scene: ${previousAttitude}\n` : ''}
+Here is the scene that just ended ("Party" is the user's characters):
+${sceneTranscript}
+
+From ${structuredData.name}'s point of view, record:
+- summary: one sentence describing what happened in this scene.
+- learned: short facts ${structuredData.name} learned about the party (names, goals, lies, deeds). Empty if nothing new.
+- promises: promises, deals or debts made by either side. Empty if none.
+- attitude: a few words on how ${structuredData.name} now feels about the party, and why.
+
+Only record what ${structuredData.name} actually witnessed or was told. Keep every item short.`;
+};
+
+/**
+ * Prompt for the rolling summary that replaces the older turns of a long conversation
+ * in the NPC's context. The previous summary, if any, is folded into the new one.
+ */
+export const getConversationSummaryPrompt = (structuredData, transcript, previousSummary = null) => {
+    return `You are condensing a long tabletop roleplay conversation with the NPC ${structuredData.name} (${structuredData.raceClass}) so it can be continued without the full transcript.
+${previousSummary ? `Summary of the conversation before this part:\n${previousSummary}\n` : ''}
+Here is the next part of the conversation ("Party" is the user's characters):
+${transcript}
+
+Write one summary of the whole conversation so far, the earlier summary included, in at most 200 words. Keep:
+- the scenes in order, and which goals the party achieved
+- what each side asked for, offered, promised or refused
+- what ${structuredData.name} revealed, and any lies told by either side
+- how ${structuredData.name}'s attitude toward the party changed
+
+Write plain prose in the past tense, with no heading or preamble.`;
+};
+
+/**
+ * Prompt for the GM's journal entry on a conversation with an NPC.
+ * The response is constrained by a JSON schema in generateRecap.
+ */
+export const getRecapPrompt = (structuredData, transcript, campaign = null) => {
+    return `You are the note-taker for a tabletop roleplay campaign${campaign ? ` called "${campaign.name}"` : ''}. Write the Game Master's journal entry for this conversation with the NPC ${structuredData.name} (${structuredData.raceClass}).
+Personality: ${structuredData.personality}
+Wants: ${describeWants(structuredData)}
+Secrets (known only to the GM): ${describeSecrets(structuredData)}
+
+Here is the conversation ("Party" is the players' characters):
+${transcript}
+
+Record:
+- title: a short, evocative title for this part of the story.
+- summary: 2-4 sentences on what happened, in the past tense.
+- learned: what the party found out from ${structuredData.name}. Empty if nothing.
+- secretsRevealed: which of the secrets above the party actually uncovered, fully or in part. Empty if none.
+- openHooks: unresolved threads to pick up next session: leads, promises, threats, unanswered questions. Empty if none.
+
+Only record what happened in the conversation. Keep every list item to one short sentence.`;
+};
+
+/**
+ * Prompt for a D&D 5e stat block matching the NPC's role, race/class and personality.
+ * The response is constrained by a JSON schema in generateStatBlock.
+ */
+export const getStatBlockPrompt = (structuredData) => {
+    return {
+        userQuery: `Create a D&D 5th edition stat block for this NPC.
+
+Character:
+- Name: ${structuredData.name}
+- Race/Class: ${structuredData.raceClass}
+- Gender/Age: ${structuredData.gender} ${structuredData.ageRange}
+- Personality: ${structuredData.personality}
+- Wants: ${describeWants(structuredData)}`,
+        systemPrompt: `You are an expert D&D 5th edition game designer. Build a stat block that fits the character's profession and story role, following the rules and balance of the official Monster Manual.
+
+RULES:
+- Choose a challenge rating that fits the character (a village baker is CR 0, a veteran soldier CR 3, an archmage CR 12).
+- The proficiency bonus must match the challenge rating: +2 for CR 0-4, +3 for CR 5-8, +4 for CR 9-12, +5 for CR 13-16, +6 for CR 17-20.
+- Skill bonuses are the ability modifier plus the proficiency bonus (twice the proficiency bonus only for expertise).
+- Saving throws list only the abilities the NPC is proficient in.
+- Attack actions state the to-hit bonus and damage, e.g. "Melee Weapon Attack: +5 to hit, reach 5 ft., one target. Hit: 7 (1d8 + 3) slashing damage."
+- Only spellcasters have a spellcasting ability; for everyone else use "none" and leave spells empty.`
+    };
+};
+
+/**
+ * What a prompt rewrites: a whole field, or one item of a list field (wants, secrets).
+ * An `index` past the end of the list means a new item.
+ */
+const describeFieldTarget = (structuredData, field, index) => {
+    const listField = PROFILE_LIST_FIELDS[field];
+    if (!listField || index === null) return { name: field, current: structuredData[field], isItem: false, otherItems: [] };
+
+    const items = (field === 'wants' ? getWants : getSecrets)(structuredData).map(item => item.text);
+    return {
+        name: listField.singular,
+        current: items[index],
+        isItem: true,
+        isNewItem: index >= items.length,
+        otherItems: items.filter((_, i) => i !== index)
+    };
+};
+
+/**
+ * Prompt for a fresh take on a profile field. For wants and secrets, `index` picks the item.
+ */
+export const getFieldRegenerationPrompt = (structuredData, field, index = null) => {
     const fieldDescriptions = {
         personality: "A concise, detailed summary of the NPC's disposition and mannerisms.",
-        wants: "The NPC's primary goal or desire.",
-        secrets: "A key secret the NPC hides, critical for plot development.",
+        wants: PROFILE_LIST_FIELDS.wants.description,
+        secrets: PROFILE_LIST_FIELDS.secrets.description,
         pitfalls: "One thing that may make the NPC lose patience, interest, or demand a clarification in the conversation.",
         visual: "A detailed visual description of the NPC's physical appearance, clothing, and equipment."
     };
 
     const targetDescription = fieldDescriptions[field] || "content for this field";
+    const target = describeFieldTarget(structuredData, field, index);
+    const task = target.isNewItem
+        ? `Write one new ${target.name} for this character, different from the ones they already have.`
+        : target.isItem
+            ? `Write a new, unique ${target.name} to replace "${target.current}".`
+            : `Write a new, unique entry for '${field}'.`;
 
-    return `You are an expert RPG character creator. Your task is to regenerate ONLY the '${field}' field for the following character, keeping it consistent with their other traits but providing a fresh, creative variation.
+    return `You are an expert RPG character creator. Your task is to regenerate ONLY the '${target.name}' for the following character, keeping it consistent with their other traits but providing a fresh, creative variation.
 
     Character Context:
     - Name: ${structuredData.name}
     - Race/Class: ${structuredData.raceClass}
     - Gender/Age: ${structuredData.gender} ${structuredData.ageRange}
     ${field !== 'personality' ? `- Personality: ${structuredData.personality}` : ''}
-    ${field !== 'wants' ? `- Wants: ${structuredData.wants}` : ''}
-    ${field !== 'secrets' ? `- Secret: ${structuredData.secrets}` : ''}
+    ${field !== 'wants' ? `- Wants: ${describeWants(structuredData)}` : ''}
+    ${field !== 'secrets' ? `- Secrets: ${describeSecrets(structuredData)}` : ''}
+    ${target.otherItems.length > 0 ? `- Their other ${field} (do not repeat these): ${target.otherItems.join('; ')}` : ''}
     
-    Task: Write a new, unique entry for '${field}'.
+    Task: ${task}
     CRITICAL: Keep the response SHORT and CONCISE (maximum 1-2 sentences).
     Description of this field: ${targetDescription}
     
-    Respond with ONLY the text for the new '${field}'. Do not include labels, quotes, or explanations.`;
+    Respond with ONLY the text for the new '${target.name}'. Do not include labels, quotes, or explanations.`;
 };
 
-export const getFieldExpansionPrompt = (structuredData, field) => {
+/**
+ * Prompt for a more detailed version of a profile field. For wants and secrets, `index` picks the item.
+ */
+export const getFieldExpansionPrompt = (structuredData, field, index = null) => {
     const fieldDescriptions = {
-        wants: "The NPC's primary goal or desire.",
-        secrets: "A key secret the NPC hides, critical for plot development.",
+        wants: PROFILE_LIST_FIELDS.wants.description,
+        secrets: PROFILE_LIST_FIELDS.secrets.description,
         pitfalls: "One thing that may make the NPC lose patience, interest, or demand a clarification in the conversation."
     };
 
     const targetDescription = fieldDescriptions[field] || "content for this field";
+    const target = describeFieldTarget(structuredData, field, index);
 
-    return `You are an expert RPG character creator. Your task is to EXPAND the '${field}' field for the following character.
+    return `You are an expert RPG character creator. Your task is to EXPAND the '${target.name}' for the following character.
     
     Character Context:
     - Name: ${structuredData.name}
     - Race/Class: ${structuredData.raceClass}
     - Gender/Age: ${structuredData.gender} ${structuredData.ageRange}
     ${field !== 'personality' ? `- Personality: ${structuredData.personality}` : ''}
+    ${target.otherItems.length > 0 ? `- Their other ${field}: ${target.otherItems.join('; ')}` : ''}
     
-    Current '${field}': "${structuredData[field]}"
+    Current '${target.name}': "${target.current}"
     
-    Task: Expand and/or add one more *short* sentence to the '${field}' entry. Otherwise, only minimal modification are allowed to the existing text.
+    Task: Expand and/or add one more *short* sentence to the '${target.name}' entry. Otherwise, only minimal modification are allowed to the existing text.
     Description of this field: ${targetDescription}
     
     Respond with ONLY the resulted text. Do not include labels, quotes, or explanations.`;
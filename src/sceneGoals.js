@@ -0,0 +1,52 @@
+// Scene objectives: a scene can have several goals, primary or optional. With each reply the NPC
+// reports progress on the goals still open (stored on its message as `goalProgress`), and a
+// goal_achieved message marks a goal as done. Everything here is derived from the chat history.
+import { getScene } from './scenes';
+
+export const GOAL_PROGRESS_LABELS = {
+    not_started: 'Not started',
+    in_progress: 'In progress',
+    achieved: 'Achieved'
+};
+
+const arePrimaryGoalsAchieved = (goals) => {
+    const primaryGoals = goals.filter(goal => !goal.optional);
+    return primaryGoals.length > 0 && primaryGoals.every(goal => goal.progress === 'achieved');
+};
+
+/**
+ * Where the goals of the most recent scene stand.
+ * The scene is complete once every primary goal is achieved, which is when the next scene can be set;
+ * `completedAtIndex` is the goal_achieved message that completed it.
+ * @returns {{ sceneIndex: number, goals: Array<{ index: number, text: string, optional: boolean, progress: string, rationale: string }>, isComplete: boolean, completedAtIndex: number|null }}
+ */
+export const getSceneGoalState = (chats) => {
+    const sceneIndex = chats.map(msg => msg.role).lastIndexOf('scene');
+    if (sceneIndex === -1) return { sceneIndex, goals: [], isComplete: false, completedAtIndex: null };
+
+    const goals = getScene(chats[sceneIndex]).goals
+        .map((goal, index) => ({ ...goal, index, progress: 'not_started', rationale: '' }));
+    let completedAtIndex = null;
+
+    for (let i = sceneIndex + 1; i < chats.length; i++) {
+        const msg = chats[i];
+        if (msg.role === 'goal_achieved') {
+            // Messages from before scenes had several goals don't say which one
+            const goal = goals[msg.goalIndex ?? 0];
+            if (goal) goal.progress = 'achieved';
+            if (completedAtIndex === null && arePrimaryGoalsAchieved(goals)) completedAtIndex = i;
+        } else if (msg.role === 'npc') {
+            (msg.goalProgress || []).forEach(({ goalIndex, progress, rationale }) => {
+                const goal = goals[goalIndex];
+                if (goal && goal.progress !== 'achieved') Object.assign(goal, { progress, rationale });
+            });
+        }
+    }
+
+    return { sceneIndex, goals, isComplete: arePrimaryGoalsAchieved(goals), completedAtIndex };
+};
+
+/**
+ * The goals the NPC still reports progress on.
+ */
+export const getOpenGoals = (chats) => getSceneGoalState(chats).goals.filter(goal => goal.progress !== 'achieved');
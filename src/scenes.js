@@ -0,0 +1,107 @@
+// Scenes as structured data: where and when, the mood, what is going on, who else is there, the
+// ambience, and the goals. A scene message keeps the fields in `scene` and their text rendering in
+// `text`, which is what the NPC, transcripts and exports read. Scenes saved before this, and scenes
+// typed with /scene, are free text and read back with parseSceneText.
+
+// Labels of the text rendering, in the order they are written
+const SCENE_LABELS = {
+    setting: 'Setting',
+    timeOfDay: 'Time of day',
+    mood: 'Mood',
+    context: 'Context',
+    presentNpcs: 'Also present',
+    ambience: 'Ambience'
+};
+
+const LIST_FIELDS = ['presentNpcs', 'ambience'];
+
+const toStringList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(item => String(item || '').trim())
+    .filter(Boolean);
+
+/**
+ * The scene with every field present and trimmed, as it is saved.
+ * @returns {{ setting: string, timeOfDay: string, mood: string, context: string, presentNpcs: string[], ambience: string[], goals: Array<{ text: string, optional: boolean }> }}
+ */
+export const normalizeScene = (scene = {}) => ({
+    setting: String(scene.setting || '').trim(),
+    timeOfDay: String(scene.timeOfDay || '').trim(),
+    mood: String(scene.mood || '').trim(),
+    context: String(scene.context || '').trim(),
+    presentNpcs: toStringList(scene.presentNpcs),
+    ambience: toStringList(scene.ambience),
+    goals: (scene.goals || [])
+        .map(goal => ({ text: String(goal?.text || '').trim(), optional: goal?.optional === true }))
+        .filter(goal => goal.text)
+});
+
+/**
+ * Whether there is anything to start a scene with.
+ */
+export const isSceneEmpty = (scene) => {
+    const { setting, context, goals } = normalizeScene(scene);
+    return !setting && !context && goals.length === 0;
+};
+
+const LABEL_PATTERN = new RegExp(`^\\s*(${[...Object.values(SCENE_LABELS), 'Optional goal', 'Goal'].join('|')})\\s*:\\s*(.*)$`, 'i');
+
+/**
+ * Reads a free-text scene. Lines starting with a label ("Setting:", "Context:", "Goal:",
+ * "Optional goal:" and the others formatSceneText writes) fill that field, and the lines after
+ * them continue it. Text before the first label is context.
+ */
+export const parseSceneText = (text = '') => {
+    const fields = { context: '', goals: [] };
+    let current = { field: 'context' };
+
+    text.split('\n').forEach(line => {
+        const match = line.match(LABEL_PATTERN);
+        if (match) {
+            const label = match[1].toLowerCase();
+            if (label === 'goal' || label === 'optional goal') {
+                current = { text: match[2], optional: label !== 'goal' };
+                fields.goals.push(current);
+            } else {
+                current = { field: Object.keys(SCENE_LABELS).find(key => SCENE_LABELS[key].toLowerCase() === label) };
+                fields[current.field] = match[2];
+            }
+        } else if (line.trim()) {
+            if (current.field) fields[current.field] = `${fields[current.field]}\n${line.trim()}`.trim();
+            else current.text = `${current.text} ${line.trim()}`.trim();
+        }
+    });
+
+    return normalizeScene(fields);
+};
+
+/**
+ * The scene as labelled text, for the NPC and anywhere else a scene is read as text.
+ * Empty fields are left out.
+ */
+export const formatSceneText = (scene) => {
+    const normalized = normalizeScene(scene);
+    const line = (field) => {
+        const value = LIST_FIELDS.includes(field) ? normalized[field].join(', ') : normalized[field];
+        return value ? `${SCENE_LABELS[field]}: ${value}` : '';
+    };
+    const block = (lines) => lines.filter(Boolean).join('\n');
+
+    return [
+        block([line('setting'), line('timeOfDay'), line('mood')]),
+        block([line('context'), line('presentNpcs'), line('ambience')]),
+        block(normalized.goals.map(goal => `${goal.optional ? 'Optional goal' : 'Goal'}: ${goal.text}`))
+    ].filter(Boolean).join('\n\n');
+};
+
+/**
+ * The structured scene of a scene message, whether it was saved structured or as text.
+ */
+export const getScene = (message) => (message.scene ? normalizeScene(message.scene) : parseSceneText(message.text));
+
+/**
+ * A new scene message for the chat history.
+ */
+export const createSceneMessage = (scene) => {
+    const normalized = normalizeScene(scene);
+    return { role: 'scene', scene: normalized, text: formatSceneText(normalized), timestamp: new Date().toISOString() };
+};
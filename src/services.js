@@ -1,5 +1,5 @@
-import { doc, getDoc, setDoc, runTransaction, serverTimestamp } from 'firebase/firestore';
-import { db } from './firebaseConfig';
+import { doc, getDoc, setDoc, runTransaction, serverTimestamp, collection, deleteField, documentId, endBefore, getCountFromServer, getDocs, limit, orderBy, query, startAt, writeBatch } from 'firebase/firestore';
+import { auth, db } from './firebaseConfig';
 import * as Sentry from "@sentry/react";
 import { AVAILABLE_VOICES, getVoiceById } from './voices';
 import {
@@ -11,24 +11,52 @@ import {
     getRoleplaySystemPrompt,
     getFieldRegenerationPrompt,
     getFieldExpansionPrompt,
-    getVoiceRegenerationPrompt
+    getVoiceRegenerationPrompt,
+    getGroupRoleplaySystemPrompt,
+    getSceneMemoryPrompt,
+    getRecapPrompt,
+    getNextSpeakerPrompt,
+    getStatBlockPrompt,
+    getConversationSummaryPrompt
 } from './prompts';
+import { normalizeStatBlock } from './statBlock';
+import { WANT_PRIORITIES, normalizeProfile } from './npcProfile';
+import { normalizeScene } from './scenes';
+import { chatTreeFields, getBranchLength, getBranchSegments, getMessageCount, hasInlineChats, splitInlineChats } from './chatTree';
 
 // ==========================================
 // API Utilities
 // ==========================================
 
+// Don't keep the user waiting longer than this for a rate-limit window to clear
+const MAX_RETRY_AFTER_MS = 15000;
+
 /**
  * Utility for making fetch requests with exponential backoff.
+ * Understands the structured errors returned by our Netlify functions:
+ * 401 refreshes the Firebase ID token once, 429 honours the Retry-After header.
  */
 export const fetchWithBackoff = async (url, options, retries = 3, backoff = 1000) => {
     try {
         const response = await fetch(url, options);
 
-        // 429 Too Many Requests - specific handling
+        // 401 Unauthorized - the ID token may have expired, force a refresh and retry once
+        if (response.status === 401 && retries > 0 && options.headers?.Authorization && auth.currentUser) {
+            console.warn("Unauthorized (401). Refreshing ID token and retrying...");
+            const token = await auth.currentUser.getIdToken(true);
+            const headers = { ...options.headers, Authorization: `Bearer ${token}` };
+            return fetchWithBackoff(url, { ...options, headers }, 0, backoff);
+        }
+
+        // 429 Too Many Requests - our functions say how long the rate-limit window needs
         if (response.status === 429 && retries > 0) {
-            console.warn(`Rate limited (429). Retrying in ${backoff}ms... (${retries} retries left)`);
-            await new Promise(resolve => setTimeout(resolve, backoff));
+            const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+            const delay = retryAfter > 0 ? retryAfter * 1000 : backoff;
+            if (delay > MAX_RETRY_AFTER_MS) {
+                return response;
+            }
+            console.warn(`Rate limited (429). Retrying in ${delay}ms... (${retries} retries left)`);
+            await new Promise(resolve => setTimeout(resolve, delay));
             return fetchWithBackoff(url, options, retries - 1, backoff * 2);
         }
 
@@ -51,6 +79,37 @@ export const fetchWithBackoff = async (url, options, retries = 3, backoff = 1000
     }
 };
 
+/**
+ * User-facing message for a structured error returned by our Netlify functions
+ * ({ error, code }), or null if the result is not one.
+ */
+export const getFunctionErrorMessage = (result) => {
+    switch (result?.code) {
+        case 'UNAUTHENTICATED':
+            return "Your session has expired. Please sign in again.";
+        case 'FORBIDDEN':
+            return "This request is not allowed.";
+        case 'RATE_LIMITED':
+            return `You're going too fast. Please wait ${result.retryAfter || 'a few'} seconds and try again.`;
+        case 'INVALID_REQUEST':
+            return "The request was invalid. Please try again.";
+        default:
+            return null;
+    }
+};
+
+/**
+ * Headers for calling our Netlify functions, including the signed-in user's Firebase ID token.
+ */
+export const getAuthHeaders = async () => {
+    const headers = { 'Content-Type': 'application/json' };
+    const token = await auth.currentUser?.getIdToken();
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+    return headers;
+};
+
 // ==========================================
 // User Service
 // ==========================================
@@ -139,7 +198,7 @@ export const addCredits = async (userId, amount) => {
         const newBalance = await runTransaction(db, async (transaction) => {
             const userDoc = await transaction.get(userRef);
             if (!userDoc.exists()) {
-                // Should not happen for logged in users mostly, but auto-create?
+                // Should not happen for logged in users mostly; the rules accept the starter pack plus one top-up
                 const initial = 100 + amount;
                 transaction.set(userRef, { credits: initial, createdAt: serverTimestamp() }, { merge: true });
                 return initial;
@@ -159,42 +218,44 @@ export const addCredits = async (userId, amount) => {
     }
 };
 
-/**
- * Deduct credits from a user's balance safely.
- * Throws an error if insufficient funds.
- * @param {string} userId 
- * @param {number} amount 
- * @returns {Promise<number>} New balance
- */
-export const deductCredits = async (userId, amount) => {
-    if (!userId || amount <= 0) return;
-    const userRef = doc(db, USERS_COLLECTION, userId);
+// Credits are debited server-side by the paid Netlify functions, which report
+// the new balance in this header (see netlify/lib/credits.js).
+const BALANCE_HEADER = 'X-Credits-Balance';
+export const INSUFFICIENT_FUNDS = "Insufficient funds";
 
-    try {
-        const newBalance = await runTransaction(db, async (transaction) => {
-            const userDoc = await transaction.get(userRef);
-            if (!userDoc.exists()) {
-                throw new Error("User does not exist");
-            }
+const creditListeners = new Set();
 
-            const data = userDoc.data();
-            const current = typeof data.credits === 'number' ? data.credits : 100;
+/**
+ * Subscribe to balance updates reported by paid functions.
+ * @param {(balance: number) => void} listener
+ * @returns {() => void} Unsubscribe function
+ */
+export const onCreditsChanged = (listener) => {
+    creditListeners.add(listener);
+    return () => creditListeners.delete(listener);
+};
 
-            // CHECK DISABLED: allow proceeding even if insufficient funds
-            // if (current < amount) {
-            //     throw new Error("Insufficient funds");
-            // }
+const notifyCreditsChanged = (balance) => {
+    creditListeners.forEach(listener => listener(balance));
+};
 
-            // Prevent going below 0
-            const updated = Math.max(0, current - amount);
+/**
+ * Publishes the balance returned by a paid function.
+ * Throws INSUFFICIENT_FUNDS if the server refused the request (402).
+ * @param {Response} response
+ */
+const handleBillingResponse = async (response) => {
+    const balance = response.headers.get(BALANCE_HEADER);
+    if (balance !== null) {
+        notifyCreditsChanged(Number(balance));
+    }
 
-            transaction.update(userRef, { credits: updated });
-            return updated;
-        });
-        return newBalance;
-    } catch (error) {
-        // Propagate error so UI can show message
-        throw error;
+    if (response.status === 402) {
+        const data = await response.json().catch(() => ({}));
+        if (typeof data.balance === 'number') {
+            notifyCreditsChanged(data.balance);
+        }
+        throw new Error(INSUFFICIENT_FUNDS);
     }
 };
 
@@ -375,7 +436,7 @@ export const regenerateVoice = async (structuredData) => {
     try {
         const response = await fetchWithBackoff(apiUrl, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: await getAuthHeaders(),
             body: JSON.stringify(payload)
         });
         const result = await response.json();
@@ -404,7 +465,7 @@ export const regenerateVoice = async (structuredData) => {
 /**
  * Gemini TTS implementation
  */
-const geminiTTS = async (text, voiceName) => {
+const geminiTTS = async (text, voiceName, session = null) => {
     const payload = {
         contents: [{
             parts: [{ text }]
@@ -417,18 +478,23 @@ const geminiTTS = async (text, voiceName) => {
                 }
             }
         },
-        model: "gemini-2.5-flash-preview-tts"
+        model: "gemini-2.5-flash-preview-tts",
+        ...(session && { ttsSession: session })
     };
 
     const apiUrl = `/.netlify/functions/gemini`;
 
     const response = await fetchWithBackoff(apiUrl, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: await getAuthHeaders(),
         body: JSON.stringify(payload)
     });
+    await handleBillingResponse(response);
     const result = await response.json();
 
+    const functionError = getFunctionErrorMessage(result);
+    if (functionError) throw new Error(functionError);
+
     // Check for API errors
     if (result.error) {
         const errorMsg = result.error.message || 'Unknown API error';
@@ -464,18 +530,9 @@ const geminiTTS = async (text, voiceName) => {
 };
 
 /**
- * Main TTS entry point.
- * Converts text to a playable audio URL, selecting voice based on structured data.
+ * Picks the voice for an NPC, falling back to one matching its gender and age.
  */
-export const textToSpeech = async (text, structuredData) => {
-    // 1. Strip stage directions in brackets
-    const dialogueOnly = text.replace(/ *\[[\s\S]*?\] */g, '').trim();
-
-    if (!dialogueOnly) {
-        throw new Error("No spoken dialogue found in the message.");
-    }
-
-    // 2. Select the voice dynamically
+const resolveVoiceData = (structuredData) => {
     let selectedVoice = structuredData.voiceId;
     let voiceData = getVoiceById(selectedVoice);
 
@@ -491,8 +548,31 @@ export const textToSpeech = async (text, structuredData) => {
         if (!voiceData) voiceData = getVoiceById('Aoede'); // Ultimate fallback
     }
 
+    return voiceData;
+};
+
+/**
+ * Main TTS entry point.
+ * Converts text to a playable audio URL, selecting voice based on structured data.
+ * Pass a session ({ id, chunks, index }) when the text is one chunk of a longer line,
+ * so the server bills the line once rather than every chunk.
+ */
+export const textToSpeech = async (text, structuredData, session = null) => {
+    // 1. Strip stage directions in brackets
+    const dialogueOnly = text.replace(/ *\[[\s\S]*?\] */g, '').trim();
+
+    if (!dialogueOnly) {
+        throw new Error("No spoken dialogue found in the message.");
+    }
+
+    // 2. Select the voice dynamically
+    const voiceData = resolveVoiceData(structuredData);
+
     const processTTSResponse = async (response) => {
+        await handleBillingResponse(response);
         const data = await response.json();
+        const functionError = getFunctionErrorMessage(data);
+        if (functionError) throw new Error(functionError);
         if (data.error) throw new Error(data.error + (data.details ? `: ${data.details}` : ''));
 
         // Base64 to Blob (MP3)
@@ -510,25 +590,26 @@ export const textToSpeech = async (text, structuredData) => {
         console.log(`%c[TTS] Generating audio using provider: ${voiceData.provider} (Voice: ${voiceData.name})`, 'color: #0ea5e9; font-weight: bold;');
 
         if (voiceData.provider === 'gemini') {
-            return await geminiTTS(dialogueOnly, voiceData.id);
+            return await geminiTTS(dialogueOnly, voiceData.id, session);
         } else if (voiceData.provider === 'elevenlabs') {
             const response = await fetchWithBackoff('/.netlify/functions/elevenlabs-tts', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ text: dialogueOnly, voiceId: voiceData.id })
+                headers: await getAuthHeaders(),
+                body: JSON.stringify({ text: dialogueOnly, voiceId: voiceData.id, ...(session && { session }) })
             });
             return await processTTSResponse(response);
         } else if (voiceData.provider === 'google') {
             const response = await fetchWithBackoff('/.netlify/functions/google-tts', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ text: dialogueOnly, voiceId: voiceData.id })
+                headers: await getAuthHeaders(),
+                body: JSON.stringify({ text: dialogueOnly, voiceId: voiceData.id, ...(session && { session }) })
             });
             return await processTTSResponse(response);
         } else {
             throw new Error(`Unknown voice provider: ${voiceData.provider}`);
         }
     } catch (e) {
+        if (e.message === INSUFFICIENT_FUNDS) throw e;
         console.error("TTS Generation Error:", e.message);
         // Only log critical errors to Sentry
         if (e.message.includes('quota') || e.message.includes('API error') || e.message.includes('503') || e.message.includes('429')) {
@@ -541,6 +622,257 @@ export const textToSpeech = async (text, structuredData) => {
     }
 };
 
+// Chunking keeps the first sentence on its own so playback can start as soon as possible
+const MIN_SPEECH_CHUNK_LENGTH = 120;
+const MAX_SPEECH_CHUNKS = 6;
+
+/**
+ * Splits the spoken dialogue of a message (stage directions stripped) into sentence chunks.
+ * The first chunk is the first sentence; later sentences are grouped into longer chunks.
+ * @returns {string[]}
+ */
+export const splitSpeechIntoChunks = (text) => {
+    const dialogueOnly = text.replace(/ *\[[\s\S]*?\] */g, ' ').replace(/\s+/g, ' ').trim();
+    const sentences = (dialogueOnly.match(/[^.!?…]+(?:[.!?…]+["'”’)]*|$)/g) || [])
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+
+    const chunks = [];
+    sentences.forEach((sentence, i) => {
+        const last = chunks[chunks.length - 1];
+        if (i === 0 || chunks.length === 1 || last.length >= MIN_SPEECH_CHUNK_LENGTH) {
+            chunks.push(sentence);
+        } else {
+            chunks[chunks.length - 1] = `${last} ${sentence}`;
+        }
+    });
+
+    // Fold any overflow into the last chunk
+    while (chunks.length > MAX_SPEECH_CHUNKS) {
+        const overflow = chunks.pop();
+        chunks[chunks.length - 1] += ` ${overflow}`;
+    }
+
+    return chunks;
+};
+
+// ==========================================
+// Persistent Audio Cache
+// ==========================================
+
+// Synthesized chunks are kept in IndexedDB so replays survive reloads without being billed again.
+// Each record is { blob, size, lastUsedAt }; the least recently played chunks are evicted once
+// the cache holds more than MAX_AUDIO_CACHE_ENTRIES chunks or MAX_AUDIO_CACHE_BYTES.
+const AUDIO_DB_NAME = 'npc-assistant-audio';
+const AUDIO_DB_VERSION = 2;
+const AUDIO_STORE_NAME = 'chunks';
+const AUDIO_LAST_USED_INDEX = 'lastUsedAt';
+const MAX_AUDIO_CACHE_ENTRIES = 500;
+const MAX_AUDIO_CACHE_BYTES = 50 * 1024 * 1024;
+
+let audioDbPromise = null;
+
+const openAudioDb = () => {
+    if (!audioDbPromise) {
+        audioDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(AUDIO_DB_NAME, AUDIO_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                // Version 1 stored bare Blobs without a last use, so its chunks are dropped
+                if (db.objectStoreNames.contains(AUDIO_STORE_NAME)) db.deleteObjectStore(AUDIO_STORE_NAME);
+                db.createObjectStore(AUDIO_STORE_NAME).createIndex(AUDIO_LAST_USED_INDEX, 'lastUsedAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a later retry if IndexedDB is unavailable right now (e.g. private browsing)
+        audioDbPromise.catch(() => { audioDbPromise = null; });
+    }
+    return audioDbPromise;
+};
+
+/**
+ * Runs `work(store)` in one transaction. Resolves with what `work` returns once the
+ * transaction completes, and rejects if it fails or is aborted (e.g. QuotaExceededError).
+ */
+const runAudioTransaction = async (mode, work) => {
+    const db = await openAudioDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(AUDIO_STORE_NAME, mode);
+        const result = work(transaction.objectStore(AUDIO_STORE_NAME));
+        transaction.oncomplete = () => resolve(result.value);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+/**
+ * Reads a chunk's audio Blob from IndexedDB and marks it as just used.
+ * Storage errors count as a cache miss.
+ */
+const getStoredAudio = async (cacheKey) => {
+    try {
+        return await runAudioTransaction('readwrite', store => {
+            const result = { value: null };
+            const request = store.get(cacheKey);
+            request.onsuccess = () => {
+                const record = request.result;
+                if (!record) return;
+                result.value = record.blob;
+                store.put({ ...record, lastUsedAt: Date.now() }, cacheKey);
+            };
+            return result;
+        });
+    } catch (e) {
+        console.warn("Audio cache read failed:", e);
+        return null;
+    }
+};
+
+/**
+ * Deletes the least recently used chunks until the cache is within `maxEntries` and `maxBytes`.
+ */
+const evictStoredAudio = (maxEntries = MAX_AUDIO_CACHE_ENTRIES, maxBytes = MAX_AUDIO_CACHE_BYTES) =>
+    runAudioTransaction('readwrite', store => {
+        let count = 0;
+        let bytes = 0;
+        // Newest first: everything past the budget goes
+        const request = store.index(AUDIO_LAST_USED_INDEX).openCursor(null, 'prev');
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            count++;
+            bytes += cursor.value.size || 0;
+            if (count > maxEntries || bytes > maxBytes) cursor.delete();
+            cursor.continue();
+        };
+        return {};
+    });
+
+const putStoredAudio = (cacheKey, blob) => runAudioTransaction('readwrite', store => {
+    store.put({ blob, size: blob.size, lastUsedAt: Date.now() }, cacheKey);
+    return {};
+});
+
+/**
+ * Writes a chunk's audio Blob to IndexedDB, evicting old chunks to stay within the cache budget.
+ * When the browser is out of storage, half the budget is freed and the write tried once more.
+ * Best effort: failures are only logged.
+ */
+const storeAudio = async (cacheKey, blob) => {
+    try {
+        try {
+            await putStoredAudio(cacheKey, blob);
+        } catch (e) {
+            if (e?.name !== 'QuotaExceededError') throw e;
+            await evictStoredAudio(MAX_AUDIO_CACHE_ENTRIES / 2, MAX_AUDIO_CACHE_BYTES / 2);
+            await putStoredAudio(cacheKey, blob);
+        }
+        await evictStoredAudio();
+    } catch (e) {
+        console.warn("Audio cache write failed:", e);
+    }
+};
+
+const fetchBlob = async (url) => {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Download failed (${response.status})`);
+    return response.blob();
+};
+
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+});
+
+const blobToBase64 = async (blob) => (await blobToDataUrl(blob)).split(',')[1];
+
+/**
+ * Uploads a synthesized chunk to Cloudinary so it can be linked from the chat message
+ * and replayed for free on other devices.
+ * @param {string} npcId - Must be one of the user's own NPCs
+ * @param {string} cacheKey - `${voiceId}:${chunkText}`
+ * @param {string} audioUrl - Local (Blob) URL of the chunk
+ * @returns {Promise<string>} The uploaded copy's URL
+ */
+export const uploadSpeechAudio = async (npcId, cacheKey, audioUrl) => {
+    const blob = await fetchBlob(audioUrl);
+
+    const response = await fetchWithBackoff('/.netlify/functions/upload-audio', {
+        method: 'POST',
+        headers: await getAuthHeaders(),
+        body: JSON.stringify({ npcId, key: cacheKey, audio: await blobToBase64(blob), mimeType: blob.type })
+    });
+    const data = await response.json();
+
+    const functionError = getFunctionErrorMessage(data);
+    if (functionError) throw new Error(functionError);
+    if (!response.ok || !data.secure_url) throw new Error(data.error || "Audio upload failed");
+
+    return data.secure_url;
+};
+
+/**
+ * Chunked TTS: splits a message into sentence chunks and starts loading all of them in parallel.
+ * Each chunk (keyed by `${voiceId}:${chunkText}`) comes from the first place that has it:
+ * `cache` (Blob URLs in memory), IndexedDB on this device, `savedAudio` (uploaded copies
+ * linked from the chat message, [{ key, url }]), or else a new synthesis.
+ * New chunks share one billing session, so a line costs the same as a single TTS call.
+ * @returns {Promise<Array<{ text: string, cacheKey: string, source: 'memory'|'device'|'cloud'|'new', saved: boolean, audioUrl: Promise<string> }>>} In playback order
+ */
+export const textToSpeechChunks = async (text, structuredData, cache = {}, savedAudio = []) => {
+    const chunks = splitSpeechIntoChunks(text);
+    if (chunks.length === 0) {
+        throw new Error("No spoken dialogue found in the message.");
+    }
+
+    const voiceId = resolveVoiceData(structuredData).id;
+    const sessionId = crypto.randomUUID();
+    const savedUrls = Object.fromEntries(savedAudio.map(({ key, url }) => [key, url]));
+
+    const cacheKeys = chunks.map(chunk => `${voiceId}:${chunk}`);
+    const storedBlobs = await Promise.all(cacheKeys.map(key => cache[key] ? null : getStoredAudio(key)));
+
+    return chunks.map((chunk, index) => {
+        const cacheKey = cacheKeys[index];
+
+        const synthesize = async () => {
+            const audioUrl = await textToSpeech(chunk, structuredData, { id: sessionId, chunks, index });
+            // Cached in the background so playback doesn't wait on it; storeAudio only logs its own errors
+            fetchBlob(audioUrl).then(blob => storeAudio(cacheKey, blob)).catch(() => { });
+            return audioUrl;
+        };
+
+        let source;
+        let audioUrl;
+        if (cache[cacheKey]) {
+            source = 'memory';
+            audioUrl = Promise.resolve(cache[cacheKey]);
+        } else if (storedBlobs[index]) {
+            source = 'device';
+            audioUrl = Promise.resolve(URL.createObjectURL(storedBlobs[index]));
+        } else if (savedUrls[cacheKey]) {
+            // Keep a local copy of the uploaded audio; synthesize again if it is gone
+            source = 'cloud';
+            audioUrl = fetchBlob(savedUrls[cacheKey])
+                .then(blob => {
+                    storeAudio(cacheKey, blob);
+                    return URL.createObjectURL(blob);
+                })
+                .catch(synthesize);
+        } else {
+            source = 'new';
+            audioUrl = synthesize();
+        }
+
+        // Failures surface when the player awaits the chunk; don't report them as unhandled meanwhile
+        audioUrl.catch(() => { });
+        return { text: chunk, cacheKey, source, saved: !!savedUrls[cacheKey], audioUrl };
+    });
+};
+
 // ==========================================
 // AI Generator Service
 // ==========================================
@@ -562,6 +894,7 @@ export const generateStructuredNPC = async (description) => {
                 text: systemPrompt
             }]
         },
+        // The gemini function bills this schema as NPC generation
         generationConfig: {
             responseMimeType: "application/json",
             responseSchema: {
@@ -572,8 +905,30 @@ export const generateStructuredNPC = async (description) => {
                     gender: { type: "STRING", description: "The NPC's gender, e.g., 'female', 'male', 'other'." },
                     ageRange: { type: "STRING", description: "The NPC's general age range, e.g., 'adult','young adult', 'old', 'middle-aged', 'child'." },
                     personality: { type: "STRING", description: "A concise, detailed summary of the NPC's disposition and mannerisms." },
-                    wants: { type: "STRING", description: "The NPC's primary goal or desire. Write one very short sentence." },
-                    secrets: { type: "STRING", description: "A key secret the NPC hides, critical for plot development. Write one very short sentence." },
+                    wants: {
+                        type: "ARRAY",
+                        description: "1-3 things the NPC wants, most important first.",
+                        items: {
+                            type: "OBJECT",
+                            properties: {
+                                text: { type: "STRING", description: "A goal or desire. Write one very short sentence." },
+                                priority: { type: "STRING", enum: WANT_PRIORITIES }
+                            },
+                            required: ["text", "priority"]
+                        }
+                    },
+                    secrets: {
+                        type: "ARRAY",
+                        description: "1-2 secrets the NPC hides, critical for plot development.",
+                        items: {
+                            type: "OBJECT",
+                            properties: {
+                                text: { type: "STRING", description: "The secret. Write one very short sentence." },
+                                revealCondition: { type: "STRING", description: "When the NPC would give it up, e.g. 'if the party saves their daughter'. One short phrase." }
+                            },
+                            required: ["text", "revealCondition"]
+                        }
+                    },
                     pitfalls: { type: "STRING", description: "One thing that may make the NPC lose patience, interest, or demand a clarification in the conversation. Write one very short sentence." },
                     visual: { type: "STRING", description: "A detailed visual description of the NPC's physical appearance, clothing, and equipment." },
                     voiceCandidates: { type: "ARRAY", items: { type: "STRING" }, description: "List of the top 3 best matching voice names (e.g. ['Fenrir', 'Roger', 'Sarah'])." }
@@ -587,9 +942,10 @@ export const generateStructuredNPC = async (description) => {
     try {
         const response = await fetchWithBackoff(apiUrl, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: await getAuthHeaders(),
             body: JSON.stringify(payload)
         });
+        await handleBillingResponse(response);
         const result = await response.json();
         const jsonText = result.candidates?.[0]?.content?.parts?.[0]?.text;
         if (!jsonText) throw new Error("Could not parse structured NPC response.");
@@ -612,23 +968,52 @@ export const generateStructuredNPC = async (description) => {
         // Remove the candidates field from the final object to match expected structure
         delete parsedData.voiceCandidates;
 
-        return parsedData;
+        return normalizeProfile(parsedData);
     } catch (e) {
+        if (e.message === INSUFFICIENT_FUNDS) throw e;
         console.error("Error generating structured NPC:", e);
         throw new Error(`Failed to generate structured profile: ${e.message}`);
     }
 };
 
 /**
- * Generates a scene description, context, and goal.
+ * Generates a scene: setting, time of day, mood, context, others present, ambience and goals.
  * If conversationHistory is provided, the scene will build on the conversation.
+ * context ({ campaign, memories }) grounds the scene in the campaign world and the NPC's past.
+ * @returns {Promise<Object>} The scene, normalized (see scenes.js)
  */
-export const generateScene = async (npcData, conversationHistory = null) => {
-    const systemPrompt = getSceneGenerationPrompt(npcData, conversationHistory);
+export const generateScene = async (npcData, conversationHistory = null, context = {}) => {
+    const systemPrompt = getSceneGenerationPrompt(npcData, conversationHistory, context);
 
     const payload = {
         contents: [{ parts: [{ text: "Generate a scene." }] }],
-        systemInstruction: { parts: [{ text: systemPrompt }] }
+        systemInstruction: { parts: [{ text: systemPrompt }] },
+        generationConfig: {
+            responseMimeType: "application/json",
+            responseSchema: {
+                type: "OBJECT",
+                properties: {
+                    setting: { type: "STRING", description: "Where the scene takes place." },
+                    timeOfDay: { type: "STRING", description: "When the scene takes place." },
+                    mood: { type: "STRING", description: "The mood of the scene in a few words." },
+                    context: { type: "STRING", description: "What the NPC is doing and how the User encountered them." },
+                    presentNpcs: { type: "ARRAY", items: { type: "STRING" }, description: "Other characters in the scene besides the NPC and the User." },
+                    ambience: { type: "ARRAY", items: { type: "STRING" }, description: "Short sensory details: sounds, smells, weather." },
+                    goals: {
+                        type: "ARRAY",
+                        items: {
+                            type: "OBJECT",
+                            properties: {
+                                text: { type: "STRING", description: "The objective for the User." },
+                                optional: { type: "BOOLEAN", description: "True for a side objective." }
+                            },
+                            required: ["text", "optional"]
+                        }
+                    }
+                },
+                required: ["setting", "timeOfDay", "mood", "context", "presentNpcs", "ambience", "goals"]
+            }
+        }
     };
 
     const apiUrl = `/.netlify/functions/gemini`;
@@ -636,13 +1021,13 @@ export const generateScene = async (npcData, conversationHistory = null) => {
     try {
         const response = await fetchWithBackoff(apiUrl, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: await getAuthHeaders(),
             body: JSON.stringify(payload)
         });
         const result = await response.json();
-        const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
-        if (!text) throw new Error("Model returned no text response.");
-        return text.trim();
+        const jsonText = result.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (!jsonText) throw new Error("Model returned no scene.");
+        return normalizeScene(JSON.parse(jsonText));
     } catch (e) {
         console.error("Error generating scene:", e);
         throw new Error("Failed to generate scene.");
@@ -675,7 +1060,7 @@ export const generateNPCImage = async (name, raceClass, visualDescription, gende
     try {
         const promptResponse = await fetchWithBackoff(geminiApiUrl, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: await getAuthHeaders(),
             body: JSON.stringify(promptPayload)
         });
         const promptResult = await promptResponse.json();
@@ -704,15 +1089,14 @@ export const generateNPCImage = async (name, raceClass, visualDescription, gende
     try {
         const response = await fetch(apiUrl, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
+            headers: await getAuthHeaders(),
             body: JSON.stringify({
                 prompt: optimizedPrompt,
                 npcId: npcId,
                 isInitial: isInitial
             })
         });
+        await handleBillingResponse(response);
 
         if (!response.ok) {
             let errorMessage = "Image generation failed";
@@ -733,97 +1117,411 @@ export const generateNPCImage = async (name, raceClass, visualDescription, gende
         // Return the object with secure_url and public_id
         return result;
     } catch (e) {
+        if (e.message === INSUFFICIENT_FUNDS) throw e;
         console.error("Error generating image:", e);
         throw new Error(`Failed to generate NPC image: ${e.message}`);
     }
 };
 
 /**
- * Sends a message to the NPC and gets a roleplaying response.
- * Includes formatting instructions for narration/dialogue.
- * If currentGoal is provided, also checks if the goal was achieved.
- * Returns: string (if no goal) or { response: string, goalAchieved: boolean } (if goal provided)
+ * Pulls the reply text out of a roleplay generateContent result.
+ * Throws user-friendly errors for function, API and safety-filter failures.
+ */
+const extractRoleplayText = (result) => {
+    // Log the full response for debugging
+    console.log("Gemini API response:", result);
+
+    // Auth, validation and rate-limit errors from our function
+    const functionError = getFunctionErrorMessage(result);
+    if (functionError) {
+        throw new Error(functionError);
+    }
+
+    // Check for API error
+    if (result.error) {
+        console.error("Gemini API error:", result.error);
+
+        // Handle 503 (overloaded) specifically
+        if (result.error.code === 503 || result.error.status === "UNAVAILABLE") {
+            throw new Error("The service is currently overloaded. Please wait a moment and try again.");
+        }
+
+        // Generic error - don't expose technical details
+        console.error("Full error details:", result.error);
+        throw new Error("Unable to get a response right now. Please try again.");
+    }
+
+    // Check if content was blocked
+    if (result.candidates?.[0]?.finishReason === 'SAFETY' ||
+        result.candidates?.[0]?.finishReason === 'RECITATION' ||
+        result.candidates?.[0]?.finishReason === 'OTHER') {
+        console.error("Content blocked by safety filters:", result.candidates[0]);
+        throw new Error("Content blocked. Try rephrasing your message.");
+    }
+
+    const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!text) {
+        console.error("No text in response. Full result:", JSON.stringify(result, null, 2));
+        throw new Error("No response was generated. Please try rephrasing your message.");
+    }
+
+    return text;
+};
+
+const formatRoleplayMessage = (msg) => {
+    // Player messages say which player character spoke, when the GM picked one
+    const speaker = msg.speakerName ? `${msg.speakerName}: ` : '';
+    if (msg.role === 'roll') return `[Dice roll${msg.speakerName ? ` by ${msg.speakerName}` : ''}] ${msg.text}`;
+    if (msg.whisper) return `${speaker}[Whispered so only you can hear] ${msg.text}`;
+    if (msg.role === 'user') return `${speaker}${msg.text}`;
+    return msg.text;
+};
+
+/**
+ * Builds the Gemini payload for a one-on-one roleplay turn.
  */
-export const getNPCResponse = async (structuredData, chatHistory, currentGoal = null) => {
-    let systemPrompt = getRoleplaySystemPrompt(structuredData, currentGoal);
+const buildRoleplayPayload = (structuredData, chatHistory, goals, context) => {
+    const systemPrompt = getRoleplaySystemPrompt(structuredData, goals, context);
 
-    // Map chat history to the required model format
-    const contents = chatHistory.map(msg => ({
+    // Map chat history to the required model format; notes (/ooc, /summary) are for the table only
+    const contents = chatHistory.filter(msg => msg.role !== 'note').map(msg => ({
         role: msg.role === 'npc' ? 'model' : 'user',
-        parts: [{ text: msg.text }]
+        parts: [{ text: formatRoleplayMessage(msg) }]
     }));
 
-    const payload = {
+    return {
         contents: contents,
         systemInstruction: { parts: [{ text: systemPrompt }] }
     };
+};
+
+/**
+ * Strips the hidden goal, disposition, DC, secret and pitfall markers from a finished reply.
+ * Returns: string (if no goals, disposition, roll, revealed secret or pitfall) or
+ * { response: string, goalProgress: Array, disposition: number|null, dc: number|null, secretReveals: Array, pitfall: Object|null }
+ */
+const parseRoleplayMarkers = (rawText, goals, context) => {
+    let text = rawText;
+
+    // Look for the hidden disposition marker, e.g. ###DISPOSITION:65###
+    let disposition = null;
+    const dispositionMatch = text.match(/###DISPOSITION:\s*(-?\d+)\s*###/);
+    if (dispositionMatch) {
+        disposition = Math.min(100, Math.max(0, parseInt(dispositionMatch[1], 10)));
+        text = text.replace(dispositionMatch[0], '').trim();
+    }
+
+    // The DC the NPC chose for a roll made without one, e.g. ###DC:15###
+    let dc = null;
+    const dcMatch = text.match(/###DC:\s*(\d+)\s*###/);
+    if (dcMatch) {
+        dc = parseInt(dcMatch[1], 10);
+        text = text.replace(dcMatch[0], '').trim();
+    }
+
+    // Secrets the NPC gave away, e.g. ###SECRET_REVEALED:2:PARTIAL:they work for the guild###
+    const secretReveals = [...text.matchAll(/###SECRET_REVEALED:\s*(?:(\d+)\s*:\s*)?(FULL|PARTIAL)\s*(?::([^#]*))?###/gi)]
+        .map(match => {
+            text = text.replace(match[0], '').trim();
+            return {
+                secretIndex: match[1] ? parseInt(match[1], 10) - 1 : 0,
+                level: match[2].toLowerCase(),
+                detail: (match[3] || '').trim()
+            };
+        });
+
+    // A pitfall the player stepped into, e.g. ###PITFALL:kept haggling over the price###
+    let pitfall = null;
+    const pitfallMatch = text.match(/###PITFALL\s*(?::([^#]*))?###/i);
+    if (pitfallMatch) {
+        pitfall = { detail: (pitfallMatch[1] || '').trim() };
+        text = text.replace(pitfallMatch[0], '').trim();
+    }
+
+    // Progress on each scene goal, e.g. ###GOAL:1:IN_PROGRESS:warming to the offer###
+    const goalProgress = [...text.matchAll(/###GOAL:\s*(\d+)\s*:\s*(NOT_STARTED|IN_PROGRESS|ACHIEVED)\s*(?::([^#]*))?###/gi)]
+        .map(match => {
+            text = text.replace(match[0], '').trim();
+            return {
+                goalIndex: parseInt(match[1], 10) - 1,
+                progress: match[2].toLowerCase(),
+                rationale: (match[3] || '').trim()
+            };
+        })
+        .filter(({ goalIndex }) => goals?.some(goal => goal.index === goalIndex));
+
+    if (goals?.length > 0 || context.disposition != null || context.roll || secretReveals.length > 0 || pitfall) {
+        return {
+            response: text,
+            goalProgress: goalProgress,
+            disposition: disposition,
+            dc: dc,
+            secretReveals: secretReveals,
+            pitfall: pitfall
+        };
+    }
+
+    return text;
+};
+
+/**
+ * Sends a message to the NPC and gets a roleplaying response.
+ * Includes formatting instructions for narration/dialogue.
+ * If open scene goals are provided, the NPC also reports the progress on each as
+ * goalProgress: [{ goalIndex: number, progress: 'not_started'|'in_progress'|'achieved', rationale: string }].
+ * context ({ campaign, memories, disposition, roll }) adds campaign lore, the NPC's long-term memory,
+ * its current disposition and the outcome of the player's latest dice roll to the system prompt.
+ * Secrets the reply gives away come back as secretReveals: [{ secretIndex: number, level: 'partial'|'full', detail: string }].
+ * With context.patience, a pitfall the player stepped into comes back as pitfall: { detail: string }.
+ * Returns: see parseRoleplayMarkers
+ */
+export const getNPCResponse = async (structuredData, chatHistory, goals = [], context = {}) => {
+    const payload = buildRoleplayPayload(structuredData, chatHistory, goals, context);
 
     const apiUrl = `/.netlify/functions/gemini`;
 
     try {
         const response = await fetchWithBackoff(apiUrl, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: await getAuthHeaders(),
             body: JSON.stringify(payload)
         });
         const result = await response.json();
+        const text = extractRoleplayText(result);
+
+        return parseRoleplayMarkers(text, goals, context);
+    } catch (e) {
+        console.error("Error getting NPC response:", e);
+        // Re-throw user-friendly errors, or provide a generic message
+        if (e.message && !e.message.includes('API') && !e.message.includes('console')) {
+            throw e;
+        }
+        throw new Error("Unable to get a response. Please try again.");
+    }
+};
 
-        // Log the full response for debugging
-        console.log("Gemini API response:", result);
+/**
+ * Reads a server-sent-event stream from the gemini function,
+ * calling onChunk with each parsed JSON event.
+ */
+const readEventStream = async (response, onChunk) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const handleEvent = (event) => {
+        const data = event.split('\n')
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trim())
+            .join('');
+        if (!data) return;
+
+        let chunk;
+        try {
+            chunk = JSON.parse(data);
+        } catch (e) {
+            console.warn("Skipping malformed stream event:", data);
+            return;
+        }
+        onChunk(chunk);
+    };
 
-        // Check for API error
-        if (result.error) {
-            console.error("Gemini API error:", result.error);
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
 
-            // Handle 503 (overloaded) specifically
-            if (result.error.code === 503 || result.error.status === "UNAVAILABLE") {
-                throw new Error("The service is currently overloaded. Please wait a moment and try again.");
-            }
+        buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+        events.forEach(handleEvent);
+    }
+    buffer += decoder.decode();
+    if (buffer.trim()) handleEvent(buffer);
+};
 
-            // Generic error - don't expose technical details
-            console.error("Full error details:", result.error);
-            throw new Error("Unable to get a response right now. Please try again.");
-        }
+// The part of a reply shown while it streams: everything before the first hidden marker,
+// without the start of a marker that is still arriving (a trailing # or ##)
+const visibleReplyText = (text) => text.split('###')[0].replace(/#{1,2}$/, '').trim();
+
+/**
+ * Streaming version of getNPCResponse: onText is called with the visible reply so far
+ * (hidden markers are never shown) as tokens arrive.
+ * Resolves with the same value as getNPCResponse once the reply is complete.
+ */
+export const streamNPCResponse = async (structuredData, chatHistory, goals = [], context = {}, onText = () => { }) => {
+    const payload = { ...buildRoleplayPayload(structuredData, chatHistory, goals, context), stream: true };
+
+    try {
+        const response = await fetchWithBackoff(`/.netlify/functions/gemini`, {
+            method: 'POST',
+            headers: await getAuthHeaders(),
+            body: JSON.stringify(payload)
+        });
 
-        // Check if content was blocked
-        if (result.candidates?.[0]?.finishReason === 'SAFETY' ||
-            result.candidates?.[0]?.finishReason === 'RECITATION' ||
-            result.candidates?.[0]?.finishReason === 'OTHER') {
-            console.error("Content blocked by safety filters:", result.candidates[0]);
-            throw new Error("Content blocked. Try rephrasing your message.");
+        // Errors come back as plain JSON, not as a stream
+        if (!response.ok || !response.headers.get('Content-Type')?.includes('text/event-stream')) {
+            const result = await response.json();
+            const text = extractRoleplayText(result);
+            onText(visibleReplyText(text));
+            return parseRoleplayMarkers(text, goals, context);
         }
 
-        let text = result.candidates?.[0]?.content?.parts?.[0]?.text;
-        if (!text) {
-            console.error("No text in response. Full result:", JSON.stringify(result, null, 2));
+        let text = '';
+        await readEventStream(response, (chunk) => {
+            if (chunk.error) {
+                // Reuse the non-streaming error messages
+                extractRoleplayText(chunk);
+            }
+            const candidate = chunk.candidates?.[0];
+            if (['SAFETY', 'RECITATION', 'OTHER'].includes(candidate?.finishReason)) {
+                extractRoleplayText(chunk);
+            }
+
+            text += (candidate?.content?.parts || []).map(part => part.text || '').join('');
+            // Markers always come last, so hide everything from the first "###"
+            onText(visibleReplyText(text));
+        });
+
+        if (!text.trim()) {
             throw new Error("No response was generated. Please try rephrasing your message.");
         }
 
-        // If we're tracking a goal, look for the hidden marker
-        if (currentGoal) {
-            const achievedMarker = '###GOAL_ACHIEVED###';
-            const notAchievedMarker = '###GOAL_NOT_ACHIEVED###';
+        return parseRoleplayMarkers(text.trim(), goals, context);
+    } catch (e) {
+        console.error("Error streaming NPC response:", e);
+        if (e.message && !e.message.includes('API') && !e.message.includes('console')) {
+            throw e;
+        }
+        throw new Error("Unable to get a response. Please try again.");
+    }
+};
+
+// --- Group Scenes ---
 
-            let goalAchieved = false;
+/**
+ * Formats a group scene message as a line of the shared transcript.
+ */
+const formatGroupLine = (msg) => {
+    if (msg.role === 'npc') return `${msg.speakerName}: ${msg.text}`;
+    if (msg.role === 'scene') return `Scene: ${msg.text}`;
+    return `GM/Player: ${msg.text}`;
+};
+
+/**
+ * Picks the NPC who has been quiet the longest (used when the model can't decide).
+ */
+const getQuietestNpcId = (npcs, chatHistory) => {
+    const lastSpokeAt = (npcId) => chatHistory.map(msg => msg.npcId).lastIndexOf(npcId);
+    return [...npcs].sort((a, b) => lastSpokeAt(a.id) - lastSpokeAt(b.id))[0]?.id || null;
+};
+
+/**
+ * Asks the model which NPC should speak next in a group scene.
+ * Only public traits are shared with the model here, never secrets.
+ * @returns {Promise<string>} The id of the NPC who should speak
+ */
+export const chooseNextSpeaker = async (npcs, chatHistory) => {
+    if (npcs.length === 1) return npcs[0].id;
 
-            if (text.includes(achievedMarker)) {
-                goalAchieved = true;
-                text = text.replace(achievedMarker, '').trim();
-            } else if (text.includes(notAchievedMarker)) {
-                goalAchieved = false;
-                text = text.replace(notAchievedMarker, '').trim();
+    const recentLines = chatHistory.slice(-10).map(formatGroupLine).join('\n');
+    const systemPrompt = getNextSpeakerPrompt(npcs, recentLines);
+
+    const payload = {
+        contents: [{ parts: [{ text: "Who speaks next?" }] }],
+        systemInstruction: { parts: [{ text: systemPrompt }] },
+        generationConfig: {
+            responseMimeType: "application/json",
+            responseSchema: {
+                type: "OBJECT",
+                properties: {
+                    speakerId: { type: "STRING", enum: npcs.map(npc => npc.id), description: "The id of the NPC who speaks next." }
+                }
             }
+        }
+    };
 
-            return {
-                response: text,
-                goalAchieved: goalAchieved
-            };
+    try {
+        const response = await fetchWithBackoff(`/.netlify/functions/gemini`, {
+            method: 'POST',
+            headers: await getAuthHeaders(),
+            body: JSON.stringify(payload)
+        });
+        const result = await response.json();
+        const jsonText = result.candidates?.[0]?.content?.parts?.[0]?.text;
+        const speakerId = jsonText ? JSON.parse(jsonText).speakerId : null;
+
+        if (npcs.some(npc => npc.id === speakerId)) {
+            return speakerId;
+        }
+        console.warn("Model picked an unknown speaker, falling back to the quietest NPC:", speakerId);
+    } catch (e) {
+        console.error("Error choosing next speaker:", e);
+    }
+
+    return getQuietestNpcId(npcs, chatHistory);
+};
+
+/**
+ * Gets the next line from one NPC in a group scene.
+ * The speaker sees its own lines as model turns and everyone else's as named user turns;
+ * only the speaker's own secrets and memories are in its system prompt.
+ * With `patience` (the speaker's, see patience.js), it flags pitfalls the party steps into.
+ * @returns {Promise<{ text: string, pitfall: Object|null }>} The reply, and the pitfall it flagged if any
+ */
+export const getGroupNPCResponse = async (speaker, npcs, chatHistory, campaign = null, patience = null) => {
+    const otherNpcs = npcs.filter(npc => npc.id !== speaker.id);
+    const systemPrompt = getGroupRoleplaySystemPrompt(speaker.structuredData, otherNpcs, {
+        campaign,
+        memories: speaker.memories || [],
+        patience
+    });
+
+    // Merge consecutive turns of the same role so user/model turns alternate
+    const contents = [];
+    chatHistory.forEach(msg => {
+        const isOwnLine = msg.role === 'npc' && msg.npcId === speaker.id;
+        const role = isOwnLine ? 'model' : 'user';
+        const text = isOwnLine ? msg.text : formatGroupLine(msg);
+        const last = contents[contents.length - 1];
+
+        if (last && last.role === role) {
+            last.parts.push({ text });
+        } else {
+            contents.push({ role, parts: [{ text }] });
         }
+    });
+
+    // The model needs a user turn to start from and to answer
+    if (contents.length === 0 || contents[0].role === 'model') {
+        contents.unshift({ role: 'user', parts: [{ text: "(The scene begins.)" }] });
+    }
+    if (contents[contents.length - 1].role === 'model') {
+        contents.push({ role: 'user', parts: [{ text: "(Continue.)" }] });
+    }
+
+    const payload = {
+        contents,
+        systemInstruction: { parts: [{ text: systemPrompt }] }
+    };
 
-        return text;
+    try {
+        const response = await fetchWithBackoff(`/.netlify/functions/gemini`, {
+            method: 'POST',
+            headers: await getAuthHeaders(),
+            body: JSON.stringify(payload)
+        });
+        const result = await response.json();
+        const parsed = parseRoleplayMarkers(extractRoleplayText(result), [], {});
+        const { response: text, pitfall = null } = typeof parsed === 'string' ? { response: parsed } : parsed;
+
+        // The model sometimes echoes the transcript format - drop a leading "Name:"
+        const namePrefix = `${speaker.structuredData.name}:`;
+        return {
+            text: text.startsWith(namePrefix) ? text.slice(namePrefix.length).trim() : text.trim(),
+            pitfall
+        };
     } catch (e) {
-        console.error("Error getting NPC response:", e);
-        // Re-throw user-friendly errors, or provide a generic message
+        console.error("Error getting group NPC response:", e);
         if (e.message && !e.message.includes('API') && !e.message.includes('console')) {
             throw e;
         }
@@ -832,25 +1530,154 @@ export const getNPCResponse = async (structuredData, chatHistory, currentGoal =
 };
 
 /**
- * Extracts the goal text from a scene description.
- * Scene format: "Setting: ...\n\nContext: ...\n\nGoal: ..."
+ * A one-on-one conversation as a plain transcript; notes (/ooc, /summary) are left out.
+ */
+const formatTranscript = (structuredData, messages) => messages.filter(msg => msg.role !== 'note').map(msg => {
+    if (msg.role === 'scene') return `Scene: ${msg.text}`;
+    if (msg.role === 'npc') return `${msg.speakerName || structuredData.name}: ${msg.text}`; // Group scenes name each speaker
+    if (msg.role === 'goal_achieved') return `(The party achieved their goal: ${msg.text})`;
+    if (msg.role === 'roll') return `(Dice roll${msg.speakerName ? ` by ${msg.speakerName}` : ''}: ${msg.text})`;
+    if (msg.whisper) return `${msg.speakerName || 'Party'} (whispering to ${structuredData.name}): ${msg.text}`;
+    return `${msg.speakerName || 'Party'}: ${msg.text}`;
+}).join('\n');
+
+/**
+ * Summarizes a finished scene into a long-term memory entry for the NPC.
+ * @param {Array} sceneMessages - The scene's messages, starting with its 'scene' message
+ * @param {string|null} previousAttitude - The NPC's attitude after the previous scene
+ * @returns {Promise<{summary: string, learned: string[], promises: string[], attitude: string, createdAt: string}>}
+ */
+export const summarizeSceneMemory = async (structuredData, sceneMessages, previousAttitude = null) => {
+    const transcript = formatTranscript(structuredData, sceneMessages);
+
+    const payload = {
+        contents: [{ parts: [{ text: "Record the memory of this scene." }] }],
+        systemInstruction: { parts: [{ text: getSceneMemoryPrompt(structuredData, transcript, previousAttitude) }] },
+        generationConfig: {
+            responseMimeType: "application/json",
+            responseSchema: {
+                type: "OBJECT",
+                properties: {
+                    summary: { type: "STRING", description: "One sentence describing what happened in the scene." },
+                    learned: { type: "ARRAY", items: { type: "STRING" }, description: "Short facts the NPC learned about the party." },
+                    promises: { type: "ARRAY", items: { type: "STRING" }, description: "Promises, deals or debts made by either side." },
+                    attitude: { type: "STRING", description: "How the NPC now feels about the party, and why." }
+                },
+                required: ["summary", "learned", "promises", "attitude"]
+            }
+        }
+    };
+
+    try {
+        const response = await fetchWithBackoff(`/.netlify/functions/gemini`, {
+            method: 'POST',
+            headers: await getAuthHeaders(),
+            body: JSON.stringify(payload)
+        });
+        const result = await response.json();
+        const jsonText = result.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (!jsonText) throw new Error(getFunctionErrorMessage(result) || "Model returned no memory.");
+
+        const memory = JSON.parse(jsonText);
+        return {
+            summary: memory.summary || '',
+            learned: memory.learned || [],
+            promises: memory.promises || [],
+            attitude: memory.attitude || '',
+            createdAt: new Date().toISOString()
+        };
+    } catch (e) {
+        console.error("Error summarizing scene memory:", e);
+        throw new Error("Failed to update NPC memory.");
+    }
+};
+
+/**
+ * Folds older turns of a long conversation into its rolling summary (see chatContext.js).
+ * @param {string|null} previousSummary - The summary of the turns before `messages`
+ * @returns {Promise<string>} The new summary, covering both
+ */
+export const summarizeConversation = async (structuredData, previousSummary, messages) => {
+    const transcript = formatTranscript(structuredData, messages);
+
+    const payload = {
+        contents: [{ parts: [{ text: "Summarize the conversation so far." }] }],
+        systemInstruction: { parts: [{ text: getConversationSummaryPrompt(structuredData, transcript, previousSummary) }] }
+    };
+
+    try {
+        const response = await fetchWithBackoff(`/.netlify/functions/gemini`, {
+            method: 'POST',
+            headers: await getAuthHeaders(),
+            body: JSON.stringify(payload)
+        });
+        const result = await response.json();
+        const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (!text) throw new Error(getFunctionErrorMessage(result) || "Model returned no summary.");
+
+        return text.trim();
+    } catch (e) {
+        console.error("Error summarizing conversation:", e);
+        throw new Error("Failed to summarize the conversation.");
+    }
+};
+
+/**
+ * Writes a journal entry for part of a conversation: what happened, what was learned,
+ * secrets revealed and hooks left open. Goals achieved are taken from the chat itself.
+ * @returns {Promise<{title: string, summary: string, learned: string[], secretsRevealed: string[], goalsAchieved: string[], openHooks: string[]}>}
  */
-export const parseGoalFromScene = (sceneText) => {
-    if (!sceneText) return null;
+export const generateRecap = async (structuredData, messages, campaign = null) => {
+    const payload = {
+        contents: [{ parts: [{ text: "Write the journal entry for this conversation." }] }],
+        systemInstruction: { parts: [{ text: getRecapPrompt(structuredData, formatTranscript(structuredData, messages), campaign) }] },
+        generationConfig: {
+            responseMimeType: "application/json",
+            responseSchema: {
+                type: "OBJECT",
+                properties: {
+                    title: { type: "STRING", description: "Short title for this part of the story." },
+                    summary: { type: "STRING", description: "2-4 sentences on what happened." },
+                    learned: { type: "ARRAY", items: { type: "STRING" }, description: "What the party found out." },
+                    secretsRevealed: { type: "ARRAY", items: { type: "STRING" }, description: "The NPC's secrets the party uncovered." },
+                    openHooks: { type: "ARRAY", items: { type: "STRING" }, description: "Unresolved threads for next session." }
+                },
+                required: ["title", "summary", "learned", "secretsRevealed", "openHooks"]
+            }
+        }
+    };
 
-    // Look for "Goal:" followed by the goal text
-    const goalMatch = sceneText.match(/Goal:\s*(.+?)(?:\n\n|\n|$)/i);
-    if (goalMatch && goalMatch[1]) {
-        return goalMatch[1].trim();
+    try {
+        const response = await fetchWithBackoff(`/.netlify/functions/gemini`, {
+            method: 'POST',
+            headers: await getAuthHeaders(),
+            body: JSON.stringify(payload)
+        });
+        const result = await response.json();
+        const jsonText = result.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (!jsonText) throw new Error(getFunctionErrorMessage(result) || "Model returned no recap.");
+
+        const recap = JSON.parse(jsonText);
+        return {
+            title: recap.title || `Conversation with ${structuredData.name}`,
+            summary: recap.summary || '',
+            learned: recap.learned || [],
+            secretsRevealed: recap.secretsRevealed || [],
+            goalsAchieved: messages.filter(msg => msg.role === 'goal_achieved').map(msg => msg.text),
+            openHooks: recap.openHooks || []
+        };
+    } catch (e) {
+        console.error("Error generating recap:", e);
+        throw new Error("Failed to generate recap.");
     }
-    return null;
 };
 
 /**
  * Regenerates a specific field of the NPC profile based on the rest of the data.
+ * For wants and secrets, `index` picks the item; an index past the end writes a new one.
  */
-export const regenerateNPCField = async (structuredData, field) => {
-    const systemPrompt = getFieldRegenerationPrompt(structuredData, field);
+export const regenerateNPCField = async (structuredData, field, index = null) => {
+    const systemPrompt = getFieldRegenerationPrompt(structuredData, field, index);
 
     const payload = {
         contents: [{ parts: [{ text: "Regenerate this field." }] }],
@@ -862,7 +1689,7 @@ export const regenerateNPCField = async (structuredData, field) => {
     try {
         const response = await fetchWithBackoff(apiUrl, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: await getAuthHeaders(),
             body: JSON.stringify(payload)
         });
         const result = await response.json();
@@ -875,11 +1702,110 @@ export const regenerateNPCField = async (structuredData, field) => {
     }
 };
 
+/**
+ * Generates an optional D&D 5e stat block for the NPC, checked against 5e rules.
+ * @returns {Promise<{ statBlock: Object, issues: string[] }>} See normalizeStatBlock
+ */
+export const generateStatBlock = async (structuredData) => {
+    const { userQuery, systemPrompt } = getStatBlockPrompt(structuredData);
+    const feature = {
+        type: "OBJECT",
+        properties: {
+            name: { type: "STRING" },
+            description: { type: "STRING" }
+        },
+        required: ["name", "description"]
+    };
+
+    const payload = {
+        contents: [{ parts: [{ text: userQuery }] }],
+        systemInstruction: { parts: [{ text: systemPrompt }] },
+        generationConfig: {
+            responseMimeType: "application/json",
+            responseSchema: {
+                type: "OBJECT",
+                properties: {
+                    creatureType: { type: "STRING", description: "Size, type and alignment, e.g. 'Medium humanoid (human), lawful neutral'." },
+                    armorClass: { type: "INTEGER" },
+                    armorType: { type: "STRING", description: "Source of the armor class, e.g. 'leather armor'. Empty for natural armor class." },
+                    hitPoints: { type: "INTEGER" },
+                    hitDice: { type: "STRING", description: "Hit dice expression, e.g. '6d8 + 12'." },
+                    speed: { type: "STRING", description: "e.g. '30 ft.'" },
+                    abilities: {
+                        type: "OBJECT",
+                        properties: {
+                            str: { type: "INTEGER" },
+                            dex: { type: "INTEGER" },
+                            con: { type: "INTEGER" },
+                            int: { type: "INTEGER" },
+                            wis: { type: "INTEGER" },
+                            cha: { type: "INTEGER" }
+                        },
+                        required: ["str", "dex", "con", "int", "wis", "cha"]
+                    },
+                    savingThrows: { type: "ARRAY", items: { type: "STRING" }, description: "Proficient saving throws, e.g. ['dex', 'wis']." },
+                    skills: {
+                        type: "ARRAY",
+                        items: {
+                            type: "OBJECT",
+                            properties: {
+                                name: { type: "STRING", description: "A 5e skill name, e.g. 'Perception'." },
+                                bonus: { type: "INTEGER" }
+                            },
+                            required: ["name", "bonus"]
+                        }
+                    },
+                    senses: { type: "STRING", description: "e.g. 'darkvision 60 ft., passive Perception 12'." },
+                    languages: { type: "STRING" },
+                    challengeRating: { type: "STRING", description: "e.g. '1/4', '2', '11'." },
+                    proficiencyBonus: { type: "INTEGER" },
+                    traits: { type: "ARRAY", items: feature },
+                    actions: { type: "ARRAY", items: feature },
+                    spellcasting: {
+                        type: "OBJECT",
+                        properties: {
+                            ability: { type: "STRING", description: "'int', 'wis', 'cha', or 'none'." },
+                            spells: { type: "STRING", description: "Spells by level, e.g. 'Cantrips (at will): light, sacred flame; 1st level (3 slots): bless, cure wounds'." }
+                        },
+                        required: ["ability", "spells"]
+                    }
+                },
+                required: ["creatureType", "armorClass", "hitPoints", "hitDice", "speed", "abilities", "challengeRating", "proficiencyBonus", "actions"]
+            }
+        }
+    };
+
+    try {
+        const response = await fetchWithBackoff('/.netlify/functions/gemini', {
+            method: 'POST',
+            headers: await getAuthHeaders(),
+            body: JSON.stringify(payload)
+        });
+        const result = await response.json();
+
+        const functionError = getFunctionErrorMessage(result);
+        if (functionError) throw new Error(functionError);
+
+        const jsonText = result.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (!jsonText) throw new Error("Model returned no stat block.");
+
+        const normalized = normalizeStatBlock(JSON.parse(jsonText));
+        if (normalized.issues.length > 0) {
+            console.info("Stat block adjusted to 5e rules:", normalized.issues);
+        }
+        return normalized;
+    } catch (e) {
+        console.error("Error generating stat block:", e);
+        throw new Error("Failed to generate stat block.");
+    }
+};
+
 /**
  * Expands a specific field of the NPC profile to be more detailed.
+ * For wants and secrets, `index` picks the item.
  */
-export const expandNPCField = async (structuredData, field) => {
-    const systemPrompt = getFieldExpansionPrompt(structuredData, field);
+export const expandNPCField = async (structuredData, field, index = null) => {
+    const systemPrompt = getFieldExpansionPrompt(structuredData, field, index);
 
     const payload = {
         contents: [{ parts: [{ text: "Expand this field." }] }],
@@ -891,7 +1817,7 @@ export const expandNPCField = async (structuredData, field) => {
     try {
         const response = await fetchWithBackoff(apiUrl, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: await getAuthHeaders(),
             body: JSON.stringify(payload)
         });
         const result = await response.json();
@@ -903,3 +1829,391 @@ export const expandNPCField = async (structuredData, field) => {
         throw new Error(`Failed to expand ${field}.`);
     }
 };
+
+// ==========================================
+// Chat Messages
+// ==========================================
+
+// Every message of an NPC conversation is a document in the NPC's `messages` subcollection, named
+// after its branch and position so that a branch's messages sort in order, e.g. "main_000012"
+const MESSAGES_COLLECTION_NAME = 'messages';
+const MESSAGE_INDEX_DIGITS = 6;
+// Firestore commits at most 500 writes at once
+const MAX_BATCH_WRITES = 450;
+// How far back the chat looks for the start of the current scene when it opens
+const MAX_SCENE_LOOKBACK_PAGES = 5;
+
+export const MESSAGE_PAGE_SIZE = 50;
+
+const messagesCollection = (npcRef) => collection(npcRef, MESSAGES_COLLECTION_NAME);
+const messageRef = (npcRef, branchId, index) =>
+    doc(messagesCollection(npcRef), `${branchId}_${String(index).padStart(MESSAGE_INDEX_DIGITS, '0')}`);
+
+/**
+ * Positions [from, to) of a branch's history, read from the branches that store them.
+ */
+export const loadMessages = async (npcRef, branches, branchId, from, to) => {
+    const segments = getBranchSegments(branches, branchId)
+        .map(segment => ({ ...segment, start: Math.max(segment.start, from), end: Math.min(segment.end, to) }))
+        .filter(segment => segment.start < segment.end);
+
+    const pages = await Promise.all(segments.map(async ({ branchId: segmentBranchId, start, end }) => {
+        const snapshot = await getDocs(query(
+            messagesCollection(npcRef),
+            orderBy(documentId()),
+            startAt(messageRef(npcRef, segmentBranchId, start).id),
+            endBefore(messageRef(npcRef, segmentBranchId, end).id)
+        ));
+        return snapshot.docs.map(messageDoc => {
+            const { branchId: _branchId, index: _index, ...message } = messageDoc.data();
+            return message;
+        });
+    }));
+    return pages.flat();
+};
+
+/**
+ * The latest page of a branch's history, extended back to where the current scene started
+ * (up to a few pages) so the scene's goals are known.
+ * @returns {Promise<{ start: number, messages: Array }>} `start` is the position of the first message
+ */
+export const loadRecentMessages = async (npcRef, branches, branchId) => {
+    let start = getBranchLength(branches, branchId);
+    let messages = [];
+    let pageCount = 0;
+    do {
+        const from = Math.max(start - MESSAGE_PAGE_SIZE, 0);
+        messages = [...await loadMessages(npcRef, branches, branchId, from, start), ...messages];
+        start = from;
+        pageCount++;
+    } while (start > 0 && pageCount < MAX_SCENE_LOOKBACK_PAGES && !messages.some(msg => msg.role === 'scene'));
+
+    return { start, messages };
+};
+
+/**
+ * The NPC's whole current conversation, for exports and recaps.
+ */
+export const loadChatHistory = async (npcRef, npc) => {
+    if (hasInlineChats(npc)) return npc.chats;
+    if (!npc.chatBranches?.[npc.activeBranchId]) return [];
+    return loadMessages(npcRef, npc.chatBranches, npc.activeBranchId, 0, getBranchLength(npc.chatBranches, npc.activeBranchId));
+};
+
+/**
+ * Saves message changes from setBranchHistory, then `npcFields` on the NPC document (if given),
+ * so the saved tree never points at messages that aren't there yet.
+ */
+export const saveChatChanges = async (npcRef, { writes = [], deletes = [] }, npcFields = null) => {
+    const operations = [
+        ...deletes.map(({ branchId, index }) => batch => batch.delete(messageRef(npcRef, branchId, index))),
+        ...writes.map(({ branchId, index, message }) => batch => batch.set(messageRef(npcRef, branchId, index), { ...message, branchId, index }))
+    ];
+    if (npcFields) {
+        operations.push(batch => batch.update(npcRef, npcFields));
+        operations.push(batch => batch.set(npcSummaryRef(npcRef), npcSummaryFields(npcFields), { merge: true }));
+    }
+
+    for (let i = 0; i < operations.length; i += MAX_BATCH_WRITES) {
+        const batch = writeBatch(npcRef.firestore);
+        operations.slice(i, i + MAX_BATCH_WRITES).forEach(operation => operation(batch));
+        await batch.commit();
+    }
+};
+
+/**
+ * Deletes every message of every branch, e.g. when the conversation is reset or the NPC deleted.
+ */
+export const deleteChatMessages = async (npcRef) => {
+    let snapshot = await getDocs(query(messagesCollection(npcRef), limit(MAX_BATCH_WRITES)));
+    while (!snapshot.empty) {
+        const batch = writeBatch(npcRef.firestore);
+        snapshot.docs.forEach(messageDoc => batch.delete(messageDoc.ref));
+        await batch.commit();
+        snapshot = await getDocs(query(messagesCollection(npcRef), limit(MAX_BATCH_WRITES)));
+    }
+};
+
+/**
+ * Moves a conversation saved on the NPC document (see hasInlineChats) into message documents.
+ * Runs once per NPC, the first time its chat is opened.
+ * @returns {Promise<Object>} The NPC's conversation tree
+ */
+export const migrateInlineChats = async (npcRef, npc) => {
+    const { tree, writes } = splitInlineChats(npc);
+    await saveChatChanges(npcRef, { writes }, { ...chatTreeFields(tree), chats: deleteField() });
+    return tree;
+};
+
+// ==========================================
+// NPC Summaries
+// ==========================================
+
+// The NPC list reads a small summary document per NPC instead of the NPC itself. Summaries of
+// personal and shared NPCs live side by side in one collection next to theirs, under the same ID.
+export const NPC_SUMMARY_COLLECTION_NAME = 'npc_summaries';
+const THUMBNAIL_SIZE = 128;
+
+/**
+ * A small square version of a Cloudinary portrait, cropped around the face. Other URLs are
+ * returned as they are.
+ */
+export const getThumbnailUrl = (imageUrl, size = THUMBNAIL_SIZE) => {
+    if (!imageUrl || !imageUrl.includes('res.cloudinary.com') || !imageUrl.includes('/image/upload/')) return imageUrl || null;
+    return imageUrl.replace('/image/upload/', `/image/upload/c_thumb,g_face,w_${size},h_${size}/f_auto,q_auto/`);
+};
+
+export const npcSummaryRef = (npcRef) => doc(npcRef.parent.parent, NPC_SUMMARY_COLLECTION_NAME, npcRef.id);
+
+/**
+ * The summary fields that follow from an NPC, or from an update to one. Fields the update
+ * doesn't touch are left out, so the result can be merged into the existing summary.
+ */
+export const npcSummaryFields = (fields) => {
+    const summary = {};
+    if ('name' in fields) summary.name = fields.name;
+    if ('structuredData' in fields) summary.raceClass = fields.structuredData?.raceClass || '';
+    if ('imageUrl' in fields) summary.thumbnailUrl = getThumbnailUrl(fields.imageUrl);
+    if ('cloudinaryImageId' in fields) summary.cloudinaryImageId = fields.cloudinaryImageId;
+    if ('campaignId' in fields) summary.campaignId = fields.campaignId;
+    if ('isSharedNPC' in fields) summary.isSharedNPC = fields.isSharedNPC;
+    if ('sharedFrom' in fields) summary.sharedFrom = fields.sharedFrom;
+    if ('createdAt' in fields) summary.createdAt = fields.createdAt;
+    if ('messageCount' in fields || hasInlineChats(fields)) summary.messageCount = getMessageCount(fields);
+
+    const lastActivityAt = fields.updatedAt || fields.createdAt;
+    if (lastActivityAt) summary.lastActivityAt = lastActivityAt;
+    return summary;
+};
+
+/**
+ * Saves a new NPC along with its summary.
+ */
+export const createNpc = async (npcRef, npcData) => {
+    const batch = writeBatch(npcRef.firestore);
+    batch.set(npcRef, npcData);
+    batch.set(npcSummaryRef(npcRef), { id: npcRef.id, isSharedNPC: false, ...npcSummaryFields(npcData) });
+    await batch.commit();
+};
+
+/**
+ * Updates an NPC, and its summary when the update changes something the list shows.
+ */
+export const updateNpc = async (npcRef, fields) => {
+    const batch = writeBatch(npcRef.firestore);
+    batch.update(npcRef, fields);
+    const summary = npcSummaryFields(fields);
+    if (Object.keys(summary).length > 0) batch.set(npcSummaryRef(npcRef), summary, { merge: true });
+    await batch.commit();
+};
+
+/**
+ * Deletes an NPC with its conversation and summary. The portrait is left to the caller.
+ */
+export const deleteNpc = async (npcRef) => {
+    await deleteChatMessages(npcRef);
+    const batch = writeBatch(npcRef.firestore);
+    batch.delete(npcRef);
+    batch.delete(npcSummaryRef(npcRef));
+    await batch.commit();
+};
+
+/**
+ * Brings the summaries in line with the NPCs when their numbers differ, e.g. for NPCs saved
+ * before summaries existed: every NPC gets a summary and summaries of deleted NPCs go.
+ * Counting is cheap, so this can run every time the list opens; NPCs are only read when needed.
+ */
+export const syncNpcSummaries = async (npcCollections, summaryCollection) => {
+    const counts = await Promise.all(npcCollections.map(async ref => (await getCountFromServer(ref)).data().count));
+    const summaryCount = (await getCountFromServer(summaryCollection)).data().count;
+    if (counts.reduce((sum, count) => sum + count, 0) === summaryCount) return;
+
+    const npcDocs = (await Promise.all(npcCollections.map(ref => getDocs(ref)))).flatMap(snapshot => snapshot.docs);
+    const npcIds = new Set(npcDocs.map(npcDoc => npcDoc.id));
+    const summaryDocs = (await getDocs(summaryCollection)).docs;
+
+    const operations = [
+        ...npcDocs.map(npcDoc => batch => batch.set(npcSummaryRef(npcDoc.ref), {
+            id: npcDoc.id,
+            isSharedNPC: false,
+            ...npcSummaryFields(npcDoc.data())
+        })),
+        ...summaryDocs.filter(summaryDoc => !npcIds.has(summaryDoc.id)).map(summaryDoc => batch => batch.delete(summaryDoc.ref))
+    ];
+    for (let i = 0; i < operations.length; i += MAX_BATCH_WRITES) {
+        const batch = writeBatch(summaryCollection.firestore);
+        operations.slice(i, i + MAX_BATCH_WRITES).forEach(operation => operation(batch));
+        await batch.commit();
+    }
+};
+
+// ==========================================
+// NPC Bundles (Export / Import)
+// ==========================================
+
+export const NPC_BUNDLE_FORMAT = 'npc-assistant/npc-bundle';
+export const NPC_BUNDLE_VERSION = 1;
+
+const BUNDLE_CHAT_ROLES = ['user', 'npc', 'scene', 'goal_achieved', 'roll', 'note'];
+const BUNDLE_TEXT_FIELDS = ['name', 'raceClass', 'gender', 'ageRange', 'personality', 'pitfalls', 'visual', 'voiceId'];
+// Text in bundles made before NPCs had several wants and secrets, lists since
+const BUNDLE_LIST_FIELDS = ['wants', 'secrets'];
+const MAX_BUNDLE_NPCS = 10;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Builds a portable, versioned bundle of NPCs for download.
+ * Portraits are embedded as data URIs when they can be fetched, and linked otherwise.
+ * Per-user fields (ids, campaign, sharing metadata) are left out.
+ */
+export const createNpcBundle = async (npcs) => {
+    const exportNpc = async (npc) => {
+        let image = null;
+        if (npc.imageUrl) {
+            image = { url: npc.imageUrl };
+            try {
+                image.dataUrl = await blobToDataUrl(await fetchBlob(npc.imageUrl));
+            } catch (e) {
+                console.warn(`Could not embed portrait of ${npc.name}, linking it instead:`, e.message);
+            }
+        }
+
+        return {
+            name: npc.name,
+            description: npc.description || '',
+            structuredData: npc.structuredData,
+            chats: npc.chats || [],
+            memories: npc.memories || [],
+            secretReveals: npc.secretReveals || [],
+            ...(npc.disposition !== undefined && { disposition: npc.disposition }),
+            ...(npc.statBlock && { statBlock: npc.statBlock }),
+            image
+        };
+    };
+
+    return {
+        format: NPC_BUNDLE_FORMAT,
+        version: NPC_BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        npcs: await Promise.all(npcs.map(exportNpc))
+    };
+};
+
+/**
+ * Parses and validates an NPC bundle file's text.
+ * @returns {Array<Object>} The bundle's NPCs, ready to be saved as new documents
+ * @throws {Error} With a user-facing message if the file is not a valid bundle
+ */
+export const parseNpcBundle = (text) => {
+    let bundle;
+    try {
+        bundle = JSON.parse(text);
+    } catch (e) {
+        throw new Error("The file is not valid JSON.");
+    }
+
+    if (!isPlainObject(bundle) || bundle.format !== NPC_BUNDLE_FORMAT) {
+        throw new Error("The file is not an NPC bundle.");
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+        throw new Error("The bundle has an invalid version.");
+    }
+    if (bundle.version > NPC_BUNDLE_VERSION) {
+        throw new Error("The bundle was made by a newer version of the app. Please update and try again.");
+    }
+    if (!Array.isArray(bundle.npcs) || bundle.npcs.length === 0) {
+        throw new Error("The bundle contains no NPCs.");
+    }
+    if (bundle.npcs.length > MAX_BUNDLE_NPCS) {
+        throw new Error(`A bundle can contain at most ${MAX_BUNDLE_NPCS} NPCs.`);
+    }
+
+    return bundle.npcs.map((npc, i) => {
+        const label = `NPC #${i + 1}`;
+        if (!isPlainObject(npc)) throw new Error(`${label} is not an object.`);
+        if (typeof npc.name !== 'string' || !npc.name.trim()) throw new Error(`${label} has no name.`);
+        if (npc.description !== undefined && typeof npc.description !== 'string') {
+            throw new Error(`${npc.name} has an invalid description.`);
+        }
+
+        const { structuredData } = npc;
+        if (!isPlainObject(structuredData)) throw new Error(`${npc.name} has no character profile.`);
+        const badField = BUNDLE_TEXT_FIELDS.find(field =>
+            structuredData[field] !== undefined && structuredData[field] !== null && typeof structuredData[field] !== 'string');
+        if (badField) throw new Error(`${npc.name} has an invalid "${badField}" field.`);
+        const badListField = BUNDLE_LIST_FIELDS.find(field =>
+            structuredData[field] !== undefined && structuredData[field] !== null &&
+            typeof structuredData[field] !== 'string' && !Array.isArray(structuredData[field]));
+        if (badListField) throw new Error(`${npc.name} has an invalid "${badListField}" field.`);
+
+        const chats = npc.chats ?? [];
+        if (!Array.isArray(chats) || !chats.every(msg =>
+            isPlainObject(msg) && BUNDLE_CHAT_ROLES.includes(msg.role) && typeof msg.text === 'string')) {
+            throw new Error(`${npc.name} has an invalid conversation.`);
+        }
+
+        const memories = npc.memories ?? [];
+        if (!Array.isArray(memories) || !memories.every(memory => isPlainObject(memory) && typeof memory.summary === 'string')) {
+            throw new Error(`${npc.name} has invalid memories.`);
+        }
+
+        const secretReveals = npc.secretReveals ?? [];
+        if (!Array.isArray(secretReveals) || !secretReveals.every(reveal =>
+            isPlainObject(reveal) && ['partial', 'full'].includes(reveal.level) && typeof reveal.detail === 'string')) {
+            throw new Error(`${npc.name} has an invalid secret reveal log.`);
+        }
+
+        if (npc.disposition !== undefined && (typeof npc.disposition !== 'number' || npc.disposition < 0 || npc.disposition > 100)) {
+            throw new Error(`${npc.name} has an invalid disposition.`);
+        }
+
+        let statBlock = null;
+        if (npc.statBlock !== undefined && npc.statBlock !== null) {
+            if (!isPlainObject(npc.statBlock)) throw new Error(`${npc.name} has an invalid stat block.`);
+            try {
+                statBlock = normalizeStatBlock(npc.statBlock).statBlock;
+            } catch (e) {
+                throw new Error(`${npc.name} has an invalid stat block: ${e.message}`);
+            }
+        }
+
+        const { image = null } = npc;
+        if (image !== null && (!isPlainObject(image) ||
+            (typeof image.dataUrl !== 'string' || !image.dataUrl.startsWith('data:image/')) &&
+            (typeof image.url !== 'string' || !image.url.startsWith('https://')))) {
+            throw new Error(`${npc.name} has an invalid portrait.`);
+        }
+
+        return {
+            name: npc.name.trim(),
+            description: npc.description || '',
+            structuredData: normalizeProfile(structuredData),
+            chats,
+            memories,
+            secretReveals,
+            ...(npc.disposition !== undefined && { disposition: npc.disposition }),
+            ...(statBlock && { statBlock }),
+            image
+        };
+    });
+};
+
+/**
+ * Re-uploads an imported portrait (embedded or linked) as the NPC's Cloudinary image.
+ * @returns {Promise<{ secure_url: string, public_id: string }>}
+ */
+export const uploadNpcPortrait = async (npcId, image) => {
+    const response = await fetchWithBackoff('/.netlify/functions/upload-image', {
+        method: 'POST',
+        headers: await getAuthHeaders(),
+        body: JSON.stringify({ npcId, image: image.dataUrl || image.url })
+    });
+    const data = await response.json();
+
+    const functionError = getFunctionErrorMessage(data);
+    if (functionError) throw new Error(functionError);
+    if (!response.ok || !data.secure_url) throw new Error(data.error || "Portrait upload failed");
+
+    return data;
+};
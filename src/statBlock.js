@@ -0,0 +1,178 @@
+// D&D 5e stat block rules: keeps generated and hand-edited stat blocks consistent
+
+export const ABILITIES = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+
+export const ABILITY_LABELS = { str: 'STR', dex: 'DEX', con: 'CON', int: 'INT', wis: 'WIS', cha: 'CHA' };
+
+export const SKILL_ABILITIES = {
+    'Acrobatics': 'dex',
+    'Animal Handling': 'wis',
+    'Arcana': 'int',
+    'Athletics': 'str',
+    'Deception': 'cha',
+    'History': 'int',
+    'Insight': 'wis',
+    'Intimidation': 'cha',
+    'Investigation': 'int',
+    'Medicine': 'wis',
+    'Nature': 'int',
+    'Perception': 'wis',
+    'Performance': 'cha',
+    'Persuasion': 'cha',
+    'Religion': 'int',
+    'Sleight of Hand': 'dex',
+    'Stealth': 'dex',
+    'Survival': 'wis'
+};
+
+// Challenge ratings in order, with the XP each is worth
+const XP_BY_CR = {
+    '0': 10, '1/8': 25, '1/4': 50, '1/2': 100,
+    '1': 200, '2': 450, '3': 700, '4': 1100, '5': 1800, '6': 2300, '7': 2900, '8': 3900, '9': 5000, '10': 5900,
+    '11': 7200, '12': 8400, '13': 10000, '14': 11500, '15': 13000, '16': 15000, '17': 18000, '18': 20000, '19': 22000, '20': 25000,
+    '21': 33000, '22': 41000, '23': 50000, '24': 62000, '25': 75000, '26': 90000, '27': 105000, '28': 120000, '29': 135000, '30': 155000
+};
+
+export const CHALLENGE_RATINGS = Object.keys(XP_BY_CR).sort((a, b) => crToNumber(a) - crToNumber(b));
+
+const FRACTIONAL_CRS = { '0.125': '1/8', '0.25': '1/4', '0.5': '1/2' };
+
+function crToNumber(cr) {
+    const [numerator, denominator = 1] = String(cr).split('/').map(Number);
+    return numerator / denominator;
+}
+
+export const abilityModifier = (score) => Math.floor((score - 10) / 2);
+
+export const formatModifier = (value) => (value >= 0 ? `+${value}` : `${value}`);
+
+/**
+ * Proficiency bonus by challenge rating: +2 up to CR 4, then +1 every 4 CRs (+9 at CR 29-30).
+ */
+export const proficiencyBonusForCR = (cr) => Math.max(2, Math.floor((crToNumber(cr) - 1) / 4) + 2);
+
+export const xpForCR = (cr) => XP_BY_CR[cr] ?? 0;
+
+/**
+ * Bonus for a skill: ability modifier plus proficiency (doubled with expertise).
+ */
+export const skillBonus = (statBlock, skill) => {
+    const modifier = abilityModifier(statBlock.abilities[SKILL_ABILITIES[skill.name]]);
+    return modifier + statBlock.proficiencyBonus * (skill.expertise ? 2 : 1);
+};
+
+export const savingThrowBonus = (statBlock, ability) => abilityModifier(statBlock.abilities[ability]) + statBlock.proficiencyBonus;
+
+/**
+ * Spell save DC (8 + proficiency + modifier) and spell attack bonus, or null for non-casters.
+ */
+export const spellcastingNumbers = (statBlock) => {
+    const ability = statBlock.spellcasting?.ability;
+    if (!ability) return null;
+    const attackBonus = statBlock.proficiencyBonus + abilityModifier(statBlock.abilities[ability]);
+    return { saveDc: 8 + attackBonus, attackBonus };
+};
+
+/**
+ * Reads a challenge rating written as "1/4", "0.25" or "5".
+ * @returns {string|null} The canonical rating, or null if it is not a 5e challenge rating
+ */
+export const parseChallengeRating = (value) => {
+    const text = String(value ?? '').trim();
+    const cr = FRACTIONAL_CRS[text] || text.replace(/^0+(?=\d)/, '');
+    return XP_BY_CR[cr] !== undefined ? cr : null;
+};
+
+const findAbility = (value) => {
+    const key = String(value ?? '').trim().slice(0, 3).toLowerCase();
+    return ABILITIES.includes(key) ? key : null;
+};
+
+const findSkillName = (value) => {
+    const name = String(value ?? '').trim().toLowerCase();
+    return Object.keys(SKILL_ABILITIES).find(skill => skill.toLowerCase() === name) || null;
+};
+
+const toInteger = (value, min, max, fallback) => {
+    const number = Math.round(Number(value));
+    return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+};
+
+const toText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const toFeatures = (features) => (Array.isArray(features) ? features : [])
+    .map(feature => ({ name: toText(feature?.name), description: toText(feature?.description) }))
+    .filter(feature => feature.name || feature.description);
+
+/**
+ * Checks a stat block against 5e rules and returns a consistent copy.
+ * Ability scores, AC and HP are clamped to legal ranges, the proficiency bonus is set from the CR,
+ * and skill bonuses given by the model (`bonus`) are only used to tell proficiency from expertise.
+ * Derived numbers (skill and save bonuses, spell DC) are not stored; see the helpers above.
+ * @returns {{ statBlock: Object, issues: string[] }} `issues` lists everything that was corrected
+ * @throws {Error} If the challenge rating is not a 5e challenge rating
+ */
+export const normalizeStatBlock = (raw) => {
+    const issues = [];
+
+    const challengeRating = parseChallengeRating(raw.challengeRating);
+    if (!challengeRating) {
+        throw new Error(`"${raw.challengeRating}" is not a valid challenge rating.`);
+    }
+
+    const proficiencyBonus = proficiencyBonusForCR(challengeRating);
+    if (raw.proficiencyBonus !== undefined && Number(raw.proficiencyBonus) !== proficiencyBonus) {
+        issues.push(`Proficiency bonus set to ${formatModifier(proficiencyBonus)} for CR ${challengeRating}.`);
+    }
+
+    const abilities = Object.fromEntries(ABILITIES.map(ability => {
+        const score = toInteger(raw.abilities?.[ability], 1, 30, 10);
+        if (raw.abilities?.[ability] !== undefined && score !== Number(raw.abilities[ability])) {
+            issues.push(`${ABILITY_LABELS[ability]} adjusted to ${score}.`);
+        }
+        return [ability, score];
+    }));
+
+    const savingThrows = [...new Set((raw.savingThrows || []).map(findAbility).filter(Boolean))];
+
+    const skills = [];
+    (raw.skills || []).forEach(skill => {
+        const name = findSkillName(skill?.name);
+        if (!name) {
+            issues.push(`Removed unknown skill "${skill?.name}".`);
+            return;
+        }
+        if (skills.some(existing => existing.name === name)) return;
+
+        const modifier = abilityModifier(abilities[SKILL_ABILITIES[name]]);
+        const expertise = skill.expertise === true || Number(skill.bonus) === modifier + 2 * proficiencyBonus;
+        if (skill.bonus !== undefined && !expertise && Number(skill.bonus) !== modifier + proficiencyBonus) {
+            issues.push(`${name} bonus corrected to ${formatModifier(modifier + proficiencyBonus)}.`);
+        }
+        skills.push({ name, expertise });
+    });
+
+    const spellcastingAbility = findAbility(raw.spellcasting?.ability);
+    const spells = toText(raw.spellcasting?.spells);
+
+    const statBlock = {
+        creatureType: toText(raw.creatureType),
+        armorClass: toInteger(raw.armorClass, 1, 30, 10),
+        armorType: toText(raw.armorType),
+        hitPoints: toInteger(raw.hitPoints, 1, 999, 1),
+        hitDice: toText(raw.hitDice),
+        speed: toText(raw.speed) || '30 ft.',
+        abilities,
+        savingThrows,
+        skills,
+        senses: toText(raw.senses),
+        languages: toText(raw.languages),
+        challengeRating,
+        proficiencyBonus,
+        traits: toFeatures(raw.traits),
+        actions: toFeatures(raw.actions),
+        spellcasting: spellcastingAbility ? { ability: spellcastingAbility, spells } : null
+    };
+
+    return { statBlock, issues };
+};